@@ -18,12 +18,25 @@ contract Meeting {
         address[] participants;
     }
 
+    // Final tally of a poll run during a meeting, kept by its creator
+    struct PollResult {
+        string pollId;
+        string question;
+        string[] options;
+        uint[] votes;
+        uint voterCount;
+        uint recordedAt;
+    }
+
     mapping(uint => MeetingInfo) public meetings;
     mapping(uint => address[]) private meetingParticipants;
+    mapping(uint => PollResult[]) private pollResults;
+    mapping(uint => mapping(bytes32 => bool)) private recordedPolls;
 
     event MeetingCreated(uint id, address creator, string title, uint scheduledTime, bool isPrivate);
     event ParticipantAdded(uint meetingId, address participant);
     event ParticipantRemoved(uint meetingId, address participant);
+    event PollResultRecorded(uint meetingId, uint index, string pollId);
 
     constructor() {
         owner = msg.sender;
@@ -123,4 +136,50 @@ contract Meeting {
         }
         return false;
     }
-} 
\ No newline at end of file
+
+    function recordPollResult(
+        uint meetingId,
+        string memory pollId,
+        string memory question,
+        string[] memory options,
+        uint[] memory votes,
+        uint voterCount
+    ) public returns (uint) {
+        MeetingInfo storage m = meetings[meetingId];
+        require(msg.sender == m.creator, "Only creator can record poll results");
+        require(options.length == votes.length, "Options and votes must match");
+        bytes32 key = keccak256(bytes(pollId));
+        require(!recordedPolls[meetingId][key], "Poll result already recorded");
+        recordedPolls[meetingId][key] = true;
+
+        PollResult storage r = pollResults[meetingId].push();
+        r.pollId = pollId;
+        r.question = question;
+        for (uint i = 0; i < options.length; i++) {
+            r.options.push(options[i]);
+            r.votes.push(votes[i]);
+        }
+        r.voterCount = voterCount;
+        r.recordedAt = block.timestamp;
+        uint index = pollResults[meetingId].length - 1;
+        emit PollResultRecorded(meetingId, index, pollId);
+        return index;
+    }
+
+    function getPollResultCount(uint meetingId) public view returns (uint) {
+        return pollResults[meetingId].length;
+    }
+
+    function getPollResult(uint meetingId, uint index) public view returns (
+        string memory pollId,
+        string memory question,
+        string[] memory options,
+        uint[] memory votes,
+        uint voterCount,
+        uint recordedAt
+    ) {
+        require(index < pollResults[meetingId].length, "Poll result not found");
+        PollResult storage r = pollResults[meetingId][index];
+        return (r.pollId, r.question, r.options, r.votes, r.voterCount, r.recordedAt);
+    }
+}
\ No newline at end of file
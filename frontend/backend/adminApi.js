@@ -0,0 +1,257 @@
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { ethers } from 'ethers';
+import { MAX_HISTORY_PAGE_SIZE } from './storage.js';
+
+const MAX_REASON_LENGTH = 200;
+const MAX_SYSTEM_MESSAGE_LENGTH = 2000;
+
+// Thrown by the request checks below and answered with `status`
+class AdminRequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AdminRequestError';
+    this.status = status;
+  }
+}
+
+function digest(token) {
+  return createHash('sha256').update(token).digest();
+}
+
+function optionalString(body, field, maxLength) {
+  const value = body[field];
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length === 0 || value.length > maxLength) {
+    throw new AdminRequestError(400, `${field} must be a string of 1 to ${maxLength} characters`);
+  }
+  return value;
+}
+
+function readAddress(value) {
+  try {
+    return ethers.getAddress(value);
+  } catch {
+    throw new AdminRequestError(400, `${value} is not a wallet address`);
+  }
+}
+
+// The REST API for operators, mounted at /api/admin. Every request needs
+// `Authorization: Bearer <token>` with one of `config.admin.tokens`, and
+// every one is recorded in the audit log under the token's name.
+//
+// Room commands go out to the whole cluster (see cluster.js) and each
+// instance applies them to its own clients; draining only concerns the
+// instance the request reached. `drain(options)` starts draining it and
+// returns where that stands.
+export function createAdminRouter({ config, cluster, storage, drain, getClientIp }) {
+  const router = express.Router();
+  const admins = config.admin.tokens.map(({ name, token }) => ({ name, digest: digest(token) }));
+
+  router.use((req, res, next) => {
+    if (admins.length === 0) {
+      return res.status(404).json({ error: 'The admin API is disabled, set ADMIN_TOKENS to enable it' });
+    }
+
+    // Hashing first keeps the comparison constant-time whatever the token length
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+    const presented = match && digest(match[1]);
+    const admin = presented && admins.find(candidate => timingSafeEqual(candidate.digest, presented));
+    if (!admin) {
+      console.warn(`Refused admin request ${req.method} ${req.originalUrl} from ${getClientIp(req)}`);
+      return res.status(401).json({ error: 'A valid admin token is required' });
+    }
+
+    req.admin = admin.name;
+    next();
+  });
+
+  function audit(req, action, details = {}) {
+    console.log(`Admin ${req.admin} ${action}`, JSON.stringify(details));
+    try {
+      storage.recordAudit({
+        at: new Date().toISOString(),
+        actor: req.admin,
+        ip: getClientIp(req),
+        action: action,
+        details: details
+      });
+    } catch (error) {
+      console.error(`Could not record admin action ${action} by ${req.admin}:`, error);
+    }
+  }
+
+  // Express 4 doesn't catch rejected promises itself
+  function handle(route) {
+    return (req, res, next) => {
+      Promise.resolve(route(req, res)).catch((error) => {
+        if (error instanceof AdminRequestError) {
+          res.status(error.status).json({ error: error.message });
+        } else {
+          next(error);
+        }
+      });
+    };
+  }
+
+  // Who `body.clientId` or `body.address` points at, in `roomId` or any
+  // room: [{ roomId, participantId, address }]
+  async function findTargets(body, roomId) {
+    const clientId = optionalString(body, 'clientId', 64);
+    const address = body.address === undefined ? null : readAddress(body.address);
+    if ((clientId === null) === (address === null)) {
+      throw new AdminRequestError(400, 'Give either clientId or address');
+    }
+
+    const roomIds = roomId ? [roomId] : (await cluster.listRooms()).map(room => room.id);
+    const targets = [];
+    for (const id of roomIds) {
+      for (const { participant } of await cluster.getParticipants(id)) {
+        if (participant.id === clientId || participant.address === address) {
+          targets.push({ roomId: id, participantId: participant.id, address: participant.address });
+        }
+      }
+    }
+    return { clientId, address, targets };
+  }
+
+  router.get('/rooms', handle(async (req, res) => {
+    const rooms = await Promise.all((await cluster.listRooms()).map(async (room) => {
+      const entries = await cluster.getParticipants(room.id);
+      return {
+        id: room.id,
+        participantCount: entries.length,
+        participants: entries.map(({ participant, instanceId }) => ({ ...participant, instanceId })),
+        messageCount: storage.countMessages(room.id)
+      };
+    }));
+
+    audit(req, 'list-rooms');
+    res.json(rooms);
+  }));
+
+  // Closes a room by removing everyone in it
+  router.delete('/rooms/:roomId', handle(async (req, res) => {
+    const { roomId } = req.params;
+    const reason = optionalString(req.body || {}, 'reason', MAX_REASON_LENGTH) || 'The room was closed by an administrator';
+    const entries = await cluster.getParticipants(roomId);
+    if (entries.length === 0) {
+      throw new AdminRequestError(404, 'Room not found');
+    }
+
+    await cluster.publishCommand({ action: 'close-room', roomId: roomId, reason: reason });
+    audit(req, 'close-room', { roomId, reason, removed: entries.length });
+    res.json({ roomId: roomId, removed: entries.length });
+  }));
+
+  router.post('/rooms/:roomId/messages', handle(async (req, res) => {
+    const { roomId } = req.params;
+    const text = optionalString(req.body || {}, 'text', MAX_SYSTEM_MESSAGE_LENGTH);
+    if (text === null) {
+      throw new AdminRequestError(400, 'text is required');
+    }
+    const entries = await cluster.getParticipants(roomId);
+    if (entries.length === 0) {
+      throw new AdminRequestError(404, 'Room not found');
+    }
+
+    await cluster.publishCommand({ action: 'system-message', roomId: roomId, text: text, level: 'info' });
+    audit(req, 'system-message', { roomId, text });
+    res.json({ roomId: roomId, recipients: entries.length });
+  }));
+
+  // Removes a participant from one room, or every room they're in. They may
+  // come back; bans keep them out.
+  router.post('/kick', handle(async (req, res) => {
+    const body = req.body || {};
+    const roomId = optionalString(body, 'roomId', 128);
+    const reason = optionalString(body, 'reason', MAX_REASON_LENGTH) || 'You were removed by an administrator';
+    const { clientId, address, targets } = await findTargets(body, roomId);
+    if (targets.length === 0) {
+      throw new AdminRequestError(404, 'No such participant');
+    }
+
+    await cluster.publishCommand({ action: 'remove', clientId, address, roomId, reason });
+    audit(req, 'kick', { clientId, address, roomId, reason, removed: targets });
+    res.json({ removed: targets });
+  }));
+
+  router.get('/bans', handle(async (req, res) => {
+    const bans = await cluster.getBans();
+    audit(req, 'list-bans');
+    res.json(bans);
+  }));
+
+  // Bans a wallet address from a room, or every room without `roomId`, and
+  // removes it from where it is now. A client id is resolved to its address.
+  router.post('/bans', handle(async (req, res) => {
+    const body = req.body || {};
+    const roomId = optionalString(body, 'roomId', 128);
+    const reason = optionalString(body, 'reason', MAX_REASON_LENGTH) || 'You are banned by an administrator';
+    const durationMs = body.durationMs === undefined ? null : body.durationMs;
+    if (durationMs !== null && !(Number.isInteger(durationMs) && durationMs > 0)) {
+      throw new AdminRequestError(400, 'durationMs must be a positive integer');
+    }
+
+    const { clientId, targets } = await findTargets(body, roomId);
+    const address = body.address === undefined ? (targets[0] && targets[0].address) : readAddress(body.address);
+    if (!address) {
+      throw new AdminRequestError(404, `No participant ${clientId} to ban`);
+    }
+
+    const now = Date.now();
+    const ban = {
+      address: address,
+      roomId: roomId,
+      reason: reason,
+      bannedBy: req.admin,
+      bannedAt: new Date(now).toISOString(),
+      expiresAt: durationMs === null ? null : new Date(now + durationMs).toISOString()
+    };
+    await cluster.addBan(ban);
+    await cluster.publishCommand({ action: 'remove', clientId: null, address, roomId, reason });
+
+    const removed = targets.filter(target => target.address === address);
+    audit(req, 'ban', { ...ban, removed });
+    res.status(201).json({ ban: ban, removed: removed });
+  }));
+
+  router.delete('/bans/:address', handle(async (req, res) => {
+    const address = readAddress(req.params.address);
+    const roomId = req.query.roomId || null;
+    if (!await cluster.removeBan(address, roomId)) {
+      throw new AdminRequestError(404, 'No such ban');
+    }
+
+    audit(req, 'unban', { address, roomId });
+    res.status(204).end();
+  }));
+
+  // Takes this instance out of service for maintenance
+  router.post('/drain', handle(async (req, res) => {
+    const body = req.body || {};
+    const reason = optionalString(body, 'reason', MAX_REASON_LENGTH) || 'This server is going down for maintenance, rejoin the call in a moment';
+    const graceMs = body.graceMs === undefined ? config.admin.drainGraceMs : body.graceMs;
+    if (!(Number.isInteger(graceMs) && graceMs >= 0)) {
+      throw new AdminRequestError(400, 'graceMs must be a non-negative integer');
+    }
+
+    const state = drain({ reason, graceMs });
+    audit(req, 'drain', { instanceId: cluster.instanceId, reason, graceMs });
+    res.status(202).json(state);
+  }));
+
+  router.get('/audit', handle(async (req, res) => {
+    const before = req.query.before ? parseInt(req.query.before) : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_HISTORY_PAGE_SIZE);
+    if (Number.isNaN(before)) {
+      throw new AdminRequestError(400, 'before must be an audit entry id');
+    }
+
+    // Recorded before reading, so reading the log shows up in it
+    audit(req, 'read-audit-log', { before, limit });
+    res.json(storage.getAuditLog({ before, limit }));
+  }));
+
+  return router;
+}
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+const AUTH_DOMAIN = process.env.AUTH_DOMAIN || 'localhost:3000';
+const AUTH_URI = process.env.AUTH_URI || `http://${AUTH_DOMAIN}`;
+const AUTH_CHAIN_ID = parseInt(process.env.AUTH_CHAIN_ID) || 11155111;
+const CHALLENGE_TTL_MS = parseInt(process.env.AUTH_CHALLENGE_TTL_MS) || 5 * 60 * 1000;
+
+// Build a Sign-In-With-Ethereum (EIP-4361) message for the given address
+export function createChallenge(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error('Invalid wallet address');
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const checksumAddress = ethers.getAddress(address);
+
+  const message = [
+    `${AUTH_DOMAIN} wants you to sign in with your Ethereum account:`,
+    checksumAddress,
+    '',
+    'Sign in to join CodarMeet video rooms.',
+    '',
+    `URI: ${AUTH_URI}`,
+    'Version: 1',
+    `Chain ID: ${AUTH_CHAIN_ID}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt.toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`
+  ].join('\n');
+
+  return {
+    address: checksumAddress,
+    nonce,
+    message,
+    expiresAt: expiresAt.getTime()
+  };
+}
+
+// Returns the checksummed signer address, or throws if the signature doesn't match
+export function verifyChallenge(challenge, signature) {
+  if (!challenge) {
+    throw new Error('No pending challenge');
+  }
+  if (Date.now() > challenge.expiresAt) {
+    throw new Error('Challenge expired');
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(challenge.message, signature);
+  } catch {
+    throw new Error('Malformed signature');
+  }
+
+  if (recovered !== challenge.address) {
+    throw new Error('Signature does not match address');
+  }
+
+  return recovered;
+}
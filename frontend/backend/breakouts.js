@@ -0,0 +1,81 @@
+// Breakout rooms split a room (the main room) into smaller ones for a while
+// and bring everyone back. They're ordinary rooms named
+// `<mainRoomId>:breakout-<n>`, joined by the participants the host or a
+// co-host sends there, who may go back to the main room whenever they like.
+//
+// The state is shared by the cluster (see cluster.js) in the hash
+// `<prefix>:breakouts:<mainRoomId>`: `rooms` ([{ id, name }]), `closesAt`
+// while a countdown runs, and a field per participant sent to a breakout
+// room (`assigned:<address>`, holding its id). It's deleted when they close.
+
+const BREAKOUT_ROOM_PATTERN = /^(.+):breakout-(\d+)$/;
+
+export const MAX_BREAKOUT_ROOMS = 20;
+export const MAX_BREAKOUT_COUNTDOWN_SECONDS = 60 * 60;
+
+// The main room of a breakout room, or null for any other room
+export function getMainRoomId(roomId) {
+  const match = BREAKOUT_ROOM_PATTERN.exec(roomId || '');
+  return match ? match[1] : null;
+}
+
+export function getBreakoutRoomId(mainRoomId, number) {
+  return `${mainRoomId}:breakout-${number}`;
+}
+
+// Spreads `participantIds` over `roomIds` as evenly as possible, in random
+// order: Map participant id -> room id
+export function assignRandomly(participantIds, roomIds, random = Math.random) {
+  const shuffled = [...participantIds];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return new Map(shuffled.map((participantId, i) => [participantId, roomIds[i % roomIds.length]]));
+}
+
+export class BreakoutRooms {
+  constructor(cluster) {
+    this.adapter = cluster.adapter;
+    this.prefix = cluster.prefix;
+  }
+
+  hash(mainRoomId) {
+    return `${this.prefix}:breakouts:${mainRoomId}`;
+  }
+
+  // { rooms, assignments: { address: roomId }, closesAt }; no rooms while
+  // they're closed
+  async getState(mainRoomId) {
+    const fields = await this.adapter.getFields(this.hash(mainRoomId));
+    const state = { rooms: fields.rooms || [], assignments: {}, closesAt: fields.closesAt || null };
+    for (const [field, value] of Object.entries(fields)) {
+      if (field.startsWith('assigned:')) state.assignments[field.slice('assigned:'.length)] = value;
+    }
+    return state;
+  }
+
+  async open(mainRoomId, rooms) {
+    await this.adapter.setField(this.hash(mainRoomId), 'rooms', rooms);
+  }
+
+  // Records where `address` was sent, null for the main room
+  async assign(mainRoomId, address, roomId) {
+    if (roomId) {
+      await this.adapter.setField(this.hash(mainRoomId), `assigned:${address}`, roomId);
+    } else {
+      await this.adapter.deleteField(this.hash(mainRoomId), `assigned:${address}`);
+    }
+  }
+
+  async setClosesAt(mainRoomId, closesAt) {
+    await this.adapter.setField(this.hash(mainRoomId), 'closesAt', closesAt);
+  }
+
+  async close(mainRoomId) {
+    const hash = this.hash(mainRoomId);
+    for (const field of Object.keys(await this.adapter.getFields(hash))) {
+      await this.adapter.deleteField(hash, field);
+    }
+  }
+}
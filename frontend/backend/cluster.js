@@ -0,0 +1,276 @@
+import EventEmitter from 'events';
+import { randomUUID } from 'crypto';
+
+// What an instance needs to know about the others to serve a room that spans
+// several of them, over a cluster adapter (see clusterAdapter.js):
+//
+//   - a registry of who's in each room and on which instance, in the hash
+//     `<prefix>:room:<roomId>`, one field per participant
+//   - the rooms each instance has participants in, in the hash
+//     `<prefix>:members:<instanceId>`, so a dead instance's participants can
+//     be found without reading every room
+//   - room-wide messages, published on `<prefix>:rooms` for every instance
+//     to deliver to its own clients in that room
+//   - messages for one client, published on `<prefix>:instance:<id>` of the
+//     instance it's connected to
+//   - admin commands, published on `<prefix>:commands` for every instance,
+//     this one included, to apply to its own clients
+//   - bans, in the hash `<prefix>:bans`
+//
+// Emits `room-message` (roomId, message, excludeClientId, instanceId) and
+// `client-message` (clientId, message) for what other instances send,
+// `command` (command) for admin commands, and `departed` (roomId,
+// participantId) for participants of an instance that went away without
+// saying goodbye. Instances that miss three heartbeats are considered gone;
+// whichever instance notices first removes their participants.
+export class Cluster extends EventEmitter {
+  constructor(adapter, { prefix = 'codarmeet', instanceId = randomUUID(), heartbeatIntervalMs = 5000 } = {}) {
+    super();
+    this.adapter = adapter;
+    this.prefix = prefix;
+    this.instanceId = instanceId;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.heartbeatTimer = null;
+    // roomId -> Set of the participant ids this instance registered
+    this.ownParticipants = new Map();
+    this.closed = null;
+  }
+
+  roomHash(roomId) {
+    return `${this.prefix}:room:${roomId}`;
+  }
+
+  membersHash(instanceId) {
+    return `${this.prefix}:members:${instanceId}`;
+  }
+
+  // The field of `membersHash` for a participant of `roomId`
+  memberField(roomId, participantId) {
+    return JSON.stringify([roomId, participantId]);
+  }
+
+  get roomsChannel() {
+    return `${this.prefix}:rooms`;
+  }
+
+  get instancesHash() {
+    return `${this.prefix}:instances`;
+  }
+
+  get commandsChannel() {
+    return `${this.prefix}:commands`;
+  }
+
+  get bansHash() {
+    return `${this.prefix}:bans`;
+  }
+
+  instanceChannel(instanceId) {
+    return `${this.prefix}:instance:${instanceId}`;
+  }
+
+  async start() {
+    await this.adapter.subscribe(this.roomsChannel, (data) => {
+      if (data.origin === this.instanceId) return;
+      if (data.departed) {
+        this.emit('departed', data.roomId, data.departed);
+      } else {
+        this.emit('room-message', data.roomId, data.message, data.excludeClientId, data.origin);
+      }
+    });
+    await this.adapter.subscribe(this.instanceChannel(this.instanceId), (data) => {
+      this.emit('client-message', data.clientId, data.message);
+    });
+    await this.adapter.subscribe(this.commandsChannel, (command) => {
+      this.emit('command', command);
+    });
+
+    await this.heartbeat();
+    await this.reapOrphanedParticipants();
+    if (this.closed) return;
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch(error => console.error('Cluster heartbeat failed:', error));
+    }, this.heartbeatIntervalMs);
+  }
+
+  async heartbeat() {
+    await this.adapter.setField(this.instancesHash, this.instanceId, Date.now());
+    await this.reapDeadInstances();
+  }
+
+  // Removes the participants of instances that stopped sending heartbeats,
+  // or whose record is gone. Only those instances' rooms are read; an
+  // instance is forgotten once its participants are, so a reaper that fails
+  // halfway leaves the rest to the next heartbeat.
+  async reapDeadInstances() {
+    const instances = await this.adapter.getFields(this.instancesHash);
+    const deadline = Date.now() - 3 * this.heartbeatIntervalMs;
+    const withMembers = (await this.adapter.findHashes(this.membersHash('')))
+      .map(hash => hash.slice(this.membersHash('').length));
+
+    for (const instanceId of new Set([...Object.keys(instances), ...withMembers])) {
+      if (instanceId in instances && instances[instanceId] >= deadline) continue;
+
+      console.warn(`Cluster instance ${instanceId} stopped responding`);
+      const membersHash = this.membersHash(instanceId);
+      for (const [field, { roomId, participantId }] of Object.entries(await this.adapter.getFields(membersHash))) {
+        const entry = (await this.adapter.getFields(this.roomHash(roomId)))[participantId];
+        if (entry?.instanceId === instanceId) await this.reapParticipant(roomId, participantId);
+        await this.adapter.deleteField(membersHash, field);
+      }
+      await this.adapter.deleteField(this.instancesHash, instanceId);
+    }
+  }
+
+  // Removes every room entry of an instance that isn't on record, including
+  // those no membership list points to. It reads every room, so it only
+  // runs when this instance starts.
+  async reapOrphanedParticipants() {
+    const instances = await this.adapter.getFields(this.instancesHash);
+    for (const hash of await this.adapter.findHashes(this.roomHash(''))) {
+      const roomId = hash.slice(this.roomHash('').length);
+      for (const [participantId, entry] of Object.entries(await this.adapter.getFields(hash))) {
+        if (!(entry.instanceId in instances)) await this.reapParticipant(roomId, participantId);
+      }
+    }
+  }
+
+  async reapParticipant(roomId, participantId) {
+    await this.adapter.deleteField(this.roomHash(roomId), participantId);
+    await this.adapter.publish(this.roomsChannel, { origin: this.instanceId, roomId: roomId, departed: participantId });
+    this.emit('departed', roomId, participantId);
+  }
+
+  // Registers a participant connected to this instance. Resolves with
+  // everyone in the room, this instance's included, as
+  // [{ participant, instanceId }].
+  async joinRoom(roomId, participant) {
+    if (!this.ownParticipants.has(roomId)) {
+      this.ownParticipants.set(roomId, new Set());
+    }
+    this.ownParticipants.get(roomId).add(participant.id);
+
+    await this.adapter.setField(this.membersHash(this.instanceId), this.memberField(roomId, participant.id), { roomId: roomId, participantId: participant.id });
+    await this.adapter.setField(this.roomHash(roomId), participant.id, { participant: participant, instanceId: this.instanceId });
+    return this.getParticipants(roomId);
+  }
+
+  async updateParticipant(roomId, participant) {
+    if (!this.ownParticipants.get(roomId)?.has(participant.id)) return;
+    await this.adapter.setField(this.roomHash(roomId), participant.id, { participant: participant, instanceId: this.instanceId });
+  }
+
+  // Resolves with how many participants the room has left, cluster-wide
+  async leaveRoom(roomId, participantId) {
+    const own = this.ownParticipants.get(roomId);
+    if (own) {
+      own.delete(participantId);
+      if (own.size === 0) this.ownParticipants.delete(roomId);
+    }
+
+    await this.adapter.deleteField(this.roomHash(roomId), participantId);
+    await this.adapter.deleteField(this.membersHash(this.instanceId), this.memberField(roomId, participantId));
+    return Object.keys(await this.adapter.getFields(this.roomHash(roomId))).length;
+  }
+
+  async getParticipants(roomId) {
+    return Object.values(await this.adapter.getFields(this.roomHash(roomId)));
+  }
+
+  // Every room with someone in it, on any instance
+  async listRooms() {
+    const prefix = this.roomHash('');
+    const rooms = [];
+    for (const hash of await this.adapter.findHashes(prefix)) {
+      const participantCount = Object.keys(await this.adapter.getFields(hash)).length;
+      if (participantCount > 0) {
+        rooms.push({ id: hash.slice(prefix.length), participantCount: participantCount });
+      }
+    }
+    return rooms;
+  }
+
+  // Hands a room-wide message to the other instances
+  async publishToRoom(roomId, message, excludeClientId = null) {
+    await this.adapter.publish(this.roomsChannel, {
+      origin: this.instanceId,
+      roomId: roomId,
+      message: message,
+      excludeClientId: excludeClientId
+    });
+  }
+
+  async publishToClient(instanceId, clientId, message) {
+    await this.adapter.publish(this.instanceChannel(instanceId), { clientId: clientId, message: message });
+  }
+
+  async publishCommand(command) {
+    await this.adapter.publish(this.commandsChannel, command);
+  }
+
+  // A ban keeps `address` out of `roomId`, or out of every room when that's
+  // null, until `expiresAt` (an ISO date, or null for good)
+  banField(address, roomId) {
+    return roomId === null ? address : `${address}:${roomId}`;
+  }
+
+  async addBan(ban) {
+    await this.adapter.setField(this.bansHash, this.banField(ban.address, ban.roomId), ban);
+  }
+
+  // Resolves with whether there was such a ban
+  async removeBan(address, roomId = null) {
+    const field = this.banField(address, roomId);
+    const bans = await this.adapter.getFields(this.bansHash);
+    if (!(field in bans)) return false;
+
+    await this.adapter.deleteField(this.bansHash, field);
+    return true;
+  }
+
+  // Bans in force; expired ones are dropped on the way
+  async getBans(now = Date.now()) {
+    const bans = [];
+    for (const [field, ban] of Object.entries(await this.adapter.getFields(this.bansHash))) {
+      if (ban.expiresAt !== null && Date.parse(ban.expiresAt) <= now) {
+        await this.adapter.deleteField(this.bansHash, field);
+      } else {
+        bans.push(ban);
+      }
+    }
+    return bans;
+  }
+
+  // The ban keeping `address` out of `roomId`, if any
+  async findBan(address, roomId) {
+    const bans = await this.getBans();
+    return bans.find(ban => ban.address === address && (ban.roomId === null || ban.roomId === roomId)) || null;
+  }
+
+  // Leaves the cluster, telling the other instances this one's participants
+  // are gone. Safe to call more than once.
+  close() {
+    if (!this.closed) {
+      this.closed = this.leaveCluster();
+    }
+    return this.closed;
+  }
+
+  async leaveCluster() {
+    clearInterval(this.heartbeatTimer);
+
+    try {
+      for (const [roomId, participantIds] of this.ownParticipants) {
+        for (const participantId of participantIds) {
+          await this.adapter.deleteField(this.roomHash(roomId), participantId);
+          await this.adapter.publish(this.roomsChannel, { origin: this.instanceId, roomId: roomId, departed: participantId });
+          await this.adapter.deleteField(this.membersHash(this.instanceId), this.memberField(roomId, participantId));
+        }
+      }
+      this.ownParticipants.clear();
+      await this.adapter.deleteField(this.instancesHash, this.instanceId);
+    } finally {
+      await this.adapter.close();
+    }
+  }
+}
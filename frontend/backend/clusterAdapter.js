@@ -0,0 +1,103 @@
+// What signaling instances share to act as one cluster (see cluster.js): a
+// publish/subscribe bus and hashes of JSON values. An adapter implements
+//
+//   publish(channel, message)         message reaches every subscriber, in order
+//   subscribe(channel, handler)       handler(message) for each one published
+//   setField(hash, field, value)
+//   setFieldIfAbsent(hash, field, value)  resolves with whether it was set
+//   deleteField(hash, field)
+//   getFields(hash)                   { field: value }, {} for a missing hash
+//   findHashes(prefix)                names of the non-empty hashes starting with prefix
+//   close()
+//
+// all returning promises. A hash with no fields left disappears, as in Redis.
+
+// The shared state of in-process adapters; instances that share a bus make
+// up a cluster
+export class InProcessBus {
+  constructor() {
+    // channel -> Set of handlers
+    this.channels = new Map();
+    // hash -> Map of field -> JSON
+    this.hashes = new Map();
+  }
+}
+
+// For a single instance, or several in one process as in the tests. Messages
+// and values are copied through JSON like they would be over the wire.
+export class InProcessAdapter {
+  constructor(bus = new InProcessBus()) {
+    this.bus = bus;
+    this.subscriptions = [];
+  }
+
+  async publish(channel, message) {
+    const data = JSON.stringify(message);
+    for (const handler of this.bus.channels.get(channel) || []) {
+      queueMicrotask(() => handler(JSON.parse(data)));
+    }
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.bus.channels.has(channel)) {
+      this.bus.channels.set(channel, new Set());
+    }
+    this.bus.channels.get(channel).add(handler);
+    this.subscriptions.push({ channel, handler });
+  }
+
+  async setField(hash, field, value) {
+    if (!this.bus.hashes.has(hash)) {
+      this.bus.hashes.set(hash, new Map());
+    }
+    this.bus.hashes.get(hash).set(field, JSON.stringify(value));
+  }
+
+  async setFieldIfAbsent(hash, field, value) {
+    if (this.bus.hashes.get(hash)?.has(field)) return false;
+    await this.setField(hash, field, value);
+    return true;
+  }
+
+  async deleteField(hash, field) {
+    const fields = this.bus.hashes.get(hash);
+    if (!fields) return;
+    fields.delete(field);
+    if (fields.size === 0) this.bus.hashes.delete(hash);
+  }
+
+  async getFields(hash) {
+    const fields = this.bus.hashes.get(hash) || new Map();
+    return Object.fromEntries(Array.from(fields, ([field, value]) => [field, JSON.parse(value)]));
+  }
+
+  async findHashes(prefix) {
+    return Array.from(this.bus.hashes.keys()).filter(hash => hash.startsWith(prefix));
+  }
+
+  async close() {
+    for (const { channel, handler } of this.subscriptions) {
+      this.bus.channels.get(channel)?.delete(handler);
+    }
+    this.subscriptions = [];
+  }
+}
+
+// Builds the adapter `config.cluster` asks for; a Redis adapter is connected
+// before it's returned
+export async function createClusterAdapter(config) {
+  switch (config.cluster.adapter) {
+    case 'local':
+      return new InProcessAdapter();
+
+    case 'redis': {
+      const { RedisAdapter } = await import('./redisAdapter.js');
+      const adapter = new RedisAdapter(config.cluster.redisUrl);
+      await adapter.connect();
+      return adapter;
+    }
+
+    default:
+      throw new Error(`Unknown cluster adapter: ${config.cluster.adapter}`);
+  }
+}
@@ -0,0 +1,138 @@
+// Signaling server settings, read from the environment (see SIGNALING_PROTOCOL.md)
+
+// Token buckets per message type: `capacity` is the burst size and
+// `refillPerSecond` the sustained rate. Types without an entry use `default`.
+export const DEFAULT_RATE_LIMITS = {
+  'default': { capacity: 20, refillPerSecond: 5 },
+  'auth-request': { capacity: 5, refillPerSecond: 0.2 },
+  'chat-message': { capacity: 10, refillPerSecond: 1 },
+  'reaction': { capacity: 10, refillPerSecond: 2 },
+  // Sent once per recipient, so it gets more room than a room-wide message
+  'peer-message': { capacity: 50, refillPerSecond: 20 },
+  'offer': { capacity: 20, refillPerSecond: 2 },
+  'answer': { capacity: 20, refillPerSecond: 2 },
+  'ice-candidate': { capacity: 100, refillPerSecond: 20 }
+};
+
+function readInt(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// Comma-separated list; set but empty means "none"
+function readList(value, fallback) {
+  if (value === undefined) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readFloat(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+// "min-max", e.g. 40000-40999
+function readPortRange(value) {
+  const match = /^(\d+)-(\d+)$/.exec(value || '');
+  return match ? [Number(match[1]), Number(match[2])] : undefined;
+}
+
+// ADMIN_TOKENS=alice:<token>,deploy-bot:<token> names who is behind each
+// token in the audit log; entries without a name are skipped
+function readAdminTokens(value) {
+  return readList(value, [])
+    .filter(entry => entry.indexOf(':') > 0)
+    .map((entry) => {
+      const separator = entry.indexOf(':');
+      return { name: entry.slice(0, separator), token: entry.slice(separator + 1) };
+    })
+    .filter(({ token }) => token);
+}
+
+// RATE_LIMIT_CHAT_MESSAGE=10:1 overrides the `chat-message` bucket with a
+// burst of 10 and one message per second after that
+function readRateLimits(env) {
+  const limits = {};
+
+  for (const [type, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    limits[type] = { ...defaults };
+  }
+
+  for (const [key, value] of Object.entries(env)) {
+    if (!key.startsWith('RATE_LIMIT_') || !/^\d+(\.\d+)?:\d+(\.\d+)?$/.test(value || '')) continue;
+
+    const type = key.slice('RATE_LIMIT_'.length).toLowerCase().replace(/_/g, '-');
+    const [capacity, refillPerSecond] = value.split(':').map(Number);
+    limits[type] = { capacity, refillPerSecond };
+  }
+
+  return limits;
+}
+
+export function loadConfig(env = process.env) {
+  return {
+    port: readInt(env.PORT || env.SIGNALING_SERVER_PORT, 3002),
+    // Honour X-Forwarded-For when running behind a reverse proxy
+    trustProxy: env.TRUST_PROXY === 'true',
+    maxPayloadBytes: readInt(env.MAX_MESSAGE_BYTES, 64 * 1024),
+    maxClientsPerIp: readInt(env.MAX_CLIENTS_PER_IP, 20),
+    maxRoomsPerIp: readInt(env.MAX_ROOMS_PER_IP, 10),
+    // Clients are pinged every interval and dropped after the timeout without a reply
+    heartbeatIntervalMs: readInt(env.HEARTBEAT_INTERVAL_MS, 15000),
+    heartbeatTimeoutMs: readInt(env.HEARTBEAT_TIMEOUT_MS, 45000),
+    // How long a dropped client may resume its session; 0 disables resumption
+    sessionResumeTtlMs: readInt(env.SESSION_RESUME_TTL_MS, 30000),
+    ice: {
+      stunUrls: readList(env.STUN_URLS, ['stun:stun.l.google.com:19302', 'stun:stun1.l.google.com:19302']),
+      turnUrls: readList(env.TURN_URLS, []),
+      // Must match coturn's `static-auth-secret`
+      turnSecret: env.TURN_SECRET || null,
+      turnCredentialTtlSeconds: readInt(env.TURN_CREDENTIAL_TTL_SECONDS, 3600)
+    },
+    sfu: {
+      // Rooms switch from a mesh to the SFU once they have more participants
+      // than this; 0 keeps every room on the mesh
+      participantThreshold: readInt(env.SFU_PARTICIPANT_THRESHOLD, 0),
+      // UDP ports the SFU's peer connections may use
+      portRange: readPortRange(env.SFU_PORT_RANGE)
+    },
+    storage: {
+      // 'memory' (lost on restart) or 'sqlite'
+      driver: env.STORAGE_DRIVER || 'memory',
+      path: env.STORAGE_PATH || './data/signaling.db',
+      // Apply pending schema migrations on start; otherwise run `npm run migrate`
+      autoMigrate: env.STORAGE_AUTO_MIGRATE !== 'false'
+    },
+    // What storage keeps, see storage.js; 0 means no limit
+    retention: {
+      maxMessagesPerRoom: readInt(env.RETENTION_MAX_MESSAGES_PER_ROOM, 1000),
+      messageTtlMs: readInt(env.RETENTION_MESSAGE_TTL_MS, 30 * 24 * 60 * 60 * 1000),
+      historyTtlMs: readInt(env.RETENTION_HISTORY_TTL_MS, 30 * 24 * 60 * 60 * 1000),
+      pruneIntervalMs: readInt(env.RETENTION_PRUNE_INTERVAL_MS, 60 * 60 * 1000),
+      auditTtlMs: readInt(env.RETENTION_AUDIT_TTL_MS, 365 * 24 * 60 * 60 * 1000)
+    },
+    admin: {
+      // No tokens, no admin API
+      tokens: readAdminTokens(env.ADMIN_TOKENS),
+      // How long a draining instance gives its clients before disconnecting them
+      drainGraceMs: readInt(env.ADMIN_DRAIN_GRACE_MS, 30000)
+    },
+    // Instances serving the same rooms share state through the adapter:
+    // 'local' (this process only) or 'redis'
+    cluster: {
+      adapter: env.CLUSTER_ADAPTER || 'local',
+      redisUrl: env.REDIS_URL || 'redis://127.0.0.1:6379',
+      // Namespaces the keys and channels, so clusters can share a Redis
+      prefix: env.CLUSTER_PREFIX || 'codarmeet',
+      // Instances that miss three heartbeats are considered gone
+      heartbeatIntervalMs: readInt(env.CLUSTER_HEARTBEAT_INTERVAL_MS, 5000)
+    },
+    // Chat messages sent on joining, and the most a chat-history request gets
+    chatHistoryPageSize: readInt(env.CHAT_HISTORY_PAGE_SIZE, 50),
+    rateLimits: readRateLimits(env),
+    // Rejected messages drain this bucket; a client that empties it is disconnected
+    violationLimit: {
+      capacity: readInt(env.RATE_LIMIT_MAX_VIOLATIONS, 20),
+      refillPerSecond: readFloat(env.RATE_LIMIT_VIOLATION_DECAY_PER_SECOND, 1)
+    }
+  };
+}
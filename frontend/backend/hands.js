@@ -0,0 +1,69 @@
+// Raised hands, in the order they went up: the speaking queue of a room.
+// Participants raise and lower their own hands; the host and co-hosts can
+// lower anyone's, or all of them (see moderation.js).
+//
+// The queue is shared by the cluster (see cluster.js) in the hash
+// `<prefix>:hands:<roomId>`: a field per raised hand (`hand:<participantId>`,
+// holding when it went up and its place in the queue) and per place taken
+// (`position:<n>`, holding whose it is). Places are claimed with
+// setFieldIfAbsent, so hands raised on different instances queue in the
+// order they went up whatever their clocks say. Hands go down when their
+// participant leaves.
+
+export class HandQueue {
+  constructor(cluster) {
+    this.adapter = cluster.adapter;
+    this.prefix = cluster.prefix;
+  }
+
+  hash(roomId) {
+    return `${this.prefix}:hands:${roomId}`;
+  }
+
+  // [{ participantId, raisedAt }], first raised first
+  async getQueue(roomId) {
+    const fields = await this.adapter.getFields(this.hash(roomId));
+    return Object.entries(fields)
+      .filter(([field]) => field.startsWith('hand:'))
+      .map(([field, { raisedAt, position }]) => ({ participantId: field.slice('hand:'.length), raisedAt, position }))
+      .sort((a, b) => a.position - b.position)
+      .map(({ participantId, raisedAt }) => ({ participantId, raisedAt }));
+  }
+
+  // Raising a hand that's up already keeps its place
+  async raise(roomId, participantId) {
+    const hash = this.hash(roomId);
+    const fields = await this.adapter.getFields(hash);
+    if (`hand:${participantId}` in fields) return;
+
+    const taken = Object.keys(fields)
+      .filter(field => field.startsWith('position:'))
+      .map(field => Number(field.slice('position:'.length)));
+    let position = Math.max(0, ...taken) + 1;
+    while (!await this.adapter.setFieldIfAbsent(hash, `position:${position}`, participantId)) {
+      position++;
+    }
+
+    const hand = { raisedAt: new Date().toISOString(), position: position };
+    if (!await this.adapter.setFieldIfAbsent(hash, `hand:${participantId}`, hand)) {
+      // Raised meanwhile through another connection
+      await this.adapter.deleteField(hash, `position:${position}`);
+    }
+  }
+
+  async lower(roomId, participantId) {
+    const hash = this.hash(roomId);
+    const hand = (await this.adapter.getFields(hash))[`hand:${participantId}`];
+    if (!hand) return;
+
+    await this.adapter.deleteField(hash, `hand:${participantId}`);
+    await this.adapter.deleteField(hash, `position:${hand.position}`);
+  }
+
+  async lowerAll(roomId) {
+    const hash = this.hash(roomId);
+    for (const field of Object.keys(await this.adapter.getFields(hash))) {
+      await this.adapter.deleteField(hash, field);
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { createHmac } from 'crypto';
+
+// Short-lived TURN credentials using the shared-secret scheme from the TURN REST
+// API draft (coturn's `use-auth-secret`): the username carries the expiry time
+// and the password is an HMAC of the username, so the TURN server can check
+// them without talking to us.
+export function createTurnCredentials(secret, userId, ttlSeconds, now = Date.now) {
+  const expiresAt = Math.floor(now() / 1000) + ttlSeconds;
+  const username = `${expiresAt}:${userId}`;
+  const credential = createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential, expiresAt };
+}
+
+// RTCIceServer list for one client. `ttl` is how long (in seconds) the TURN
+// credentials stay valid, or null when there is no TURN server.
+export function getIceServers(iceConfig, userId, now = Date.now) {
+  const { stunUrls, turnUrls, turnSecret, turnCredentialTtlSeconds } = iceConfig;
+  const iceServers = [];
+
+  if (stunUrls.length > 0) {
+    iceServers.push({ urls: stunUrls });
+  }
+
+  if (turnUrls.length === 0 || !turnSecret) {
+    return { iceServers, ttl: null };
+  }
+
+  const { username, credential } = createTurnCredentials(turnSecret, userId, turnCredentialTtlSeconds, now);
+  iceServers.push({ urls: turnUrls, username, credential });
+  return { iceServers, ttl: turnCredentialTtlSeconds };
+}
@@ -0,0 +1,104 @@
+import EventEmitter from 'events';
+import { readFileSync } from 'fs';
+import { ethers } from 'ethers';
+
+const MeetingABI = JSON.parse(readFileSync(new URL('../src/contracts/Meeting.json', import.meta.url)));
+
+// Answers "may this address join this meeting?" from the Meeting contract,
+// and emits `access-granted` / `access-revoked` as the participant lists of
+// private meetings change on-chain. Only meetings that exist are cached:
+// ids are sequential, so the next one is asked for before it's created.
+export class MeetingGate extends EventEmitter {
+  constructor(contract) {
+    super();
+    this.contract = contract;
+    this.meetings = new Map();
+    this.listening = false;
+  }
+
+  static fromEnv(env = process.env) {
+    if (!env.MEETING_CONTRACT_ADDRESS) {
+      return new MeetingGate(null);
+    }
+
+    const provider = new ethers.JsonRpcProvider(env.MEETING_RPC_URL || 'http://127.0.0.1:8545');
+    provider.pollingInterval = parseInt(env.MEETING_POLLING_INTERVAL_MS) || 4000;
+    const contract = new ethers.Contract(env.MEETING_CONTRACT_ADDRESS, MeetingABI.abi, provider);
+    return new MeetingGate(contract);
+  }
+
+  isEnabled() {
+    return this.contract !== null;
+  }
+
+  async loadMeeting(meetingId) {
+    const meeting = await this.contract.getMeeting(meetingId);
+    const info = {
+      exists: meeting.id.toString() === String(meetingId),
+      creator: ethers.getAddress(meeting.creator),
+      isPrivate: meeting.isPrivate,
+      participants: new Set(meeting.participants.map(address => ethers.getAddress(address)))
+    };
+    if (info.exists) {
+      this.meetings.set(String(meetingId), info);
+    }
+    return info;
+  }
+
+  async getMeeting(meetingId) {
+    return this.meetings.get(String(meetingId)) || this.loadMeeting(meetingId);
+  }
+
+  async checkAccess(meetingId, address) {
+    const meeting = await this.getMeeting(meetingId);
+
+    if (!meeting.exists) {
+      return { allowed: false, reason: 'Meeting not found' };
+    }
+    if (meeting.isPrivate && !meeting.participants.has(ethers.getAddress(address))) {
+      return { allowed: false, reason: 'This meeting is private and you are not on the participant list' };
+    }
+    return { allowed: true };
+  }
+
+  start() {
+    if (!this.isEnabled() || this.listening) return;
+
+    this.contract.on('MeetingCreated', (meetingId) => {
+      this.loadMeeting(meetingId.toString()).catch((error) => {
+        console.error(`Failed to load meeting ${meetingId}:`, error);
+      });
+    });
+    this.contract.on('ParticipantAdded', (meetingId, participant) => {
+      this.handleMembershipChange(meetingId, participant, 'access-granted');
+    });
+    this.contract.on('ParticipantRemoved', (meetingId, participant) => {
+      this.handleMembershipChange(meetingId, participant, 'access-revoked');
+    });
+    this.listening = true;
+  }
+
+  stop() {
+    if (!this.listening) return;
+
+    this.contract.removeAllListeners('MeetingCreated');
+    this.contract.removeAllListeners('ParticipantAdded');
+    this.contract.removeAllListeners('ParticipantRemoved');
+    this.listening = false;
+  }
+
+  async handleMembershipChange(meetingId, participant, eventName) {
+    try {
+      // Re-read rather than patch the cache so missed events can't leave it stale
+      const meeting = await this.loadMeeting(meetingId.toString());
+      if (meeting.isPrivate) {
+        this.emit(eventName, {
+          meetingId: meetingId.toString(),
+          address: ethers.getAddress(participant)
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to refresh meeting ${meetingId}:`, error);
+    }
+  }
+}
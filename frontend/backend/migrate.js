@@ -0,0 +1,32 @@
+import 'dotenv/config';
+import { loadConfig } from './config.js';
+import { SCHEMA_VERSION, getSchemaVersion, migrate, openDatabase } from './sqliteStorage.js';
+
+// Brings the SQLite storage schema up to date, so it can be done ahead of a
+// deploy rather than when the server starts (see STORAGE_AUTO_MIGRATE).
+//
+//   npm run migrate                  migrates STORAGE_PATH
+//   npm run migrate -- --status      only reports the schema version
+//   npm run migrate -- other.db      migrates another database file
+
+const args = process.argv.slice(2);
+const statusOnly = args.includes('--status');
+const path = args.find(arg => !arg.startsWith('--')) || loadConfig().storage.path;
+
+const db = openDatabase(path);
+try {
+  const version = getSchemaVersion(db);
+  if (statusOnly) {
+    console.log(`${path}: schema version ${version} of ${SCHEMA_VERSION}`);
+    process.exitCode = version === SCHEMA_VERSION ? 0 : 1;
+  } else {
+    const applied = migrate(db);
+    if (applied.length === 0) {
+      console.log(`${path}: schema is up to date (version ${version})`);
+    } else {
+      console.log(`${path}: applied migration${applied.length > 1 ? 's' : ''} ${applied.join(', ')}, now at version ${SCHEMA_VERSION}`);
+    }
+  }
+} finally {
+  db.close();
+}
@@ -0,0 +1,155 @@
+// Who runs a room. Its host is the on-chain creator of a `meeting-<id>` room,
+// or whoever opens any other room first; the host picks co-hosts. Both may
+// mute participants, stop their video, remove them, lock the room and run its
+// lobby, but only the host picks co-hosts, and nobody can moderate the host.
+// Roles go by wallet address, so they survive reconnecting.
+//
+// With the lobby on, participants wait until the host or a co-host admits
+// them. Once admitted (or sent to a breakout room, see breakouts.js), an
+// address comes straight in until the room empties, even while it's locked.
+//
+// The state is shared by the cluster (see cluster.js) in the hash
+// `<prefix>:moderation:<roomId>`: `host`, `locked` and `lobby`, a field per
+// co-host (`co-host:<address>`), removed address (`removed:<address>`) and
+// admitted address (`admitted:<address>`), and one per client waiting in the
+// lobby (`waiting:<clientId>`, holding `{ address, since }`). It's cleared
+// when the room empties, except for who is waiting.
+
+export function getRole(state, address) {
+  if (address === state.host) return 'host';
+  return state.coHosts.includes(address) ? 'co-host' : 'participant';
+}
+
+// Why `actor` may not do `action` (to `target`, for targeted actions), or
+// null if they may
+export function checkPermission(state, actor, action, target = null) {
+  const role = getRole(state, actor);
+  if (role === 'participant') {
+    return 'Only the host and co-hosts can moderate this room';
+  }
+  if ((action === 'promote' || action === 'demote') && role !== 'host') {
+    return 'Only the host can choose co-hosts';
+  }
+  if (target === null) return null;
+
+  if (target === actor) {
+    return "You can't moderate yourself";
+  }
+  const targetRole = getRole(state, target);
+  if (targetRole === 'host') {
+    return "The host can't be moderated";
+  }
+  if (targetRole === 'co-host' && role === 'co-host') {
+    return "Co-hosts can't moderate each other";
+  }
+  return null;
+}
+
+// Why `address` may not join, or null if it may
+export function checkAdmission(state, address) {
+  if (state.removed.includes(address)) {
+    return 'You were removed from this room by its host';
+  }
+  if (state.locked && getRole(state, address) === 'participant' && !state.admitted.includes(address)) {
+    return 'The host has locked this room';
+  }
+  return null;
+}
+
+// Whether `address` has to wait in the lobby before joining
+export function mustWaitInLobby(state, address) {
+  return state.lobby && getRole(state, address) === 'participant' && !state.admitted.includes(address);
+}
+
+// What participants are told: { host, coHosts, locked, lobby }
+export function describeModeration(state) {
+  return { host: state.host, coHosts: state.coHosts, locked: state.locked, lobby: state.lobby };
+}
+
+export class RoomModeration {
+  constructor(cluster) {
+    this.adapter = cluster.adapter;
+    this.prefix = cluster.prefix;
+  }
+
+  hash(roomId) {
+    return `${this.prefix}:moderation:${roomId}`;
+  }
+
+  async getState(roomId) {
+    const fields = await this.adapter.getFields(this.hash(roomId));
+    const state = {
+      host: fields.host || null,
+      coHosts: [],
+      locked: fields.locked === true,
+      lobby: fields.lobby === true,
+      removed: [],
+      admitted: [],
+      // [{ id, address, since }], longest waiting first
+      waiting: []
+    };
+    for (const [field, value] of Object.entries(fields)) {
+      if (field.startsWith('co-host:')) state.coHosts.push(field.slice('co-host:'.length));
+      if (field.startsWith('removed:')) state.removed.push(field.slice('removed:'.length));
+      if (field.startsWith('admitted:')) state.admitted.push(field.slice('admitted:'.length));
+      if (field.startsWith('waiting:')) state.waiting.push({ id: field.slice('waiting:'.length), ...value });
+    }
+    state.waiting.sort((a, b) => a.since.localeCompare(b.since));
+    return state;
+  }
+
+  // Makes `address` the host unless the room has one already
+  async claimHost(roomId, address) {
+    return this.adapter.setFieldIfAbsent(this.hash(roomId), 'host', address);
+  }
+
+  async setCoHost(roomId, address, isCoHost) {
+    if (isCoHost) {
+      await this.adapter.setField(this.hash(roomId), `co-host:${address}`, true);
+    } else {
+      await this.adapter.deleteField(this.hash(roomId), `co-host:${address}`);
+    }
+  }
+
+  async setLocked(roomId, locked) {
+    if (locked) {
+      await this.adapter.setField(this.hash(roomId), 'locked', true);
+    } else {
+      await this.adapter.deleteField(this.hash(roomId), 'locked');
+    }
+  }
+
+  // Keeps `address` out until the room empties
+  async markRemoved(roomId, address) {
+    await this.adapter.setField(this.hash(roomId), `removed:${address}`, true);
+  }
+
+  async setLobby(roomId, enabled) {
+    if (enabled) {
+      await this.adapter.setField(this.hash(roomId), 'lobby', true);
+    } else {
+      await this.adapter.deleteField(this.hash(roomId), 'lobby');
+    }
+  }
+
+  async addWaiting(roomId, clientId, address) {
+    await this.adapter.setField(this.hash(roomId), `waiting:${clientId}`, { address, since: new Date().toISOString() });
+  }
+
+  async removeWaiting(roomId, clientId) {
+    await this.adapter.deleteField(this.hash(roomId), `waiting:${clientId}`);
+  }
+
+  // Lets `address` past the lobby until the room empties
+  async markAdmitted(roomId, address) {
+    await this.adapter.setField(this.hash(roomId), `admitted:${address}`, true);
+  }
+
+  // Those waiting stay in the lobby for whoever opens the room next
+  async clear(roomId) {
+    const hash = this.hash(roomId);
+    for (const field of Object.keys(await this.adapter.getFields(hash))) {
+      if (!field.startsWith('waiting:')) await this.adapter.deleteField(hash, field);
+    }
+  }
+}
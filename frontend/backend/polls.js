@@ -0,0 +1,118 @@
+// Polls and quizzes the host and co-hosts run in a room. Everyone votes once
+// per poll, by wallet address, for one option or (with `multiple`) several.
+// Results are `live` for everyone or `hidden` from participants until the
+// poll closes; a quiz also keeps its correct options from them until then.
+// The host and co-hosts always see everything.
+//
+// The state is shared by the cluster (see cluster.js) in the hash
+// `<prefix>:polls:<roomId>`: a field per poll (`poll:<pollId>`) and per vote
+// (`vote:<pollId>:<address>`, holding the chosen option indexes). It's
+// deleted when the room empties; a meeting's host can keep a closed poll's
+// tally on-chain (see Meeting.sol).
+
+import { randomUUID } from 'crypto';
+
+export const MAX_POLL_OPTIONS = 10;
+export const MAX_POLLS_PER_ROOM = 50;
+const MAX_OPTION_LENGTH = 200;
+
+// Votes per option, in option order
+export function tallyVotes(poll) {
+  const tally = poll.options.map(() => 0);
+  for (const choices of Object.values(poll.votes)) {
+    for (const choice of choices) tally[choice]++;
+  }
+  return tally;
+}
+
+// What `address` gets to see of `poll`; `moderator` for the host and co-hosts
+export function describePoll(poll, address, moderator) {
+  const { votes, correct, ...view } = poll;
+  const revealed = moderator || poll.closedAt !== null;
+  return {
+    ...view,
+    voters: Object.keys(votes).length,
+    tally: revealed || poll.results === 'live' ? tallyVotes(poll) : null,
+    correct: revealed ? correct : null,
+    myVote: votes[address] || null
+  };
+}
+
+// Why `choices` isn't a valid vote in `poll`, or null if it is
+export function checkChoices(poll, choices) {
+  if (choices.length === 0) return 'Choose at least one option';
+  if (!poll.multiple && choices.length > 1) return 'This poll takes a single choice';
+  if (choices.some(choice => !Number.isInteger(choice) || choice < 0 || choice >= poll.options.length)) {
+    return `Choices must be option numbers from 0 to ${poll.options.length - 1}`;
+  }
+  if (new Set(choices).size !== choices.length) return 'Each option can be chosen once';
+  return null;
+}
+
+// Why a `create` payload isn't a valid poll, or null if it is
+export function checkPoll({ question, options, multiple, correct }) {
+  if (question === undefined) return 'payload.question is required to create a poll';
+  if (!Array.isArray(options) || options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+    return `payload.options must hold 2 to ${MAX_POLL_OPTIONS} options`;
+  }
+  if (options.some(option => typeof option !== 'string' || option.trim() === '' || option.length > MAX_OPTION_LENGTH)) {
+    return `payload.options must be texts of 1 to ${MAX_OPTION_LENGTH} characters`;
+  }
+  if (correct !== undefined) {
+    const problem = checkChoices({ options, multiple: Boolean(multiple) }, correct);
+    if (problem) return `payload.correct: ${problem}`;
+  }
+  return null;
+}
+
+export class RoomPolls {
+  constructor(cluster) {
+    this.adapter = cluster.adapter;
+    this.prefix = cluster.prefix;
+  }
+
+  hash(roomId) {
+    return `${this.prefix}:polls:${roomId}`;
+  }
+
+  // The room's polls with their votes ({ address: choices }), oldest first
+  async getPolls(roomId) {
+    const fields = await this.adapter.getFields(this.hash(roomId));
+    const polls = new Map();
+    for (const [field, value] of Object.entries(fields)) {
+      if (field.startsWith('poll:')) polls.set(value.id, { ...value, votes: {} });
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      if (!field.startsWith('vote:')) continue;
+      const [, pollId, address] = field.split(':');
+      if (polls.has(pollId)) polls.get(pollId).votes[address] = value;
+    }
+    return Array.from(polls.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // `poll` is { question, options, multiple, results, quiz, correct, createdBy }
+  async create(roomId, poll) {
+    const created = { id: randomUUID(), ...poll, createdAt: new Date().toISOString(), closedAt: null };
+    await this.adapter.setField(this.hash(roomId), `poll:${created.id}`, created);
+    return created;
+  }
+
+  // Resolves with false if `address` has voted in this poll already
+  async vote(roomId, pollId, address, choices) {
+    return this.adapter.setFieldIfAbsent(this.hash(roomId), `vote:${pollId}:${address}`, choices);
+  }
+
+  async close(roomId, poll) {
+    // Votes have fields of their own
+    const closed = { ...poll, closedAt: new Date().toISOString() };
+    delete closed.votes;
+    await this.adapter.setField(this.hash(roomId), `poll:${poll.id}`, closed);
+  }
+
+  async clear(roomId) {
+    const hash = this.hash(roomId);
+    for (const field of Object.keys(await this.adapter.getFields(hash))) {
+      await this.adapter.deleteField(hash, field);
+    }
+  }
+}
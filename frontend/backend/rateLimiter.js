@@ -0,0 +1,79 @@
+// Token bucket: holds up to `capacity` tokens and regains `refillPerSecond`
+// of them every second. Each message takes one.
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.now = now;
+    this.tokens = capacity;
+    this.updatedAt = now();
+  }
+
+  refill() {
+    const now = this.now();
+    const elapsedSeconds = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+
+  take() {
+    this.refill();
+    if (this.tokens < 1) return false;
+
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+// Per-connection limits. Each message type has its own bucket (falling back to
+// `default`), and every rejected message also drains a violations bucket so a
+// client that ignores `rate-limited` errors can be told apart from a bursty one.
+export class ClientRateLimiter {
+  constructor(limits, violationLimit, now = Date.now) {
+    this.limits = limits;
+    this.now = now;
+    this.buckets = new Map();
+    this.violations = new TokenBucket(violationLimit, now);
+  }
+
+  // Returns 'allowed', 'limited' (drop the message) or 'abusive' (disconnect)
+  consume(type) {
+    const key = type && this.limits[type] ? type : 'default';
+
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(this.limits[key], this.now));
+    }
+
+    if (this.buckets.get(key).take()) return 'allowed';
+    return this.violations.take() ? 'limited' : 'abusive';
+  }
+}
+
+// Caps concurrent connections per remote address
+export class ConnectionLimiter {
+  constructor(maxPerAddress) {
+    this.maxPerAddress = maxPerAddress;
+    this.counts = new Map();
+  }
+
+  acquire(address) {
+    const count = this.counts.get(address) || 0;
+    if (count >= this.maxPerAddress) return false;
+
+    this.counts.set(address, count + 1);
+    return true;
+  }
+
+  release(address) {
+    const count = this.counts.get(address) || 0;
+    if (count <= 1) {
+      this.counts.delete(address);
+    } else {
+      this.counts.set(address, count - 1);
+    }
+  }
+
+  count(address) {
+    return this.counts.get(address) || 0;
+  }
+}
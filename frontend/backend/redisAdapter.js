@@ -0,0 +1,267 @@
+import EventEmitter from 'events';
+import net from 'net';
+
+// Cluster adapter (see clusterAdapter.js) for anything that speaks the Redis
+// protocol (RESP2): Redis, Valkey, KeyDB. It talks to the server directly
+// over two connections, one for commands and one in subscriber mode.
+
+const RECONNECT_DELAY_MS = 1000;
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+export function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+// Reads one reply from `buffer` at `offset`. Returns { value, offset } past
+// it, or null while the reply is incomplete. Error replies are RedisErrors.
+export function decodeReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (String.fromCharCode(buffer[offset])) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = decodeReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type ${String.fromCharCode(buffer[offset])}`);
+  }
+}
+
+// One connection. Replies are matched to commands in order; in subscriber
+// mode, published messages are emitted as `message` (channel, data). Emits
+// `ready` each time it's connected, and reconnects when the connection drops
+// until it's closed.
+export class RedisConnection extends EventEmitter {
+  constructor(url) {
+    super();
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port) || 6379;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.database = parsed.pathname && parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0;
+    this.socket = null;
+    this.connected = false;
+    this.closing = false;
+    this.buffer = Buffer.alloc(0);
+    // { resolve, reject } for each command awaiting its reply
+    this.pending = [];
+    this.reconnectTimer = null;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket = socket;
+      this.buffer = Buffer.alloc(0);
+
+      socket.once('connect', async () => {
+        this.connected = true;
+        try {
+          if (this.password) {
+            await this.command(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.database) {
+            await this.command(['SELECT', this.database]);
+          }
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+          return;
+        }
+        this.emit('ready');
+        resolve();
+      });
+      socket.on('data', data => this.receive(data));
+      socket.on('error', (error) => {
+        if (!this.connected) reject(error);
+        else this.emit('error', error);
+      });
+      socket.on('close', () => this.handleClose(socket));
+    });
+  }
+
+  handleClose(socket) {
+    if (socket !== this.socket) return;
+    const wasConnected = this.connected;
+    this.connected = false;
+    this.socket = null;
+
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(new RedisError('Connection to Redis closed')));
+
+    if (this.closing || !wasConnected) return;
+    this.emit('reconnecting');
+    const retry = () => {
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        if (!this.closing) this.connect().catch(retry);
+      }, RECONNECT_DELAY_MS);
+    };
+    retry();
+  }
+
+  receive(data) {
+    this.buffer = Buffer.concat([this.buffer, data]);
+    let offset = 0;
+    let reply;
+    while (offset < this.buffer.length && (reply = decodeReply(this.buffer, offset))) {
+      offset = reply.offset;
+      this.handleReply(reply.value);
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  handleReply(value) {
+    if (Array.isArray(value) && value[0] === 'message' && value.length === 3) {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+    const waiter = this.pending.shift();
+    if (!waiter) return;
+    if (value instanceof RedisError) waiter.reject(value);
+    else waiter.resolve(value);
+  }
+
+  command(args) {
+    if (!this.connected) {
+      return Promise.reject(new RedisError('Not connected to Redis'));
+    }
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) this.socket.end();
+  }
+}
+
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+export class RedisAdapter {
+  constructor(url) {
+    this.commands = new RedisConnection(url);
+    this.subscriber = new RedisConnection(url);
+    // channel -> Set of handlers
+    this.handlers = new Map();
+
+    this.subscriber.on('message', (channel, data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return;
+      }
+      for (const handler of this.handlers.get(channel) || []) {
+        handler(message);
+      }
+    });
+    // Subscriptions don't survive a reconnect. One channel at a time, as
+    // each one is confirmed with a reply of its own.
+    this.subscriber.on('ready', () => {
+      for (const channel of this.handlers.keys()) {
+        this.subscriber.command(['SUBSCRIBE', channel]).catch(() => {});
+      }
+    });
+    for (const connection of [this.commands, this.subscriber]) {
+      connection.on('error', error => console.error('Redis connection error:', error.message));
+      connection.on('reconnecting', () => console.warn('Lost the connection to Redis, reconnecting'));
+    }
+  }
+
+  async connect() {
+    await Promise.all([this.commands.connect(), this.subscriber.connect()]);
+  }
+
+  async publish(channel, message) {
+    await this.commands.command(['PUBLISH', channel, JSON.stringify(message)]);
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.command(['SUBSCRIBE', channel]);
+    }
+    this.handlers.get(channel).add(handler);
+  }
+
+  async setField(hash, field, value) {
+    await this.commands.command(['HSET', hash, field, JSON.stringify(value)]);
+  }
+
+  async setFieldIfAbsent(hash, field, value) {
+    return await this.commands.command(['HSETNX', hash, field, JSON.stringify(value)]) === 1;
+  }
+
+  async deleteField(hash, field) {
+    await this.commands.command(['HDEL', hash, field]);
+  }
+
+  async getFields(hash) {
+    const reply = await this.commands.command(['HGETALL', hash]);
+    const fields = {};
+    for (let i = 0; i < reply.length; i += 2) {
+      fields[reply[i]] = JSON.parse(reply[i + 1]);
+    }
+    return fields;
+  }
+
+  async findHashes(prefix) {
+    const hashes = new Set();
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.commands.command(['SCAN', cursor, 'MATCH', `${escapeGlob(prefix)}*`, 'COUNT', 100]);
+      keys.forEach(key => hashes.add(key));
+      cursor = next;
+    } while (cursor !== '0');
+    return Array.from(hashes);
+  }
+
+  async close() {
+    this.commands.close();
+    this.subscriber.close();
+  }
+}
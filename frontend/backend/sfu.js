@@ -0,0 +1,407 @@
+import {
+  MediaStream,
+  MediaStreamTrack,
+  PictureLossIndication,
+  RTCPeerConnection,
+  RtcpPayloadSpecificFeedback,
+  Vp8RtpPayload,
+  // Renamed so they aren't mistaken for React hooks
+  useOPUS as opusCodec,
+  useRepairedRtpStreamId as repairedStreamIdExtension,
+  useSdesMid as midExtension,
+  useSdesRTPStreamId as streamIdExtension,
+  useVP8 as vp8Codec
+} from 'werift';
+import { VIDEO_LAYERS } from '../src/shared/signalingProtocol.js';
+
+// Only one codec per kind is negotiated, so packets can be forwarded to every
+// subscriber as they are, without transcoding
+const CODECS = {
+  audio: [opusCodec()],
+  video: [vp8Codec()]
+};
+
+// Simulcast encodings are told apart by their RID header extension
+const HEADER_EXTENSIONS = {
+  audio: [midExtension()],
+  video: [midExtension(), streamIdExtension(), repairedStreamIdExtension()]
+};
+
+// Forwarded until a subscriber asks for something else
+const DEFAULT_LAYER = 'medium';
+
+// RTP timestamp step inserted when switching layers: one frame at 30fps on
+// the 90kHz video clock
+const LAYER_SWITCH_TIMESTAMP_STEP = 3000;
+
+function describe(description) {
+  return { type: description.type, sdp: description.sdp };
+}
+
+function isKeyframeRequest(packet) {
+  return packet.type === RtcpPayloadSpecificFeedback.type &&
+    packet.feedback.count === PictureLossIndication.count;
+}
+
+// Only the first packet of a VP8 keyframe carries the keyframe bit
+function isKeyframe(rtp) {
+  const vp8 = Vp8RtpPayload.deSerialize(rtp.payload);
+  return vp8.payloadHeaderExist && vp8.isKeyframe;
+}
+
+// Remote simulcast tracks only learn their SSRC from the packets they receive
+function mediaSsrc(track) {
+  return track.ssrc || (track.header && track.header.ssrc);
+}
+
+// The track for `layer`, or the closest lower one the publisher sends, or
+// failing that its lowest
+function pickLayer(publication, layer) {
+  const wanted = VIDEO_LAYERS.indexOf(layer);
+  const available = VIDEO_LAYERS.filter(name => publication.layers.has(name));
+  const name = available.filter(name => VIDEO_LAYERS.indexOf(name) <= wanted).pop() || available[0];
+  return publication.layers.get(name);
+}
+
+// The subscriber's own header extensions are added on the way out. The
+// publisher's would clash with them, as each connection numbers its own.
+function forwardedCopy(rtp) {
+  const packet = rtp.clone();
+  packet.header.extensions = [];
+  return packet;
+}
+
+// Selective forwarding unit. Each participant of an SFU room has one peer
+// connection with the server: the tracks it publishes come in on it, and the
+// tracks everyone else publishes go out on it, each labelled with the
+// publisher's client id as its stream id.
+//
+// Video may be published as simulcast, one encoding per VIDEO_LAYERS entry
+// (the RID names the layer). Each subscriber gets one layer of it, switched
+// with setLayer on the next keyframe so the picture doesn't break up.
+//
+// Signaling uses the same offer / answer / ice-candidate messages as the
+// mesh, sent through `send(clientId, type, roomId, payload)`. Either side may
+// offer; on a collision the SFU is the polite side and rolls its offer back.
+export class SelectiveForwardingUnit {
+  constructor({ send, peerConfig = {} }) {
+    this.send = send;
+    this.peerConfig = peerConfig;
+    // roomId -> Map(clientId -> session)
+    this.rooms = new Map();
+  }
+
+  getSession(roomId, clientId) {
+    const room = this.rooms.get(roomId);
+    return room ? room.get(clientId) : undefined;
+  }
+
+  createSession(roomId, clientId) {
+    const pc = new RTCPeerConnection({ ...this.peerConfig, codecs: CODECS, headerExtensions: HEADER_EXTENSIONS });
+    const session = {
+      roomId,
+      clientId,
+      pc,
+      // Description changes and candidates are applied one at a time
+      operations: Promise.resolve(),
+      needsOffer: false,
+      closed: false,
+      // Tracks this participant publishes, each with its subscribers
+      publications: [],
+      // publisher client id -> video layer this participant asked for
+      layers: new Map()
+    };
+
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) {
+        this.send(clientId, 'ice-candidate', roomId, { candidate: candidate.toJSON() });
+      }
+    };
+    // Fires once per layer of a simulcast track
+    pc.ontrack = ({ track, transceiver }) => this.publish(session, track, transceiver.receiver);
+
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, new Map());
+    }
+    this.rooms.get(roomId).set(clientId, session);
+    return session;
+  }
+
+  enqueue(session, operation) {
+    session.operations = session.operations
+      .then(() => {
+        if (!session.closed) return operation();
+      })
+      .catch(error => {
+        console.error(`SFU negotiation with ${session.clientId} failed:`, error);
+      });
+  }
+
+  // `renew` replaces the client's connection, as when it rebuilds a failed peer
+  handleOffer(roomId, clientId, offer, renew = false) {
+    let session = this.getSession(roomId, clientId);
+    if (session && renew) {
+      this.removeParticipant(roomId, clientId);
+      session = undefined;
+    }
+
+    const isNew = !session;
+    if (isNew) {
+      session = this.createSession(roomId, clientId);
+    }
+
+    this.enqueue(session, async () => {
+      const { pc } = session;
+      if (pc.signalingState !== 'stable') {
+        await pc.setLocalDescription({ type: 'rollback' });
+        session.needsOffer = true;
+      }
+
+      await pc.setRemoteDescription(offer);
+      await pc.setLocalDescription(await pc.createAnswer());
+      this.send(clientId, 'answer', roomId, { answer: describe(pc.localDescription) });
+
+      if (session.needsOffer) this.negotiate(session);
+    });
+
+    // Only once the client's own offer is answered, so ours doesn't collide with it
+    if (isNew) {
+      this.enqueue(session, () => this.subscribeToRoom(session));
+    }
+  }
+
+  handleAnswer(roomId, clientId, answer) {
+    const session = this.getSession(roomId, clientId);
+    if (!session) return;
+
+    this.enqueue(session, async () => {
+      // Answers to an offer we've rolled back are stale
+      if (session.pc.signalingState !== 'have-local-offer') return;
+
+      await session.pc.setRemoteDescription(answer);
+      if (session.needsOffer) this.negotiate(session);
+    });
+  }
+
+  handleIceCandidate(roomId, clientId, candidate) {
+    const session = this.getSession(roomId, clientId);
+    if (!session) return;
+
+    this.enqueue(session, () => session.pc.addIceCandidate(candidate));
+  }
+
+  // Offers the client the tracks added or removed since the last negotiation.
+  // Deferred until signaling is stable; calls in the meantime are coalesced.
+  negotiate(session) {
+    session.needsOffer = true;
+
+    this.enqueue(session, async () => {
+      const { pc } = session;
+      if (!session.needsOffer || pc.signalingState !== 'stable') return;
+
+      session.needsOffer = false;
+      await pc.setLocalDescription(await pc.createOffer());
+      this.send(session.clientId, 'offer', session.roomId, { offer: describe(pc.localDescription) });
+    });
+  }
+
+  publish(session, track, receiver) {
+    // A track sent without simulcast is its own highest layer
+    const layer = track.rid || VIDEO_LAYERS[VIDEO_LAYERS.length - 1];
+    const existing = session.publications.find(publication => publication.receiver === receiver);
+    if (existing) {
+      existing.layers.set(layer, track);
+      return;
+    }
+
+    const publication = {
+      participantId: session.clientId,
+      kind: track.kind,
+      receiver,
+      // layer name -> remote track
+      layers: new Map([[layer, track]]),
+      // subscriber client id -> subscription, see subscribe
+      subscriptions: new Map()
+    };
+    session.publications.push(publication);
+
+    for (const subscriber of this.rooms.get(session.roomId).values()) {
+      if (subscriber !== session) {
+        this.enqueue(subscriber, () => this.subscribe(subscriber, publication));
+      }
+    }
+  }
+
+  subscribeToRoom(session) {
+    for (const publisher of this.rooms.get(session.roomId).values()) {
+      if (publisher === session) continue;
+
+      for (const publication of publisher.publications) {
+        this.subscribe(session, publication);
+      }
+    }
+  }
+
+  subscribe(subscriber, publication) {
+    if (publication.subscriptions.has(subscriber.clientId)) return;
+
+    const relay = new MediaStreamTrack({ kind: publication.kind });
+    const subscription = {
+      publication,
+      subscriber,
+      relay,
+      transceiver: null,
+      layer: subscriber.layers.get(publication.participantId) || DEFAULT_LAYER,
+      // The layer track being forwarded, and the one to switch to on its
+      // next keyframe
+      source: null,
+      pending: null,
+      keyframeRequested: false,
+      unsubscribers: []
+    };
+
+    // Senders rewrite SSRCs and sequence numbers in place, so every
+    // subscriber gets its own copy of each packet
+    for (const track of publication.layers.values()) {
+      const { unSubscribe } = track.onReceiveRtp.subscribe(rtp => this.forward(subscription, track, rtp));
+      subscription.unsubscribers.push(unSubscribe);
+    }
+
+    // werift recycles any inactive m-line for a new transceiver whatever its
+    // kind, and browsers reject an m-line that changes kind
+    for (const candidate of subscriber.pc.getTransceivers()) {
+      if (candidate.kind !== publication.kind && candidate.currentDirection === 'inactive') {
+        candidate.usedForSender = true;
+      }
+    }
+
+    subscription.transceiver = subscriber.pc.addTransceiver(relay, {
+      direction: 'sendonly',
+      streams: [new MediaStream({ id: publication.participantId })]
+    });
+
+    // A subscriber that starts mid-stream or loses packets asks for a keyframe
+    subscription.transceiver.sender.onRtcp.subscribe(packet => {
+      if (isKeyframeRequest(packet)) this.requestKeyframe(publication, subscription.source || subscription.pending);
+    });
+
+    publication.subscriptions.set(subscriber.clientId, subscription);
+    this.switchLayer(publication, subscription);
+    this.negotiate(subscriber);
+  }
+
+  forward(subscription, track, rtp) {
+    if (track === subscription.pending && !isKeyframe(rtp)) {
+      // The layer's SSRC is only known once its packets arrive
+      if (!subscription.keyframeRequested) {
+        subscription.keyframeRequested = this.requestKeyframe(subscription.publication, track);
+      }
+    } else if (track === subscription.pending) {
+      // Carry on the sequence numbers and timestamps the subscriber has seen
+      subscription.relay.onSourceChanged.execute({
+        sequenceNumber: (rtp.header.sequenceNumber - 1) & 0xffff,
+        timestamp: (rtp.header.timestamp - LAYER_SWITCH_TIMESTAMP_STEP) >>> 0
+      });
+      subscription.source = track;
+      subscription.pending = null;
+    }
+
+    if (track === subscription.source) {
+      subscription.relay.writeRtp(forwardedCopy(rtp));
+    }
+  }
+
+  // Asks for `publisherId`'s video at `layer`, or the closest lower layer it
+  // sends. Remembered for tracks the publisher adds later.
+  setLayer(roomId, subscriberId, publisherId, layer) {
+    const subscriber = this.getSession(roomId, subscriberId);
+    if (!subscriber) return;
+
+    subscriber.layers.set(publisherId, layer);
+    const publisher = this.getSession(roomId, publisherId);
+    if (!publisher) return;
+
+    for (const publication of publisher.publications) {
+      const subscription = publication.subscriptions.get(subscriberId);
+      if (subscription && publication.kind === 'video') {
+        subscription.layer = layer;
+        this.switchLayer(publication, subscription);
+      }
+    }
+  }
+
+  switchLayer(publication, subscription) {
+    const track = pickLayer(publication, subscription.layer);
+    if (track === subscription.source) {
+      subscription.pending = null;
+      return;
+    }
+
+    // Audio switches right away, video waits for a keyframe on the new layer
+    if (publication.kind === 'video') {
+      subscription.pending = track;
+      subscription.keyframeRequested = this.requestKeyframe(publication, track);
+    } else {
+      subscription.source = track;
+    }
+  }
+
+  // Returns whether the request could be sent
+  requestKeyframe(publication, track) {
+    const ssrc = track && mediaSsrc(track);
+    if (publication.kind !== 'video' || !ssrc) return false;
+
+    publication.receiver.sendRtcpPLI(ssrc).catch(() => {});
+    return true;
+  }
+
+  unsubscribe(publication, subscriberId) {
+    const subscription = publication.subscriptions.get(subscriberId);
+    if (!subscription) return;
+
+    const { subscriber, transceiver, unsubscribers } = subscription;
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    publication.subscriptions.delete(subscriberId);
+
+    if (!subscriber.closed) {
+      this.enqueue(subscriber, () => {
+        subscriber.pc.removeTrack(transceiver.sender);
+        this.negotiate(subscriber);
+      });
+    }
+  }
+
+  // Stops forwarding to and from the client and closes its connection
+  removeParticipant(roomId, clientId) {
+    const room = this.rooms.get(roomId);
+    const session = room && room.get(clientId);
+    if (!session) return;
+
+    session.closed = true;
+    room.delete(clientId);
+    if (room.size === 0) {
+      this.rooms.delete(roomId);
+    }
+
+    for (const publication of session.publications) {
+      for (const subscriberId of Array.from(publication.subscriptions.keys())) {
+        this.unsubscribe(publication, subscriberId);
+      }
+    }
+    for (const publisher of room.values()) {
+      for (const publication of publisher.publications) {
+        this.unsubscribe(publication, clientId);
+      }
+    }
+
+    session.pc.close().catch(() => {});
+  }
+
+  close() {
+    for (const [roomId, room] of Array.from(this.rooms.entries())) {
+      for (const clientId of Array.from(room.keys())) {
+        this.removeParticipant(roomId, clientId);
+      }
+    }
+  }
+}
@@ -0,0 +1,1898 @@
+import express from 'express';
+import http from 'http';
+import { randomBytes } from 'crypto';
+import { WebSocket, WebSocketServer } from 'ws';
+import cors from 'cors';
+import { v4 as uuidv4 } from 'uuid';
+import { createChallenge, verifyChallenge } from './auth.js';
+import { MeetingGate } from './meetingGate.js';
+import { loadConfig } from './config.js';
+import { ClientRateLimiter, ConnectionLimiter } from './rateLimiter.js';
+import { getIceServers } from './iceServers.js';
+import { SelectiveForwardingUnit } from './sfu.js';
+import { MAX_HISTORY_PAGE_SIZE, MemoryStorage } from './storage.js';
+import { Cluster } from './cluster.js';
+import { InProcessAdapter } from './clusterAdapter.js';
+import { createAdminRouter } from './adminApi.js';
+import {
+  BreakoutRooms,
+  MAX_BREAKOUT_COUNTDOWN_SECONDS,
+  MAX_BREAKOUT_ROOMS,
+  assignRandomly,
+  getBreakoutRoomId,
+  getMainRoomId
+} from './breakouts.js';
+import { HandQueue } from './hands.js';
+import { MAX_POLLS_PER_ROOM, RoomPolls, checkChoices, checkPoll, describePoll } from './polls.js';
+import { RoomModeration, checkAdmission, checkPermission, describeModeration, getRole, mustWaitInLobby } from './moderation.js';
+import {
+  PROTOCOL_VERSION,
+  CLIENT_MESSAGE_TYPES,
+  TARGETED_MODERATION_ACTIONS,
+  LOBBY_MODERATION_ACTIONS,
+  CLOSE_CODES,
+  SFU_PEER_ID,
+  createMessage,
+  createErrorMessage,
+  getMeetingIdForRoom,
+  isCompatibleVersion,
+  parseMessage,
+  validateMessage
+} from '../src/shared/signalingProtocol.js';
+
+// Builds the HTTP + WebSocket signaling server without listening, so tests
+// can run it on an ephemeral port with their own config. `storage` keeps
+// rooms and chat (see storage.js) and is closed along with the server.
+// `cluster` connects it to the other instances serving the same rooms (see
+// cluster.js); the returned `ready` resolves once it has joined.
+export function createSignalingServer({
+  config = loadConfig(),
+  meetingGate = new MeetingGate(null),
+  storage = new MemoryStorage(config.retention),
+  cluster = new Cluster(new InProcessAdapter(), config.cluster)
+} = {}) {
+  const app = express();
+  const server = http.createServer(app);
+  // ws closes connections that send frames above maxPayload with code 1009
+  const wss = new WebSocketServer({ server, maxPayload: config.maxPayloadBytes });
+
+  // Middleware
+  app.use(cors());
+  app.use(express.json());
+
+  // Store active rooms and connections. Chat and join/leave history live in
+  // `storage`. A room is here while any of its participants are connected to
+  // this instance; its `participants` include those on other instances, whose
+  // instance ids are in `instances`.
+  const rooms = new Map();
+  const clients = new Map();
+
+  // Clients refused entry to a private meeting room, admitted if they're added on-chain
+  const pendingAdmissions = new Map();
+
+  // Clients waiting in a room's lobby for the host to let them in, client id -> room id
+  const lobbyWaits = new Map();
+
+  // Resumable sessions, session token -> client id. A client keeps its id and
+  // room membership for `sessionResumeTtlMs` after its socket drops.
+  const sessions = new Map();
+
+  // Open connections per remote address
+  const connectionLimiter = new ConnectionLimiter(config.maxClientsPerIp);
+
+  // Hosts, co-hosts and locks, shared by the cluster
+  const moderation = new RoomModeration(cluster);
+
+  // Breakout rooms, shared by the cluster, and the countdowns this instance
+  // runs to close them, main room id -> timer
+  const breakouts = new BreakoutRooms(cluster);
+  const breakoutTimers = new Map();
+
+  // Raised hands, shared by the cluster
+  const hands = new HandQueue(cluster);
+
+  // Polls and quizzes, shared by the cluster
+  const polls = new RoomPolls(cluster);
+
+  // Set while this instance is being taken out of service, see drain()
+  let draining = null;
+
+  // Message types a client may send before proving wallet ownership
+  const UNAUTHENTICATED_TYPES = ['auth-request', 'auth-response', 'resume'];
+
+  // Forwards media for rooms that outgrow the mesh, see shouldUseSfu
+  const sfu = config.sfu.participantThreshold > 0 ? new SelectiveForwardingUnit({
+    peerConfig: {
+      iceServers: config.ice.stunUrls.length > 0 ? [{ urls: config.ice.stunUrls }] : [],
+      icePortRange: config.sfu.portRange
+    },
+    send: (clientId, type, roomId, payload) => {
+      sendToClient(clientId, createMessage(type, { roomId: roomId, from: SFU_PEER_ID, payload: payload }));
+    }
+  }) : null;
+
+  // Ping every client and reap the ones that stopped answering
+  const heartbeatTimer = setInterval(checkHeartbeats, config.heartbeatIntervalMs);
+  // Drop stored chat and history past the retention limits
+  const pruneTimer = config.retention.pruneIntervalMs > 0
+    ? setInterval(pruneStorage, config.retention.pruneIntervalMs)
+    : null;
+  server.on('close', () => {
+    clearInterval(heartbeatTimer);
+    clearInterval(pruneTimer);
+    if (draining) clearTimeout(draining.timer);
+    breakoutTimers.forEach(timer => clearTimeout(timer));
+    for (const client of clients.values()) {
+      clearTimeout(client.resumeTimer);
+    }
+    if (sfu) sfu.close();
+    storage.close();
+    cluster.close().catch(error => console.error('Could not leave the cluster:', error));
+  });
+
+  const ready = cluster.start();
+
+  // What other instances tell the participants of rooms this one serves.
+  // Their joins, leaves and state changes keep the room's participants in step.
+  cluster.on('room-message', (roomId, message, excludeClientId, instanceId) => {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const { payload } = message;
+    switch (message.type) {
+      case 'participant-joined':
+        room.participants.set(payload.participant.id, payload.participant);
+        room.instances.set(payload.participant.id, instanceId);
+        break;
+      case 'participant-left':
+        if (!room.participants.has(payload.participantId)) return;
+        room.participants.delete(payload.participantId);
+        room.instances.delete(payload.participantId);
+        break;
+      case 'presence': {
+        const participant = room.participants.get(payload.participantId);
+        if (participant) participant.presence = payload.state;
+        break;
+      }
+      case 'media-mode':
+        room.mediaMode = payload.mode;
+        break;
+      case 'room-moderation':
+        room.moderation = payload;
+        // New co-hosts see hidden results
+        if (room.polls.length > 0) deliverPolls(room);
+        break;
+      case 'hands':
+        room.hands = payload.queue;
+        break;
+      case 'lobby':
+        deliverToModerators(room, message);
+        return;
+      case 'polls':
+        room.polls = payload.polls;
+        deliverPolls(room);
+        return;
+    }
+
+    deliverToRoom(room, message, excludeClientId);
+  });
+
+  cluster.on('client-message', (clientId, message) => {
+    sendToClient(clientId, message);
+  });
+
+  // Admin commands (see adminApi.js) reach every instance, and each applies
+  // them to its own clients
+  cluster.on('command', (command) => {
+    switch (command.action) {
+      case 'close-room':
+        removeLocalParticipants(command.roomId, () => true, command.reason);
+        break;
+      case 'remove': {
+        const matches = participant => participant.id === command.clientId || participant.address === command.address;
+        const roomIds = command.roomId ? [command.roomId] : Array.from(rooms.keys());
+        roomIds.forEach(roomId => removeLocalParticipants(roomId, matches, command.reason));
+        break;
+      }
+      // The host answered someone waiting in a lobby
+      case 'admit':
+      case 'deny':
+        if (lobbyWaits.get(command.clientId) !== command.roomId) break;
+        lobbyWaits.delete(command.clientId);
+        if (command.action === 'admit') {
+          handleJoinRoom(command.clientId, command.roomId);
+        } else {
+          sendToClient(command.clientId, createMessage('join-denied', {
+            roomId: command.roomId,
+            payload: { reason: command.reason }
+          }));
+        }
+        break;
+      case 'system-message': {
+        const room = rooms.get(command.roomId);
+        if (room) {
+          deliverToRoom(room, createMessage('system-message', {
+            roomId: command.roomId,
+            payload: { text: command.text, level: command.level }
+          }));
+        }
+        break;
+      }
+    }
+  });
+
+  function removeLocalParticipants(roomId, matches, reason) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    for (const participant of Array.from(room.participants.values())) {
+      if (room.instances.has(participant.id) || !matches(participant)) continue;
+
+      sendToClient(participant.id, createMessage('removed-from-room', {
+        roomId: roomId,
+        payload: { reason: reason }
+      }));
+      handleLeaveRoom(participant.id, roomId);
+      console.log(`Removed ${participant.id} from room ${roomId}: ${reason}`);
+    }
+  }
+
+  // The participant's instance went away without them leaving
+  cluster.on('departed', (roomId, participantId) => {
+    const room = rooms.get(roomId);
+    if (!room || !room.instances.has(participantId)) return;
+
+    room.participants.delete(participantId);
+    room.instances.delete(participantId);
+    deliverToRoom(room, createMessage('participant-left', {
+      roomId: roomId,
+      payload: { participantId: participantId }
+    }));
+  });
+
+  // WebSocket connection handling
+  wss.on('connection', (ws, req) => {
+    if (draining) {
+      ws.close(CLOSE_CODES.SERVER_DRAINING, 'Server is going down for maintenance');
+      return;
+    }
+
+    const ip = getClientIp(req);
+    if (!connectionLimiter.acquire(ip)) {
+      console.warn(`Refused connection from ${ip}: too many open connections`);
+      ws.close(CLOSE_CODES.TOO_MANY_CONNECTIONS, 'Too many connections from your address');
+      return;
+    }
+
+    // `clientId` changes if this connection resumes an earlier session
+    const connection = { clientId: uuidv4() };
+    clients.set(connection.clientId, {
+      ws,
+      ip,
+      version: null,
+      address: null,
+      challenge: null,
+      rateLimiter: new ClientRateLimiter(config.rateLimits, config.violationLimit),
+      lastSeenAt: Date.now(),
+      // Reported by the client with `presence`
+      presence: 'active',
+      // Set while the client misses heartbeats or is disconnected
+      stalled: false,
+      sessionToken: null,
+      resumeTimer: null
+    });
+
+    console.log(`Client connected: ${connection.clientId}`);
+
+    ws.on('pong', () => {
+      markAlive(connection.clientId);
+    });
+
+    ws.on('message', (message) => {
+      const clientId = connection.clientId;
+      markAlive(clientId);
+
+      let data = null;
+      let rejection = null;
+      try {
+        data = validateMessage(parseMessage(message, CLIENT_MESSAGE_TYPES));
+      } catch (error) {
+        rejection = error;
+      }
+
+      // Malformed frames count against the limits too, under their claimed type if any
+      if (!admitMessage(clientId, data ? data.type : rejection.messageType)) return;
+
+      if (rejection) {
+        console.error(`Rejected message from ${clientId}:`, rejection.message);
+        sendError(clientId, rejection.code || 'invalid-message', rejection.message, rejection.messageType);
+        return;
+      }
+
+      if (data.type === 'resume') {
+        connection.clientId = handleResume(clientId, data.payload);
+        return;
+      }
+      handleMessage(clientId, data);
+    });
+
+    ws.on('close', () => {
+      connectionLimiter.release(ip);
+      handleClientDisconnect(connection.clientId, ws);
+    });
+
+    ws.on('error', (error) => {
+      console.error('WebSocket error:', error);
+      handleClientDisconnect(connection.clientId, ws);
+    });
+  });
+
+  function checkHeartbeats() {
+    const now = Date.now();
+
+    for (const [clientId, client] of Array.from(clients.entries())) {
+      // Disconnected clients waiting to resume have nothing to ping
+      if (!client.ws) continue;
+
+      const silentFor = now - client.lastSeenAt;
+
+      if (silentFor >= config.heartbeatTimeoutMs) {
+        console.log(`Client ${clientId} missed its heartbeats, disconnecting`);
+        const ws = client.ws;
+        handleClientDisconnect(clientId, ws);
+        ws.terminate();
+        continue;
+      }
+
+      // A healthy client answers the previous ping well within one interval
+      if (silentFor > config.heartbeatIntervalMs && !client.stalled) {
+        client.stalled = true;
+        updatePresence(clientId);
+      }
+
+      client.ws.ping();
+    }
+  }
+
+  function markAlive(clientId) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    client.lastSeenAt = Date.now();
+    if (client.stalled) {
+      client.stalled = false;
+      updatePresence(clientId);
+    }
+  }
+
+  function getPresence(client) {
+    return client.stalled ? 'reconnecting' : client.presence;
+  }
+
+  // Tells every room the client is in about its current presence
+  function updatePresence(clientId) {
+    const state = getPresence(clients.get(clientId));
+
+    for (const [roomId, room] of rooms.entries()) {
+      const participant = room.participants.get(clientId);
+      if (!participant || participant.presence === state) continue;
+
+      participant.presence = state;
+      cluster.updateParticipant(roomId, participant).catch((error) => {
+        console.error(`Could not update ${clientId} in room ${roomId} with the cluster:`, error);
+      });
+      broadcastToRoom(roomId, createMessage('presence', {
+        roomId: roomId,
+        payload: { participantId: clientId, state: state }
+      }), clientId);
+    }
+  }
+
+  function getClientIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (config.trustProxy && forwardedFor) {
+      return forwardedFor.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
+  }
+
+  // Applies the client's rate limits. Over-limit messages are answered with a
+  // `rate-limited` error; clients that keep going are disconnected.
+  function admitMessage(clientId, type) {
+    const client = clients.get(clientId);
+    if (!client) return false;
+
+    const verdict = client.rateLimiter.consume(type);
+    if (verdict === 'allowed') return true;
+
+    if (verdict === 'abusive') {
+      console.warn(`Disconnecting ${clientId} (${client.ip}): rate limit exceeded`);
+      client.ws.close(CLOSE_CODES.RATE_LIMITED, 'Rate limit exceeded');
+    } else {
+      sendError(clientId, 'rate-limited', `Too many ${type || 'invalid'} messages, slow down`, type || null);
+    }
+    return false;
+  }
+
+  function handleMessage(clientId, data) {
+    const { type, roomId, payload } = data;
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    if (type === 'hello') {
+      handleHello(clientId, payload);
+      return;
+    }
+
+    if (client.version === null) {
+      client.ws.close(CLOSE_CODES.HANDSHAKE_REQUIRED, 'Send hello before any other message');
+      return;
+    }
+
+    if (!client.address && !UNAUTHENTICATED_TYPES.includes(type)) {
+      sendToClient(clientId, createMessage('auth-error', {
+        payload: { error: 'Authentication required' }
+      }));
+      return;
+    }
+
+    switch (type) {
+      case 'auth-request':
+        handleAuthRequest(clientId, payload);
+        break;
+      case 'auth-response':
+        handleAuthResponse(clientId, payload);
+        break;
+      case 'join-room':
+        handleJoinRoom(clientId, roomId);
+        break;
+      case 'leave-room':
+        pendingAdmissions.delete(clientId);
+        handleLeaveRoom(clientId, roomId);
+        break;
+      case 'offer':
+        handleOffer(clientId, roomId, payload);
+        break;
+      case 'answer':
+        handleAnswer(clientId, roomId, payload);
+        break;
+      case 'ice-candidate':
+        handleIceCandidate(clientId, roomId, payload);
+        break;
+      case 'video-layer':
+        handleVideoLayer(clientId, roomId, payload);
+        break;
+      case 'peer-message':
+        handlePeerMessage(clientId, roomId, payload);
+        break;
+      case 'chat-message':
+        handleChatMessage(clientId, roomId, payload);
+        break;
+      case 'chat-history':
+        handleChatHistory(clientId, roomId, payload);
+        break;
+      case 'presence':
+        client.presence = payload.state;
+        updatePresence(clientId);
+        break;
+      case 'moderate':
+        handleModerate(clientId, roomId, payload);
+        break;
+      case 'breakout':
+        handleBreakout(clientId, roomId, payload);
+        break;
+      case 'hand':
+        handleHand(clientId, roomId, payload);
+        break;
+      case 'reaction':
+        handleReaction(clientId, roomId, payload);
+        break;
+      case 'poll':
+        handlePoll(clientId, roomId, payload);
+        break;
+    }
+  }
+
+  function handleHello(clientId, payload) {
+    const client = clients.get(clientId);
+    const version = payload && payload.version;
+
+    if (!isCompatibleVersion(version)) {
+      const reason = `Unsupported protocol version ${version}, server speaks version ${PROTOCOL_VERSION}`;
+      sendError(clientId, 'unsupported-version', reason, 'hello');
+      client.ws.close(CLOSE_CODES.UNSUPPORTED_VERSION, 'Unsupported protocol version');
+      return;
+    }
+
+    client.version = version;
+    sendToClient(clientId, createMessage('welcome', {
+      payload: {
+        clientId: clientId,
+        version: PROTOCOL_VERSION
+      }
+    }));
+  }
+
+  // Moves this connection onto the client record of an earlier session,
+  // keeping its id, wallet address and rooms. Returns the client id the
+  // connection should use from now on.
+  function handleResume(clientId, payload) {
+    const client = clients.get(clientId);
+    if (client.version === null) {
+      client.ws.close(CLOSE_CODES.HANDSHAKE_REQUIRED, 'Send hello before any other message');
+      return clientId;
+    }
+
+    const resumedId = sessions.get(payload.sessionToken);
+    const resumed = resumedId && clients.get(resumedId);
+    if (!resumed || resumedId === clientId) {
+      sendToClient(clientId, createMessage('resume-failed', {
+        payload: { reason: 'Session expired or unknown' }
+      }));
+      return clientId;
+    }
+
+    // The old socket may still look open if it went half-open
+    const staleWs = resumed.ws;
+    clearTimeout(resumed.resumeTimer);
+    Object.assign(resumed, {
+      ws: client.ws,
+      ip: client.ip,
+      version: client.version,
+      rateLimiter: client.rateLimiter,
+      challenge: null,
+      resumeTimer: null
+    });
+    clients.delete(clientId);
+    if (staleWs) staleWs.terminate();
+
+    console.log(`Client ${resumedId} resumed its session`);
+
+    sendToClient(resumedId, createMessage('resumed', {
+      payload: {
+        clientId: resumedId,
+        address: resumed.address
+      }
+    }));
+    for (const [roomId, room] of rooms.entries()) {
+      if (room.participants.has(resumedId)) {
+        sendRoomJoined(resumedId, roomId);
+      }
+    }
+
+    markAlive(resumedId);
+    return resumedId;
+  }
+
+  function handleAuthRequest(clientId, payload) {
+    const client = clients.get(clientId);
+
+    try {
+      client.challenge = createChallenge(payload && payload.address);
+    } catch (error) {
+      sendToClient(clientId, createMessage('auth-error', {
+        payload: { error: error.message }
+      }));
+      return;
+    }
+
+    sendToClient(clientId, createMessage('auth-challenge', {
+      payload: {
+        address: client.challenge.address,
+        nonce: client.challenge.nonce,
+        message: client.challenge.message
+      }
+    }));
+  }
+
+  function handleAuthResponse(clientId, payload) {
+    const client = clients.get(clientId);
+
+    try {
+      client.address = verifyChallenge(client.challenge, payload && payload.signature);
+    } catch (error) {
+      sendToClient(clientId, createMessage('auth-error', {
+        payload: { error: error.message }
+      }));
+      return;
+    } finally {
+      // Nonces are single use, successful or not
+      client.challenge = null;
+    }
+
+    sendToClient(clientId, createMessage('authenticated', {
+      payload: { address: client.address }
+    }));
+
+    console.log(`Client ${clientId} authenticated as ${client.address}`);
+  }
+
+  async function handleJoinRoom(clientId, roomId) {
+    // Breakout rooms belong to their main room's meeting
+    const mainRoomId = getMainRoomId(roomId);
+    const meetingId = getMeetingIdForRoom(mainRoomId || roomId);
+
+    let ban = null;
+    try {
+      ban = await cluster.findBan(clients.get(clientId).address, roomId);
+    } catch (error) {
+      console.error(`Could not check bans for ${clientId} joining room ${roomId}:`, error);
+    }
+    if (!clients.has(clientId)) return;
+    if (ban) {
+      sendToClient(clientId, createMessage('join-denied', {
+        roomId: roomId,
+        payload: { reason: ban.reason }
+      }));
+      console.log(`Client ${clientId} denied entry to room ${roomId}: banned`);
+      return;
+    }
+
+    // Breakout rooms take who was sent there, and the main room's host and co-hosts
+    let mainModeration = null;
+    if (mainRoomId !== null) {
+      let allowed = false;
+      try {
+        const address = clients.get(clientId).address;
+        const state = await breakouts.getState(mainRoomId);
+        mainModeration = await moderation.getState(mainRoomId);
+        allowed = state.rooms.some(room => room.id === roomId)
+          && (state.assignments[address] === roomId || getRole(mainModeration, address) !== 'participant');
+      } catch (error) {
+        console.error(`Could not check the breakout rooms of ${mainRoomId}:`, error);
+      }
+      if (!clients.has(clientId)) return;
+      if (!allowed) {
+        sendToClient(clientId, createMessage('join-denied', {
+          roomId: roomId,
+          payload: { reason: 'You have not been sent to this breakout room' }
+        }));
+        console.log(`Client ${clientId} denied entry to breakout room ${roomId}`);
+        return;
+      }
+    }
+
+    if (meetingId !== null && meetingGate.isEnabled()) {
+      let access;
+      try {
+        access = await meetingGate.checkAccess(meetingId, clients.get(clientId).address);
+      } catch (error) {
+        console.error(`Failed to check access to meeting ${meetingId}:`, error);
+        access = { allowed: false, reason: 'Could not verify meeting membership' };
+      }
+
+      // The client may have gone away while we were waiting on the chain
+      if (!clients.has(clientId)) return;
+
+      if (!access.allowed) {
+        pendingAdmissions.set(clientId, roomId);
+        sendToClient(clientId, createMessage('join-denied', {
+          roomId: roomId,
+          payload: { reason: access.reason }
+        }));
+        console.log(`Client ${clientId} denied entry to room ${roomId}: ${access.reason}`);
+        return;
+      }
+    }
+
+    pendingAdmissions.delete(clientId);
+
+    const client = clients.get(clientId);
+
+    // The first to open a meeting's room makes its on-chain creator the host.
+    // Breakout rooms are run by their main room's host and co-hosts.
+    let moderationState = null;
+    try {
+      let host = client.address;
+      if (meetingId !== null && meetingGate.isEnabled()) {
+        host = (await meetingGate.getMeeting(meetingId)).creator;
+      } else if (mainModeration && mainModeration.host) {
+        host = mainModeration.host;
+      }
+      if (await moderation.claimHost(roomId, host)) {
+        // An opening room picks up the lobby setting it had last time
+        await moderation.setLobby(roomId, storage.getRoomSettings(roomId).lobby);
+        for (const coHost of mainModeration ? mainModeration.coHosts : []) {
+          await moderation.setCoHost(roomId, coHost, true);
+        }
+      }
+      moderationState = await moderation.getState(roomId);
+    } catch (error) {
+      console.error(`Could not read who moderates room ${roomId}:`, error);
+    }
+    if (!clients.has(clientId)) return;
+
+    // Without the moderation state we can't tell who is removed, locked out
+    // or due in the lobby, so nobody gets in
+    if (moderationState === null) {
+      sendToClient(clientId, createMessage('join-denied', {
+        roomId: roomId,
+        payload: { reason: 'Could not check room access, try again' }
+      }));
+      return;
+    }
+
+    const refusal = checkAdmission(moderationState, client.address);
+    if (refusal) {
+      sendToClient(clientId, createMessage('join-denied', {
+        roomId: roomId,
+        payload: { reason: refusal }
+      }));
+      console.log(`Client ${clientId} denied entry to room ${roomId}: ${refusal}`);
+      return;
+    }
+    if (mustWaitInLobby(moderationState, client.address)) {
+      await waitInLobby(clientId, roomId);
+      return;
+    }
+
+    if (!rooms.has(roomId)) {
+      // Breakout rooms are opened by the host, whoever enters them first
+      if (mainRoomId === null && countRoomsCreatedBy(client.ip) >= config.maxRoomsPerIp) {
+        sendError(clientId, 'room-limit', 'Too many open rooms created from your address', 'join-room');
+        return;
+      }
+
+      rooms.set(roomId, {
+        id: roomId,
+        meetingId: meetingId,
+        createdByIp: mainRoomId === null ? client.ip : null,
+        participants: new Map(),
+        instances: new Map(),
+        mediaMode: 'mesh',
+        moderation: { host: null, coHosts: [], locked: false, lobby: false },
+        // The speaking queue, see hands.js
+        hands: [],
+        // Polls with everyone's votes, see polls.js; each participant gets
+        // their own view of them
+        polls: []
+      });
+      // Reopening a room picks up its stored chat
+      recordHistory(`room ${roomId} opening`, () => {
+        storage.saveRoom({ id: roomId, meetingId: meetingId, createdAt: new Date().toISOString() });
+      });
+    }
+
+    const room = rooms.get(roomId);
+    room.moderation = describeModeration(moderationState);
+
+    // Add participant to room
+    const participant = {
+      id: clientId,
+      address: client.address,
+      joinedAt: new Date().toISOString(),
+      presence: getPresence(client)
+    };
+    room.participants.set(clientId, participant);
+    recordHistory(`${clientId} joining room ${roomId}`, () => {
+      storage.recordJoin(roomId, { participantId: clientId, address: client.address, at: participant.joinedAt });
+    });
+
+    if (!client.sessionToken) {
+      client.sessionToken = randomBytes(32).toString('hex');
+      sessions.set(client.sessionToken, clientId);
+    }
+
+    // Others may be in the room through other instances
+    try {
+      const others = await cluster.joinRoom(roomId, participant);
+      // The client may have left while we were asking
+      if (rooms.get(roomId) !== room || room.participants.get(clientId) !== participant) return;
+
+      for (const { participant: other, instanceId } of others) {
+        if (instanceId === cluster.instanceId || room.participants.has(other.id)) continue;
+        room.participants.set(other.id, other);
+        room.instances.set(other.id, instanceId);
+      }
+    } catch (error) {
+      console.error(`Could not register ${clientId} in room ${roomId} with the cluster:`, error);
+    }
+    try {
+      room.hands = await hands.getQueue(roomId);
+    } catch (error) {
+      console.error(`Could not read the raised hands of room ${roomId}:`, error);
+    }
+    try {
+      room.polls = await polls.getPolls(roomId);
+    } catch (error) {
+      console.error(`Could not read the polls of room ${roomId}:`, error);
+    }
+    if (rooms.get(roomId) !== room || room.participants.get(clientId) !== participant) return;
+
+    // Existing participants switch before they hear about the newcomer, so
+    // they don't open mesh connections to it first
+    if (room.mediaMode === 'mesh' && shouldUseSfu(room)) {
+      room.mediaMode = 'sfu';
+      broadcastToRoom(roomId, createMessage('media-mode', {
+        roomId: roomId,
+        payload: { mode: 'sfu' }
+      }), clientId);
+      console.log(`Room ${roomId} switched to the SFU at ${room.participants.size} participants`);
+    }
+
+    // Send room info to the joining client
+    sendRoomJoined(clientId, roomId);
+    if (moderationState.waiting.length > 0 && getRole(moderationState, client.address) !== 'participant') {
+      sendToClient(clientId, createMessage('lobby', {
+        roomId: roomId,
+        payload: { waiting: moderationState.waiting }
+      }));
+    }
+    // Late joiners learn about breakout rooms already open
+    breakouts.getState(mainRoomId || roomId).then((state) => {
+      if (state.rooms.length === 0) return;
+      sendToClient(clientId, createMessage('breakout-rooms', {
+        roomId: mainRoomId || roomId,
+        payload: state
+      }));
+    }).catch((error) => {
+      console.error(`Could not read the breakout rooms of ${mainRoomId || roomId}:`, error);
+    });
+
+    // Notify other participants
+    broadcastToRoom(roomId, createMessage('participant-joined', {
+      roomId: roomId,
+      payload: { participant: room.participants.get(clientId) }
+    }), clientId);
+
+    console.log(`Client ${clientId} joined room ${roomId}`);
+  }
+
+  // Holds the client in the room's lobby until the host or a co-host answers
+  async function waitInLobby(clientId, roomId) {
+    try {
+      await moderation.addWaiting(roomId, clientId, clients.get(clientId).address);
+    } catch (error) {
+      console.error(`Could not put ${clientId} in the lobby of room ${roomId}:`, error);
+      sendToClient(clientId, createMessage('join-denied', {
+        roomId: roomId,
+        payload: { reason: 'Could not reach the lobby, try again' }
+      }));
+      return;
+    }
+
+    lobbyWaits.set(clientId, roomId);
+    // The client may have gone away meanwhile
+    if (!clients.has(clientId)) {
+      leaveLobby(clientId, roomId);
+      return;
+    }
+
+    sendToClient(clientId, createMessage('lobby-waiting', {
+      roomId: roomId,
+      payload: { reason: 'Waiting for the host to let you in' }
+    }));
+    console.log(`Client ${clientId} is waiting in the lobby of room ${roomId}`);
+    await announceLobby(roomId).catch((error) => {
+      console.error(`Could not announce the lobby of room ${roomId}:`, error);
+    });
+  }
+
+  function leaveLobby(clientId, roomId) {
+    lobbyWaits.delete(clientId);
+    moderation.removeWaiting(roomId, clientId)
+      .then(() => announceLobby(roomId))
+      .catch((error) => {
+        console.error(`Could not take ${clientId} out of the lobby of room ${roomId}:`, error);
+      });
+  }
+
+  // Tells the room's host and co-hosts, wherever they're connected, who is waiting
+  async function announceLobby(roomId) {
+    const { waiting } = await moderation.getState(roomId);
+    const message = createMessage('lobby', {
+      roomId: roomId,
+      payload: { waiting: waiting }
+    });
+
+    const room = rooms.get(roomId);
+    if (room) deliverToModerators(room, message);
+    await cluster.publishToRoom(roomId, message);
+  }
+
+  // Lets lobby entries ({ id, address }) in. The instance each one is
+  // connected to joins it to the room.
+  async function admitFromLobby(roomId, entries) {
+    if (entries.length === 0) return;
+
+    for (const entry of entries) {
+      await moderation.markAdmitted(roomId, entry.address);
+      await moderation.removeWaiting(roomId, entry.id);
+      await cluster.publishCommand({ action: 'admit', roomId: roomId, clientId: entry.id });
+    }
+    await announceLobby(roomId);
+  }
+
+  function sendRoomJoined(clientId, roomId) {
+    const room = rooms.get(roomId);
+    const history = readChatHistory(roomId, { limit: config.chatHistoryPageSize });
+
+    sendToClient(clientId, createMessage('room-joined', {
+      roomId: roomId,
+      payload: {
+        participants: Array.from(room.participants.values()),
+        // The latest page of chat; earlier pages come with chat-history
+        messages: history.messages,
+        hasMoreMessages: history.hasMore,
+        sessionToken: clients.get(clientId).sessionToken,
+        mediaMode: room.mediaMode,
+        moderation: room.moderation,
+        hands: room.hands,
+        polls: describePolls(room, clientId)
+      }
+    }));
+  }
+
+  // A page of a room's chat, or none if storage fails us
+  function readChatHistory(roomId, options) {
+    try {
+      return storage.getMessages(roomId, options);
+    } catch (error) {
+      console.error(`Could not read the chat of room ${roomId}:`, error);
+      return { messages: [], hasMore: false };
+    }
+  }
+
+  // Room and join/leave bookkeeping shouldn't take a call down with it when
+  // storage fails
+  function recordHistory(description, write) {
+    try {
+      write();
+    } catch (error) {
+      console.error(`Could not record ${description}:`, error);
+    }
+  }
+
+  function pruneStorage() {
+    recordHistory('retention pruning', () => storage.prune());
+  }
+
+  // A room moves to the SFU once it outgrows the threshold and stays there
+  // until it closes: switching back would rebuild every connection again
+  // just as the call is settling.
+  function shouldUseSfu(room) {
+    return sfu !== null && room.participants.size > config.sfu.participantThreshold;
+  }
+
+  function countRoomsCreatedBy(ip) {
+    let count = 0;
+    for (const room of rooms.values()) {
+      if (room.createdByIp === ip) count++;
+    }
+    return count;
+  }
+
+  function handleLeaveRoom(clientId, roomId) {
+    if (lobbyWaits.get(clientId) === roomId) {
+      leaveLobby(clientId, roomId);
+      console.log(`Client ${clientId} left the lobby of room ${roomId}`);
+      return;
+    }
+
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    const participant = room.participants.get(clientId);
+    if (participant) {
+      room.participants.delete(clientId);
+      if (sfu) sfu.removeParticipant(roomId, clientId);
+      const leftAt = new Date().toISOString();
+      recordHistory(`${clientId} leaving room ${roomId}`, () => storage.recordLeave(roomId, clientId, leftAt));
+
+      // The room is closed once it's empty on every instance
+      cluster.leaveRoom(roomId, clientId).then((remaining) => {
+        if (remaining === 0) {
+          recordHistory(`room ${roomId} closing`, () => storage.closeRoom(roomId, leftAt));
+          // A room split into breakouts keeps its host and settings for when everyone is back
+          return breakouts.getState(roomId).then((state) => {
+            if (state.rooms.length === 0) return Promise.all([moderation.clear(roomId), polls.clear(roomId)]);
+          });
+        }
+      }).catch((error) => {
+        console.error(`Could not remove ${clientId} from room ${roomId} in the cluster:`, error);
+      });
+
+      // Notify other participants
+      broadcastToRoom(roomId, createMessage('participant-left', {
+        roomId: roomId,
+        payload: { participantId: clientId }
+      }));
+
+      if (room.hands.some(hand => hand.participantId === clientId)) {
+        hands.lower(roomId, clientId).then(() => announceHands(roomId)).catch((error) => {
+          console.error(`Could not lower the hand of ${clientId} in room ${roomId}:`, error);
+        });
+      }
+
+      // If nobody in the room is connected here, remove it
+      if (!Array.from(room.participants.keys()).some(participantId => !room.instances.has(participantId))) {
+        rooms.delete(roomId);
+        console.log(`Room ${roomId} deleted (empty)`);
+      }
+    }
+
+    console.log(`Client ${clientId} left room ${roomId}`);
+  }
+
+  function handleOffer(clientId, roomId, payload) {
+    const { targetId, offer, renew } = payload;
+    if (targetId === SFU_PEER_ID) {
+      if (canUseSfu(clientId, roomId, 'offer')) sfu.handleOffer(roomId, clientId, offer, renew);
+      return;
+    }
+    if (!canRelay(clientId, roomId, targetId, 'offer')) return;
+
+    sendToParticipant(roomId, targetId, createMessage('offer', {
+      roomId: roomId,
+      from: clientId,
+      payload: renew ? { offer: offer, renew: true } : { offer: offer }
+    }));
+  }
+
+  function handleAnswer(clientId, roomId, payload) {
+    const { targetId, answer } = payload;
+    if (targetId === SFU_PEER_ID) {
+      if (canUseSfu(clientId, roomId, 'answer')) sfu.handleAnswer(roomId, clientId, answer);
+      return;
+    }
+    if (!canRelay(clientId, roomId, targetId, 'answer')) return;
+
+    sendToParticipant(roomId, targetId, createMessage('answer', {
+      roomId: roomId,
+      from: clientId,
+      payload: { answer: answer }
+    }));
+  }
+
+  function handleIceCandidate(clientId, roomId, payload) {
+    const { targetId, candidate } = payload;
+    if (targetId === SFU_PEER_ID) {
+      if (canUseSfu(clientId, roomId, 'ice-candidate')) sfu.handleIceCandidate(roomId, clientId, candidate);
+      return;
+    }
+    if (!canRelay(clientId, roomId, targetId, 'ice-candidate')) return;
+
+    sendToParticipant(roomId, targetId, createMessage('ice-candidate', {
+      roomId: roomId,
+      from: clientId,
+      payload: { candidate: candidate }
+    }));
+  }
+
+  // A subscriber asks for a publisher's video at a given simulcast layer. The
+  // SFU switches what it forwards; in a mesh the publisher adapts its encoding.
+  function handleVideoLayer(clientId, roomId, payload) {
+    const { participantId, layer } = payload;
+    const room = rooms.get(roomId);
+
+    if (room && room.mediaMode === 'sfu') {
+      if (canUseSfu(clientId, roomId, 'video-layer')) sfu.setLayer(roomId, clientId, participantId, layer);
+      return;
+    }
+    if (!canRelay(clientId, roomId, participantId, 'video-layer')) return;
+
+    sendToParticipant(roomId, participantId, createMessage('video-layer', {
+      roomId: roomId,
+      from: clientId,
+      payload: { layer: layer }
+    }));
+  }
+
+  // Fallback for in-call messages when the data channel to the target isn't
+  // open, or in SFU rooms, which have none
+  function handlePeerMessage(clientId, roomId, payload) {
+    const { targetId, ...message } = payload;
+    if (!canRelay(clientId, roomId, targetId, 'peer-message')) return;
+
+    sendToParticipant(roomId, targetId, createMessage('peer-message', {
+      roomId: roomId,
+      from: clientId,
+      payload: message
+    }));
+  }
+
+  // Peers may only signal each other through a room they're both in
+  function canRelay(clientId, roomId, targetId, messageType) {
+    const room = rooms.get(roomId);
+
+    if (!room || !room.participants.has(clientId)) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, messageType);
+      return false;
+    }
+    if (!room.participants.has(targetId)) {
+      sendError(clientId, 'unknown-target', `Participant ${targetId} is not in room ${roomId}`, messageType);
+      return false;
+    }
+    return true;
+  }
+
+  function canUseSfu(clientId, roomId, messageType) {
+    const room = rooms.get(roomId);
+
+    if (!room || !room.participants.has(clientId)) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, messageType);
+      return false;
+    }
+    if (room.mediaMode !== 'sfu') {
+      sendError(clientId, 'sfu-unavailable', `Room ${roomId} is not using the SFU`, messageType);
+      return false;
+    }
+    return true;
+  }
+
+  function handleChatMessage(clientId, roomId, payload) {
+    const room = rooms.get(roomId);
+    const participant = room && room.participants.get(clientId);
+
+    if (!participant) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, 'chat-message');
+      return;
+    }
+
+    // End-to-end encrypted messages are kept and relayed as they came; the
+    // server can't read them
+    const message = {
+      id: uuidv4(),
+      ...(payload.encrypted ? { encrypted: payload.encrypted } : { text: payload.text }),
+      sender: participant.address,
+      senderId: clientId,
+      timestamp: new Date().toISOString()
+    };
+
+    try {
+      storage.addMessage(roomId, message);
+    } catch (error) {
+      console.error(`Could not store chat message ${message.id} in room ${roomId}:`, error);
+      sendError(clientId, 'storage-error', 'Your message could not be saved, try again', 'chat-message');
+      return;
+    }
+
+    // Broadcast to all participants in the room
+    broadcastToRoom(roomId, createMessage('chat-message', {
+      roomId: roomId,
+      payload: { message: message }
+    }));
+
+    // Message contents stay out of the logs, encrypted or not
+    console.log(`Chat message ${message.id} in room ${roomId}`);
+  }
+
+  // Earlier chat, a page at a time: the messages before `before`, or the
+  // latest ones without it
+  function handleChatHistory(clientId, roomId, payload) {
+    const room = rooms.get(roomId);
+    if (!room || !room.participants.has(clientId)) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, 'chat-history');
+      return;
+    }
+
+    const limit = Math.min(Math.max(payload.limit || config.chatHistoryPageSize, 1), MAX_HISTORY_PAGE_SIZE);
+    const history = readChatHistory(roomId, { before: payload.before || null, limit: limit });
+
+    sendToClient(clientId, createMessage('chat-history', {
+      roomId: roomId,
+      payload: {
+        before: payload.before || null,
+        messages: history.messages,
+        hasMore: history.hasMore
+      }
+    }));
+  }
+
+  // Host and co-host commands. Whether the sender may is decided here from
+  // the shared moderation state, never taken from the client.
+  async function handleModerate(clientId, roomId, payload) {
+    const { action, participantId } = payload;
+    const room = rooms.get(roomId);
+    const actor = room && room.participants.get(clientId);
+    if (!actor) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, 'moderate');
+      return;
+    }
+
+    const targeted = TARGETED_MODERATION_ACTIONS.includes(action);
+    if (targeted && !participantId) {
+      sendError(clientId, 'invalid-payload', `payload.participantId is required to ${action}`, 'moderate');
+      return;
+    }
+
+    try {
+      const state = await moderation.getState(roomId);
+      // Lobby actions aim at someone waiting rather than a participant
+      const inLobby = LOBBY_MODERATION_ACTIONS.includes(action);
+      const candidates = inLobby ? state.waiting : Array.from(room.participants.values());
+      const target = targeted ? candidates.find(candidate => candidate.id === participantId) : null;
+      if (targeted && !target) {
+        const where = inLobby ? 'waiting to join' : 'in';
+        sendError(clientId, 'unknown-target', `Participant ${participantId} is not ${where} room ${roomId}`, 'moderate');
+        return;
+      }
+
+      const refusal = checkPermission(state, actor.address, action, target ? target.address : null);
+      if (refusal) {
+        sendError(clientId, 'not-allowed', refusal, 'moderate');
+        return;
+      }
+
+      switch (action) {
+        case 'mute':
+        case 'stop-video':
+          sendToParticipant(roomId, target.id, createMessage('moderated', {
+            roomId: roomId,
+            from: clientId,
+            payload: { action: action }
+          }));
+          break;
+        case 'remove':
+          await moderation.markRemoved(roomId, target.address);
+          await cluster.publishCommand({
+            action: 'remove',
+            clientId: null,
+            address: target.address,
+            roomId: roomId,
+            reason: 'You were removed from this room by its host'
+          });
+          break;
+        case 'promote':
+        case 'demote':
+          await moderation.setCoHost(roomId, target.address, action === 'promote');
+          await announceModeration(roomId);
+          // New co-hosts need to see who is waiting
+          if (action === 'promote' && state.waiting.length > 0) await announceLobby(roomId);
+          break;
+        case 'lock':
+        case 'unlock':
+          await moderation.setLocked(roomId, action === 'lock');
+          await announceModeration(roomId);
+          break;
+        case 'enable-lobby':
+        case 'disable-lobby': {
+          const enabled = action === 'enable-lobby';
+          await moderation.setLobby(roomId, enabled);
+          // The meeting keeps the setting for its next call
+          recordHistory(`the lobby setting of room ${roomId}`, () => storage.saveRoomSettings(roomId, { lobby: enabled }));
+          await announceModeration(roomId);
+          // Nobody is left waiting on a lobby that's gone
+          if (!enabled) await admitFromLobby(roomId, state.waiting);
+          break;
+        }
+        case 'admit':
+          await admitFromLobby(roomId, [target]);
+          break;
+        case 'lower-hand':
+          await hands.lower(roomId, target.id);
+          await announceHands(roomId);
+          break;
+        case 'lower-hands':
+          await hands.lowerAll(roomId);
+          await announceHands(roomId);
+          break;
+        case 'admit-all':
+          await admitFromLobby(roomId, state.waiting);
+          break;
+        case 'deny':
+          await moderation.removeWaiting(roomId, target.id);
+          await cluster.publishCommand({
+            action: 'deny',
+            roomId: roomId,
+            clientId: target.id,
+            reason: 'The host did not let you in'
+          });
+          await announceLobby(roomId);
+          break;
+      }
+      console.log(`Client ${clientId} did ${action}${target ? ` to ${target.id}` : ''} in room ${roomId}`);
+    } catch (error) {
+      console.error(`Could not ${action} in room ${roomId}:`, error);
+      sendError(clientId, 'moderation-failed', `Could not ${action}, try again`, 'moderate');
+    }
+  }
+
+  function handleHand(clientId, roomId, payload) {
+    const room = rooms.get(roomId);
+    if (!room || !room.participants.has(clientId)) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, 'hand');
+      return;
+    }
+
+    const change = payload.raised ? hands.raise(roomId, clientId) : hands.lower(roomId, clientId);
+    change.then(() => announceHands(roomId)).catch((error) => {
+      console.error(`Could not ${payload.raised ? 'raise' : 'lower'} the hand of ${clientId} in room ${roomId}:`, error);
+      sendError(clientId, 'hand-failed', 'Could not change your hand, try again', 'hand');
+    });
+  }
+
+  // Tells the room the speaking queue after it changed
+  async function announceHands(roomId) {
+    const queue = await hands.getQueue(roomId);
+    const room = rooms.get(roomId);
+    if (room) room.hands = queue;
+
+    broadcastAcrossCluster(roomId, createMessage('hands', {
+      roomId: roomId,
+      payload: { queue: queue }
+    }));
+  }
+
+  // Reactions are fleeting, so they're relayed and forgotten
+  function handleReaction(clientId, roomId, payload) {
+    const room = rooms.get(roomId);
+    if (!room || !room.participants.has(clientId)) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, 'reaction');
+      return;
+    }
+
+    broadcastToRoom(roomId, createMessage('reaction', {
+      roomId: roomId,
+      from: clientId,
+      payload: { emoji: payload.emoji }
+    }), clientId);
+  }
+
+  async function handlePoll(clientId, roomId, payload) {
+    const { action, pollId } = payload;
+    const room = rooms.get(roomId);
+    const participant = room && room.participants.get(clientId);
+    if (!participant) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId}`, 'poll');
+      return;
+    }
+    if (action !== 'create' && !pollId) {
+      sendError(clientId, 'invalid-payload', `payload.pollId is required to ${action}`, 'poll');
+      return;
+    }
+
+    try {
+      const roomPolls = await polls.getPolls(roomId);
+      const poll = roomPolls.find(candidate => candidate.id === pollId);
+      if (action !== 'create' && !poll) {
+        sendError(clientId, 'unknown-poll', `There's no poll ${pollId} in room ${roomId}`, 'poll');
+        return;
+      }
+
+      if (action === 'vote') {
+        const problem = payload.choices === undefined ? 'payload.choices is required to vote' : checkChoices(poll, payload.choices);
+        if (problem || poll.closedAt !== null) {
+          sendError(clientId, 'invalid-payload', problem || 'This poll is closed', 'poll');
+          return;
+        }
+        if (!await polls.vote(roomId, poll.id, participant.address, payload.choices)) {
+          sendError(clientId, 'already-voted', 'You have voted in this poll already', 'poll');
+          return;
+        }
+        await announcePolls(roomId);
+        return;
+      }
+
+      const roles = await moderation.getState(roomId);
+      if (getRole(roles, participant.address) === 'participant') {
+        sendError(clientId, 'not-allowed', 'Only the host and co-hosts can run polls', 'poll');
+        return;
+      }
+
+      if (action === 'create') {
+        const problem = roomPolls.length >= MAX_POLLS_PER_ROOM
+          ? `This room has run ${MAX_POLLS_PER_ROOM} polls already`
+          : checkPoll(payload);
+        if (problem) {
+          sendError(clientId, 'invalid-payload', problem, 'poll');
+          return;
+        }
+        await polls.create(roomId, {
+          question: payload.question,
+          options: payload.options,
+          multiple: Boolean(payload.multiple),
+          results: payload.results || 'live',
+          quiz: payload.correct !== undefined,
+          correct: payload.correct || null,
+          createdBy: participant.address
+        });
+      } else if (poll.closedAt === null) {
+        await polls.close(roomId, poll);
+      }
+      await announcePolls(roomId);
+    } catch (error) {
+      console.error(`Could not ${action} a poll in room ${roomId}:`, error);
+      sendError(clientId, 'poll-failed', 'Could not update the poll, try again', 'poll');
+    }
+  }
+
+  // Each participant's view of the room's polls, see describePoll
+  function describePolls(room, participantId) {
+    const { address } = room.participants.get(participantId);
+    const moderator = getRole(room.moderation, address) !== 'participant';
+    return room.polls.map(poll => describePoll(poll, address, moderator));
+  }
+
+  // Sends the participants connected to this instance their view of the polls
+  function deliverPolls(room) {
+    for (const participantId of room.participants.keys()) {
+      if (room.instances.has(participantId)) continue;
+      sendToClient(participantId, createMessage('polls', {
+        roomId: room.id,
+        payload: { polls: describePolls(room, participantId) }
+      }));
+    }
+  }
+
+  // Tells the room about its polls after they changed. Other instances get
+  // every vote and make the views for their own participants.
+  async function announcePolls(roomId) {
+    const roomPolls = await polls.getPolls(roomId);
+    const room = rooms.get(roomId);
+    if (room) {
+      room.polls = roomPolls;
+      deliverPolls(room);
+    }
+    await cluster.publishToRoom(roomId, createMessage('polls', {
+      roomId: roomId,
+      payload: { polls: roomPolls }
+    }));
+  }
+
+  // Host and co-host commands for the breakout rooms of `roomId`, checked
+  // like `moderate` against the main room's roles
+  async function handleBreakout(clientId, roomId, payload) {
+    const { action } = payload;
+    const client = clients.get(clientId);
+    const inRoom = Array.from(rooms.values()).some(room => (room.id === roomId || getMainRoomId(room.id) === roomId)
+      && room.participants.has(clientId) && !room.instances.has(clientId));
+    if (!inRoom) {
+      sendError(clientId, 'not-in-room', `You are not in room ${roomId} or its breakout rooms`, 'breakout');
+      return;
+    }
+
+    try {
+      const roles = await moderation.getState(roomId);
+      if (getRole(roles, client.address) === 'participant') {
+        sendError(clientId, 'not-allowed', 'Only the host and co-hosts can run breakout rooms', 'breakout');
+        return;
+      }
+
+      const state = await breakouts.getState(roomId);
+      if (action !== 'open' && state.rooms.length === 0) {
+        sendError(clientId, 'not-allowed', `Room ${roomId} has no breakout rooms open`, 'breakout');
+        return;
+      }
+
+      switch (action) {
+        case 'open': {
+          const { count, assignment = 'random', assignments = {} } = payload;
+          if (state.rooms.length > 0) {
+            sendError(clientId, 'not-allowed', 'Breakout rooms are open already, close them first', 'breakout');
+            return;
+          }
+          if (!Number.isInteger(count) || count < 1 || count > MAX_BREAKOUT_ROOMS) {
+            sendError(clientId, 'invalid-payload', `payload.count must be 1 to ${MAX_BREAKOUT_ROOMS}`, 'breakout');
+            return;
+          }
+
+          const breakoutRooms = Array.from({ length: count }, (_, i) => ({
+            id: getBreakoutRoomId(roomId, i + 1),
+            name: `Room ${i + 1}`
+          }));
+          const entries = await cluster.getParticipants(roomId);
+          let placement;
+          if (assignment === 'random') {
+            // The host and co-hosts stay to look after the main room
+            const participantIds = entries
+              .filter(({ participant }) => getRole(roles, participant.address) === 'participant')
+              .map(({ participant }) => participant.id);
+            placement = assignRandomly(participantIds, breakoutRooms.map(room => room.id));
+          } else {
+            placement = new Map();
+            for (const [participantId, number] of Object.entries(assignments)) {
+              if (!Number.isInteger(number) || number < 1 || number > count) {
+                sendError(clientId, 'invalid-payload', `payload.assignments.${participantId} must be a room number from 1 to ${count}`, 'breakout');
+                return;
+              }
+              if (!entries.some(({ participant }) => participant.id === participantId)) {
+                sendError(clientId, 'unknown-target', `Participant ${participantId} is not in room ${roomId}`, 'breakout');
+                return;
+              }
+              placement.set(participantId, breakoutRooms[number - 1].id);
+            }
+          }
+
+          await breakouts.open(roomId, breakoutRooms);
+          for (const entry of entries) {
+            const target = breakoutRooms.find(room => room.id === placement.get(entry.participant.id));
+            if (target) await moveParticipant(roomId, entry, target);
+          }
+          await announceBreakouts(roomId);
+          break;
+        }
+        case 'move': {
+          const { participantId, room: targetId } = payload;
+          if (!participantId || !targetId) {
+            sendError(clientId, 'invalid-payload', 'payload.participantId and payload.room are required to move', 'breakout');
+            return;
+          }
+          const target = targetId === roomId ? { id: roomId, name: null } : state.rooms.find(room => room.id === targetId);
+          if (!target) {
+            sendError(clientId, 'invalid-payload', `${targetId} is neither room ${roomId} nor one of its breakout rooms`, 'breakout');
+            return;
+          }
+          const entry = (await getBreakoutParticipants(roomId, state)).find(({ participant }) => participant.id === participantId);
+          if (!entry) {
+            sendError(clientId, 'unknown-target', `Participant ${participantId} is not in room ${roomId} or its breakout rooms`, 'breakout');
+            return;
+          }
+          if (entry.roomId === target.id) return;
+
+          await moveParticipant(roomId, entry, target);
+          await announceBreakouts(roomId);
+          break;
+        }
+        case 'broadcast': {
+          if (!payload.text) {
+            sendError(clientId, 'invalid-payload', 'payload.text is required to broadcast', 'breakout');
+            return;
+          }
+          const message = createMessage('breakout-message', {
+            roomId: roomId,
+            from: clientId,
+            payload: { text: payload.text, sender: client.address }
+          });
+          [roomId, ...state.rooms.map(room => room.id)].forEach(id => broadcastAcrossCluster(id, message));
+          break;
+        }
+        case 'countdown': {
+          const { seconds } = payload;
+          if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_BREAKOUT_COUNTDOWN_SECONDS) {
+            sendError(clientId, 'invalid-payload', `payload.seconds must be 1 to ${MAX_BREAKOUT_COUNTDOWN_SECONDS}`, 'breakout');
+            return;
+          }
+          // This instance closes them when it runs out
+          await breakouts.setClosesAt(roomId, new Date(Date.now() + seconds * 1000).toISOString());
+          clearTimeout(breakoutTimers.get(roomId));
+          breakoutTimers.set(roomId, setTimeout(() => {
+            closeBreakouts(roomId).catch((error) => {
+              console.error(`Could not close the breakout rooms of ${roomId}:`, error);
+            });
+          }, seconds * 1000));
+          await announceBreakouts(roomId);
+          break;
+        }
+        case 'close':
+          await closeBreakouts(roomId);
+          break;
+      }
+      console.log(`Client ${clientId} did breakout ${action} in room ${roomId}`);
+    } catch (error) {
+      console.error(`Could not ${action} the breakout rooms of ${roomId}:`, error);
+      sendError(clientId, 'breakout-failed', `Could not ${action} the breakout rooms, try again`, 'breakout');
+    }
+  }
+
+  // Everyone in a room and its breakout rooms: [{ participant, instanceId, roomId }]
+  async function getBreakoutParticipants(mainRoomId, state) {
+    const entries = [];
+    for (const id of [mainRoomId, ...state.rooms.map(room => room.id)]) {
+      for (const entry of await cluster.getParticipants(id)) {
+        entries.push({ ...entry, roomId: id });
+      }
+    }
+    return entries;
+  }
+
+  // Sends a participant ({ participant, instanceId }) to `target` ({ id, name }),
+  // a breakout room or the main room. Their client leaves the room it's in
+  // and joins that one.
+  async function moveParticipant(mainRoomId, { participant, instanceId }, target) {
+    await breakouts.assign(mainRoomId, participant.address, target.id === mainRoomId ? null : target.id);
+    // Coming back doesn't mean waiting in the lobby again
+    await moderation.markAdmitted(mainRoomId, participant.address);
+
+    const message = createMessage('breakout-move', {
+      roomId: mainRoomId,
+      payload: { roomId: target.id, name: target.name }
+    });
+    if (instanceId === cluster.instanceId) {
+      sendToClient(participant.id, message);
+    } else {
+      await cluster.publishToClient(instanceId, participant.id, message);
+    }
+  }
+
+  // Brings everyone in the breakout rooms back to the main room
+  async function closeBreakouts(mainRoomId) {
+    clearTimeout(breakoutTimers.get(mainRoomId));
+    breakoutTimers.delete(mainRoomId);
+
+    const state = await breakouts.getState(mainRoomId);
+    if (state.rooms.length === 0) return;
+
+    for (const entry of await getBreakoutParticipants(mainRoomId, state)) {
+      if (entry.roomId !== mainRoomId) await moveParticipant(mainRoomId, entry, { id: mainRoomId, name: null });
+    }
+    await breakouts.close(mainRoomId);
+    await announceBreakouts(mainRoomId, state.rooms);
+    console.log(`Closed the breakout rooms of ${mainRoomId}`);
+  }
+
+  // Tells a room and its breakout rooms (and `closedRooms`, when they've just
+  // closed) which breakout rooms there are, who was sent where and when they close
+  async function announceBreakouts(mainRoomId, closedRooms = []) {
+    const state = await breakouts.getState(mainRoomId);
+    const message = createMessage('breakout-rooms', {
+      roomId: mainRoomId,
+      payload: state
+    });
+    for (const id of [mainRoomId, ...state.rooms.map(room => room.id), ...closedRooms.map(room => room.id)]) {
+      broadcastAcrossCluster(id, message);
+    }
+  }
+
+  // Tells the room who its host and co-hosts are and whether it's locked
+  async function announceModeration(roomId) {
+    const state = describeModeration(await moderation.getState(roomId));
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    room.moderation = state;
+    broadcastToRoom(roomId, createMessage('room-moderation', {
+      roomId: roomId,
+      payload: state
+    }));
+    if (room.polls.length > 0) deliverPolls(room);
+  }
+
+  // `ws` is the socket that went away. It's ignored if the client has
+  // since resumed on another socket.
+  function handleClientDisconnect(clientId, ws) {
+    // Both `error` and `close` end up here
+    const client = clients.get(clientId);
+    if (!client || client.ws !== ws) return;
+
+    const inRoom = Array.from(rooms.values()).some(room => room.participants.has(clientId));
+    if (client.sessionToken && inRoom && config.sessionResumeTtlMs > 0) {
+      console.log(`Client disconnected: ${clientId}, holding its session for ${config.sessionResumeTtlMs}ms`);
+      client.ws = null;
+      client.stalled = true;
+      updatePresence(clientId);
+      client.resumeTimer = setTimeout(() => removeClient(clientId), config.sessionResumeTtlMs);
+      return;
+    }
+
+    console.log(`Client disconnected: ${clientId}`);
+    removeClient(clientId);
+  }
+
+  function removeClient(clientId) {
+    const client = clients.get(clientId);
+    if (!client) return;
+
+    clearTimeout(client.resumeTimer);
+
+    // Remove from all rooms
+    for (const [roomId, room] of rooms.entries()) {
+      if (room.participants.has(clientId)) {
+        handleLeaveRoom(clientId, roomId);
+      }
+    }
+
+    if (lobbyWaits.has(clientId)) {
+      leaveLobby(clientId, lobbyWaits.get(clientId));
+    }
+
+    // Remove from clients
+    pendingAdmissions.delete(clientId);
+    clients.delete(clientId);
+    sessions.delete(client.sessionToken);
+  }
+
+  // Evict live participants whose address was removed from a private meeting
+  meetingGate.on('access-revoked', ({ meetingId, address }) => {
+    for (const [roomId, room] of rooms.entries()) {
+      if (room.meetingId !== meetingId) continue;
+
+      for (const participant of Array.from(room.participants.values())) {
+        // Other instances evict their own clients
+        if (participant.address !== address || room.instances.has(participant.id)) continue;
+
+        sendToClient(participant.id, createMessage('removed-from-room', {
+          roomId: roomId,
+          payload: { reason: 'You were removed from the meeting participant list' }
+        }));
+        handleLeaveRoom(participant.id, roomId);
+        pendingAdmissions.set(participant.id, roomId);
+      }
+    }
+  });
+
+  // Admit clients that were waiting on a private meeting once they're added
+  meetingGate.on('access-granted', ({ meetingId, address }) => {
+    for (const [clientId, roomId] of pendingAdmissions.entries()) {
+      const client = clients.get(clientId);
+      if (client && client.address === address && getMeetingIdForRoom(roomId) === meetingId) {
+        handleJoinRoom(clientId, roomId);
+      }
+    }
+  });
+
+  function sendToClient(clientId, message) {
+    const client = clients.get(clientId);
+    if (client && client.ws && client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify(message));
+    }
+  }
+
+  function sendError(clientId, code, reason, messageType = null) {
+    sendToClient(clientId, createErrorMessage(code, reason, messageType));
+  }
+
+  // Sends to a participant of the room, wherever it's connected
+  function sendToParticipant(roomId, participantId, message) {
+    const room = rooms.get(roomId);
+    const instanceId = room && room.instances.get(participantId);
+    if (!instanceId) {
+      sendToClient(participantId, message);
+      return;
+    }
+
+    cluster.publishToClient(instanceId, participantId, message).catch((error) => {
+      console.error(`Could not send ${message.type} to ${participantId} on instance ${instanceId}:`, error);
+    });
+  }
+
+  function broadcastToRoom(roomId, message, excludeClientId = null) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    deliverToRoom(room, message, excludeClientId);
+    // Other instances deliver it to their own participants
+    cluster.publishToRoom(roomId, message, excludeClientId).catch((error) => {
+      console.error(`Could not publish ${message.type} to room ${roomId}:`, error);
+    });
+  }
+
+  // Like broadcastToRoom, for rooms this instance may have nobody in
+  function broadcastAcrossCluster(roomId, message) {
+    const room = rooms.get(roomId);
+    if (room) deliverToRoom(room, message);
+    cluster.publishToRoom(roomId, message).catch((error) => {
+      console.error(`Could not publish ${message.type} to room ${roomId}:`, error);
+    });
+  }
+
+  // Sends to the room's participants connected to this instance
+  function deliverToRoom(room, message, excludeClientId = null) {
+    for (const participantId of room.participants.keys()) {
+      if (participantId === excludeClientId || room.instances.has(participantId)) continue;
+      sendToClient(participantId, message);
+    }
+  }
+
+  // Sends to the room's host and co-hosts connected to this instance
+  function deliverToModerators(room, message) {
+    for (const participant of room.participants.values()) {
+      if (room.instances.has(participant.id) || getRole(room.moderation, participant.address) === 'participant') continue;
+      sendToClient(participant.id, message);
+    }
+  }
+
+  // Stops taking connections, warns the clients this instance has and
+  // disconnects them after `graceMs` so they reconnect elsewhere. Load
+  // balancers see /api/health turn 503 meanwhile.
+  function drain({ reason, graceMs }) {
+    if (!draining) {
+      draining = {
+        startedAt: new Date().toISOString(),
+        disconnectAt: new Date(Date.now() + graceMs).toISOString(),
+        timer: setTimeout(disconnectAll, graceMs)
+      };
+      for (const clientId of clients.keys()) {
+        sendToClient(clientId, createMessage('system-message', {
+          payload: { text: reason, level: 'warning' }
+        }));
+      }
+      console.warn(`Draining: disconnecting ${clients.size} clients at ${draining.disconnectAt}`);
+    }
+
+    return {
+      instanceId: cluster.instanceId,
+      startedAt: draining.startedAt,
+      disconnectAt: draining.disconnectAt,
+      clients: clients.size
+    };
+  }
+
+  function disconnectAll() {
+    for (const [clientId, client] of Array.from(clients.entries())) {
+      const ws = client.ws;
+      // They can't resume here, so they leave their rooms now
+      removeClient(clientId);
+      if (ws) ws.close(CLOSE_CODES.SERVER_DRAINING, 'Server is going down for maintenance');
+    }
+  }
+
+  app.use('/api/admin', createAdminRouter({ config, cluster, storage, drain, getClientIp }));
+
+  // The client whose session token the request carries as
+  // `Authorization: Bearer <sessionToken>`, if any
+  function getSessionClientId(req) {
+    const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+    return (match && sessions.get(match[1])) || null;
+  }
+
+  // REST API endpoints. Rooms and participants are read from the cluster
+  // registry, so every instance gives the same answer (participant lists
+  // only where the caller's session is).
+  app.get('/api/rooms/:roomId', async (req, res, next) => {
+    const { roomId } = req.params;
+
+    try {
+      const entries = await cluster.getParticipants(roomId);
+      if (entries.length === 0) {
+        return res.status(404).json({ error: 'Room not found' });
+      }
+
+      // Only instances serving the room know its media mode
+      const room = rooms.get(roomId);
+      const summary = {
+        id: roomId,
+        participantCount: entries.length,
+        messageCount: storage.countMessages(roomId),
+        mediaMode: room ? room.mediaMode : 'mesh'
+      };
+
+      // Who is in the room, wallet addresses included, is for its own
+      // participants; operators have GET /api/admin/rooms
+      const clientId = getSessionClientId(req);
+      if (clientId && entries.some(entry => entry.participant.id === clientId)) {
+        summary.participants = entries.map(entry => entry.participant);
+        res.set('Cache-Control', 'no-store');
+      }
+      res.json(summary);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/rooms', async (req, res, next) => {
+    try {
+      const roomList = (await cluster.listRooms()).map(room => ({
+        id: room.id,
+        participantCount: room.participantCount,
+        messageCount: storage.countMessages(room.id)
+      }));
+
+      res.json(roomList);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // STUN/TURN servers for RTCPeerConnection. TURN credentials are only handed
+  // to clients in a room, identified by their session token.
+  app.get('/api/ice-servers', (req, res) => {
+    const clientId = getSessionClientId(req);
+
+    if (!clientId) {
+      return res.status(401).json({ error: 'A valid session token is required' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.json(getIceServers(config.ice, clientId));
+  });
+
+  app.get('/api/health', (req, res) => {
+    res.status(draining ? 503 : 200).json({
+      status: draining ? 'draining' : 'healthy',
+      activeRooms: rooms.size,
+      activeClients: clients.size,
+      protocolVersion: PROTOCOL_VERSION,
+      instanceId: cluster.instanceId,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Error handling
+  app.use((err, req, res, next) => {
+    console.error(err.stack);
+    res.status(500).json({ error: 'Something went wrong!' });
+  });
+
+  return { app, server, wss, rooms, clients, sfu, storage, cluster, ready };
+}
@@ -0,0 +1,263 @@
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+import Database from 'better-sqlite3';
+import { MAX_HISTORY_PAGE_SIZE } from './storage.js';
+
+// Storage in a SQLite file, so rooms, their settings, chat and the audit log
+// survive a restart. See storage.js for the interface and retention rules.
+
+// Schema changes, in order. The database's `user_version` is the number of
+// migrations applied to it; add new ones at the end and never edit old ones.
+export const MIGRATIONS = [
+  `CREATE TABLE rooms (
+     id TEXT PRIMARY KEY,
+     meeting_id TEXT,
+     created_at TEXT NOT NULL,
+     closed_at TEXT
+   );
+   CREATE TABLE participant_history (
+     seq INTEGER PRIMARY KEY AUTOINCREMENT,
+     room_id TEXT NOT NULL,
+     participant_id TEXT NOT NULL,
+     address TEXT,
+     joined_at TEXT NOT NULL,
+     left_at TEXT
+   );
+   CREATE INDEX participant_history_room ON participant_history (room_id, seq);
+   CREATE TABLE messages (
+     seq INTEGER PRIMARY KEY AUTOINCREMENT,
+     id TEXT NOT NULL UNIQUE,
+     room_id TEXT NOT NULL,
+     text TEXT,
+     encrypted TEXT,
+     sender TEXT,
+     sender_id TEXT NOT NULL,
+     timestamp TEXT NOT NULL
+   );
+   CREATE INDEX messages_room ON messages (room_id, seq);
+   CREATE INDEX messages_timestamp ON messages (timestamp);`,
+  `CREATE TABLE audit_log (
+     id INTEGER PRIMARY KEY AUTOINCREMENT,
+     at TEXT NOT NULL,
+     actor TEXT NOT NULL,
+     ip TEXT,
+     action TEXT NOT NULL,
+     details TEXT NOT NULL
+   );
+   CREATE INDEX audit_log_at ON audit_log (at);`,
+  `CREATE TABLE room_settings (
+     room_id TEXT PRIMARY KEY,
+     lobby INTEGER NOT NULL DEFAULT 0
+   );`
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+// Applies the migrations `db` hasn't had yet, each in its own transaction.
+// Returns the versions it applied.
+export function migrate(db) {
+  const applied = [];
+  for (let version = getSchemaVersion(db) + 1; version <= SCHEMA_VERSION; version++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[version - 1]);
+      db.pragma(`user_version = ${version}`);
+    })();
+    applied.push(version);
+  }
+  return applied;
+}
+
+export function openDatabase(path) {
+  if (path !== ':memory:') {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+  const db = new Database(path);
+  db.pragma('journal_mode = WAL');
+  return db;
+}
+
+function toMessage(row) {
+  return {
+    id: row.id,
+    ...(row.encrypted !== null ? { encrypted: JSON.parse(row.encrypted) } : { text: row.text }),
+    sender: row.sender,
+    senderId: row.sender_id,
+    timestamp: row.timestamp
+  };
+}
+
+function cutoff(ttlMs, now) {
+  return ttlMs > 0 ? new Date(now - ttlMs).toISOString() : null;
+}
+
+export class SqliteStorage {
+  // With `migrate` false the schema has to be up to date already, see
+  // `npm run migrate`
+  constructor(path, retention = {}, { migrate: shouldMigrate = true } = {}) {
+    this.retention = { maxMessagesPerRoom: 0, messageTtlMs: 0, historyTtlMs: 0, auditTtlMs: 0, ...retention };
+    this.db = openDatabase(path);
+
+    if (shouldMigrate) {
+      migrate(this.db);
+    }
+    const version = getSchemaVersion(this.db);
+    if (version !== SCHEMA_VERSION) {
+      this.db.close();
+      throw new Error(`Storage schema is at version ${version}, this server needs ${SCHEMA_VERSION}; run npm run migrate`);
+    }
+
+    this.statements = {
+      saveRoom: this.db.prepare(`
+        INSERT INTO rooms (id, meeting_id, created_at) VALUES (?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET closed_at = NULL`),
+      closeRoom: this.db.prepare('UPDATE rooms SET closed_at = ? WHERE id = ?'),
+      getRoom: this.db.prepare('SELECT * FROM rooms WHERE id = ?'),
+      getRoomSettings: this.db.prepare('SELECT * FROM room_settings WHERE room_id = ?'),
+      saveRoomSettings: this.db.prepare(`
+        INSERT INTO room_settings (room_id, lobby) VALUES (?, ?)
+        ON CONFLICT (room_id) DO UPDATE SET lobby = excluded.lobby`),
+      recordJoin: this.db.prepare(`
+        INSERT INTO participant_history (room_id, participant_id, address, joined_at) VALUES (?, ?, ?, ?)`),
+      recordLeave: this.db.prepare(`
+        UPDATE participant_history SET left_at = ?
+        WHERE seq = (SELECT MAX(seq) FROM participant_history WHERE room_id = ? AND participant_id = ? AND left_at IS NULL)`),
+      getParticipantHistory: this.db.prepare(`
+        SELECT * FROM participant_history WHERE room_id = ? ORDER BY seq DESC LIMIT ?`),
+      addMessage: this.db.prepare(`
+        INSERT INTO messages (id, room_id, text, encrypted, sender, sender_id, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?)`),
+      trimMessages: this.db.prepare(`
+        DELETE FROM messages WHERE room_id = ? AND seq <= (
+          SELECT seq FROM messages WHERE room_id = ? ORDER BY seq DESC LIMIT 1 OFFSET ?
+        )`),
+      messageSeq: this.db.prepare('SELECT seq FROM messages WHERE room_id = ? AND id = ?'),
+      latestMessages: this.db.prepare('SELECT * FROM messages WHERE room_id = ? ORDER BY seq DESC LIMIT ?'),
+      messagesBefore: this.db.prepare('SELECT * FROM messages WHERE room_id = ? AND seq < ? ORDER BY seq DESC LIMIT ?'),
+      countMessages: this.db.prepare('SELECT COUNT(*) AS count FROM messages WHERE room_id = ?'),
+      pruneMessages: this.db.prepare('DELETE FROM messages WHERE timestamp < ?'),
+      pruneHistory: this.db.prepare('DELETE FROM participant_history WHERE left_at IS NOT NULL AND left_at < ?'),
+      pruneRooms: this.db.prepare(`
+        DELETE FROM rooms WHERE closed_at IS NOT NULL AND closed_at < ?
+          AND NOT EXISTS (SELECT 1 FROM messages WHERE room_id = rooms.id)`),
+      pruneOrphanedHistory: this.db.prepare(`
+        DELETE FROM participant_history WHERE room_id NOT IN (SELECT id FROM rooms)`),
+      recordAudit: this.db.prepare('INSERT INTO audit_log (at, actor, ip, action, details) VALUES (?, ?, ?, ?, ?)'),
+      latestAudit: this.db.prepare('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?'),
+      auditBefore: this.db.prepare('SELECT * FROM audit_log WHERE id < ? ORDER BY id DESC LIMIT ?'),
+      pruneAudit: this.db.prepare('DELETE FROM audit_log WHERE at < ?')
+    };
+  }
+
+  saveRoom({ id, meetingId = null, createdAt }) {
+    this.statements.saveRoom.run(id, meetingId, createdAt);
+  }
+
+  closeRoom(roomId, closedAt) {
+    this.statements.closeRoom.run(closedAt, roomId);
+  }
+
+  getRoom(roomId) {
+    const row = this.statements.getRoom.get(roomId);
+    return row ? { id: row.id, meetingId: row.meeting_id, createdAt: row.created_at, closedAt: row.closed_at } : null;
+  }
+
+  getRoomSettings(roomId) {
+    const row = this.statements.getRoomSettings.get(roomId);
+    return { lobby: row ? row.lobby === 1 : false };
+  }
+
+  saveRoomSettings(roomId, { lobby }) {
+    this.statements.saveRoomSettings.run(roomId, lobby ? 1 : 0);
+  }
+
+  recordJoin(roomId, { participantId, address, at }) {
+    this.statements.recordJoin.run(roomId, participantId, address, at);
+  }
+
+  recordLeave(roomId, participantId, at) {
+    this.statements.recordLeave.run(at, roomId, participantId);
+  }
+
+  getParticipantHistory(roomId, { limit = MAX_HISTORY_PAGE_SIZE } = {}) {
+    return this.statements.getParticipantHistory.all(roomId, limit).map(row => ({
+      participantId: row.participant_id,
+      address: row.address,
+      joinedAt: row.joined_at,
+      leftAt: row.left_at
+    }));
+  }
+
+  addMessage(roomId, message) {
+    const { maxMessagesPerRoom } = this.retention;
+    this.db.transaction(() => {
+      this.statements.addMessage.run(
+        message.id,
+        roomId,
+        message.text === undefined ? null : message.text,
+        message.encrypted === undefined ? null : JSON.stringify(message.encrypted),
+        message.sender,
+        message.senderId,
+        message.timestamp
+      );
+      if (maxMessagesPerRoom > 0) {
+        this.statements.trimMessages.run(roomId, roomId, maxMessagesPerRoom);
+      }
+    })();
+  }
+
+  getMessages(roomId, { before = null, limit = MAX_HISTORY_PAGE_SIZE } = {}) {
+    let rows;
+    if (before === null) {
+      rows = this.statements.latestMessages.all(roomId, limit + 1);
+    } else {
+      const anchor = this.statements.messageSeq.get(roomId, before);
+      if (!anchor) return { messages: [], hasMore: false };
+      rows = this.statements.messagesBefore.all(roomId, anchor.seq, limit + 1);
+    }
+
+    const hasMore = rows.length > limit;
+    return { messages: rows.slice(0, limit).reverse().map(toMessage), hasMore };
+  }
+
+  countMessages(roomId) {
+    return this.statements.countMessages.get(roomId).count;
+  }
+
+  recordAudit({ at, actor, ip = null, action, details = {} }) {
+    this.statements.recordAudit.run(at, actor, ip, action, JSON.stringify(details));
+  }
+
+  getAuditLog({ before = null, limit = MAX_HISTORY_PAGE_SIZE } = {}) {
+    const rows = before === null
+      ? this.statements.latestAudit.all(limit + 1)
+      : this.statements.auditBefore.all(before, limit + 1);
+
+    return {
+      entries: rows.slice(0, limit).map(row => ({ ...row, details: JSON.parse(row.details) })),
+      hasMore: rows.length > limit
+    };
+  }
+
+  prune(now = Date.now()) {
+    const messagesBefore = cutoff(this.retention.messageTtlMs, now);
+    const historyBefore = cutoff(this.retention.historyTtlMs, now);
+    const auditBefore = cutoff(this.retention.auditTtlMs, now);
+
+    this.db.transaction(() => {
+      if (messagesBefore) this.statements.pruneMessages.run(messagesBefore);
+      if (historyBefore) {
+        this.statements.pruneHistory.run(historyBefore);
+        this.statements.pruneRooms.run(historyBefore);
+        this.statements.pruneOrphanedHistory.run();
+      }
+      if (auditBefore) this.statements.pruneAudit.run(auditBefore);
+    })();
+  }
+
+  close() {
+    if (this.db.open) this.db.close();
+  }
+}
@@ -0,0 +1,186 @@
+// Where the signaling server keeps what should outlive a connection: rooms and
+// their settings, who joined and left them, chat messages and the admin audit
+// log. Live state (sockets, who is in a room right now, media mode) stays in
+// the server's own maps.
+//
+// A storage implements:
+//
+//   saveRoom({ id, meetingId, createdAt })   opens the room, or reopens it
+//   closeRoom(roomId, closedAt)              marks it empty
+//   getRoom(roomId)                          { id, meetingId, createdAt, closedAt } or null
+//   getRoomSettings(roomId)                  { lobby }, the defaults for a room never configured
+//   saveRoomSettings(roomId, { lobby })
+//   recordJoin(roomId, { participantId, address, at })
+//   recordLeave(roomId, participantId, at)
+//   getParticipantHistory(roomId, { limit })  { participantId, address, joinedAt, leftAt }, newest first
+//   addMessage(roomId, message)              message as broadcast, see handleChatMessage
+//   getMessages(roomId, { before, limit })   { messages, hasMore }, see below
+//   countMessages(roomId)
+//   recordAudit({ at, actor, ip, action, details })
+//   getAuditLog({ before, limit })           { entries, hasMore }, newest first
+//   prune(now)                               drops what's past the retention limits
+//   close()
+//
+// Calls are synchronous, so a message is stored before it's broadcast and
+// history reads can't interleave with writes. getMessages returns the `limit`
+// messages before message id `before` (or the latest ones), oldest first;
+// `hasMore` says whether there are earlier ones still. Audit entries get a
+// numeric `id`, and getAuditLog pages back from id `before` the same way.
+//
+// Retention (`config.retention`): rooms keep at most `maxMessagesPerRoom`
+// messages, dropping the oldest as new ones come in. prune() drops messages
+// older than `messageTtlMs`, join/leave records older than `historyTtlMs`, and
+// rooms closed longer ago than that with no messages left, and audit entries
+// older than `auditTtlMs`. A limit of 0 keeps things forever. Room settings
+// are kept until they're changed, so a meeting keeps them between calls.
+
+export const MAX_HISTORY_PAGE_SIZE = 100;
+
+function olderThan(timestamp, ttlMs, now) {
+  return ttlMs > 0 && Date.parse(timestamp) < now - ttlMs;
+}
+
+// Keeps everything in memory, so a restart starts over. The default, and
+// what the tests use.
+export class MemoryStorage {
+  constructor(retention = {}) {
+    this.retention = { maxMessagesPerRoom: 0, messageTtlMs: 0, historyTtlMs: 0, auditTtlMs: 0, ...retention };
+    this.rooms = new Map();
+    this.roomSettings = new Map();
+    // roomId -> messages, oldest first
+    this.messages = new Map();
+    // roomId -> join/leave records, oldest first
+    this.history = new Map();
+    // Oldest first
+    this.auditLog = [];
+    this.nextAuditId = 1;
+  }
+
+  saveRoom({ id, meetingId = null, createdAt }) {
+    const room = this.rooms.get(id);
+    if (room) {
+      room.closedAt = null;
+    } else {
+      this.rooms.set(id, { id, meetingId, createdAt, closedAt: null });
+    }
+  }
+
+  closeRoom(roomId, closedAt) {
+    const room = this.rooms.get(roomId);
+    if (room) room.closedAt = closedAt;
+  }
+
+  getRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    return room ? { ...room } : null;
+  }
+
+  getRoomSettings(roomId) {
+    return { lobby: false, ...this.roomSettings.get(roomId) };
+  }
+
+  saveRoomSettings(roomId, { lobby }) {
+    this.roomSettings.set(roomId, { lobby });
+  }
+
+  recordJoin(roomId, { participantId, address, at }) {
+    if (!this.history.has(roomId)) {
+      this.history.set(roomId, []);
+    }
+    this.history.get(roomId).push({ participantId, address, joinedAt: at, leftAt: null });
+  }
+
+  recordLeave(roomId, participantId, at) {
+    const records = this.history.get(roomId) || [];
+    const record = records.findLast(entry => entry.participantId === participantId && entry.leftAt === null);
+    if (record) record.leftAt = at;
+  }
+
+  getParticipantHistory(roomId, { limit = MAX_HISTORY_PAGE_SIZE } = {}) {
+    const records = this.history.get(roomId) || [];
+    return records.slice(-limit).reverse().map(record => ({ ...record }));
+  }
+
+  addMessage(roomId, message) {
+    if (!this.messages.has(roomId)) {
+      this.messages.set(roomId, []);
+    }
+    const messages = this.messages.get(roomId);
+    messages.push(message);
+
+    const { maxMessagesPerRoom } = this.retention;
+    if (maxMessagesPerRoom > 0 && messages.length > maxMessagesPerRoom) {
+      messages.splice(0, messages.length - maxMessagesPerRoom);
+    }
+  }
+
+  getMessages(roomId, { before = null, limit = MAX_HISTORY_PAGE_SIZE } = {}) {
+    const messages = this.messages.get(roomId) || [];
+    let end = messages.length;
+    if (before !== null) {
+      end = messages.findIndex(message => message.id === before);
+      if (end === -1) return { messages: [], hasMore: false };
+    }
+    const start = Math.max(0, end - limit);
+    return { messages: messages.slice(start, end), hasMore: start > 0 };
+  }
+
+  countMessages(roomId) {
+    return (this.messages.get(roomId) || []).length;
+  }
+
+  recordAudit({ at, actor, ip = null, action, details = {} }) {
+    this.auditLog.push({ id: this.nextAuditId++, at, actor, ip, action, details });
+  }
+
+  getAuditLog({ before = null, limit = MAX_HISTORY_PAGE_SIZE } = {}) {
+    const end = before === null ? this.auditLog.length : this.auditLog.findIndex(entry => entry.id >= before);
+    const stop = end === -1 ? this.auditLog.length : end;
+    const start = Math.max(0, stop - limit);
+    return { entries: this.auditLog.slice(start, stop).reverse(), hasMore: start > 0 };
+  }
+
+  prune(now = Date.now()) {
+    const { messageTtlMs, historyTtlMs, auditTtlMs } = this.retention;
+
+    for (const [roomId, messages] of this.messages) {
+      const kept = messages.filter(message => !olderThan(message.timestamp, messageTtlMs, now));
+      if (kept.length > 0) this.messages.set(roomId, kept);
+      else this.messages.delete(roomId);
+    }
+
+    for (const [roomId, records] of this.history) {
+      const kept = records.filter(record => record.leftAt === null || !olderThan(record.leftAt, historyTtlMs, now));
+      if (kept.length > 0) this.history.set(roomId, kept);
+      else this.history.delete(roomId);
+    }
+
+    for (const [roomId, room] of this.rooms) {
+      if (room.closedAt !== null && olderThan(room.closedAt, historyTtlMs, now) && !this.messages.has(roomId)) {
+        this.rooms.delete(roomId);
+        this.history.delete(roomId);
+      }
+    }
+
+    this.auditLog = this.auditLog.filter(entry => !olderThan(entry.at, auditTtlMs, now));
+  }
+
+  close() {}
+}
+
+// Builds the storage `config.storage` asks for. SQLite is only loaded when
+// it's used, so the in-memory storage works without the native module.
+export async function createStorage(config) {
+  switch (config.storage.driver) {
+    case 'memory':
+      return new MemoryStorage(config.retention);
+
+    case 'sqlite': {
+      const { SqliteStorage } = await import('./sqliteStorage.js');
+      return new SqliteStorage(config.storage.path, config.retention, { migrate: config.storage.autoMigrate });
+    }
+
+    default:
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+  }
+}
@@ -0,0 +1,107 @@
+import { expect } from "chai";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+const TOKEN = "0123456789abcdef0123456789abcdef";
+
+describe("Admin API", function () {
+  let signaling, baseUrl;
+
+  function request(method, path, body, token = TOKEN) {
+    return fetch(`${baseUrl}/api/admin${path}`, {
+      method,
+      headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  }
+
+  beforeEach(async function () {
+    signaling = await startServer({ admin: { tokens: [{ name: "ops", token: TOKEN }], drainGraceMs: 30000 } });
+    baseUrl = signaling.url.replace("ws:", "http:");
+  });
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  it("should require an admin token", async function () {
+    expect((await fetch(`${baseUrl}/api/admin/rooms`)).status).to.equal(401);
+    expect((await request("GET", "/rooms", undefined, "not-the-token")).status).to.equal(401);
+    expect(signaling.storage.getAuditLog().entries).to.deep.equal([]);
+  });
+
+  it("should list rooms with their participants and close them", async function () {
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+
+    const [room] = await (await request("GET", "/rooms")).json();
+    expect(room).to.include({ id: "standup", participantCount: 2 });
+    expect(room.participants.map(p => p.address)).to.have.members([alice.wallet.address, bob.wallet.address]);
+
+    const closed = await request("DELETE", "/rooms/standup", { reason: "Wrapping up" });
+    expect(closed.status).to.equal(200);
+    expect((await alice.next("removed-from-room")).payload.reason).to.equal("Wrapping up");
+    expect((await bob.next("removed-from-room")).payload.reason).to.equal("Wrapping up");
+    expect(signaling.rooms.has("standup")).to.equal(false);
+
+    const log = await (await request("GET", "/audit")).json();
+    expect(log.entries.map(entry => [entry.actor, entry.action])).to.deep.equal([
+      ["ops", "read-audit-log"],
+      ["ops", "close-room"],
+      ["ops", "list-rooms"]
+    ]);
+    expect(log.entries[1].details).to.include({ roomId: "standup", reason: "Wrapping up", removed: 2 });
+  });
+
+  it("should ban an address from a room until the ban is lifted", async function () {
+    const alice = await FakeClient.signedIn(signaling.url);
+    const mallory = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await mallory.joinRoom("standup");
+
+    const response = await request("POST", "/bans", { clientId: mallory.clientId, roomId: "standup", reason: "Spamming" });
+    expect(response.status).to.equal(201);
+    expect((await response.json()).ban).to.include({ address: mallory.wallet.address, roomId: "standup", bannedBy: "ops" });
+    expect((await mallory.next("removed-from-room")).payload.reason).to.equal("Spamming");
+    expect((await alice.next("participant-left")).payload.participantId).to.equal(mallory.clientId);
+
+    mallory.send({ type: "join-room", roomId: "standup" });
+    expect((await mallory.next("join-denied")).payload.reason).to.equal("Spamming");
+    await mallory.joinRoom("elsewhere");
+
+    const lifted = await request("DELETE", `/bans/${mallory.wallet.address}?roomId=standup`);
+    expect(lifted.status).to.equal(204);
+    await mallory.joinRoom("standup");
+  });
+
+  it("should kick by address and broadcast system messages", async function () {
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+
+    await request("POST", "/rooms/standup/messages", { text: "The building closes at 6" });
+    expect((await bob.next("system-message")).payload).to.deep.equal({ text: "The building closes at 6", level: "info" });
+
+    const kicked = await request("POST", "/kick", { address: bob.wallet.address.toLowerCase() });
+    expect((await kicked.json()).removed).to.deep.equal([{ roomId: "standup", participantId: bob.clientId, address: bob.wallet.address }]);
+    await bob.next("removed-from-room");
+    expect((await request("POST", "/kick", { clientId: "nobody" })).status).to.equal(404);
+    expect((await request("POST", "/kick", {})).status).to.equal(400);
+  });
+
+  it("should drain the instance", async function () {
+    const alice = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+
+    const response = await request("POST", "/drain", { graceMs: 50 });
+    expect(response.status).to.equal(202);
+    expect((await alice.next("system-message")).payload.level).to.equal("warning");
+    expect((await fetch(`${baseUrl}/api/health`)).status).to.equal(503);
+
+    expect((await alice.closed).code).to.equal(4010);
+    const latecomer = new FakeClient(signaling.url);
+    expect((await latecomer.closed).code).to.equal(4010);
+  });
+});
@@ -0,0 +1,50 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { createChallenge, verifyChallenge } from "../auth.js";
+
+describe("Wallet authentication", function () {
+  let wallet, other;
+
+  beforeEach(function () {
+    wallet = ethers.Wallet.createRandom();
+    other = ethers.Wallet.createRandom();
+  });
+
+  it("should issue a SIWE message bound to the checksummed address", function () {
+    const challenge = createChallenge(wallet.address.toLowerCase());
+    expect(challenge.address).to.equal(wallet.address);
+    expect(challenge.message).to.include(wallet.address);
+    expect(challenge.message).to.include(`Nonce: ${challenge.nonce}`);
+    expect(createChallenge(wallet.address).nonce).to.not.equal(challenge.nonce);
+  });
+
+  it("should reject invalid addresses", function () {
+    expect(() => createChallenge("not-an-address")).to.throw("Invalid wallet address");
+    expect(() => createChallenge(undefined)).to.throw("Invalid wallet address");
+  });
+
+  it("should recover the address from a valid signature", async function () {
+    const challenge = createChallenge(wallet.address);
+    const signature = await wallet.signMessage(challenge.message);
+    expect(verifyChallenge(challenge, signature)).to.equal(wallet.address);
+  });
+
+  it("should reject signatures from a different wallet", async function () {
+    const challenge = createChallenge(wallet.address);
+    const signature = await other.signMessage(challenge.message);
+    expect(() => verifyChallenge(challenge, signature)).to.throw("Signature does not match address");
+  });
+
+  it("should reject expired or missing challenges", async function () {
+    const challenge = createChallenge(wallet.address);
+    const signature = await wallet.signMessage(challenge.message);
+    challenge.expiresAt = Date.now() - 1;
+    expect(() => verifyChallenge(challenge, signature)).to.throw("Challenge expired");
+    expect(() => verifyChallenge(null, signature)).to.throw("No pending challenge");
+  });
+
+  it("should reject malformed signatures", function () {
+    const challenge = createChallenge(wallet.address);
+    expect(() => verifyChallenge(challenge, "0x1234")).to.throw("Malformed signature");
+  });
+});
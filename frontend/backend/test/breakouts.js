@@ -0,0 +1,87 @@
+import { expect } from "chai";
+import { assignRandomly } from "../breakouts.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Breakout assignment", function () {
+  it("should spread participants evenly at random", function () {
+    const placement = assignRandomly(["a", "b", "c", "d", "e"], ["one", "two"], () => 0.5);
+    const counts = Array.from(placement.values()).reduce((all, room) => ({ ...all, [room]: (all[room] || 0) + 1 }), {});
+    expect(placement.size).to.equal(5);
+    expect(counts).to.deep.equal({ one: 3, two: 2 });
+  });
+});
+
+describe("Breakout rooms", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  function breakout(client, roomId, payload) {
+    client.send({ type: "breakout", roomId, payload });
+  }
+
+  // Does what WebRTCService does when the host sends us elsewhere
+  async function follow(client, fromRoomId) {
+    const move = await client.next("breakout-move");
+    client.send({ type: "leave-room", roomId: fromRoomId });
+    await client.joinRoom(move.payload.roomId);
+    return move.payload.roomId;
+  }
+
+  it("should send everyone but the host to breakout rooms and bring them back", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const guests = [await FakeClient.signedIn(signaling.url), await FakeClient.signedIn(signaling.url)];
+    await host.joinRoom("workshop");
+    for (const guest of guests) await guest.joinRoom("workshop");
+
+    breakout(guests[0], "workshop", { action: "open", count: 2 });
+    expect((await guests[0].next("error")).payload.code).to.equal("not-allowed");
+
+    breakout(host, "workshop", { action: "open", count: 2 });
+    const rooms = await Promise.all(guests.map(guest => follow(guest, "workshop")));
+    expect(rooms.every(roomId => /^workshop:breakout-[12]$/.test(roomId))).to.equal(true);
+    const { payload } = await host.next("breakout-rooms");
+    expect(payload.rooms.map(room => room.name)).to.deep.equal(["Room 1", "Room 2"]);
+    expect(payload.assignments[guests[0].wallet.address]).to.equal(rooms[0]);
+
+    const stranger = await FakeClient.signedIn(signaling.url);
+    stranger.send({ type: "join-room", roomId: "workshop:breakout-1" });
+    expect((await stranger.next("join-denied")).payload.reason).to.include("breakout");
+
+    breakout(host, "workshop", { action: "broadcast", text: "Five minutes left" });
+    expect((await guests[1].next("breakout-message")).payload).to.deep.equal({ text: "Five minutes left", sender: host.wallet.address });
+
+    breakout(host, "workshop", { action: "close" });
+    expect(await Promise.all(guests.map((guest, i) => follow(guest, rooms[i])))).to.deep.equal(["workshop", "workshop"]);
+    expect((await host.next("breakout-rooms")).payload.rooms).to.deep.equal([]);
+  });
+
+  it("should move participants by hand and close the rooms when the countdown ends", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("workshop");
+    await alice.joinRoom("workshop");
+    await bob.joinRoom("workshop");
+
+    breakout(host, "workshop", { action: "open", count: 2, assignment: "manual", assignments: { [alice.clientId]: 2 } });
+    expect(await follow(alice, "workshop")).to.equal("workshop:breakout-2");
+    await host.next("breakout-rooms");
+
+    breakout(host, "workshop", { action: "move", participantId: bob.clientId, room: "workshop:breakout-2" });
+    await follow(bob, "workshop");
+    await host.next("breakout-rooms");
+    breakout(host, "workshop", { action: "move", participantId: alice.clientId, room: "workshop:breakout-1" });
+    expect(await follow(alice, "workshop:breakout-2")).to.equal("workshop:breakout-1");
+    await host.next("breakout-rooms");
+
+    breakout(host, "workshop", { action: "countdown", seconds: 1 });
+    expect(Date.parse((await host.next("breakout-rooms")).payload.closesAt)).to.be.above(Date.now());
+    expect(await follow(bob, "workshop:breakout-2")).to.equal("workshop");
+    expect(await follow(alice, "workshop:breakout-1")).to.equal("workshop");
+  });
+});
@@ -0,0 +1,46 @@
+import { expect } from "chai";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Chat", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  it("should relay and keep only the ciphertext of encrypted messages", async function () {
+    signaling = await startServer();
+    const logged = [];
+    const mutedLog = console.log;
+    console.log = (...args) => logged.push(args.join(" "));
+
+    try {
+      const alice = await FakeClient.signedIn(signaling.url);
+      const bob = await FakeClient.signedIn(signaling.url);
+      await alice.joinRoom("secret");
+      await bob.joinRoom("secret");
+
+      const encrypted = { keyId: "a1b2c3", iv: "aXZpdml2aXZpdg==", data: "Y2lwaGVydGV4dA==" };
+      alice.send({ type: "chat-message", roomId: "secret", payload: { encrypted } });
+      const relayed = await bob.next("chat-message");
+      alice.send({ type: "chat-message", roomId: "secret", payload: { text: "in the clear" } });
+      await bob.next("chat-message");
+
+      expect(relayed.payload.message).to.include({ sender: alice.wallet.address, senderId: alice.clientId });
+      expect(relayed.payload.message.encrypted).to.deep.equal(encrypted);
+      expect(relayed.payload.message).to.not.have.property("text");
+
+      const [stored] = signaling.storage.getMessages("secret").messages;
+      expect(stored.encrypted).to.deep.equal(encrypted);
+      expect(stored).to.not.have.property("text");
+
+      const carol = await FakeClient.signedIn(signaling.url);
+      const joined = await carol.joinRoom("secret");
+      expect(joined.payload.messages[0].encrypted).to.deep.equal(encrypted);
+
+      expect(logged.some(line => line.includes("Y2lwaGVydGV4dA==") || line.includes("in the clear"))).to.equal(false);
+    } finally {
+      console.log = mutedLog;
+    }
+  });
+});
@@ -0,0 +1,156 @@
+import { expect } from "chai";
+import { loadConfig } from "../config.js";
+import { Cluster } from "../cluster.js";
+import { InProcessAdapter, InProcessBus } from "../clusterAdapter.js";
+import { RedisAdapter } from "../redisAdapter.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+import { startFakeRedis } from "./helpers/fakeRedis.js";
+
+describe("Cluster", function () {
+  let bus, first, second;
+
+  function startInstance() {
+    return startServer({}, { cluster: new Cluster(new InProcessAdapter(bus), loadConfig({}).cluster) });
+  }
+
+  beforeEach(async function () {
+    bus = new InProcessBus();
+    first = await startInstance();
+    second = await startInstance();
+  });
+
+  afterEach(async function () {
+    // In reverse, as each one restores the console it found
+    await second.close();
+    await first.close();
+  });
+
+  it("should serve one room from several instances", async function () {
+    const alice = await FakeClient.signedIn(first.url);
+    const bob = await FakeClient.signedIn(second.url);
+    const opened = await alice.joinRoom("standup");
+    const joined = await bob.joinRoom("standup");
+
+    expect(joined.payload.participants.map(p => p.id)).to.have.members([alice.clientId, bob.clientId]);
+    expect((await alice.next("participant-joined")).payload.participant.id).to.equal(bob.clientId);
+
+    bob.send({ type: "offer", roomId: "standup", payload: { targetId: alice.clientId, offer: { type: "offer", sdp: "" } } });
+    expect((await alice.next("offer")).from).to.equal(bob.clientId);
+
+    alice.send({ type: "chat-message", roomId: "standup", payload: { text: "hello from the first instance" } });
+    expect((await bob.next("chat-message")).payload.message.text).to.equal("hello from the first instance");
+
+    const response = await fetch(`${second.url.replace("ws:", "http:")}/api/rooms`);
+    expect((await response.json()).map(({ id, participantCount }) => ({ id, participantCount })))
+      .to.deep.equal([{ id: "standup", participantCount: 2 }]);
+
+    // Who is in it is only for those in it
+    const roomUrl = `${first.url.replace("ws:", "http:")}/api/rooms/standup`;
+    const anonymous = await (await fetch(roomUrl)).json();
+    expect(anonymous.participantCount).to.equal(2);
+    expect(anonymous).to.not.have.property("participants");
+    const headers = { Authorization: `Bearer ${opened.payload.sessionToken}` };
+    const room = await (await fetch(roomUrl, { headers })).json();
+    expect(room.participants.map(p => p.address)).to.have.members([alice.wallet.address, bob.wallet.address]);
+
+    bob.send({ type: "leave-room", roomId: "standup" });
+    expect((await alice.next("participant-left")).payload.participantId).to.equal(bob.clientId);
+    expect(second.rooms.has("standup")).to.equal(false);
+  });
+
+  it("should drop the participants of an instance that stopped responding", async function () {
+    const ghost = { id: "ghost", address: "0x0000000000000000000000000000000000000001", presence: "active" };
+    const crashed = new InProcessAdapter(bus);
+    await crashed.setField("codarmeet:instances", "crashed", Date.now() - 60000);
+    await crashed.setField("codarmeet:members:crashed", JSON.stringify(["standup", "ghost"]), { roomId: "standup", participantId: "ghost" });
+    await crashed.setField("codarmeet:room:standup", "ghost", { participant: ghost, instanceId: "crashed" });
+
+    const alice = await FakeClient.signedIn(first.url);
+    const joined = await alice.joinRoom("standup");
+    expect(joined.payload.participants.map(p => p.id)).to.include("ghost");
+
+    // Only the crashed instance's rooms are looked at, not every room
+    const { adapter } = second.cluster;
+    const findHashes = adapter.findHashes.bind(adapter);
+    adapter.findHashes = (prefix) => prefix.startsWith("codarmeet:room:")
+      ? Promise.reject(new Error("Scanned every room"))
+      : findHashes(prefix);
+    await second.cluster.heartbeat();
+
+    expect((await alice.next("participant-left")).payload.participantId).to.equal("ghost");
+    expect(first.rooms.get("standup").participants.has("ghost")).to.equal(false);
+    expect(await crashed.findHashes("codarmeet:members:crashed")).to.deep.equal([]);
+    expect(await crashed.getFields("codarmeet:instances")).to.not.have.property("crashed");
+  });
+
+  it("should drop participants left behind by an instance it has no record of when it starts", async function () {
+    const ghost = { id: "ghost", address: "0x0000000000000000000000000000000000000001", presence: "active" };
+    await new InProcessAdapter(bus).setField("codarmeet:room:standup", "ghost", { participant: ghost, instanceId: "crashed" });
+    const alice = await FakeClient.signedIn(first.url);
+    await alice.joinRoom("standup");
+
+    const third = await startInstance();
+    try {
+      expect((await alice.next("participant-left")).payload.participantId).to.equal("ghost");
+      expect(first.rooms.get("standup").participants.has("ghost")).to.equal(false);
+    } finally {
+      await third.close();
+    }
+  });
+});
+
+describe("Redis cluster adapter", function () {
+  let redis, first, second;
+
+  function startInstance() {
+    const adapter = new RedisAdapter(redis.url.replace("redis://", "redis://:hunter2@"));
+    return adapter.connect().then(() => startServer({}, { cluster: new Cluster(adapter, loadConfig({}).cluster) }));
+  }
+
+  beforeEach(async function () {
+    redis = await startFakeRedis({ password: "hunter2" });
+    first = await startInstance();
+    second = await startInstance();
+  });
+
+  afterEach(async function () {
+    // In reverse, as each one restores the console it found
+    await second.close();
+    await first.close();
+    await redis.close();
+  });
+
+  it("should share rooms through a Redis server", async function () {
+    const alice = await FakeClient.signedIn(first.url);
+    const bob = await FakeClient.signedIn(second.url);
+    await alice.joinRoom("standup");
+    const joined = await bob.joinRoom("standup");
+
+    expect(joined.payload.participants.map(p => p.id)).to.have.members([alice.clientId, bob.clientId]);
+    expect(redis.hashes.get("codarmeet:room:standup").size).to.equal(2);
+
+    alice.send({ type: "chat-message", roomId: "standup", payload: { text: "over the wire" } });
+    expect((await bob.next("chat-message")).payload.message.text).to.equal("over the wire");
+
+    // Bob's session is still held for resumption when the instance shuts down
+    await second.close();
+    expect((await alice.next("participant-left")).payload.participantId).to.equal(bob.clientId);
+  });
+
+  it("should drop the participants of an instance whose record is gone", async function () {
+    const alice = await FakeClient.signedIn(first.url);
+    const bob = await FakeClient.signedIn(second.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+    await alice.next("participant-joined");
+
+    // The second instance dies without a trace of its heartbeats
+    clearInterval(second.cluster.heartbeatTimer);
+    redis.hashes.get("codarmeet:instances").delete(second.cluster.instanceId);
+
+    await first.cluster.heartbeat();
+    expect((await alice.next("participant-left")).payload.participantId).to.equal(bob.clientId);
+    expect(Array.from(redis.hashes.get("codarmeet:room:standup").keys())).to.deep.equal([alice.clientId]);
+    expect(redis.hashes.has(`codarmeet:members:${second.cluster.instanceId}`)).to.equal(false);
+  });
+});
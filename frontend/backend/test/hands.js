@@ -0,0 +1,120 @@
+import { expect } from "chai";
+import { loadConfig } from "../config.js";
+import { Cluster } from "../cluster.js";
+import { InProcessAdapter, InProcessBus } from "../clusterAdapter.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Raised hands and reactions", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  function raiseHand(client, roomId, raised = true) {
+    client.send({ type: "hand", roomId, payload: { raised } });
+  }
+
+  function queueOf(message) {
+    return message.payload.queue.map(hand => hand.participantId);
+  }
+
+  it("should queue hands in the order they went up and show them to late joiners", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("standup");
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+
+    raiseHand(bob, "standup");
+    expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId]);
+    raiseHand(alice, "standup");
+    expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId, alice.clientId]);
+    // Raising it again keeps its place
+    raiseHand(bob, "standup");
+    expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId, alice.clientId]);
+
+    const late = await FakeClient.signedIn(signaling.url);
+    const joined = await late.joinRoom("standup");
+    expect(joined.payload.hands.map(hand => hand.participantId)).to.deep.equal([bob.clientId, alice.clientId]);
+
+    raiseHand(bob, "standup", false);
+    expect(queueOf(await late.next("hands"))).to.deep.equal([alice.clientId]);
+    alice.send({ type: "leave-room", roomId: "standup" });
+    expect(queueOf(await late.next("hands"))).to.deep.equal([]);
+  });
+
+  it("should keep one queue for hands raised on different instances", async function () {
+    const bus = new InProcessBus();
+    const startInstance = () => startServer({}, { cluster: new Cluster(new InProcessAdapter(bus), loadConfig({}).cluster) });
+    signaling = await startInstance();
+    const other = await startInstance();
+    try {
+      const host = await FakeClient.signedIn(signaling.url);
+      const alice = await FakeClient.signedIn(signaling.url);
+      const bob = await FakeClient.signedIn(other.url);
+      const carol = await FakeClient.signedIn(other.url);
+      await host.joinRoom("standup");
+      await alice.joinRoom("standup");
+      await bob.joinRoom("standup");
+      await carol.joinRoom("standup");
+
+      raiseHand(bob, "standup");
+      expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId]);
+      raiseHand(alice, "standup");
+      expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId, alice.clientId]);
+      raiseHand(carol, "standup");
+      expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId, alice.clientId, carol.clientId]);
+
+      // A hand that goes down and up again joins the back of the queue
+      raiseHand(bob, "standup", false);
+      expect(queueOf(await host.next("hands"))).to.deep.equal([alice.clientId, carol.clientId]);
+      raiseHand(bob, "standup");
+      expect(queueOf(await host.next("hands"))).to.deep.equal([alice.clientId, carol.clientId, bob.clientId]);
+    } finally {
+      // In reverse, as each one restores the console it found
+      await other.close();
+    }
+  });
+
+  it("should let only the host and co-hosts lower other hands", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("standup");
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+    raiseHand(alice, "standup");
+    await host.next("hands");
+    raiseHand(bob, "standup");
+    await host.next("hands");
+
+    alice.send({ type: "moderate", roomId: "standup", payload: { action: "lower-hand", participantId: bob.clientId } });
+    expect((await alice.next("error")).payload.code).to.equal("not-allowed");
+
+    host.send({ type: "moderate", roomId: "standup", payload: { action: "lower-hand", participantId: alice.clientId } });
+    expect(queueOf(await host.next("hands"))).to.deep.equal([bob.clientId]);
+    host.send({ type: "moderate", roomId: "standup", payload: { action: "lower-hands" } });
+    expect(queueOf(await host.next("hands"))).to.deep.equal([]);
+  });
+
+  it("should relay reactions to everyone else in the room", async function () {
+    signaling = await startServer();
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+
+    alice.send({ type: "reaction", roomId: "standup", payload: { emoji: "🎉" } });
+    const reaction = await bob.next("reaction");
+    expect(reaction.from).to.equal(alice.clientId);
+    expect(reaction.payload).to.deep.equal({ emoji: "🎉" });
+
+    alice.send({ type: "reaction", roomId: "standup", payload: { emoji: "💩" } });
+    expect((await alice.next("error")).payload.code).to.equal("invalid-payload");
+    expect(alice.inbox.some(message => message.type === "reaction")).to.equal(false);
+  });
+});
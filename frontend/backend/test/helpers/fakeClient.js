@@ -0,0 +1,122 @@
+import { WebSocket } from "ws";
+import { ethers } from "ethers";
+import { loadConfig } from "../../config.js";
+import { createSignalingServer } from "../../signalingServer.js";
+import { PROTOCOL_VERSION } from "../../../src/shared/signalingProtocol.js";
+
+// Runs a signaling server on an ephemeral port. `overrides` are merged over
+// the default config. Server logging is muted until `close()`.
+export async function startServer(overrides = {}, options = {}) {
+  const consoleMethods = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+
+  const signaling = createSignalingServer({ config: { ...loadConfig({}), ...overrides }, ...options });
+  await signaling.ready;
+  await new Promise(resolve => signaling.server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    ...signaling,
+    url: `ws://127.0.0.1:${signaling.server.address().port}`,
+    async close() {
+      await Promise.all(Array.from(signaling.wss.clients, (socket) => {
+        const closed = new Promise(resolve => socket.once("close", resolve));
+        socket.terminate();
+        return closed;
+      }));
+      await new Promise(resolve => signaling.server.close(resolve));
+      await signaling.cluster.close();
+      Object.assign(console, consoleMethods);
+    }
+  };
+}
+
+// A scripted signaling client. Incoming messages are queued until a test
+// asks for them with `next(type)`.
+export class FakeClient {
+  constructor(url, options = {}) {
+    this.ws = new WebSocket(url, options);
+    this.wallet = ethers.Wallet.createRandom();
+    this.inbox = [];
+    this.waiters = [];
+
+    this.opened = new Promise((resolve, reject) => {
+      this.ws.once("open", resolve);
+      this.ws.once("error", reject);
+    });
+    this.closed = new Promise(resolve => {
+      this.ws.once("close", (code, reason) => resolve({ code, reason: reason.toString() }));
+    });
+
+    this.ws.on("message", (raw) => {
+      this.inbox.push(JSON.parse(raw.toString()));
+      this.flush();
+    });
+  }
+
+  static async connect(url, options) {
+    const client = new FakeClient(url, options);
+    await client.opened;
+    return client;
+  }
+
+  flush() {
+    for (const waiter of [...this.waiters]) {
+      const index = this.inbox.findIndex(message => message.type === waiter.type);
+      if (index === -1) continue;
+
+      this.waiters.splice(this.waiters.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      waiter.resolve(this.inbox.splice(index, 1)[0]);
+    }
+  }
+
+  // Resolves with the oldest unread message of `type`
+  next(type, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+      const waiter = { type, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.splice(this.waiters.indexOf(waiter), 1);
+        reject(new Error(`Timed out waiting for ${type}`));
+      }, timeoutMs);
+      this.waiters.push(waiter);
+      this.flush();
+    });
+  }
+
+  send(message) {
+    this.ws.send(typeof message === "string" ? message : JSON.stringify(message));
+  }
+
+  async hello() {
+    this.send({ type: "hello", payload: { version: PROTOCOL_VERSION } });
+    const welcome = await this.next("welcome");
+    this.clientId = welcome.payload.clientId;
+    return welcome;
+  }
+
+  async authenticate() {
+    this.send({ type: "auth-request", payload: { address: this.wallet.address } });
+    const challenge = await this.next("auth-challenge");
+    this.send({ type: "auth-response", payload: { signature: await this.wallet.signMessage(challenge.payload.message) } });
+    return this.next("authenticated");
+  }
+
+  // Connects, says hello and signs in
+  static async signedIn(url, options) {
+    const client = await FakeClient.connect(url, options);
+    await client.hello();
+    await client.authenticate();
+    return client;
+  }
+
+  // Joins `roomId`, resolving with its room-joined
+  joinRoom(roomId) {
+    this.send({ type: "join-room", roomId });
+    return this.next("room-joined");
+  }
+
+  close() {
+    this.ws.close();
+    return this.closed;
+  }
+}
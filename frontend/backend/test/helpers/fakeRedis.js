@@ -0,0 +1,107 @@
+import net from "net";
+import { decodeReply } from "../../redisAdapter.js";
+
+// A stand-in Redis server with just the commands the cluster adapter uses,
+// so the adapter can be tested over a real connection without Redis.
+// `password` makes it require AUTH.
+export async function startFakeRedis({ password = null } = {}) {
+  const hashes = new Map();
+  // channel -> Set of sockets
+  const subscribers = new Map();
+  const sockets = new Set();
+
+  const bulk = value => value === null ? "$-1\r\n" : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  const array = items => `*${items.length}\r\n${items.join("")}`;
+
+  function execute(socket, [name, ...args]) {
+    const command = name.toUpperCase();
+    if (command === "AUTH") {
+      socket.authenticated = args[args.length - 1] === password;
+      return socket.authenticated ? "+OK\r\n" : "-WRONGPASS invalid password\r\n";
+    }
+    if (password && !socket.authenticated) return "-NOAUTH Authentication required.\r\n";
+
+    switch (command) {
+      case "PING":
+        return "+PONG\r\n";
+      case "SELECT":
+        return "+OK\r\n";
+      case "HSET": {
+        const [hash, field, value] = args;
+        if (!hashes.has(hash)) hashes.set(hash, new Map());
+        const added = hashes.get(hash).has(field) ? 0 : 1;
+        hashes.get(hash).set(field, value);
+        return `:${added}\r\n`;
+      }
+      case "HSETNX": {
+        const [hash, field, value] = args;
+        if (hashes.get(hash)?.has(field)) return ":0\r\n";
+        if (!hashes.has(hash)) hashes.set(hash, new Map());
+        hashes.get(hash).set(field, value);
+        return ":1\r\n";
+      }
+      case "HDEL": {
+        const [hash, field] = args;
+        const fields = hashes.get(hash);
+        const removed = fields && fields.delete(field) ? 1 : 0;
+        if (fields && fields.size === 0) hashes.delete(hash);
+        return `:${removed}\r\n`;
+      }
+      case "HGETALL": {
+        const fields = hashes.get(args[0]) || new Map();
+        return array(Array.from(fields).flat().map(bulk));
+      }
+      case "SCAN": {
+        // Everything in one page; only trailing-* patterns are supported
+        const pattern = args[args.indexOf("MATCH") + 1].slice(0, -1).replace(/\\(.)/g, "$1");
+        const keys = Array.from(hashes.keys()).filter(key => key.startsWith(pattern));
+        return array([bulk("0"), array(keys.map(bulk))]);
+      }
+      case "PUBLISH": {
+        const [channel, message] = args;
+        const receivers = subscribers.get(channel) || new Set();
+        for (const receiver of receivers) {
+          receiver.write(array([bulk("message"), bulk(channel), bulk(message)]));
+        }
+        return `:${receivers.size}\r\n`;
+      }
+      case "SUBSCRIBE":
+        return args.map((channel, i) => {
+          if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+          subscribers.get(channel).add(socket);
+          return array([bulk("subscribe"), bulk(channel), `:${i + 1}\r\n`]);
+        }).join("");
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      let request;
+      while (buffer.length > 0 && (request = decodeReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        socket.write(execute(socket, request.value));
+      }
+    });
+    socket.on("close", () => {
+      sockets.delete(socket);
+      subscribers.forEach(receivers => receivers.delete(socket));
+    });
+    socket.on("error", () => {});
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    url: `redis://127.0.0.1:${server.address().port}`,
+    hashes,
+    close() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,85 @@
+import { expect } from "chai";
+import { createHmac } from "crypto";
+import { loadConfig } from "../config.js";
+import { createTurnCredentials, getIceServers } from "../iceServers.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("ICE servers", function () {
+  const now = () => 1700000000000;
+  const turnConfig = {
+    stunUrls: ["stun:stun.example.org:3478"],
+    turnUrls: ["turn:turn.example.org:3478?transport=udp", "turns:turn.example.org:5349"],
+    turnSecret: "north-pole",
+    turnCredentialTtlSeconds: 600
+  };
+
+  it("should mint credentials the TURN server can verify from the shared secret", function () {
+    const { username, credential, expiresAt } = createTurnCredentials("north-pole", "client-1", 600, now);
+
+    expect(expiresAt).to.equal(1700000600);
+    expect(username).to.equal("1700000600:client-1");
+    expect(credential).to.equal(createHmac("sha1", "north-pole").update(username).digest("base64"));
+  });
+
+  it("should list STUN and TURN servers with the credential lifetime", function () {
+    const { iceServers, ttl } = getIceServers(turnConfig, "client-1", now);
+
+    expect(ttl).to.equal(600);
+    expect(iceServers[0]).to.deep.equal({ urls: ["stun:stun.example.org:3478"] });
+    expect(iceServers[1].urls).to.deep.equal(turnConfig.turnUrls);
+    expect(iceServers[1].username).to.equal("1700000600:client-1");
+  });
+
+  it("should leave TURN out without a secret", function () {
+    const { iceServers, ttl } = getIceServers({ ...turnConfig, turnSecret: null }, "client-1", now);
+
+    expect(ttl).to.equal(null);
+    expect(iceServers).to.have.lengthOf(1);
+  });
+
+  it("should read the server lists from the environment", function () {
+    const config = loadConfig({ STUN_URLS: "", TURN_URLS: "turn:a:3478, turns:b:5349", TURN_SECRET: "s" });
+
+    expect(config.ice.stunUrls).to.deep.equal([]);
+    expect(config.ice.turnUrls).to.deep.equal(["turn:a:3478", "turns:b:5349"]);
+    expect(config.ice.turnCredentialTtlSeconds).to.equal(3600);
+    expect(loadConfig({}).ice.stunUrls).to.have.lengthOf(2);
+  });
+
+  describe("/api/ice-servers", function () {
+    let signaling, baseUrl;
+
+    beforeEach(async function () {
+      signaling = await startServer({ ice: turnConfig });
+      baseUrl = signaling.url.replace("ws:", "http:");
+    });
+
+    afterEach(async function () {
+      await signaling.close();
+    });
+
+    it("should require a session token", async function () {
+      const anonymous = await fetch(`${baseUrl}/api/ice-servers`);
+      const forged = await fetch(`${baseUrl}/api/ice-servers`, { headers: { Authorization: "Bearer nope" } });
+
+      expect(anonymous.status).to.equal(401);
+      expect(forged.status).to.equal(401);
+    });
+
+    it("should hand TURN credentials to clients in a room", async function () {
+      const client = await FakeClient.signedIn(signaling.url);
+      client.send({ type: "join-room", roomId: "standup" });
+      const { payload } = await client.next("room-joined");
+
+      const response = await fetch(`${baseUrl}/api/ice-servers`, {
+        headers: { Authorization: `Bearer ${payload.sessionToken}` }
+      });
+      const { iceServers, ttl } = await response.json();
+
+      expect(response.status).to.equal(200);
+      expect(response.headers.get("cache-control")).to.equal("no-store");
+      expect(ttl).to.equal(600);
+      expect(iceServers[1].username).to.match(new RegExp(`^\\d+:${client.clientId}$`));
+    });
+  });
+});
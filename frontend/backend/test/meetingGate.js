@@ -0,0 +1,99 @@
+import { expect } from "chai";
+import EventEmitter from "events";
+import { ethers } from "ethers";
+import { MeetingGate } from "../meetingGate.js";
+
+// Stands in for the ethers Contract, backed by an in-memory meeting table
+class FakeMeetingContract extends EventEmitter {
+  constructor() {
+    super();
+    this.meetings = new Map();
+  }
+
+  async getMeeting(meetingId) {
+    const meeting = this.meetings.get(String(meetingId));
+    if (!meeting) {
+      return { id: 0n, creator: ethers.ZeroAddress, isPrivate: false, participants: [] };
+    }
+    return { id: BigInt(meetingId), ...meeting };
+  }
+
+  createMeeting(meetingId, meeting) {
+    this.meetings.set(String(meetingId), meeting);
+    this.emit("MeetingCreated", BigInt(meetingId), meeting.creator);
+  }
+
+  setParticipants(meetingId, participants, event, participant) {
+    this.meetings.get(String(meetingId)).participants = participants;
+    this.emit(event, BigInt(meetingId), participant);
+  }
+}
+
+describe("Meeting gate", function () {
+  let contract, gate, creator, member, outsider;
+
+  beforeEach(function () {
+    [creator, member, outsider] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+    contract = new FakeMeetingContract();
+    contract.meetings.set("1", { creator, isPrivate: false, participants: [creator] });
+    contract.meetings.set("2", { creator, isPrivate: true, participants: [creator, member] });
+    gate = new MeetingGate(contract);
+  });
+
+  afterEach(function () {
+    gate.stop();
+  });
+
+  it("should be disabled without a contract address", function () {
+    expect(MeetingGate.fromEnv({}).isEnabled()).to.equal(false);
+  });
+
+  it("should let anyone into public meetings", async function () {
+    expect(await gate.checkAccess("1", outsider)).to.deep.equal({ allowed: true });
+  });
+
+  it("should only let listed participants into private meetings", async function () {
+    expect((await gate.checkAccess("2", member)).allowed).to.equal(true);
+    expect((await gate.checkAccess("2", member.toLowerCase())).allowed).to.equal(true);
+    const denied = await gate.checkAccess("2", outsider);
+    expect(denied.allowed).to.equal(false);
+    expect(denied.reason).to.include("private");
+  });
+
+  it("should refuse meetings that don't exist", async function () {
+    expect(await gate.checkAccess("99", creator)).to.deep.equal({ allowed: false, reason: "Meeting not found" });
+  });
+
+  it("should let people into a meeting they tried to join before it was created", async function () {
+    gate.start();
+    expect((await gate.checkAccess("3", creator)).allowed).to.equal(false);
+
+    contract.createMeeting("3", { creator, isPrivate: true, participants: [creator] });
+    expect((await gate.checkAccess("3", creator)).allowed).to.equal(true);
+    expect((await gate.getMeeting("3")).creator).to.equal(creator);
+  });
+
+  it("should emit access changes for private meetings", async function () {
+    gate.start();
+    await gate.checkAccess("2", outsider);
+
+    const granted = new Promise(resolve => gate.once("access-granted", resolve));
+    contract.setParticipants("2", [creator, member, outsider], "ParticipantAdded", outsider);
+    expect(await granted).to.deep.equal({ meetingId: "2", address: outsider });
+    expect((await gate.checkAccess("2", outsider)).allowed).to.equal(true);
+
+    const revoked = new Promise(resolve => gate.once("access-revoked", resolve));
+    contract.setParticipants("2", [creator, outsider], "ParticipantRemoved", member);
+    expect(await revoked).to.deep.equal({ meetingId: "2", address: member });
+    expect((await gate.checkAccess("2", member)).allowed).to.equal(false);
+  });
+
+  it("should not emit access changes for public meetings", async function () {
+    gate.start();
+    let emitted = false;
+    gate.on("access-granted", () => { emitted = true; });
+    contract.setParticipants("1", [creator, member], "ParticipantAdded", member);
+    await gate.loadMeeting("1");
+    expect(emitted).to.equal(false);
+  });
+});
@@ -0,0 +1,167 @@
+import { expect } from "chai";
+import { ethers } from "ethers";
+import { MeetingGate } from "../meetingGate.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Moderation", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  function moderate(client, roomId, action, participantId) {
+    client.send({ type: "moderate", roomId, payload: participantId ? { action, participantId } : { action } });
+  }
+
+  // Makes reads of the rooms' moderation state fail, as when Redis drops out
+  function failModerationReads() {
+    const { adapter } = signaling.cluster;
+    const getFields = adapter.getFields.bind(adapter);
+    adapter.getFields = (hash) => hash.includes(":moderation:")
+      ? Promise.reject(new Error("Connection lost"))
+      : getFields(hash);
+  }
+
+  it("should make whoever opens a room its host and only take commands from hosts", async function () {
+    signaling = await startServer();
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    const opened = await alice.joinRoom("standup");
+    const joined = await bob.joinRoom("standup");
+
+    expect(opened.payload.moderation).to.deep.equal({ host: alice.wallet.address, coHosts: [], locked: false, lobby: false });
+    expect(joined.payload.moderation.host).to.equal(alice.wallet.address);
+
+    moderate(alice, "standup", "mute", bob.clientId);
+    const muted = await bob.next("moderated");
+    expect(muted.from).to.equal(alice.clientId);
+    expect(muted.payload).to.deep.equal({ action: "mute" });
+
+    moderate(bob, "standup", "mute", alice.clientId);
+    const error = await bob.next("error");
+    expect(error.payload).to.include({ code: "not-allowed", messageType: "moderate" });
+    expect(alice.inbox.map(message => message.type)).to.not.include("moderated");
+  });
+
+  it("should let co-hosts lock the room and remove participants", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const coHost = await FakeClient.signedIn(signaling.url);
+    const carol = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("standup");
+    await coHost.joinRoom("standup");
+    await carol.joinRoom("standup");
+
+    moderate(host, "standup", "promote", coHost.clientId);
+    expect((await carol.next("room-moderation")).payload.coHosts).to.deep.equal([coHost.wallet.address]);
+    await host.next("room-moderation");
+
+    moderate(coHost, "standup", "remove", carol.clientId);
+    expect((await carol.next("removed-from-room")).payload.reason).to.include("removed");
+    carol.send({ type: "join-room", roomId: "standup" });
+    expect((await carol.next("join-denied")).payload.reason).to.include("removed");
+
+    moderate(coHost, "standup", "lock");
+    expect((await host.next("room-moderation")).payload.locked).to.equal(true);
+    const latecomer = await FakeClient.signedIn(signaling.url);
+    latecomer.send({ type: "join-room", roomId: "standup" });
+    expect((await latecomer.next("join-denied")).payload.reason).to.include("locked");
+
+    moderate(coHost, "standup", "demote", coHost.clientId);
+    expect((await coHost.next("error")).payload.code).to.equal("not-allowed");
+    moderate(coHost, "standup", "mute", host.clientId);
+    expect((await coHost.next("error")).payload.reason).to.include("host");
+  });
+
+  it("should keep everyone out while it can't tell who may join", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const carol = await FakeClient.signedIn(signaling.url);
+    const dave = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("standup");
+    moderate(host, "standup", "lock");
+    await host.next("room-moderation");
+    await host.joinRoom("review");
+    moderate(host, "review", "enable-lobby");
+    await host.next("room-moderation");
+
+    failModerationReads();
+    carol.send({ type: "join-room", roomId: "standup" });
+    expect((await carol.next("join-denied")).payload.reason).to.equal("Could not check room access, try again");
+    expect(carol.inbox.map(message => message.type)).to.not.include("room-joined");
+
+    // Nor does a room with a lobby let them straight in
+    dave.send({ type: "join-room", roomId: "review" });
+    expect((await dave.next("join-denied")).payload.reason).to.equal("Could not check room access, try again");
+    expect(dave.inbox.map(message => message.type)).to.not.include("room-joined");
+  });
+
+  it("should hold joiners in the lobby until the host answers", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    const carol = await FakeClient.signedIn(signaling.url);
+    const dave = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("standup");
+    moderate(host, "standup", "enable-lobby");
+    expect((await host.next("room-moderation")).payload.lobby).to.equal(true);
+
+    bob.send({ type: "join-room", roomId: "standup" });
+    await bob.next("lobby-waiting");
+    expect((await host.next("lobby")).payload.waiting.map(entry => entry.id)).to.deep.equal([bob.clientId]);
+    moderate(host, "standup", "admit", bob.clientId);
+    expect((await bob.next("room-joined")).payload.moderation.lobby).to.equal(true);
+    await host.next("lobby");
+
+    carol.send({ type: "join-room", roomId: "standup" });
+    await carol.next("lobby-waiting");
+    await host.next("lobby");
+    moderate(bob, "standup", "admit", carol.clientId);
+    expect((await bob.next("error")).payload.code).to.equal("not-allowed");
+    moderate(host, "standup", "deny", carol.clientId);
+    expect((await carol.next("join-denied")).payload.reason).to.include("host");
+    await host.next("lobby");
+
+    dave.send({ type: "join-room", roomId: "standup" });
+    await dave.next("lobby-waiting");
+    await host.next("lobby");
+    moderate(host, "standup", "admit-all");
+    await dave.next("room-joined");
+    expect((await host.next("lobby")).payload.waiting).to.deep.equal([]);
+    expect(bob.inbox.map(message => message.type)).to.not.include("lobby");
+  });
+
+  it("should keep a room's lobby setting for its next call", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("standup");
+    moderate(host, "standup", "enable-lobby");
+    await host.next("room-moderation");
+    expect(signaling.storage.getRoomSettings("standup")).to.deep.equal({ lobby: true });
+    host.send({ type: "leave-room", roomId: "standup" });
+
+    const guest = await FakeClient.signedIn(signaling.url);
+    const opened = await guest.joinRoom("standup");
+    expect(opened.payload.moderation).to.include({ host: guest.wallet.address, lobby: true });
+    host.send({ type: "join-room", roomId: "standup" });
+    await host.next("lobby-waiting");
+  });
+
+  it("should make a meeting's on-chain creator its host", async function () {
+    const creator = ethers.Wallet.createRandom();
+    const contract = {
+      async getMeeting(meetingId) {
+        return { id: BigInt(meetingId), creator: creator.address.toLowerCase(), isPrivate: false, participants: [] };
+      }
+    };
+    signaling = await startServer({}, { meetingGate: new MeetingGate(contract) });
+    const guest = await FakeClient.signedIn(signaling.url);
+
+    const joined = await guest.joinRoom("meeting-7");
+    expect(joined.payload.moderation.host).to.equal(creator.address);
+
+    moderate(guest, "meeting-7", "lock");
+    expect((await guest.next("error")).payload.code).to.equal("not-allowed");
+  });
+});
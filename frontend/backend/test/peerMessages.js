@@ -0,0 +1,49 @@
+import { expect } from "chai";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Peer message relay", function () {
+  let signaling, alice, bob;
+
+  beforeEach(async function () {
+    signaling = await startServer();
+    alice = await FakeClient.signedIn(signaling.url);
+    bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+  });
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  it("should pass messages on to their target only", async function () {
+    const carol = await FakeClient.signedIn(signaling.url);
+    await carol.joinRoom("standup");
+    const seen = [];
+    carol.ws.on("message", raw => seen.push(JSON.parse(raw.toString()).type));
+
+    alice.send({
+      type: "peer-message",
+      roomId: "standup",
+      payload: { targetId: bob.clientId, topic: "reaction", seq: 1, data: { emoji: "🎉" } }
+    });
+    const message = await bob.next("peer-message");
+
+    expect(message.from).to.equal(alice.clientId);
+    expect(message.payload).to.deep.equal({ topic: "reaction", seq: 1, data: { emoji: "🎉" } });
+    expect(seen).to.not.include("peer-message");
+  });
+
+  it("should only relay within a shared room", async function () {
+    const mallory = await FakeClient.signedIn(signaling.url);
+
+    mallory.send({
+      type: "peer-message",
+      roomId: "standup",
+      payload: { targetId: bob.clientId, topic: "reaction", seq: 1 }
+    });
+    const error = await mallory.next("error");
+
+    expect(error.payload.code).to.equal("not-in-room");
+  });
+});
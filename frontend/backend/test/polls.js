@@ -0,0 +1,96 @@
+import { expect } from "chai";
+import { describePoll, tallyVotes } from "../polls.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Poll results", function () {
+  const poll = {
+    id: "p1",
+    question: "Lunch?",
+    options: ["Pizza", "Sushi", "Salad"],
+    multiple: true,
+    results: "hidden",
+    quiz: true,
+    correct: [1],
+    closedAt: null,
+    votes: { "0xa": [0, 1], "0xb": [1] }
+  };
+
+  it("should count every choice of every voter", function () {
+    expect(tallyVotes(poll)).to.deep.equal([1, 2, 0]);
+  });
+
+  it("should keep hidden results and quiz answers from participants until the poll closes", function () {
+    expect(describePoll(poll, "0xb", false)).to.include({ voters: 2, tally: null, correct: null });
+    expect(describePoll(poll, "0xb", false).myVote).to.deep.equal([1]);
+    expect(describePoll(poll, "0xc", true).tally).to.deep.equal([1, 2, 0]);
+    expect(describePoll({ ...poll, closedAt: "2026-10-19T12:00:00.000Z" }, "0xc", false).correct).to.deep.equal([1]);
+    expect(describePoll(poll, "0xc", false)).to.not.have.property("votes");
+  });
+});
+
+describe("Polls", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  function poll(client, payload) {
+    client.send({ type: "poll", roomId: "vote", payload });
+  }
+
+  it("should take one vote per address and show live results to everyone", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const alice = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("vote");
+    await alice.joinRoom("vote");
+
+    poll(alice, { action: "create", question: "Ship it?", options: ["Yes", "No"] });
+    expect((await alice.next("error")).payload.code).to.equal("not-allowed");
+
+    poll(host, { action: "create", question: "Ship it?", options: ["Yes", "No"] });
+    const [created] = (await alice.next("polls")).payload.polls;
+    expect(created).to.include({ question: "Ship it?", multiple: false, results: "live", voters: 0, myVote: null });
+
+    poll(alice, { action: "vote", pollId: created.id, choices: [0, 1] });
+    expect((await alice.next("error")).payload.code).to.equal("invalid-payload");
+    poll(alice, { action: "vote", pollId: created.id, choices: [0] });
+    const [voted] = (await alice.next("polls")).payload.polls;
+    expect(voted.tally).to.deep.equal([1, 0]);
+    expect(voted.myVote).to.deep.equal([0]);
+    poll(alice, { action: "vote", pollId: created.id, choices: [1] });
+    expect((await alice.next("error")).payload.code).to.equal("already-voted");
+
+    const late = await FakeClient.signedIn(signaling.url);
+    const joined = await late.joinRoom("vote");
+    expect(joined.payload.polls[0]).to.include({ id: created.id, voters: 1 });
+
+    poll(host, { action: "close", pollId: created.id });
+    expect((await late.next("polls")).payload.polls[0].closedAt).to.be.a("string");
+    poll(late, { action: "vote", pollId: created.id, choices: [1] });
+    expect((await late.next("error")).payload.reason).to.equal("This poll is closed");
+  });
+
+  it("should hide results and answers of a quiz from participants until it closes", async function () {
+    signaling = await startServer();
+    const host = await FakeClient.signedIn(signaling.url);
+    const alice = await FakeClient.signedIn(signaling.url);
+    await host.joinRoom("vote");
+    await alice.joinRoom("vote");
+
+    poll(host, { action: "create", question: "2 + 2?", options: ["3", "4"], results: "hidden", correct: [1] });
+    const [quiz] = (await alice.next("polls")).payload.polls;
+    expect(quiz).to.include({ quiz: true, tally: null, correct: null });
+    expect((await host.next("polls")).payload.polls[0].correct).to.deep.equal([1]);
+
+    poll(alice, { action: "vote", pollId: quiz.id, choices: [1] });
+    expect((await alice.next("polls")).payload.polls[0].tally).to.equal(null);
+    expect((await host.next("polls")).payload.polls[0].tally).to.deep.equal([0, 1]);
+
+    poll(host, { action: "close", pollId: quiz.id });
+    const [closed] = (await alice.next("polls")).payload.polls;
+    expect(closed.tally).to.deep.equal([0, 1]);
+    expect(closed.correct).to.deep.equal([1]);
+  });
+});
@@ -0,0 +1,57 @@
+import { expect } from "chai";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Heartbeat and presence", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  it("should broadcast reported presence to the rest of the room", async function () {
+    signaling = await startServer();
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    const joined = await bob.joinRoom("standup");
+
+    expect(joined.payload.participants.map(p => p.presence)).to.deep.equal(["active", "active"]);
+
+    bob.send({ type: "presence", payload: { state: "idle" } });
+    const presence = await alice.next("presence");
+    expect(presence.roomId).to.equal("standup");
+    expect(presence.payload).to.deep.equal({ participantId: bob.clientId, state: "idle" });
+    expect(signaling.rooms.get("standup").participants.get(bob.clientId).presence).to.equal("idle");
+  });
+
+  it("should reject unknown presence states", async function () {
+    signaling = await startServer();
+    const client = await FakeClient.signedIn(signaling.url);
+
+    client.send({ type: "presence", payload: { state: "away" } });
+    const error = await client.next("error");
+    expect(error.payload).to.deep.equal({
+      code: "invalid-payload",
+      messageType: "presence",
+      reason: "payload.state must be one of active, idle"
+    });
+  });
+
+  it("should mark silent clients as reconnecting and then reap them", async function () {
+    signaling = await startServer({ heartbeatIntervalMs: 100, heartbeatTimeoutMs: 400, sessionResumeTtlMs: 0 });
+    const alice = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    // Stops answering pings, like a half-open socket
+    const ghost = await FakeClient.signedIn(signaling.url, { autoPong: false });
+    await ghost.joinRoom("standup");
+
+    const stalled = await alice.next("presence");
+    expect(stalled.payload).to.deep.equal({ participantId: ghost.clientId, state: "reconnecting" });
+
+    const left = await alice.next("participant-left");
+    expect(left.payload.participantId).to.equal(ghost.clientId);
+    expect(signaling.clients.has(ghost.clientId)).to.equal(false);
+    expect(signaling.rooms.get("standup").participants.size).to.equal(1);
+    await ghost.closed;
+  });
+});
@@ -0,0 +1,131 @@
+import { expect } from "chai";
+import { loadConfig, DEFAULT_RATE_LIMITS } from "../config.js";
+import { TokenBucket, ClientRateLimiter, ConnectionLimiter } from "../rateLimiter.js";
+import { CLOSE_CODES } from "../../src/shared/signalingProtocol.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Rate limiting", function () {
+  let time;
+  const now = () => time;
+
+  beforeEach(function () {
+    time = 0;
+  });
+
+  it("should refill token buckets over time up to their capacity", function () {
+    const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 1 }, now);
+
+    expect([bucket.take(), bucket.take(), bucket.take()]).to.deep.equal([true, true, false]);
+    time = 500;
+    expect(bucket.take()).to.equal(false);
+    time = 1000;
+    expect(bucket.take()).to.equal(true);
+    time = 60000;
+    expect([bucket.take(), bucket.take(), bucket.take()]).to.deep.equal([true, true, false]);
+  });
+
+  it("should limit each message type separately and flag repeat offenders", function () {
+    const limits = { "default": { capacity: 1, refillPerSecond: 0 }, "chat-message": { capacity: 2, refillPerSecond: 0 } };
+    const limiter = new ClientRateLimiter(limits, { capacity: 1, refillPerSecond: 0 }, now);
+
+    expect(limiter.consume("chat-message")).to.equal("allowed");
+    expect(limiter.consume("chat-message")).to.equal("allowed");
+    expect(limiter.consume("offer")).to.equal("allowed");
+    expect(limiter.consume("chat-message")).to.equal("limited");
+    expect(limiter.consume(null)).to.equal("abusive");
+  });
+
+  it("should cap connections per address", function () {
+    const limiter = new ConnectionLimiter(2);
+
+    expect([limiter.acquire("a"), limiter.acquire("a"), limiter.acquire("a")]).to.deep.equal([true, true, false]);
+    expect(limiter.acquire("b")).to.equal(true);
+    limiter.release("a");
+    expect(limiter.acquire("a")).to.equal(true);
+  });
+
+  it("should read limits from the environment", function () {
+    const config = loadConfig({ RATE_LIMIT_CHAT_MESSAGE: "5:0.5", RATE_LIMIT_OFFER: "bogus", MAX_CLIENTS_PER_IP: "3" });
+
+    expect(config.rateLimits["chat-message"]).to.deep.equal({ capacity: 5, refillPerSecond: 0.5 });
+    expect(config.rateLimits.offer).to.deep.equal(DEFAULT_RATE_LIMITS.offer);
+    expect(config.maxClientsPerIp).to.equal(3);
+    expect(config.maxPayloadBytes).to.equal(64 * 1024);
+  });
+
+  describe("signaling server", function () {
+    let signaling;
+
+    afterEach(async function () {
+      await signaling.close();
+    });
+
+    it("should answer floods with rate-limited errors and then disconnect", async function () {
+      signaling = await startServer({
+        rateLimits: { ...DEFAULT_RATE_LIMITS, "chat-message": { capacity: 2, refillPerSecond: 0 } },
+        violationLimit: { capacity: 2, refillPerSecond: 0 }
+      });
+      const client = await FakeClient.signedIn(signaling.url);
+      client.send({ type: "join-room", roomId: "flood" });
+      await client.next("room-joined");
+
+      for (let i = 0; i < 5; i++) {
+        client.send({ type: "chat-message", roomId: "flood", payload: { text: `spam ${i}` } });
+      }
+
+      await client.next("chat-message");
+      await client.next("chat-message");
+      const error = await client.next("error");
+      expect(error.payload).to.include({ code: "rate-limited", messageType: "chat-message" });
+      expect((await client.closed).code).to.equal(CLOSE_CODES.RATE_LIMITED);
+    });
+
+    it("should close connections that send oversized frames", async function () {
+      signaling = await startServer({ maxPayloadBytes: 1024 });
+      const client = await FakeClient.connect(signaling.url);
+      await client.hello();
+
+      client.send({ type: "chat-message", roomId: "big", payload: { text: "x".repeat(2000) } });
+
+      expect((await client.closed).code).to.equal(1009);
+    });
+
+    it("should refuse connections beyond the per-address limit", async function () {
+      signaling = await startServer({ maxClientsPerIp: 2 });
+      const first = await FakeClient.connect(signaling.url);
+      await FakeClient.connect(signaling.url);
+
+      const third = new FakeClient(signaling.url);
+      expect((await third.closed).code).to.equal(CLOSE_CODES.TOO_MANY_CONNECTIONS);
+
+      await first.close();
+      const replacement = await FakeClient.connect(signaling.url);
+      expect((await replacement.hello()).type).to.equal("welcome");
+    });
+
+    it("should count forwarded addresses separately behind a trusted proxy", async function () {
+      signaling = await startServer({ maxClientsPerIp: 1, trustProxy: true });
+      const headersFor = (ip) => ({ headers: { "x-forwarded-for": `${ip}, 10.0.0.1` } });
+
+      await FakeClient.connect(signaling.url, headersFor("203.0.113.1"));
+      const other = await FakeClient.connect(signaling.url, headersFor("203.0.113.2"));
+      expect((await other.hello()).type).to.equal("welcome");
+
+      const repeat = new FakeClient(signaling.url, headersFor("203.0.113.1"));
+      expect((await repeat.closed).code).to.equal(CLOSE_CODES.TOO_MANY_CONNECTIONS);
+    });
+
+    it("should cap the rooms created from one address", async function () {
+      signaling = await startServer({ maxRoomsPerIp: 1 });
+      const client = await FakeClient.signedIn(signaling.url);
+
+      client.send({ type: "join-room", roomId: "first" });
+      await client.next("room-joined");
+      client.send({ type: "join-room", roomId: "second" });
+
+      const error = await client.next("error");
+      expect(error.payload).to.include({ code: "room-limit", messageType: "join-room" });
+      expect(signaling.rooms.has("second")).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+import { expect } from "chai";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("Session resumption", function () {
+  let signaling, alice, bob, sessionToken;
+
+  async function reconnect(token) {
+    const client = await FakeClient.connect(signaling.url);
+    await client.hello();
+    client.send({ type: "resume", payload: { sessionToken: token } });
+    return client;
+  }
+
+  async function setUp(overrides) {
+    signaling = await startServer(overrides);
+    alice = await FakeClient.signedIn(signaling.url);
+    bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    sessionToken = (await bob.joinRoom("standup")).payload.sessionToken;
+    await alice.next("participant-joined");
+  }
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  it("should issue a session token on join", async function () {
+    await setUp();
+
+    expect(sessionToken).to.match(/^[0-9a-f]{64}$/);
+  });
+
+  it("should keep a dropped client in its rooms and restore it on resume", async function () {
+    await setUp();
+    bob.ws.terminate();
+
+    const stalled = await alice.next("presence");
+    expect(stalled.payload).to.deep.equal({ participantId: bob.clientId, state: "reconnecting" });
+
+    const returning = await reconnect(sessionToken);
+    const resumed = await returning.next("resumed");
+    expect(resumed.payload).to.deep.equal({ clientId: bob.clientId, address: bob.wallet.address });
+
+    const rejoined = await returning.next("room-joined");
+    expect(rejoined.roomId).to.equal("standup");
+    expect(rejoined.payload.participants.map(p => p.id)).to.have.members([alice.clientId, bob.clientId]);
+
+    const active = await alice.next("presence");
+    expect(active.payload).to.deep.equal({ participantId: bob.clientId, state: "active" });
+
+    // Still signed in, and peers can signal the resumed client under its old id
+    alice.send({ type: "offer", roomId: "standup", payload: { targetId: bob.clientId, offer: { type: "offer", sdp: "" } } });
+    expect((await returning.next("offer")).from).to.equal(alice.clientId);
+    expect(alice.inbox.map(message => message.type)).to.not.include("participant-left");
+  });
+
+  it("should take over from a half-open socket", async function () {
+    await setUp();
+
+    const returning = await reconnect(sessionToken);
+    await returning.next("resumed");
+
+    await bob.closed;
+    expect(signaling.clients.get(bob.clientId).ws.readyState).to.equal(1);
+    expect(signaling.rooms.get("standup").participants.size).to.equal(2);
+  });
+
+  it("should remove the client once the session expires", async function () {
+    await setUp({ sessionResumeTtlMs: 100 });
+    bob.ws.terminate();
+
+    const left = await alice.next("participant-left");
+    expect(left.payload.participantId).to.equal(bob.clientId);
+
+    const returning = await reconnect(sessionToken);
+    const failed = await returning.next("resume-failed");
+    expect(failed.payload.reason).to.equal("Session expired or unknown");
+  });
+
+  it("should not resume unknown sessions", async function () {
+    await setUp();
+
+    const stranger = await reconnect("f".repeat(64));
+    await stranger.next("resume-failed");
+    stranger.send({ type: "join-room", roomId: "standup" });
+    expect((await stranger.next("auth-error")).payload.error).to.equal("Authentication required");
+  });
+});
@@ -0,0 +1,163 @@
+import { expect } from "chai";
+import { MediaStream, MediaStreamTrack, RTCPeerConnection, RtpHeader, RtpPacket } from "werift";
+import { loadConfig } from "../config.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+describe("SFU mode", function () {
+  this.timeout(10000);
+
+  let signaling, peers, timers;
+
+  async function setUp(participantThreshold) {
+    signaling = await startServer({ sfu: { participantThreshold }, ice: { ...loadConfig({}).ice, stunUrls: [] } });
+  }
+
+  // Signals a werift peer connection with the SFU over the client's socket,
+  // the way WebRTCService does in the browser
+  function connectToSfu(client, roomId) {
+    const pc = new RTCPeerConnection({ iceServers: [] });
+    peers.push(pc);
+    let operations = Promise.resolve();
+
+    pc.onicecandidate = ({ candidate }) => {
+      if (candidate) {
+        client.send({ type: "ice-candidate", roomId, payload: { targetId: "sfu", candidate: candidate.toJSON() } });
+      }
+    };
+
+    client.ws.on("message", (raw) => {
+      const { type, from, payload } = JSON.parse(raw.toString());
+      if (from !== "sfu") return;
+
+      operations = operations.then(async () => {
+        if (type === "offer") {
+          await pc.setRemoteDescription(payload.offer);
+          await pc.setLocalDescription(await pc.createAnswer());
+          const answer = { type: "answer", sdp: pc.localDescription.sdp };
+          client.send({ type: "answer", roomId, payload: { targetId: "sfu", answer } });
+        } else if (type === "answer") {
+          await pc.setRemoteDescription(payload.answer);
+        } else if (type === "ice-candidate") {
+          await pc.addIceCandidate(payload.candidate);
+        }
+      });
+    });
+
+    pc.offer = async () => {
+      await pc.setLocalDescription(await pc.createOffer());
+      const offer = { type: "offer", sdp: pc.localDescription.sdp };
+      client.send({ type: "offer", roomId, payload: { targetId: "sfu", offer } });
+    };
+    return pc;
+  }
+
+  // Feeds a local track with VP8-looking packets
+  function startSending(track) {
+    let sequenceNumber = 0;
+    timers.push(setInterval(() => {
+      const header = new RtpHeader({ payloadType: 96, sequenceNumber: sequenceNumber++, timestamp: sequenceNumber * 3000, ssrc: 1, marker: true });
+      track.writeRtp(new RtpPacket(header, Buffer.from([0x90, 0x80, 0, 0])));
+    }, 20));
+  }
+
+  beforeEach(function () {
+    peers = [];
+    timers = [];
+  });
+
+  afterEach(async function () {
+    timers.forEach(clearInterval);
+    await Promise.all(peers.map(pc => pc.close()));
+    await signaling.close();
+  });
+
+  it("should move a room to the SFU once it passes the threshold", async function () {
+    await setUp(2);
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    const carol = await FakeClient.signedIn(signaling.url);
+
+    expect((await alice.joinRoom("standup")).payload.mediaMode).to.equal("mesh");
+    expect((await bob.joinRoom("standup")).payload.mediaMode).to.equal("mesh");
+    await alice.next("participant-joined");
+
+    const seen = [];
+    alice.ws.on("message", raw => seen.push(JSON.parse(raw.toString()).type));
+
+    expect((await carol.joinRoom("standup")).payload.mediaMode).to.equal("sfu");
+    expect((await alice.next("media-mode")).payload).to.deep.equal({ mode: "sfu" });
+    await alice.next("participant-joined");
+
+    // Told to switch before hearing about carol, so it never offers her a mesh connection
+    expect(seen).to.deep.equal(["media-mode", "participant-joined"]);
+    expect(signaling.rooms.get("standup").mediaMode).to.equal("sfu");
+  });
+
+  it("should refuse SFU signaling in mesh rooms", async function () {
+    await setUp(2);
+    const alice = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+
+    alice.send({ type: "offer", roomId: "standup", payload: { targetId: "sfu", offer: { type: "offer", sdp: "" } } });
+    const error = await alice.next("error");
+    expect(error.payload).to.deep.equal({
+      code: "sfu-unavailable",
+      messageType: "offer",
+      reason: "Room standup is not using the SFU"
+    });
+  });
+
+  it("should forward published media to the rest of the room", async function () {
+    await setUp(1);
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+    await alice.next("media-mode");
+
+    const camera = new MediaStreamTrack({ kind: "video" });
+    const publisher = connectToSfu(alice, "standup");
+    publisher.addTransceiver(camera, { direction: "sendonly", streams: [new MediaStream({ id: "camera" })] });
+    await publisher.offer();
+    startSending(camera);
+
+    const subscriber = connectToSfu(bob, "standup");
+    // Like a client without a camera, which has nothing to publish
+    subscriber.createDataChannel("sfu");
+    const received = new Promise(resolve => {
+      subscriber.ontrack = ({ track, streams }) => {
+        track.onReceiveRtp.once(() => resolve(streams[0].id));
+      };
+    });
+    await subscriber.offer();
+
+    // Labelled with the publisher's id, which is what onTrack reports
+    expect(await received).to.equal(alice.clientId);
+  });
+
+  it("should stop forwarding a participant's tracks once it leaves", async function () {
+    await setUp(1);
+    const alice = await FakeClient.signedIn(signaling.url);
+    const bob = await FakeClient.signedIn(signaling.url);
+    await alice.joinRoom("standup");
+    await bob.joinRoom("standup");
+
+    const publisher = connectToSfu(alice, "standup");
+    publisher.addTransceiver(new MediaStreamTrack({ kind: "audio" }), { direction: "sendonly" });
+    await publisher.offer();
+    await alice.next("answer");
+
+    const subscriber = connectToSfu(bob, "standup");
+    subscriber.createDataChannel("sfu");
+    await subscriber.offer();
+    await bob.next("answer");
+    const subscribed = await bob.next("offer");
+    expect(subscribed.payload.offer.sdp).to.include(`a=msid:${alice.clientId} `);
+
+    alice.send({ type: "leave-room", roomId: "standup" });
+    const unsubscribed = await bob.next("offer");
+
+    expect(unsubscribed.payload.offer.sdp).to.not.include(`a=msid:${alice.clientId} `);
+    expect(Array.from(signaling.sfu.rooms.get("standup").keys())).to.deep.equal([bob.clientId]);
+  });
+});
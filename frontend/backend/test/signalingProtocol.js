@@ -0,0 +1,112 @@
+import { expect } from "chai";
+import {
+  PROTOCOL_VERSION,
+  CLIENT_MESSAGE_TYPES,
+  ProtocolError,
+  createMessage,
+  createErrorMessage,
+  getMeetingIdForRoom,
+  isCompatibleVersion,
+  parseMessage,
+  validateMessage
+} from "../../src/shared/signalingProtocol.js";
+
+describe("Signaling protocol", function () {
+  it("should only include envelope fields that are set", function () {
+    expect(createMessage("join-room", { roomId: "meeting-1" })).to.deep.equal({
+      type: "join-room",
+      roomId: "meeting-1"
+    });
+    expect(createMessage("offer", { roomId: "r", from: "a", payload: { offer: {} } })).to.deep.equal({
+      type: "offer",
+      roomId: "r",
+      from: "a",
+      payload: { offer: {} }
+    });
+  });
+
+  it("should refuse to build unknown message types", function () {
+    expect(() => createMessage("client-id")).to.throw(ProtocolError, "Unknown message type");
+  });
+
+  it("should build error messages", function () {
+    expect(createErrorMessage("unsupported-version", "nope", "hello")).to.deep.equal({
+      type: "error",
+      payload: { code: "unsupported-version", messageType: "hello", reason: "nope" }
+    });
+  });
+
+  it("should round-trip messages through parseMessage", function () {
+    const message = createMessage("hello", { payload: { version: PROTOCOL_VERSION } });
+    expect(parseMessage(JSON.stringify(message), CLIENT_MESSAGE_TYPES)).to.deep.equal(message);
+    expect(parseMessage(Buffer.from(JSON.stringify(message)), CLIENT_MESSAGE_TYPES)).to.deep.equal(message);
+  });
+
+  it("should reject malformed envelopes", function () {
+    const codeOf = (raw) => {
+      try {
+        parseMessage(raw, CLIENT_MESSAGE_TYPES);
+      } catch (error) {
+        return error.code;
+      }
+      return null;
+    };
+
+    expect(codeOf("{not json")).to.equal("invalid-json");
+    expect(codeOf("[]")).to.equal("invalid-message");
+    expect(codeOf("{}")).to.equal("invalid-message");
+    expect(codeOf(JSON.stringify({ type: "welcome" }))).to.equal("unknown-type");
+    expect(codeOf(JSON.stringify({ type: "join-room", roomId: 7 }))).to.equal("invalid-message");
+    expect(codeOf(JSON.stringify({ type: "chat-message", payload: "hi" }))).to.equal("invalid-message");
+  });
+
+  it("should accept messages that match their schema", function () {
+    const offer = { type: "offer", roomId: "r", payload: { targetId: "abc", offer: { type: "offer", sdp: "" } } };
+    expect(validateMessage(offer)).to.equal(offer);
+    expect(() => validateMessage({ ...offer, payload: { ...offer.payload, renew: true } })).to.not.throw();
+    expect(() => validateMessage({ type: "leave-room", roomId: "r" })).to.not.throw();
+  });
+
+  it("should name the offending field and message type", function () {
+    const reject = (message) => {
+      try {
+        validateMessage(message);
+      } catch (error) {
+        expect(error).to.be.instanceOf(ProtocolError);
+        return [error.code, error.messageType, error.message];
+      }
+      return null;
+    };
+
+    expect(reject({ type: "join-room" })).to.deep.equal(["invalid-payload", "join-room", "roomId is required"]);
+    expect(reject({ type: "join-room", roomId: "" })).to.deep.equal(["invalid-payload", "join-room", "roomId must not be empty"]);
+    expect(reject({ type: "chat-message", roomId: "r" })).to.deep.equal(["invalid-payload", "chat-message", "payload is required"]);
+    expect(reject({ type: "chat-message", roomId: "r", payload: {} }))
+      .to.deep.equal(["invalid-payload", "chat-message", "payload.text is required"]);
+    expect(reject({ type: "chat-message", roomId: "r", payload: { text: "x".repeat(2001) } }))
+      .to.deep.equal(["invalid-payload", "chat-message", "payload.text must be at most 2000 characters"]);
+    expect(reject({ type: "chat-message", roomId: "r", payload: { text: "hi", encrypted: { keyId: "k", iv: "i", data: "d" } } }))
+      .to.deep.equal(["invalid-payload", "chat-message", "payload.text and payload.encrypted can't both be given"]);
+    expect(reject({ type: "chat-message", roomId: "r", payload: { encrypted: { keyId: "k", iv: "i" } } }))
+      .to.deep.equal(["invalid-payload", "chat-message", "payload.encrypted.data is required"]);
+    expect(reject({ type: "chat-message", roomId: "r", payload: { encrypted: { keyId: "k", iv: "i", data: "d" } } })).to.equal(null);
+    expect(reject({ type: "hello", payload: { version: "1" } }))
+      .to.deep.equal(["invalid-payload", "hello", "payload.version must be an integer"]);
+    expect(reject({ type: "answer", roomId: "r", payload: { targetId: "a", answer: [] } }))
+      .to.deep.equal(["invalid-payload", "answer", "payload.answer must be an object"]);
+    expect(reject({ type: "offer", roomId: "r", payload: { targetId: "a", offer: {}, renew: "yes" } }))
+      .to.deep.equal(["invalid-payload", "offer", "payload.renew must be a boolean"]);
+  });
+
+  it("should map meeting-<id> rooms to meeting ids", function () {
+    expect(getMeetingIdForRoom("meeting-42")).to.equal("42");
+    expect(getMeetingIdForRoom("team-sync")).to.equal(null);
+    expect(getMeetingIdForRoom("meeting-42-extra")).to.equal(null);
+  });
+
+  it("should only accept supported versions", function () {
+    expect(isCompatibleVersion(PROTOCOL_VERSION)).to.equal(true);
+    expect(isCompatibleVersion(PROTOCOL_VERSION + 1)).to.equal(false);
+    expect(isCompatibleVersion(undefined)).to.equal(false);
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from "chai";
+import { MediaStreamTrack, RtpHeader, RtpPacket } from "werift";
+import { SelectiveForwardingUnit } from "../sfu.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+// VP8 payload descriptors: start of a partition, then a keyframe or an interframe
+const KEYFRAME = Buffer.from([0x10, 0x00]);
+const INTERFRAME = Buffer.from([0x10, 0x01]);
+
+const SSRCS = { low: 1, medium: 2, high: 3 };
+
+describe("Simulcast layers", function () {
+  describe("in a mesh", function () {
+    let signaling;
+
+    beforeEach(async function () {
+      signaling = await startServer();
+    });
+
+    afterEach(async function () {
+      await signaling.close();
+    });
+
+    it("should pass layer requests on to the publisher", async function () {
+      const alice = await FakeClient.signedIn(signaling.url);
+      const bob = await FakeClient.signedIn(signaling.url);
+      alice.send({ type: "join-room", roomId: "standup" });
+      await alice.next("room-joined");
+      bob.send({ type: "join-room", roomId: "standup" });
+      await bob.next("room-joined");
+
+      bob.send({ type: "video-layer", roomId: "standup", payload: { participantId: alice.clientId, layer: "low" } });
+      const request = await alice.next("video-layer");
+
+      expect(request.from).to.equal(bob.clientId);
+      expect(request.payload).to.deep.equal({ layer: "low" });
+    });
+
+    it("should reject unknown layers", async function () {
+      const alice = await FakeClient.signedIn(signaling.url);
+      alice.send({ type: "join-room", roomId: "standup" });
+      await alice.next("room-joined");
+
+      alice.send({ type: "video-layer", roomId: "standup", payload: { participantId: alice.clientId, layer: "ultra" } });
+      const error = await alice.next("error");
+
+      expect(error.payload.code).to.equal("invalid-payload");
+    });
+  });
+
+  describe("through the SFU", function () {
+    let sfu, alice, bob, tracks, keyframeRequests, forwarded;
+
+    // Publishes the layers the way werift reports a simulcast m-line, one
+    // remote track per RID, and subscribes bob to them
+    async function publishLayers(rids) {
+      const receiver = { sendRtcpPLI: async (ssrc) => keyframeRequests.push(ssrc) };
+      for (const rid of rids) {
+        tracks[rid] = new MediaStreamTrack({ kind: "video", rid });
+        sfu.publish(alice, tracks[rid], receiver);
+      }
+
+      await bob.operations;
+      const subscription = alice.publications[0].subscriptions.get("bob");
+      subscription.relay.onReceiveRtp.subscribe(rtp => forwarded.push(rtp));
+    }
+
+    function send(rid, payload) {
+      const header = new RtpHeader({ payloadType: 96, sequenceNumber: 1, timestamp: 3000, ssrc: SSRCS[rid] });
+      header.extensions = [{ id: 4, payload: Buffer.from(rid) }];
+      tracks[rid].writeRtp(new RtpPacket(header, payload));
+    }
+
+    beforeEach(function () {
+      sfu = new SelectiveForwardingUnit({ send: () => {} });
+      alice = sfu.createSession("standup", "alice");
+      bob = sfu.createSession("standup", "bob");
+      tracks = {};
+      keyframeRequests = [];
+      forwarded = [];
+    });
+
+    afterEach(async function () {
+      // Let the offer to bob finish before its connection closes
+      await bob.operations;
+      sfu.close();
+    });
+
+    it("should group a track's layers into one publication", async function () {
+      await publishLayers(["low", "medium", "high"]);
+
+      expect(alice.publications).to.have.lengthOf(1);
+      expect(Array.from(alice.publications[0].layers.keys())).to.deep.equal(["low", "medium", "high"]);
+    });
+
+    it("should start forwarding the default layer on its first keyframe", async function () {
+      await publishLayers(["low", "medium", "high"]);
+      send("medium", INTERFRAME);
+      expect(forwarded).to.be.empty;
+      expect(keyframeRequests).to.deep.equal([2]);
+
+      send("medium", KEYFRAME);
+      send("high", KEYFRAME);
+      send("medium", INTERFRAME);
+
+      expect(forwarded.map(rtp => rtp.header.ssrc)).to.deep.equal([2, 2]);
+      // The publisher's extension ids mean nothing on the subscriber's connection
+      expect(forwarded[0].header.extensions).to.be.empty;
+    });
+
+    it("should switch layers on the next keyframe of the new one", async function () {
+      await publishLayers(["low", "medium", "high"]);
+      send("medium", KEYFRAME);
+      sfu.setLayer("standup", "bob", "alice", "high");
+
+      send("high", INTERFRAME);
+      send("medium", INTERFRAME);
+      send("high", KEYFRAME);
+      send("medium", INTERFRAME);
+      send("high", INTERFRAME);
+
+      expect(forwarded.map(rtp => rtp.header.ssrc)).to.deep.equal([2, 2, 3, 3]);
+      expect(keyframeRequests).to.deep.equal([3]);
+    });
+
+    it("should fall back to the closest lower layer the publisher sends", async function () {
+      await publishLayers(["low", "medium"]);
+      send("medium", KEYFRAME);
+      sfu.setLayer("standup", "bob", "alice", "high");
+      send("medium", INTERFRAME);
+
+      expect(forwarded.map(rtp => rtp.header.ssrc)).to.deep.equal([2, 2]);
+    });
+
+    it("should remember a layer asked for before the track is published", async function () {
+      sfu.setLayer("standup", "bob", "alice", "low");
+      await publishLayers(["low", "medium", "high"]);
+      send("medium", KEYFRAME);
+      send("low", KEYFRAME);
+
+      expect(forwarded.map(rtp => rtp.header.ssrc)).to.deep.equal([1]);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+import { expect } from "chai";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { MemoryStorage } from "../storage.js";
+import { SCHEMA_VERSION, SqliteStorage, getSchemaVersion, migrate, openDatabase } from "../sqliteStorage.js";
+import { FakeClient, startServer } from "./helpers/fakeClient.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function message(id, timestamp = new Date().toISOString()) {
+  return { id, text: `message ${id}`, sender: "0xabc", senderId: "client-1", timestamp };
+}
+
+const implementations = {
+  "in memory": retention => new MemoryStorage(retention),
+  "in SQLite": retention => new SqliteStorage(":memory:", retention)
+};
+
+for (const [name, createStorage] of Object.entries(implementations)) {
+  describe(`Storage ${name}`, function () {
+    let storage;
+
+    afterEach(function () {
+      storage.close();
+    });
+
+    it("should page through a room's messages, oldest first", function () {
+      storage = createStorage();
+      for (let i = 1; i <= 5; i++) storage.addMessage("standup", message(`m${i}`));
+      storage.addMessage("other", message("x1"));
+
+      const latest = storage.getMessages("standup", { limit: 2 });
+      expect(latest.messages.map(m => m.id)).to.deep.equal(["m4", "m5"]);
+      expect(latest.hasMore).to.equal(true);
+
+      const earlier = storage.getMessages("standup", { before: "m4", limit: 2 });
+      expect(earlier.messages.map(m => m.id)).to.deep.equal(["m2", "m3"]);
+      const first = storage.getMessages("standup", { before: "m2", limit: 2 });
+      expect(first.messages.map(m => m.id)).to.deep.equal(["m1"]);
+      expect(first.hasMore).to.equal(false);
+      expect(storage.countMessages("standup")).to.equal(5);
+    });
+
+    it("should keep encrypted messages as they came", function () {
+      storage = createStorage();
+      const encrypted = { id: "e1", encrypted: { keyId: "k", iv: "i", data: "d" }, sender: "0xabc", senderId: "c", timestamp: new Date().toISOString() };
+
+      storage.addMessage("secret", encrypted);
+
+      expect(storage.getMessages("secret").messages).to.deep.equal([encrypted]);
+    });
+
+    it("should keep only the latest messages of a room", function () {
+      storage = createStorage({ maxMessagesPerRoom: 3 });
+      for (let i = 1; i <= 5; i++) storage.addMessage("standup", message(`m${i}`));
+
+      expect(storage.getMessages("standup").messages.map(m => m.id)).to.deep.equal(["m3", "m4", "m5"]);
+    });
+
+    it("should record who joined and left", function () {
+      storage = createStorage();
+      storage.saveRoom({ id: "standup", meetingId: null, createdAt: "2026-01-01T09:00:00.000Z" });
+      storage.recordJoin("standup", { participantId: "a", address: "0xa", at: "2026-01-01T09:00:00.000Z" });
+      storage.recordJoin("standup", { participantId: "b", address: "0xb", at: "2026-01-01T09:01:00.000Z" });
+      storage.recordLeave("standup", "a", "2026-01-01T09:30:00.000Z");
+
+      expect(storage.getParticipantHistory("standup")).to.deep.equal([
+        { participantId: "b", address: "0xb", joinedAt: "2026-01-01T09:01:00.000Z", leftAt: null },
+        { participantId: "a", address: "0xa", joinedAt: "2026-01-01T09:00:00.000Z", leftAt: "2026-01-01T09:30:00.000Z" }
+      ]);
+    });
+
+    it("should keep room settings, with defaults for new rooms", function () {
+      storage = createStorage();
+      expect(storage.getRoomSettings("standup")).to.deep.equal({ lobby: false });
+      storage.saveRoomSettings("standup", { lobby: true });
+      expect(storage.getRoomSettings("standup")).to.deep.equal({ lobby: true });
+      expect(storage.getRoomSettings("other")).to.deep.equal({ lobby: false });
+    });
+
+    it("should page back through the audit log, newest first", function () {
+      storage = createStorage();
+      for (const action of ["list-rooms", "kick", "ban"]) {
+        storage.recordAudit({ at: new Date().toISOString(), actor: "ops", ip: "127.0.0.1", action, details: { roomId: "standup" } });
+      }
+
+      const latest = storage.getAuditLog({ limit: 2 });
+      expect(latest.entries.map(entry => entry.action)).to.deep.equal(["ban", "kick"]);
+      expect(latest.entries[0].details).to.deep.equal({ roomId: "standup" });
+      expect(latest.hasMore).to.equal(true);
+      const earlier = storage.getAuditLog({ before: latest.entries[1].id, limit: 2 });
+      expect(earlier.entries.map(entry => entry.action)).to.deep.equal(["list-rooms"]);
+      expect(earlier.hasMore).to.equal(false);
+    });
+
+    it("should prune what's past its retention", function () {
+      storage = createStorage({ messageTtlMs: DAY_MS, historyTtlMs: 7 * DAY_MS });
+      const now = Date.parse("2026-03-01T12:00:00.000Z");
+      const ago = days => new Date(now - days * DAY_MS).toISOString();
+      storage.saveRoom({ id: "old", meetingId: null, createdAt: ago(30) });
+      storage.recordJoin("old", { participantId: "a", address: "0xa", at: ago(30) });
+      storage.recordLeave("old", "a", ago(29));
+      storage.closeRoom("old", ago(29));
+      storage.addMessage("old", message("stale", ago(29)));
+      storage.saveRoom({ id: "recent", meetingId: null, createdAt: ago(2) });
+      storage.addMessage("recent", message("yesterday", ago(2)));
+      storage.addMessage("recent", message("fresh", ago(0.5)));
+
+      storage.prune(now);
+
+      expect(storage.getRoom("old")).to.equal(null);
+      expect(storage.getParticipantHistory("old")).to.deep.equal([]);
+      expect(storage.getRoom("recent")).to.include({ id: "recent", closedAt: null });
+      expect(storage.getMessages("recent").messages.map(m => m.id)).to.deep.equal(["fresh"]);
+    });
+  });
+}
+
+describe("SQLite storage", function () {
+  let directory;
+
+  beforeEach(function () {
+    directory = mkdtempSync(join(tmpdir(), "signaling-storage-"));
+  });
+
+  afterEach(function () {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("should migrate a database once and refuse an outdated one", function () {
+    const path = join(directory, "signaling.db");
+    const db = openDatabase(path);
+    expect(migrate(db)).to.deep.equal(Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+    expect(migrate(db)).to.deep.equal([]);
+    expect(getSchemaVersion(db)).to.equal(SCHEMA_VERSION);
+    db.close();
+
+    const outdated = join(directory, "outdated.db");
+    openDatabase(outdated).close();
+    expect(() => new SqliteStorage(outdated, {}, { migrate: false })).to.throw(/run npm run migrate/);
+  });
+
+  it("should keep rooms and chat across a server restart", async function () {
+    const path = join(directory, "signaling.db");
+    let signaling = await startServer({}, { storage: new SqliteStorage(path) });
+    const alice = await FakeClient.signedIn(signaling.url);
+    alice.send({ type: "join-room", roomId: "standup" });
+    await alice.next("room-joined");
+    alice.send({ type: "chat-message", roomId: "standup", payload: { text: "still here?" } });
+    await alice.next("chat-message");
+    await signaling.close();
+
+    signaling = await startServer({}, { storage: new SqliteStorage(path) });
+    try {
+      const bob = await FakeClient.signedIn(signaling.url);
+      bob.send({ type: "join-room", roomId: "standup" });
+      const joined = await bob.next("room-joined");
+
+      expect(joined.payload.messages.map(m => m.text)).to.deep.equal(["still here?"]);
+      expect(signaling.storage.getParticipantHistory("standup").map(record => record.address))
+        .to.deep.equal([bob.wallet.address, alice.wallet.address]);
+    } finally {
+      await signaling.close();
+    }
+  });
+});
+
+describe("Chat history", function () {
+  let signaling;
+
+  afterEach(async function () {
+    await signaling.close();
+  });
+
+  it("should send the latest page on joining and earlier pages on request", async function () {
+    signaling = await startServer({ chatHistoryPageSize: 3 });
+    const alice = await FakeClient.signedIn(signaling.url);
+    alice.send({ type: "join-room", roomId: "standup" });
+    await alice.next("room-joined");
+    for (let i = 1; i <= 5; i++) {
+      alice.send({ type: "chat-message", roomId: "standup", payload: { text: `m${i}` } });
+      await alice.next("chat-message");
+    }
+
+    const bob = await FakeClient.signedIn(signaling.url);
+    bob.send({ type: "join-room", roomId: "standup" });
+    const joined = await bob.next("room-joined");
+    expect(joined.payload.messages.map(m => m.text)).to.deep.equal(["m3", "m4", "m5"]);
+    expect(joined.payload.hasMoreMessages).to.equal(true);
+
+    bob.send({ type: "chat-history", roomId: "standup", payload: { before: joined.payload.messages[0].id } });
+    const history = await bob.next("chat-history");
+    expect(history.payload.messages.map(m => m.text)).to.deep.equal(["m1", "m2"]);
+    expect(history.payload.hasMore).to.equal(false);
+
+    const outsider = await FakeClient.signedIn(signaling.url);
+    outsider.send({ type: "chat-history", roomId: "standup", payload: {} });
+    const error = await outsider.next("error");
+    expect(error.payload).to.include({ code: "not-in-room", messageType: "chat-history" });
+  });
+});
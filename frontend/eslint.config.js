@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['backend/**/*.js', 'test/**/*.js'],
+    languageOptions: {
+      globals: { ...globals.node, ...globals.mocha },
+    },
+  },
 ]
@@ -6,7 +6,7 @@ import CrossChainService from "./services/CrossChainService.js";
 import {
   AppBar, Toolbar, Typography, Button, Box, Container, Grid, Card, CardContent,
   Snackbar, Alert, CircularProgress, Dialog, DialogTitle, DialogContent, DialogActions,
-  TextField, Chip, Avatar, Divider, Paper, Tooltip
+  TextField, Chip, Avatar, Divider, Paper, Tooltip, FormControlLabel, Switch
 } from "@mui/material";
 import AddIcon from "@mui/icons-material/Add";
 import AccountBalanceWalletIcon from "@mui/icons-material/AccountBalanceWallet";
@@ -22,6 +22,7 @@ export default function App() {
   const [meetingCount, setMeetingCount] = useState(0);
   const [openDialog, setOpenDialog] = useState(false);
   const [meetingTitle, setMeetingTitle] = useState("");
+  const [isPrivateMeeting, setIsPrivateMeeting] = useState(false);
   const [snackbar, setSnackbar] = useState({ open: false, message: "", severity: "success" });
   const [isLoading, setIsLoading] = useState(false);
   const [isConnecting, setIsConnecting] = useState(false);
@@ -164,11 +165,12 @@ export default function App() {
     setIsLoading(true);
     try {
       const scheduledTime = Math.floor(new Date().getTime() / 1000); // current time as Unix timestamp
-      const tx = await contractService.createMeeting(meetingTitle, "A decentralized meeting", scheduledTime, false);
+      const tx = await contractService.createMeeting(meetingTitle, "A decentralized meeting", scheduledTime, isPrivateMeeting);
+      const meetingId = await contractService.getCreatedMeetingId(tx);
       setSnackbar({ open: true, message: "Meeting created successfully!", severity: "success" });
       fetchMeetingCount();
-      // Go live immediately
-      setVideoChatRoom(meetingTitle.replace(/\s+/g, '-').toLowerCase());
+      // Go live immediately; the signaling server maps meeting-<id> rooms to the on-chain meeting
+      setVideoChatRoom(`meeting-${meetingId}`);
       setVideoChatOpen(true);
     } catch (e) {
       setSnackbar({ open: true, message: e.message, severity: "error" });
@@ -176,6 +178,7 @@ export default function App() {
     setIsLoading(false);
     setOpenDialog(false);
     setMeetingTitle("");
+    setIsPrivateMeeting(false);
   }
 
   function formatAddress(address) {
@@ -437,8 +440,15 @@ export default function App() {
             onChange={(e) => setMeetingTitle(e.target.value)}
             sx={{ mb: 2 }}
           />
+          <FormControlLabel
+            control={<Switch checked={isPrivateMeeting} onChange={(e) => setIsPrivateMeeting(e.target.checked)} />}
+            label="Private meeting"
+            sx={{ mb: 1 }}
+          />
           <Typography variant="body2" sx={{ color: '#666' }}>
-            This meeting will be created on the blockchain and can be joined by other participants.
+            {isPrivateMeeting
+              ? "Only wallets you add to the meeting on-chain will be able to join the call."
+              : "This meeting will be created on the blockchain and can be joined by other participants."}
           </Typography>
         </DialogContent>
         <DialogActions sx={{ p: 3 }}>
@@ -465,7 +475,7 @@ export default function App() {
       </Dialog>
 
       {/* VideoChat dialog for live meetings */}
-      <VideoChat open={videoChatOpen} onClose={() => setVideoChatOpen(false)} roomName={videoChatRoom} />
+      <VideoChat open={videoChatOpen} onClose={() => setVideoChatOpen(false)} roomName={videoChatRoom} walletService={walletService} contractService={contractService} />
 
       <Snackbar
         open={snackbar.open}
@@ -25,7 +25,11 @@ import {
   DialogActions,
   Avatar,
   Popover,
-  ListItemAvatar
+  ListItemAvatar,
+  LinearProgress,
+  Badge,
+  Checkbox,
+  Radio
 } from '@mui/material';
 import { 
   Mic, 
@@ -42,14 +46,173 @@ import {
   ClosedCaption,
   ClosedCaptionOff,
   Settings,
-  Group
+  Group,
+  SignalCellular0Bar,
+  SignalCellular1Bar,
+  SignalCellular2Bar,
+  SignalCellular3Bar,
+  SignalCellular4Bar,
+  AttachFile,
+  Lock,
+  LockOpen,
+  NoEncryption,
+  PersonRemove,
+  AddModerator,
+  RemoveModerator,
+  MeetingRoom,
+  NoMeetingRoom,
+  HowToReg,
+  Block,
+  CallSplit,
+  PanTool,
+  EmojiEmotions,
+  Poll
 } from '@mui/icons-material';
+import { keyframes } from '@mui/material/styles';
 import WebRTCService from './services/WebRTCService';
+import FileTransferService, { DEFAULT_MAX_FILE_SIZE, formatSize } from './services/FileTransferService';
+import MediaEncryption, { isMediaEncryptionSupported } from './services/MediaEncryption';
+import ChatEncryption from './services/ChatEncryption';
+import KeyExchange from './services/KeyExchange';
+import { layerForSize } from './services/simulcast';
+import { REACTIONS, getMeetingIdForRoom } from './shared/signalingProtocol';
 import PersonIcon from '@mui/icons-material/Person';
 
-const VideoChat = ({ open, onClose, roomName }) => {
+const formatAddress = (address) => address ? `${address.slice(0, 6)}...${address.slice(-4)}` : '';
+
+const PRESENCE_LABELS = {
+  idle: 'Idle',
+  reconnecting: 'Reconnecting…'
+};
+
+const ROLE_LABELS = {
+  'host': 'Host',
+  'co-host': 'Co-host'
+};
+
+const NO_MODERATION = { host: null, coHosts: [], locked: false, lobby: false };
+
+const EMPTY_POLL = { question: '', options: ['', ''], multiple: false, results: 'live', quiz: false, correct: [] };
+
+// Media connection problems, shown on the participant's tile
+const PEER_STATE_LABELS = {
+  connecting: 'Connecting…',
+  reconnecting: 'Restoring video…',
+  failed: 'Connection lost'
+};
+
+// Signal bars by connection quality score, see WebRTCService.onStatsUpdate
+const QUALITY_LEVELS = {
+  1: { label: 'Poor', color: '#f44336', Icon: SignalCellular1Bar },
+  2: { label: 'Fair', color: '#ff9800', Icon: SignalCellular2Bar },
+  3: { label: 'Good', color: '#8bc34a', Icon: SignalCellular3Bar },
+  4: { label: 'Excellent', color: '#4caf50', Icon: SignalCellular4Bar }
+};
+
+// Largest file accepted, chosen in the chat panel
+const MAX_FILE_SIZE_OPTIONS = [10, 50, 100, 500].map(megabytes => megabytes * 1024 * 1024);
+
+const FILE_STATUS_LABELS = {
+  pending: 'Waiting…',
+  sending: 'Sending',
+  receiving: 'Receiving',
+  interrupted: 'Reconnecting…',
+  complete: 'Done',
+  failed: 'Failed',
+  rejected: 'Not accepted',
+  corrupt: 'Damaged in transit'
+};
+
+// What we can tell about a participant's media while ours is end-to-end
+// encrypted, see MediaEncryption.onStateChange
+const ENCRYPTION_STATES = {
+  encrypted: { label: 'End-to-end encrypted', color: '#4caf50', Icon: Lock },
+  undecryptable: { label: "Can't decrypt their media. Do you have the same passphrase?", color: '#f44336', Icon: NoEncryption },
+  unverified: { label: "Their key isn't signed by the wallet they joined with", color: '#f44336', Icon: NoEncryption }
+};
+const ENCRYPTION_PENDING = { label: 'Waiting for their key…', color: '#bdbdbd', Icon: LockOpen };
+
+// How long a reaction floats over its tile
+const REACTION_DURATION_MS = 3000;
+
+const floatUp = keyframes`
+  from { transform: translateY(0) scale(1); opacity: 1; }
+  to { transform: translateY(-160px) scale(1.4); opacity: 0; }
+`;
+
+// Reactions rising over a tile, [{ id, emoji }]
+const FloatingReactions = ({ reactions }) => (
+  <Box sx={{ position: 'absolute', left: 16, bottom: 40, pointerEvents: 'none' }}>
+    {reactions.map((reaction, idx) => (
+      <Typography
+        key={reaction.id}
+        sx={{ position: 'absolute', bottom: 0, left: (idx % 3) * 24, fontSize: 36, animation: `${floatUp} ${REACTION_DURATION_MS}ms ease-out forwards` }}
+      >
+        {reaction.emoji}
+      </Typography>
+    ))}
+  </Box>
+);
+
+const formatStat = (value, unit) => value === null || value === undefined ? '—' : `${Math.round(value)} ${unit}`;
+
+// Signal bars for a tile, with the numbers behind them in a popover
+const NetworkBadge = ({ stats, title, onExport }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+  const level = stats && QUALITY_LEVELS[stats.score];
+  const Icon = level ? level.Icon : SignalCellular0Bar;
+
+  const rows = stats ? [
+    ['Bitrate', formatStat(stats.bitrate, 'kbps')],
+    ['Packet loss', stats.packetLoss === null ? '—' : `${stats.packetLoss}%`],
+    ['Round trip', formatStat(stats.roundTripTime, 'ms')],
+    ['Jitter', formatStat(stats.jitter, 'ms')],
+    ['Frame rate', formatStat(stats.frameRate, 'fps')]
+  ] : [];
+
+  return (
+    <>
+      <Tooltip title={level ? `${title}: ${level.label}` : `${title}: measuring…`}>
+        <IconButton
+          size="small"
+          onClick={e => setAnchorEl(e.currentTarget)}
+          sx={{ position: 'absolute', top: 8, right: 8, bgcolor: 'rgba(0,0,0,0.5)', color: level ? level.color : '#9e9e9e', '&:hover': { bgcolor: 'rgba(0,0,0,0.7)' } }}
+        >
+          <Icon fontSize="small" />
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={Boolean(anchorEl)}
+        anchorEl={anchorEl}
+        onClose={() => setAnchorEl(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ p: 2, minWidth: 220 }}>
+          <Typography variant="subtitle2" sx={{ fontWeight: 600 }}>{title}</Typography>
+          <Typography variant="body2" sx={{ mb: 1, color: level ? level.color : 'text.secondary' }}>
+            {level ? level.label : 'Measuring…'}
+          </Typography>
+          {rows.map(([label, value]) => (
+            <Box key={label} sx={{ display: 'flex', justifyContent: 'space-between', gap: 2 }}>
+              <Typography variant="caption" color="text.secondary">{label}</Typography>
+              <Typography variant="caption">{value}</Typography>
+            </Box>
+          ))}
+          <Button size="small" startIcon={<Download />} onClick={onExport} sx={{ mt: 1 }}>
+            Export stats
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+const VideoChat = ({ open, onClose, roomName, walletService, contractService }) => {
   const [localStream, setLocalStream] = useState(null);
   const [remoteStreams, setRemoteStreams] = useState(new Map());
+  const [peerStates, setPeerStates] = useState(new Map());
+  const [connectionStats, setConnectionStats] = useState(null);
   const [participants, setParticipants] = useState([]);
   const [isConnected, setIsConnected] = useState(false);
   const [isMuted, setIsMuted] = useState(false);
@@ -76,7 +239,20 @@ const VideoChat = ({ open, onClose, roomName }) => {
   // Chat state
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
+  const [hasEarlierMessages, setHasEarlierMessages] = useState(false);
+  const [isLoadingEarlierMessages, setIsLoadingEarlierMessages] = useState(false);
   const [showChat, setShowChat] = useState(true);
+  const [fileTransfers, setFileTransfers] = useState(new Map());
+  const [maxFileSize, setMaxFileSize] = useState(DEFAULT_MAX_FILE_SIZE);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [fileNotice, setFileNotice] = useState('');
+  const [isEncrypted, setIsEncrypted] = useState(false);
+  const [isChatEncrypted, setIsChatEncrypted] = useState(false);
+  const [encryptionStates, setEncryptionStates] = useState(new Map());
+  const [showEncryptionSettings, setShowEncryptionSettings] = useState(false);
+  const [encryptionKeySource, setEncryptionKeySource] = useState('passphrase');
+  const [encryptionPassphrase, setEncryptionPassphrase] = useState('');
+  const [isEncryptionStarting, setIsEncryptionStarting] = useState(false);
 
   const localVideoRef = useRef();
   const remoteVideosRef = useRef(new Map());
@@ -85,9 +261,51 @@ const VideoChat = ({ open, onClose, roomName }) => {
   const recordingTimerRef = useRef();
   const recognitionRef = useRef();
   const webrtcServiceRef = useRef();
+  const fileTransferServiceRef = useRef();
+  // Shared by media and chat encryption with wallet-signed keys
+  const keyExchangeRef = useRef(null);
+  const messagesRef = useRef([]);
+  const lastMessageIdRef = useRef(null);
+  const fileInputRef = useRef();
+  const nextReactionIdRef = useRef(0);
 
   const [participantsAnchorEl, setParticipantsAnchorEl] = useState(null);
   const [shareSnackbar, setShareSnackbar] = useState(false);
+  const [accessNotice, setAccessNotice] = useState('');
+  const [systemMessage, setSystemMessage] = useState(null);
+  const [myAddress, setMyAddress] = useState(null);
+  const [myClientId, setMyClientId] = useState(null);
+  const [moderation, setModeration] = useState(NO_MODERATION);
+  // Those waiting in the lobby, for hosts and co-hosts
+  const [lobby, setLobby] = useState([]);
+  // { rooms, assignments, closesAt } while the room is split into breakout rooms
+  const [breakouts, setBreakouts] = useState(null);
+  // { roomId, name } of the breakout room we're in
+  const [breakoutRoom, setBreakoutRoom] = useState(null);
+  const [showBreakouts, setShowBreakouts] = useState(false);
+  const [breakoutCount, setBreakoutCount] = useState(2);
+  const [breakoutAssignment, setBreakoutAssignment] = useState('random');
+  // participant id -> room number, for manual assignment
+  const [manualAssignments, setManualAssignments] = useState({});
+  const [breakoutBroadcast, setBreakoutBroadcast] = useState('');
+  const [breakoutCountdown, setBreakoutCountdown] = useState(60);
+  const [breakoutSecondsLeft, setBreakoutSecondsLeft] = useState(null);
+  // The speaking queue, [{ participantId, raisedAt }] first raised first
+  const [hands, setHands] = useState([]);
+  // Reactions still floating, [{ id, participantId, emoji }]
+  const [reactions, setReactions] = useState([]);
+  const [reactionsAnchorEl, setReactionsAnchorEl] = useState(null);
+  // The room's polls as the server lets us see them
+  const [polls, setPolls] = useState([]);
+  const [showPolls, setShowPolls] = useState(false);
+  const [newPoll, setNewPoll] = useState(EMPTY_POLL);
+  // poll id -> option indexes we've picked but not sent yet
+  const [pollChoices, setPollChoices] = useState({});
+  // Ids of polls whose results are on-chain already
+  const [recordedPollIds, setRecordedPollIds] = useState(new Set());
+  const [recordingPollId, setRecordingPollId] = useState(null);
+  const [signalingError, setSignalingError] = useState(null);
+  const [isReconnecting, setIsReconnecting] = useState(false);
 
   // Available languages for speech recognition
   const availableLanguages = [
@@ -113,9 +331,54 @@ const VideoChat = ({ open, onClose, roomName }) => {
     return () => cleanup();
   }, [open]);
 
+  // Count down to the breakout rooms closing
+  useEffect(() => {
+    if (!breakouts?.closesAt) {
+      setBreakoutSecondsLeft(null);
+      return;
+    }
+
+    const tick = () => {
+      setBreakoutSecondsLeft(Math.max(0, Math.ceil((Date.parse(breakouts.closesAt) - Date.now()) / 1000)));
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [breakouts]);
+
+  // Report idle while the meeting tab is in the background
+  useEffect(() => {
+    if (!open) return;
+
+    const handleVisibilityChange = () => {
+      webrtcServiceRef.current?.setPresence(document.hidden ? 'idle' : 'active');
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, [open]);
+
+  // Ask for each remote video at the simulcast layer that suits its tile
+  useEffect(() => {
+    if (!open || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(entries => {
+      entries.forEach(entry => {
+        const height = entry.contentRect.height * window.devicePixelRatio;
+        webrtcServiceRef.current?.requestVideoLayer(entry.target.dataset.participantId, layerForSize(height));
+      });
+    });
+    remoteVideosRef.current.forEach(video => observer.observe(video));
+    return () => observer.disconnect();
+  }, [open, remoteStreams]);
+
   useEffect(() => {
-    // Auto-scroll to bottom of chat
-    chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    // Auto-scroll to bottom of chat for new messages, not earlier ones loading
+    const lastMessageId = messages.length > 0 ? messages[messages.length - 1].id : null;
+    if (lastMessageId !== lastMessageIdRef.current) {
+      chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
+    lastMessageIdRef.current = lastMessageId;
+    messagesRef.current = messages;
   }, [messages]);
 
   // Recording timer effect
@@ -176,6 +439,25 @@ const VideoChat = ({ open, onClose, roomName }) => {
           newStreams.delete(participantId);
           return newStreams;
         });
+        setPeerStates(prev => {
+          const newStates = new Map(prev);
+          newStates.delete(participantId);
+          return newStates;
+        });
+      });
+
+      webrtcServiceRef.current.onStatsUpdate(setConnectionStats);
+
+      // Someone encrypting is a black tile and unreadable chat until we do too
+      webrtcServiceRef.current.on('e2ee-hello', () => {
+        if (!webrtcServiceRef.current?.isEncrypted() && !webrtcServiceRef.current?.isChatEncrypted()) {
+          setAccessNotice('Someone here encrypts end to end. Turn on encryption to see, hear and read them.');
+        }
+      });
+
+      fileTransferServiceRef.current = new FileTransferService(webrtcServiceRef.current, { maxFileSize });
+      fileTransferServiceRef.current.onTransferUpdate((transfer) => {
+        setFileTransfers(prev => new Map(prev).set(transfer.id, transfer));
       });
 
       webrtcServiceRef.current.onTrack((participantId, stream) => {
@@ -186,27 +468,129 @@ const VideoChat = ({ open, onClose, roomName }) => {
         });
       });
 
+      webrtcServiceRef.current.onJoinDenied((reason) => {
+        setConnectionStatus('Waiting for access to this meeting');
+        setAccessNotice(reason);
+      });
+
+      webrtcServiceRef.current.onRemoved((reason) => {
+        setParticipants([]);
+        setRemoteStreams(new Map());
+        setIsConnected(false);
+        setConnectionStatus('Removed from meeting');
+        setAccessNotice(reason);
+      });
+
+      webrtcServiceRef.current.onSystemMessage(setSystemMessage);
+
+      webrtcServiceRef.current.onModerationChanged(setModeration);
+
+      webrtcServiceRef.current.onLobbyWaiting((reason) => {
+        setConnectionStatus(reason);
+      });
+
+      webrtcServiceRef.current.onLobbyChanged(setLobby);
+
+      webrtcServiceRef.current.onBreakoutsChanged(setBreakouts);
+
+      webrtcServiceRef.current.onHandsChanged(setHands);
+
+      webrtcServiceRef.current.onReaction(showReaction);
+
+      webrtcServiceRef.current.onPollsChanged(setPolls);
+
+      // The service rebuilds the peers; we drop the old room's tiles
+      webrtcServiceRef.current.onBreakoutMove((roomId, name) => {
+        setRemoteStreams(new Map());
+        setPeerStates(new Map());
+        setParticipants([]);
+        setLobby([]);
+        setBreakoutRoom(name ? { roomId, name } : null);
+        setSystemMessage({ text: name ? `The host moved you to ${name}` : 'You are back in the main room', level: 'info' });
+      });
+
+      webrtcServiceRef.current.onBreakoutMessage((text, sender) => {
+        setSystemMessage({ text: `${formatAddress(sender)} to all rooms: ${text}`, level: 'info' });
+      });
+
+      // The host can turn our microphone or camera off; turning them back on is up to us
+      webrtcServiceRef.current.onModerated((action) => {
+        const stream = webrtcServiceRef.current?.localStream;
+        if (action === 'mute') {
+          stream?.getAudioTracks().forEach(track => { track.enabled = false; });
+          setIsMuted(true);
+          setAccessNotice('The host muted you');
+        } else if (action === 'stop-video') {
+          stream?.getVideoTracks().forEach(track => { track.enabled = false; });
+          setIsVideoOff(true);
+          setAccessNotice('The host turned off your camera');
+        }
+      });
+
+      webrtcServiceRef.current.onError((error) => {
+        setSignalingError(error);
+      });
+
+      webrtcServiceRef.current.onConnectionStateChange((state) => {
+        setIsReconnecting(state === 'reconnecting');
+        if (state === 'reconnecting') {
+          setConnectionStatus('Reconnecting…');
+        } else if (state === 'connected') {
+          setConnectionStatus('Connected');
+        } else {
+          setParticipants([]);
+          setRemoteStreams(new Map());
+          setIsConnected(false);
+          setConnectionStatus('Disconnected');
+          setAccessNotice('Lost connection to the meeting. Leave and join again to reconnect.');
+        }
+      });
+
+      webrtcServiceRef.current.onPeerStateChange((participantId, state) => {
+        setPeerStates(prev => new Map(prev).set(participantId, state));
+      });
+
+      webrtcServiceRef.current.onChatHistory((earlier, hasMore) => {
+        setMessages(prev => [...earlier.filter(message => !prev.some(m => m.id === message.id)), ...prev]);
+        setHasEarlierMessages(hasMore);
+        setIsLoadingEarlierMessages(false);
+      });
+
+      webrtcServiceRef.current.onPresenceChanged((participantId, state) => {
+        setParticipants(prev => prev.map(p => p.id === participantId ? { ...p, presence: state } : p));
+      });
+
       webrtcServiceRef.current.onRoomJoined((roomData) => {
         setParticipants(roomData.participants || []);
-        setMessages(roomData.messages || []);
+        setModeration(roomData.moderation || NO_MODERATION);
+        setHands(roomData.hands || []);
+        setPolls(roomData.polls || []);
+        setMyClientId(webrtcServiceRef.current.clientId);
+        webrtcServiceRef.current.readChatMessages(roomData.messages || []).then(setMessages).catch((error) => {
+          console.error('Could not read chat history:', error);
+          setAccessNotice(`Could not read the chat history: ${error.message}`);
+        });
+        setHasEarlierMessages(Boolean(roomData.hasMoreMessages));
         setConnectionStatus('Connected');
         setIsConnected(true);
       });
 
-      // Connect to signaling server
+      // Connect to signaling server and prove wallet ownership
       await webrtcServiceRef.current.connect();
+      setConnectionStatus('Waiting for wallet signature...');
+      setMyAddress(await webrtcServiceRef.current.authenticate(walletService));
       
       // Initialize media
       await initializeMedia();
       
       // Join room
       const roomId = roomName.replace(/\s+/g, '-').toLowerCase();
-      webrtcServiceRef.current.joinRoom(roomId, 'User', 'user@example.com');
+      webrtcServiceRef.current.joinRoom(roomId);
       
     } catch (error) {
       console.error('Error initializing meeting:', error);
       setConnectionStatus('Connection failed');
-      alert('Failed to connect to meeting. Please try again.');
+      alert(`Failed to connect to meeting: ${error.message || 'please try again.'}`);
     }
   };
 
@@ -246,10 +630,18 @@ const VideoChat = ({ open, onClose, roomName }) => {
     if (localStream) {
       localStream.getTracks().forEach(track => track.stop());
     }
+    if (fileTransferServiceRef.current) {
+      fileTransferServiceRef.current.dispose();
+      fileTransferServiceRef.current = null;
+    }
     if (webrtcServiceRef.current) {
       webrtcServiceRef.current.leaveRoom();
       webrtcServiceRef.current.disconnect();
     }
+    if (keyExchangeRef.current) {
+      keyExchangeRef.current.stop();
+      keyExchangeRef.current = null;
+    }
     if (mediaRecorderRef.current && isRecording) {
       mediaRecorderRef.current.stop();
     }
@@ -259,7 +651,22 @@ const VideoChat = ({ open, onClose, roomName }) => {
     stopSpeechRecognition();
     setLocalStream(null);
     setRemoteStreams(new Map());
+    setPeerStates(new Map());
+    setConnectionStats(null);
+    setFileTransfers(new Map());
+    setIsEncrypted(false);
+    setIsChatEncrypted(false);
+    setEncryptionStates(new Map());
     setParticipants([]);
+    setLobby([]);
+    setBreakouts(null);
+    setBreakoutRoom(null);
+    setShowBreakouts(false);
+    setHands([]);
+    setReactions([]);
+    setPolls([]);
+    setShowPolls(false);
+    setPollChoices({});
     setIsConnected(false);
     setIsScreenSharing(false);
     setIsRecording(false);
@@ -268,6 +675,9 @@ const VideoChat = ({ open, onClose, roomName }) => {
     setCcTranscript([]);
     setCcInterim('');
     setMessages([]);
+    setHasEarlierMessages(false);
+    setIsLoadingEarlierMessages(false);
+    setIsReconnecting(false);
     setConnectionStatus('Disconnected');
   };
 
@@ -431,12 +841,227 @@ const VideoChat = ({ open, onClose, roomName }) => {
     URL.revokeObjectURL(url);
   };
 
+  // Saves the recent connection stats as JSON, to attach to bug reports
+  const exportConnectionStats = () => {
+    const stats = webrtcServiceRef.current?.exportStats();
+    if (!stats) return;
+
+    const blob = new Blob([JSON.stringify(stats, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `codarmeet-stats-${roomName}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadFile = (transfer) => {
+    const url = URL.createObjectURL(transfer.blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = transfer.name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  };
+
+  const shareFiles = (files) => {
+    if (!fileTransferServiceRef.current) return;
+    Array.from(files).forEach(file => {
+      fileTransferServiceRef.current.sendFile(file).catch(error => setFileNotice(error.message));
+    });
+  };
+
+  const changeMaxFileSize = (size) => {
+    setMaxFileSize(size);
+    fileTransferServiceRef.current?.setMaxFileSize(size);
+  };
+
+  const handleFileDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    shareFiles(e.dataTransfer.files);
+  };
+
+  // Tries the chat messages we couldn't read again, as keys come in
+  const rereadChatMessages = async () => {
+    const webrtc = webrtcServiceRef.current;
+    const unread = messagesRef.current.filter(message => message.undecryptable);
+    if (!webrtc || unread.length === 0) return;
+
+    try {
+      const reread = new Map((await webrtc.readChatMessages(unread)).map(message => [message.id, message]));
+      setMessages(prev => prev.map(message => reread.get(message.id) || message));
+    } catch (error) {
+      console.error('Could not decrypt chat messages:', error);
+      setAccessNotice(`Could not decrypt chat messages: ${error.message}`);
+    }
+  };
+
+  const turnOnEncryption = async () => {
+    const webrtc = webrtcServiceRef.current;
+    if (!webrtc) return;
+
+    setIsEncryptionStarting(true);
+    try {
+      // With wallets, media and chat agree their keys over one exchange, so
+      // the wallet only signs once
+      const keys = encryptionKeySource === 'passphrase'
+        ? { passphrase: encryptionPassphrase }
+        : { keyExchange: new KeyExchange(webrtc, { walletService }) };
+      keyExchangeRef.current = keys.keyExchange || null;
+      const chatEncryption = new ChatEncryption(webrtc, keys);
+      chatEncryption.onKeysChanged(rereadChatMessages);
+      await webrtc.setChatEncryption(chatEncryption);
+      setIsChatEncrypted(true);
+      rereadChatMessages();
+
+      // Chat is still encrypted in browsers that can't encrypt media
+      if (isMediaEncryptionSupported()) {
+        const encryption = new MediaEncryption(webrtc, keys);
+        encryption.onStateChange((participantId, state) => {
+          setEncryptionStates(prev => {
+            const next = new Map(prev);
+            if (state) next.set(participantId, state);
+            else next.delete(participantId);
+            return next;
+          });
+        });
+        await webrtc.setEncryption(encryption);
+        setIsEncrypted(true);
+      }
+      setShowEncryptionSettings(false);
+    } catch (error) {
+      console.error('Could not turn on encryption:', error);
+      setAccessNotice(`Could not turn on encryption: ${error.message}`);
+      await turnOffEncryption();
+    } finally {
+      setIsEncryptionStarting(false);
+    }
+  };
+
+  const turnOffEncryption = async () => {
+    await webrtcServiceRef.current?.setEncryption(null);
+    await webrtcServiceRef.current?.setChatEncryption(null);
+    if (keyExchangeRef.current) {
+      keyExchangeRef.current.stop();
+      keyExchangeRef.current = null;
+    }
+    setIsEncrypted(false);
+    setIsChatEncrypted(false);
+    setEncryptionStates(new Map());
+    setShowEncryptionSettings(false);
+  };
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Mirrors the server's rules so the menu only offers what it will accept
+  const roleOf = (address) => {
+    if (address && address === moderation.host) return 'host';
+    return moderation.coHosts.includes(address) ? 'co-host' : 'participant';
+  };
+  const myRole = roleOf(myAddress);
+  const canModerate = (participant) => {
+    if (myRole === 'participant' || participant.address === myAddress) return false;
+    const role = roleOf(participant.address);
+    return role === 'participant' || (role === 'co-host' && myRole === 'host');
+  };
+  const moderate = (action, participantId) => {
+    webrtcServiceRef.current?.moderate(action, participantId);
+  };
+
+  // 1 for the first hand raised, 0 if `participantId`'s hand is down
+  const handPosition = (participantId) => hands.findIndex(hand => hand.participantId === participantId) + 1;
+  const isHandRaised = handPosition(myClientId) > 0;
+  const toggleHand = () => {
+    webrtcServiceRef.current?.raiseHand(!isHandRaised);
+  };
+
+  const showReaction = (participantId, emoji) => {
+    const id = nextReactionIdRef.current++;
+    setReactions(prev => [...prev, { id, participantId, emoji }]);
+    setTimeout(() => setReactions(prev => prev.filter(reaction => reaction.id !== id)), REACTION_DURATION_MS);
+  };
+  // Nobody echoes our reactions back, so we show them ourselves
+  const react = (emoji) => {
+    webrtcServiceRef.current?.sendReaction(emoji);
+    showReaction(myClientId, emoji);
+    setReactionsAnchorEl(null);
+  };
+  const reactionsOf = (participantId) => reactions.filter(reaction => reaction.participantId === participantId);
+
+  // Poll results can go on-chain from the main room of a meeting, by its host
+  const meetingId = breakoutRoom ? null : getMeetingIdForRoom(roomName);
+  const canRecordPolls = Boolean(meetingId && contractService && myRole === 'host');
+  const unansweredPolls = polls.filter(p => p.closedAt === null && !p.myVote).length;
+  const poll = (action, options) => {
+    webrtcServiceRef.current?.poll(action, options);
+  };
+  const openPolls = () => {
+    setShowPolls(true);
+    if (!canRecordPolls) return;
+    contractService.getPollResults(meetingId)
+      .then(results => setRecordedPollIds(new Set(results.map(result => result.pollId))))
+      .catch(error => console.error('Could not read the recorded poll results:', error));
+  };
+  const createPoll = () => {
+    poll('create', {
+      question: newPoll.question.trim(),
+      options: newPoll.options.map(option => option.trim()),
+      multiple: newPoll.multiple,
+      results: newPoll.results,
+      ...(newPoll.quiz ? { correct: newPoll.correct } : {})
+    });
+    setNewPoll(EMPTY_POLL);
+  };
+  const canCreatePoll = newPoll.question.trim() && newPoll.options.every(option => option.trim())
+    && (!newPoll.quiz || newPoll.correct.length > 0);
+  // Picks option `index` among `picked`, alone unless several may be chosen
+  const pick = (picked, index, multiple) => {
+    if (!multiple) return [index];
+    return picked.includes(index) ? picked.filter(choice => choice !== index) : [...picked, index].sort((a, b) => a - b);
+  };
+  const vote = (pollId) => {
+    poll('vote', { pollId, choices: pollChoices[pollId] });
+    setPollChoices(prev => ({ ...prev, [pollId]: undefined }));
+  };
+  const recordPoll = (closedPoll) => {
+    setRecordingPollId(closedPoll.id);
+    contractService.recordPollResult(meetingId, closedPoll)
+      .then(tx => tx.wait())
+      .then(() => setRecordedPollIds(prev => new Set(prev).add(closedPoll.id)))
+      .catch(error => setAccessNotice(`Could not record the poll on-chain: ${error.message}`))
+      .finally(() => setRecordingPollId(null));
+  };
+
+  const breakout = (action, options) => {
+    webrtcServiceRef.current?.breakout(action, options);
+  };
+  const openBreakouts = () => {
+    breakout('open', breakoutAssignment === 'random'
+      ? { count: breakoutCount, assignment: 'random' }
+      : { count: breakoutCount, assignment: 'manual', assignments: manualAssignments });
+  };
+  const switchRoom = (roomId) => {
+    setRemoteStreams(new Map());
+    setPeerStates(new Map());
+    setParticipants([]);
+    if (roomId === null) {
+      webrtcServiceRef.current?.returnToMainRoom();
+      setBreakoutRoom(null);
+    } else {
+      webrtcServiceRef.current?.visitBreakoutRoom(roomId);
+      setBreakoutRoom({ roomId, name: breakouts.rooms.find(room => room.id === roomId).name });
+    }
+  };
+
   const toggleMute = () => {
     if (localStream) {
       const audioTrack = localStream.getAudioTracks()[0];
@@ -522,11 +1147,20 @@ const VideoChat = ({ open, onClose, roomName }) => {
 
   const sendMessage = () => {
     if (newMessage.trim() && webrtcServiceRef.current) {
-      webrtcServiceRef.current.sendChatMessage(newMessage);
+      webrtcServiceRef.current.sendChatMessage(newMessage).catch((error) => {
+        console.error('Could not send chat message:', error);
+        setAccessNotice(`Could not send your message: ${error.message}`);
+      });
       setNewMessage('');
     }
   };
 
+  const loadEarlierMessages = () => {
+    if (!webrtcServiceRef.current || messages.length === 0) return;
+    setIsLoadingEarlierMessages(true);
+    webrtcServiceRef.current.requestChatHistory(messages[0].id);
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter') {
       sendMessage();
@@ -549,8 +1183,13 @@ const VideoChat = ({ open, onClose, roomName }) => {
       <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', px: 4, py: 2, background: 'linear-gradient(90deg, #667eea 0%, #764ba2 100%)', borderTopLeftRadius: 16, borderTopRightRadius: 16 }}>
         <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
           <Typography variant="h5" sx={{ color: 'white', fontWeight: 700, letterSpacing: 1 }}>
-            {roomName}
+            {roomName}{breakoutRoom ? ` · ${breakoutRoom.name}` : ''}
           </Typography>
+          {breakoutSecondsLeft !== null && (
+            <Typography variant="body2" sx={{ color: 'white' }}>
+              Breakout rooms close in {formatTime(breakoutSecondsLeft)}
+            </Typography>
+          )}
           <Tooltip title="Share Meeting Link">
             <IconButton onClick={handleShareLink} sx={{ color: 'white' }}>
               <Send />
@@ -558,9 +1197,18 @@ const VideoChat = ({ open, onClose, roomName }) => {
           </Tooltip>
           <Tooltip title="View Participants">
             <IconButton onClick={e => setParticipantsAnchorEl(e.currentTarget)} sx={{ color: 'white' }}>
-              <Group />
+              <Badge badgeContent={lobby.length} color="warning">
+                <Group />
+              </Badge>
             </IconButton>
           </Tooltip>
+          {myRole !== 'participant' && (
+            <Tooltip title="Breakout rooms">
+              <IconButton onClick={() => setShowBreakouts(true)} sx={{ color: 'white' }}>
+                <CallSplit />
+              </IconButton>
+            </Tooltip>
+          )}
           <Popover
             open={Boolean(participantsAnchorEl)}
             anchorEl={participantsAnchorEl}
@@ -568,23 +1216,120 @@ const VideoChat = ({ open, onClose, roomName }) => {
             anchorOrigin={{ vertical: 'bottom', horizontal: 'left' }}
           >
             <Box sx={{ p: 2, minWidth: 220 }}>
-              <Typography variant="subtitle1" sx={{ mb: 1, fontWeight: 600 }}>Participants</Typography>
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+                <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+                  Participants{moderation.locked ? ' (locked)' : ''}
+                </Typography>
+                {myRole !== 'participant' && (
+                  <Box>
+                    <Tooltip title={moderation.lobby ? 'Let everyone in directly' : 'Have newcomers wait in the lobby'}>
+                      <IconButton size="small" onClick={() => moderate(moderation.lobby ? 'disable-lobby' : 'enable-lobby')}>
+                        {moderation.lobby ? <MeetingRoom /> : <NoMeetingRoom />}
+                      </IconButton>
+                    </Tooltip>
+                    <Tooltip title={moderation.locked ? 'Unlock the room' : 'Lock the room to newcomers'}>
+                      <IconButton size="small" onClick={() => moderate(moderation.locked ? 'unlock' : 'lock')}>
+                        {moderation.locked ? <Lock /> : <LockOpen />}
+                      </IconButton>
+                    </Tooltip>
+                  </Box>
+                )}
+              </Box>
+              {myRole !== 'participant' && hands.length > 0 && (
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <Typography variant="body2" color="text.secondary">{hands.length} hand{hands.length !== 1 ? 's' : ''} raised</Typography>
+                  <Button size="small" onClick={() => moderate('lower-hands')}>Lower all hands</Button>
+                </Box>
+              )}
+              {myRole !== 'participant' && lobby.length > 0 && (
+                <>
+                  <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                    <Typography variant="body2" color="text.secondary">Waiting to join</Typography>
+                    <Button size="small" onClick={() => moderate('admit-all')}>Admit all</Button>
+                  </Box>
+                  <List dense>
+                    {lobby.map(entry => (
+                      <ListItem
+                        key={entry.id}
+                        secondaryAction={
+                          <Box>
+                            <Tooltip title="Admit">
+                              <IconButton size="small" color="success" onClick={() => moderate('admit', entry.id)}><HowToReg fontSize="small" /></IconButton>
+                            </Tooltip>
+                            <Tooltip title="Deny">
+                              <IconButton size="small" color="error" onClick={() => moderate('deny', entry.id)}><Block fontSize="small" /></IconButton>
+                            </Tooltip>
+                          </Box>
+                        }
+                        sx={{ pr: 10 }}
+                      >
+                        <ListItemText primary={formatAddress(entry.address)} />
+                      </ListItem>
+                    ))}
+                  </List>
+                  <Divider />
+                </>
+              )}
               <List>
                 {participants.map((p, idx) => (
-                  <ListItem key={p.id || idx}>
+                  <ListItem
+                    key={p.id || idx}
+                    secondaryAction={canModerate(p) && (
+                      <Box>
+                        {handPosition(p.id) > 0 && (
+                          <Tooltip title="Lower hand">
+                            <IconButton size="small" onClick={() => moderate('lower-hand', p.id)}><PanTool fontSize="small" /></IconButton>
+                          </Tooltip>
+                        )}
+                        <Tooltip title="Mute">
+                          <IconButton size="small" onClick={() => moderate('mute', p.id)}><MicOff fontSize="small" /></IconButton>
+                        </Tooltip>
+                        <Tooltip title="Turn off camera">
+                          <IconButton size="small" onClick={() => moderate('stop-video', p.id)}><VideocamOff fontSize="small" /></IconButton>
+                        </Tooltip>
+                        {myRole === 'host' && (roleOf(p.address) === 'co-host' ? (
+                          <Tooltip title="Remove as co-host">
+                            <IconButton size="small" onClick={() => moderate('demote', p.id)}><RemoveModerator fontSize="small" /></IconButton>
+                          </Tooltip>
+                        ) : (
+                          <Tooltip title="Make co-host">
+                            <IconButton size="small" onClick={() => moderate('promote', p.id)}><AddModerator fontSize="small" /></IconButton>
+                          </Tooltip>
+                        ))}
+                        <Tooltip title="Remove from the room">
+                          <IconButton size="small" color="error" onClick={() => moderate('remove', p.id)}><PersonRemove fontSize="small" /></IconButton>
+                        </Tooltip>
+                      </Box>
+                    )}
+                    sx={{ pr: canModerate(p) ? (handPosition(p.id) > 0 ? 26 : 22) : 2 }}
+                  >
                     <ListItemAvatar>
                       <Avatar sx={{ bgcolor: '#667eea' }}><PersonIcon /></Avatar>
                     </ListItemAvatar>
-                    <ListItemText primary={p.username || `User ${idx + 1}`} />
+                    <ListItemText
+                      primary={formatAddress(p.address) || `User ${idx + 1}`}
+                      secondary={[
+                        handPosition(p.id) > 0 && `✋ ${handPosition(p.id)}`,
+                        ROLE_LABELS[roleOf(p.address)],
+                        PRESENCE_LABELS[p.presence]
+                      ].filter(Boolean).join(' · ') || null}
+                    />
                   </ListItem>
                 ))}
               </List>
             </Box>
           </Popover>
         </Box>
-        <Button onClick={hangUp} variant="contained" color="error" sx={{ fontWeight: 600, borderRadius: 2, px: 4, py: 1, fontSize: '1.1rem', boxShadow: 2 }}>
-          Leave
-        </Button>
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          {breakoutRoom && (
+            <Button onClick={() => switchRoom(null)} variant="contained" sx={{ fontWeight: 600, borderRadius: 2 }}>
+              Back to main room
+            </Button>
+          )}
+          <Button onClick={hangUp} variant="contained" color="error" sx={{ fontWeight: 600, borderRadius: 2, px: 4, py: 1, fontSize: '1.1rem', boxShadow: 2 }}>
+            Leave
+          </Button>
+        </Box>
       </Box>
 
       {/* Recording/CC Indicators */}
@@ -601,6 +1346,12 @@ const VideoChat = ({ open, onClose, roomName }) => {
                 <Typography variant="body2">CC ON</Typography>
               </Box>
             )}
+            {isEncrypted && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, bgcolor: '#2e7d32', color: 'white', px: 2, py: 1, borderRadius: 2, boxShadow: 2 }}>
+                <Lock />
+                <Typography variant="body2">ENCRYPTED</Typography>
+              </Box>
+            )}
         </Box>
         
       {/* Main Content */}
@@ -612,6 +1363,11 @@ const VideoChat = ({ open, onClose, roomName }) => {
             <Typography variant="body2" color="#bdbdbd">
                 {connectionStatus} • {participants.length} participant{participants.length !== 1 ? 's' : ''}
               </Typography>
+              {isReconnecting && (
+                <Alert severity="warning" sx={{ mt: 1, display: 'inline-flex' }}>
+                  Reconnecting… you'll stay in the call while we restore the connection.
+                </Alert>
+              )}
             </Box>
           <Box sx={{ display: 'flex', gap: 2, flex: 1, flexWrap: 'wrap', justifyContent: 'center', alignItems: 'center' }}>
               {/* Local Video */}
@@ -626,24 +1382,45 @@ const VideoChat = ({ open, onClose, roomName }) => {
               <Box sx={{ position: 'absolute', left: 0, bottom: 0, width: '100%', bgcolor: 'rgba(0,0,0,0.5)', color: 'white', px: 2, py: 0.5, display: 'flex', alignItems: 'center', gap: 1 }}>
                 <Avatar sx={{ width: 24, height: 24, bgcolor: '#667eea', fontSize: 16 }}><PersonIcon /></Avatar>
                 <Typography variant="caption">You {isScreenSharing ? '(Screen Share)' : ''}</Typography>
+                {isHandRaised && (
+                  <Typography variant="caption" sx={{ ml: 'auto' }}>✋ {handPosition(myClientId)}</Typography>
+                )}
               </Box>
+              <FloatingReactions reactions={reactionsOf(myClientId)} />
+              <NetworkBadge stats={connectionStats?.uplink} title="Your connection" onExport={exportConnectionStats} />
             </Box>
               {/* Remote Videos */}
             {Array.from(remoteStreams.entries()).map(([participantId, stream], idx) => {
                 const participant = participants.find(p => p.id === participantId);
+                const statusLabel = PRESENCE_LABELS[participant?.presence] || PEER_STATE_LABELS[peerStates.get(participantId)];
+                const encryption = ENCRYPTION_STATES[encryptionStates.get(participantId)] || ENCRYPTION_PENDING;
                 return (
                 <Box key={participantId} sx={{ flex: 1, minWidth: 320, maxWidth: 420, position: 'relative', boxShadow: 4, borderRadius: 3, overflow: 'hidden', bgcolor: '#222' }}>
                     <video
-                    ref={el => { if (el) { el.srcObject = stream; remoteVideosRef.current.set(participantId, el); } }}
+                    ref={el => { if (el) { el.srcObject = stream; remoteVideosRef.current.set(participantId, el); } else { remoteVideosRef.current.delete(participantId); } }}
+                    data-participant-id={participantId}
                       autoPlay
                       playsInline
                       controls={false}
-                    style={{ width: '100%', height: '100%', objectFit: 'cover', background: '#111' }}
+                    style={{ width: '100%', height: '100%', objectFit: 'cover', background: '#111', filter: statusLabel ? 'grayscale(1)' : 'none', opacity: statusLabel ? 0.5 : 1 }}
                   />
                   <Box sx={{ position: 'absolute', left: 0, bottom: 0, width: '100%', bgcolor: 'rgba(0,0,0,0.5)', color: 'white', px: 2, py: 0.5, display: 'flex', alignItems: 'center', gap: 1 }}>
                     <Avatar sx={{ width: 24, height: 24, bgcolor: '#764ba2', fontSize: 16 }}><PersonIcon /></Avatar>
-                    <Typography variant="caption">{participant?.username || `Remote User ${idx + 1}`}</Typography>
+                    <Typography variant="caption">{formatAddress(participant?.address) || `Remote User ${idx + 1}`}</Typography>
+                    {handPosition(participantId) > 0 && (
+                      <Typography variant="caption">✋ {handPosition(participantId)}</Typography>
+                    )}
+                    {isEncrypted && (
+                      <Tooltip title={encryption.label}>
+                        <encryption.Icon fontSize="small" sx={{ color: encryption.color }} />
+                      </Tooltip>
+                    )}
+                    {statusLabel && (
+                      <Typography variant="caption" sx={{ ml: 'auto', color: '#bdbdbd' }}>{statusLabel}</Typography>
+                    )}
                   </Box>
+                  <FloatingReactions reactions={reactionsOf(participantId)} />
+                  <NetworkBadge stats={connectionStats?.participants[participantId]} title="Their video" onExport={exportConnectionStats} />
                   </Box>
                 );
               })}
@@ -713,6 +1490,36 @@ const VideoChat = ({ open, onClose, roomName }) => {
                 <ScreenShare />
                     </IconButton>
                   </Tooltip>
+            <Tooltip title={isHandRaised ? 'Lower your hand' : 'Raise your hand'}>
+              <IconButton onClick={toggleHand} color={isHandRaised ? 'warning' : 'primary'} size="large">
+                <PanTool />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title="React">
+              <IconButton onClick={e => setReactionsAnchorEl(e.currentTarget)} color="primary" size="large">
+                <EmojiEmotions />
+              </IconButton>
+            </Tooltip>
+            <Popover
+              open={Boolean(reactionsAnchorEl)}
+              anchorEl={reactionsAnchorEl}
+              onClose={() => setReactionsAnchorEl(null)}
+              anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+              transformOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+            >
+              <Box sx={{ display: 'flex', p: 1 }}>
+                {REACTIONS.map(emoji => (
+                  <IconButton key={emoji} onClick={() => react(emoji)} sx={{ fontSize: 24 }}>{emoji}</IconButton>
+                ))}
+              </Box>
+            </Popover>
+            <Tooltip title="Polls">
+              <IconButton onClick={openPolls} color="primary" size="large">
+                <Badge badgeContent={unansweredPolls} color="warning">
+                  <Poll />
+                </Badge>
+              </IconButton>
+            </Tooltip>
             <Tooltip title={ccEnabled ? 'Turn off Closed Captions' : 'Turn on Closed Captions'}>
               <IconButton onClick={toggleClosedCaptions} color={ccEnabled ? 'success' : 'primary'} size="large">
                 {ccEnabled ? <ClosedCaption /> : <ClosedCaptionOff />}
@@ -736,6 +1543,11 @@ const VideoChat = ({ open, onClose, roomName }) => {
                 </IconButton>
               </Tooltip>
             )}
+            <Tooltip title={isEncrypted || isChatEncrypted ? 'End-to-end encryption is on' : 'Encrypt end to end'}>
+              <IconButton onClick={() => setShowEncryptionSettings(true)} color={isEncrypted || isChatEncrypted ? 'success' : 'primary'} size="large">
+                {isEncrypted || isChatEncrypted ? <Lock /> : <LockOpen />}
+              </IconButton>
+            </Tooltip>
             <Tooltip title={showChat ? 'Hide Chat' : 'Show Chat'}>
               <IconButton onClick={() => setShowChat(!showChat)} color="primary" size="large">
                 <Chat />
@@ -745,31 +1557,118 @@ const VideoChat = ({ open, onClose, roomName }) => {
           </Box>
         {/* Chat Panel */}
           {showChat && (
-          <Box sx={{ flex: 1, display: 'flex', flexDirection: 'column', minWidth: 340, maxWidth: 400, bgcolor: 'rgba(36,37,38,0.98)', borderLeft: '2px solid #222', borderBottomRightRadius: 16, boxShadow: 2 }}>
+          <Box
+            onDragOver={(e) => { e.preventDefault(); setIsDraggingFile(true); }}
+            onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setIsDraggingFile(false); }}
+            onDrop={handleFileDrop}
+            sx={{ flex: 1, display: 'flex', flexDirection: 'column', minWidth: 340, maxWidth: 400, bgcolor: 'rgba(36,37,38,0.98)', borderLeft: '2px solid #222', borderBottomRightRadius: 16, boxShadow: 2, outline: isDraggingFile ? '2px dashed #667eea' : 'none', outlineOffset: -4 }}
+          >
             <Paper elevation={0} sx={{ flex: 1, display: 'flex', flexDirection: 'column', bgcolor: 'transparent', boxShadow: 'none' }}>
-              <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider', bgcolor: 'rgba(102,126,234,0.08)' }}>
-                <Typography variant="h6" sx={{ color: '#667eea', fontWeight: 700 }}>Chat</Typography>
+              <Box sx={{ p: 2, borderBottom: 1, borderColor: 'divider', bgcolor: 'rgba(102,126,234,0.08)', display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 1 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="h6" sx={{ color: '#667eea', fontWeight: 700 }}>Chat</Typography>
+                  {isChatEncrypted && (
+                    <Tooltip title="Chat is end-to-end encrypted">
+                      <Lock fontSize="small" sx={{ color: '#4caf50' }} />
+                    </Tooltip>
+                  )}
+                </Box>
+                <FormControl size="small" sx={{ minWidth: 120 }}>
+                  <InputLabel sx={{ color: '#bdbdbd' }}>Max file size</InputLabel>
+                  <Select
+                    value={maxFileSize}
+                    label="Max file size"
+                    onChange={(e) => changeMaxFileSize(e.target.value)}
+                    sx={{ color: '#fff' }}
+                  >
+                    {MAX_FILE_SIZE_OPTIONS.map(size => (
+                      <MenuItem key={size} value={size}>{formatSize(size)}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
                 </Box>
                 <List sx={{ flex: 1, overflow: 'auto', p: 1 }}>
+                  {hasEarlierMessages && (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', mb: 1 }}>
+                      <Button size="small" onClick={loadEarlierMessages} disabled={isLoadingEarlierMessages} sx={{ color: '#bdbdbd' }}>
+                        {isLoadingEarlierMessages ? 'Loading…' : 'Load earlier messages'}
+                      </Button>
+                    </Box>
+                  )}
                   {messages.map((message) => (
                   <ListItem key={message.id} sx={{ flexDirection: 'column', alignItems: 'flex-start', mb: 1 }}>
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', width: '100%' }}>
                       <Typography variant="subtitle2" color="#764ba2" sx={{ fontWeight: 600 }}>
-                          {message.sender}
+                          {formatAddress(message.sender)}
                         </Typography>
-                      <Typography variant="caption" color="#bdbdbd">
+                      <Typography variant="caption" color="#bdbdbd" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                          {message.encrypted && !message.undecryptable && (
+                            <Tooltip title="End-to-end encrypted">
+                              <Lock sx={{ fontSize: 12 }} />
+                            </Tooltip>
+                          )}
                           {message.timestamp}
                         </Typography>
                       </Box>
+                    {message.undecryptable ? (
+                      <Typography variant="body2" sx={{ mt: 0.5, color: '#bdbdbd', bgcolor: '#424242', px: 2, py: 1, borderRadius: 2, fontStyle: 'italic', display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <NoEncryption fontSize="small" sx={{ color: '#f44336' }} />
+                        Encrypted message you can't decrypt. Turn on encryption with the same key to read it.
+                      </Typography>
+                    ) : (
                     <Typography variant="body2" sx={{ mt: 0.5, color: '#fff', bgcolor: '#667eea', px: 2, py: 1, borderRadius: 2, boxShadow: 1 }}>
                         {message.text}
                       </Typography>
+                    )}
                     </ListItem>
                   ))}
+                  {Array.from(fileTransfers.values()).map((transfer) => {
+                    const participant = participants.find(p => p.id === transfer.participantId);
+                    const who = formatAddress(participant?.address) || 'participant';
+                    return (
+                      <ListItem key={transfer.id} sx={{ flexDirection: 'column', alignItems: 'stretch', mb: 1 }}>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <AttachFile fontSize="small" sx={{ color: '#bdbdbd' }} />
+                          <Box sx={{ flex: 1, minWidth: 0 }}>
+                            <Typography variant="body2" noWrap sx={{ color: '#fff' }}>{transfer.name}</Typography>
+                            <Typography variant="caption" color="#bdbdbd">
+                              {transfer.direction === 'outgoing' ? `To ${who}` : `From ${who}`} · {formatSize(transfer.size)} · {transfer.error || FILE_STATUS_LABELS[transfer.status]}
+                            </Typography>
+                          </Box>
+                          {transfer.direction === 'incoming' && transfer.status === 'complete' && (
+                            <Tooltip title="Save file">
+                              <IconButton size="small" onClick={() => downloadFile(transfer)} sx={{ color: '#667eea' }}>
+                                <Download fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </Box>
+                        {['pending', 'sending', 'receiving', 'interrupted'].includes(transfer.status) && (
+                          <LinearProgress
+                            variant="determinate"
+                            value={transfer.size ? transfer.transferred / transfer.size * 100 : 0}
+                            sx={{ mt: 0.5, borderRadius: 1 }}
+                          />
+                        )}
+                      </ListItem>
+                    );
+                  })}
                   <div ref={chatEndRef} />
                 </List>
                 <Divider />
               <Box sx={{ p: 1.5, display: 'flex', gap: 1, bgcolor: 'rgba(102,126,234,0.08)' }}>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  hidden
+                  onChange={(e) => { shareFiles(e.target.files); e.target.value = ''; }}
+                />
+                <Tooltip title="Share a file (or drop it here)">
+                  <IconButton onClick={() => fileInputRef.current?.click()} sx={{ color: '#bdbdbd' }}>
+                    <AttachFile />
+                  </IconButton>
+                </Tooltip>
                   <TextField
                     fullWidth
                     size="small"
@@ -844,6 +1743,312 @@ const VideoChat = ({ open, onClose, roomName }) => {
             WebRTC video call with chat, screen sharing, recording, and closed captions. In a real app, you would need a signaling server to connect peers and relay messages.
           </Typography>
         </Box>
+      {/* End-to-end Encryption Dialog */}
+      <Dialog open={showEncryptionSettings} onClose={() => setShowEncryptionSettings(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>End-to-end Encryption</DialogTitle>
+        <DialogContent>
+          <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+            <Typography variant="body2" color="text.secondary">
+              Encrypts your audio, video and chat so that only participants with the same key can play
+              and read them, not the servers in between. Everyone has to turn it on the same way.
+            </Typography>
+            {!isMediaEncryptionSupported() && (
+              <Alert severity="warning">This browser can't encrypt media end to end, only chat.</Alert>
+            )}
+            <FormControl fullWidth disabled={isEncrypted || isChatEncrypted}>
+              <InputLabel>Key</InputLabel>
+              <Select
+                value={encryptionKeySource}
+                label="Key"
+                onChange={(e) => setEncryptionKeySource(e.target.value)}
+              >
+                <MenuItem value="passphrase">A passphrase shared outside the meeting</MenuItem>
+                <MenuItem value="wallet">Signed by each participant's wallet</MenuItem>
+              </Select>
+            </FormControl>
+            {encryptionKeySource === 'passphrase' && (
+              <TextField
+                label="Passphrase"
+                type="password"
+                value={encryptionPassphrase}
+                onChange={(e) => setEncryptionPassphrase(e.target.value)}
+                disabled={isEncrypted || isChatEncrypted}
+                fullWidth
+              />
+            )}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShowEncryptionSettings(false)} sx={{ color: '#667eea' }}>Close</Button>
+          {isEncrypted || isChatEncrypted ? (
+            <Button onClick={turnOffEncryption} color="error">Turn off</Button>
+          ) : (
+            <Button
+              onClick={turnOnEncryption}
+              variant="contained"
+              disabled={isEncryptionStarting || (encryptionKeySource === 'passphrase' && !encryptionPassphrase)}
+            >
+              {isEncryptionStarting ? 'Turning on…' : 'Turn on'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+      <Dialog open={showPolls} onClose={() => setShowPolls(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Polls</DialogTitle>
+        <DialogContent>
+          {polls.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>No polls yet</Typography>
+          )}
+          {polls.map(p => {
+            const picked = p.myVote || pollChoices[p.id] || [];
+            const canVote = p.closedAt === null && !p.myVote;
+            return (
+              <Paper key={p.id} variant="outlined" sx={{ p: 2, mt: 1 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                  <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>{p.quiz ? 'Quiz: ' : ''}{p.question}</Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {p.voters} vote{p.voters !== 1 ? 's' : ''}{p.closedAt ? ' · Closed' : ''}
+                  </Typography>
+                </Box>
+                {p.options.map((option, index) => (
+                  <Box key={index}>
+                    <FormControlLabel
+                      control={p.multiple ? <Checkbox checked={picked.includes(index)} /> : <Radio checked={picked.includes(index)} />}
+                      label={`${option}${p.correct?.includes(index) ? ' ✓' : ''}`}
+                      disabled={!canVote}
+                      onChange={() => setPollChoices(prev => ({ ...prev, [p.id]: pick(picked, index, p.multiple) }))}
+                    />
+                    {p.tally && (
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <LinearProgress variant="determinate" value={p.voters ? (p.tally[index] / p.voters) * 100 : 0} sx={{ flex: 1 }} />
+                        <Typography variant="caption">{p.tally[index]}</Typography>
+                      </Box>
+                    )}
+                  </Box>
+                ))}
+                {!p.tally && (
+                  <Typography variant="caption" color="text.secondary">Results are shown when the poll closes</Typography>
+                )}
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+                  {canVote && (
+                    <Button size="small" variant="contained" onClick={() => vote(p.id)} disabled={picked.length === 0}>Vote</Button>
+                  )}
+                  {myRole !== 'participant' && p.closedAt === null && (
+                    <Button size="small" color="error" onClick={() => poll('close', { pollId: p.id })}>Close poll</Button>
+                  )}
+                  {canRecordPolls && p.closedAt !== null && (
+                    <Button
+                      size="small"
+                      onClick={() => recordPoll(p)}
+                      disabled={recordedPollIds.has(p.id) || recordingPollId === p.id}
+                    >
+                      {recordedPollIds.has(p.id) ? 'Recorded on-chain' : recordingPollId === p.id ? 'Recording…' : 'Record on-chain'}
+                    </Button>
+                  )}
+                </Box>
+              </Paper>
+            );
+          })}
+          {myRole !== 'participant' && (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 3 }}>
+              <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>New poll</Typography>
+              <TextField
+                label="Question"
+                size="small"
+                value={newPoll.question}
+                onChange={(e) => setNewPoll(prev => ({ ...prev, question: e.target.value }))}
+                inputProps={{ maxLength: 500 }}
+                fullWidth
+              />
+              {newPoll.options.map((option, index) => (
+                <Box key={index} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {newPoll.quiz && (
+                    <Tooltip title="Correct answer">
+                      <Checkbox
+                        checked={newPoll.correct.includes(index)}
+                        onChange={() => setNewPoll(prev => ({ ...prev, correct: pick(prev.correct, index, prev.multiple) }))}
+                      />
+                    </Tooltip>
+                  )}
+                  <TextField
+                    label={`Option ${index + 1}`}
+                    size="small"
+                    value={option}
+                    onChange={(e) => setNewPoll(prev => ({ ...prev, options: prev.options.map((o, i) => i === index ? e.target.value : o) }))}
+                    inputProps={{ maxLength: 200 }}
+                    fullWidth
+                  />
+                </Box>
+              ))}
+              <Box>
+                <Button
+                  size="small"
+                  onClick={() => setNewPoll(prev => ({ ...prev, options: [...prev.options, ''] }))}
+                  disabled={newPoll.options.length >= 10}
+                >
+                  Add option
+                </Button>
+                <Button
+                  size="small"
+                  onClick={() => setNewPoll(prev => ({
+                    ...prev,
+                    options: prev.options.slice(0, -1),
+                    correct: prev.correct.filter(index => index < prev.options.length - 1)
+                  }))}
+                  disabled={newPoll.options.length <= 2}
+                >
+                  Remove option
+                </Button>
+              </Box>
+              <FormControlLabel
+                control={<Switch checked={newPoll.multiple} onChange={(e) => setNewPoll(prev => ({ ...prev, multiple: e.target.checked, correct: [] }))} />}
+                label="Allow several choices"
+              />
+              <FormControlLabel
+                control={<Switch checked={newPoll.quiz} onChange={(e) => setNewPoll(prev => ({ ...prev, quiz: e.target.checked, correct: [] }))} />}
+                label="Quiz with correct answers"
+              />
+              <FormControl size="small" fullWidth>
+                <InputLabel>Results</InputLabel>
+                <Select
+                  value={newPoll.results}
+                  label="Results"
+                  onChange={(e) => setNewPoll(prev => ({ ...prev, results: e.target.value }))}
+                >
+                  <MenuItem value="live">Show results as votes come in</MenuItem>
+                  <MenuItem value="hidden">Hide results until the poll closes</MenuItem>
+                </Select>
+              </FormControl>
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShowPolls(false)} sx={{ color: '#667eea' }}>Close</Button>
+          {myRole !== 'participant' && (
+            <Button onClick={createPoll} variant="contained" disabled={!canCreatePoll}>Start poll</Button>
+          )}
+        </DialogActions>
+      </Dialog>
+      <Dialog open={showBreakouts} onClose={() => setShowBreakouts(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Breakout Rooms</DialogTitle>
+        <DialogContent>
+          {breakouts ? (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+              <List dense>
+                {breakouts.rooms.map(room => {
+                  const assigned = Object.keys(breakouts.assignments).filter(address => breakouts.assignments[address] === room.id);
+                  return (
+                    <ListItem
+                      key={room.id}
+                      secondaryAction={breakoutRoom?.roomId !== room.id && (
+                        <Button size="small" onClick={() => switchRoom(room.id)}>Join</Button>
+                      )}
+                    >
+                      <ListItemText
+                        primary={room.name}
+                        secondary={assigned.map(formatAddress).join(', ') || 'Nobody yet'}
+                      />
+                    </ListItem>
+                  );
+                })}
+              </List>
+              {participants.filter(p => p.address !== myAddress).map(p => (
+                <FormControl key={p.id} size="small" fullWidth>
+                  <InputLabel>Move {formatAddress(p.address)}</InputLabel>
+                  <Select
+                    value=""
+                    label={`Move ${formatAddress(p.address)}`}
+                    onChange={(e) => breakout('move', {
+                      participantId: p.id,
+                      room: e.target.value === 'main' ? webrtcServiceRef.current?.getMainRoomId() : e.target.value
+                    })}
+                  >
+                    <MenuItem value="main">Main room</MenuItem>
+                    {breakouts.rooms.map(room => (
+                      <MenuItem key={room.id} value={room.id}>{room.name}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              ))}
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <TextField
+                  label="Message to all rooms"
+                  size="small"
+                  value={breakoutBroadcast}
+                  onChange={(e) => setBreakoutBroadcast(e.target.value)}
+                  fullWidth
+                />
+                <Button
+                  onClick={() => { breakout('broadcast', { text: breakoutBroadcast }); setBreakoutBroadcast(''); }}
+                  disabled={!breakoutBroadcast.trim()}
+                >
+                  Send
+                </Button>
+              </Box>
+              <Box sx={{ display: 'flex', gap: 1 }}>
+                <TextField
+                  label="Close after (seconds)"
+                  type="number"
+                  size="small"
+                  value={breakoutCountdown}
+                  onChange={(e) => setBreakoutCountdown(parseInt(e.target.value) || 0)}
+                  inputProps={{ min: 1, max: 3600 }}
+                  fullWidth
+                />
+                <Button onClick={() => breakout('countdown', { seconds: breakoutCountdown })} disabled={breakoutCountdown < 1}>
+                  Start countdown
+                </Button>
+              </Box>
+            </Box>
+          ) : (
+            <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+              <TextField
+                label="Number of rooms"
+                type="number"
+                value={breakoutCount}
+                onChange={(e) => setBreakoutCount(parseInt(e.target.value) || 0)}
+                inputProps={{ min: 1, max: 20 }}
+                fullWidth
+              />
+              <FormControl fullWidth>
+                <InputLabel>Assignment</InputLabel>
+                <Select
+                  value={breakoutAssignment}
+                  label="Assignment"
+                  onChange={(e) => setBreakoutAssignment(e.target.value)}
+                >
+                  <MenuItem value="random">Spread participants at random</MenuItem>
+                  <MenuItem value="manual">Choose a room for each participant</MenuItem>
+                </Select>
+              </FormControl>
+              {breakoutAssignment === 'manual' && participants.filter(p => p.address !== myAddress).map(p => (
+                <FormControl key={p.id} size="small" fullWidth>
+                  <InputLabel>{formatAddress(p.address)}</InputLabel>
+                  <Select
+                    value={manualAssignments[p.id] || ''}
+                    label={formatAddress(p.address)}
+                    onChange={(e) => setManualAssignments(prev => ({ ...prev, [p.id]: e.target.value }))}
+                  >
+                    {Array.from({ length: breakoutCount }, (_, i) => (
+                      <MenuItem key={i + 1} value={i + 1}>Room {i + 1}</MenuItem>
+                    ))}
+                  </Select>
+                </FormControl>
+              ))}
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setShowBreakouts(false)} sx={{ color: '#667eea' }}>Close</Button>
+          {breakouts ? (
+            <Button onClick={() => breakout('close')} color="error">Close all rooms</Button>
+          ) : (
+            <Button onClick={openBreakouts} variant="contained" disabled={breakoutCount < 1 || breakoutCount > 20}>
+              Open rooms
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
       {/* Closed Captions Settings Dialog */}
       <Dialog open={showCcSettings} onClose={() => setShowCcSettings(false)} maxWidth="sm" fullWidth>
         <DialogTitle>Closed Captions Settings</DialogTitle>
@@ -912,6 +2117,47 @@ const VideoChat = ({ open, onClose, roomName }) => {
           Meeting link copied! Share it with others to join this room.
         </Alert>
       </Snackbar>
+      <Snackbar
+        open={Boolean(accessNotice)}
+        autoHideDuration={6000}
+        onClose={() => setAccessNotice('')}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setAccessNotice('')} severity="warning" sx={{ width: '100%' }}>
+          {accessNotice}
+        </Alert>
+      </Snackbar>
+      <Snackbar
+        open={Boolean(systemMessage)}
+        onClose={(event, reason) => reason !== 'clickaway' && setSystemMessage(null)}
+        anchorOrigin={{ vertical: 'top', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setSystemMessage(null)} severity={systemMessage?.level || 'info'} sx={{ width: '100%' }}>
+          {systemMessage?.text}
+        </Alert>
+      </Snackbar>
+      <Snackbar
+        open={Boolean(fileNotice)}
+        autoHideDuration={6000}
+        onClose={() => setFileNotice('')}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setFileNotice('')} severity="warning" sx={{ width: '100%' }}>
+          {fileNotice}
+        </Alert>
+      </Snackbar>
+      <Snackbar
+        open={Boolean(signalingError)}
+        autoHideDuration={6000}
+        onClose={() => setSignalingError(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'center' }}
+      >
+        <Alert onClose={() => setSignalingError(null)} severity="error" sx={{ width: '100%' }}>
+          {signalingError && (signalingError.messageType
+            ? `Server rejected ${signalingError.messageType}: ${signalingError.reason}`
+            : signalingError.reason)}
+        </Alert>
+      </Snackbar>
     </Dialog>
   );
 };
@@ -0,0 +1,194 @@
+import { fromBase64, passphraseBits, toBase64 } from './KeyExchange.js';
+
+// End-to-end encryption for chat. Messages are encrypted with a room key
+// (AES-GCM) before they're sent, so the server only ever stores and relays
+// ciphertext. With a passphrase everyone derives the same room key from it;
+// with wallets the room keys are handed out over the keys KeyExchange agrees
+// between participants, so whoever joins late can read the history too. See
+// "End-to-end encryption" in SIGNALING_PROTOCOL.md.
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function importRoomKey(raw) {
+  return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// Names a key without giving it away, so a message can say which it needs
+async function fingerprint(raw) {
+  const digest = await crypto.subtle.digest('SHA-256', raw);
+  return toBase64(digest.slice(0, 8));
+}
+
+class ChatEncryption {
+  // Pass `passphrase` to derive the room key from it, or the `keyExchange`
+  // (started with a wallet) to share room keys over
+  constructor(webrtcService, { passphrase = null, keyExchange = null } = {}) {
+    if (!passphrase && !keyExchange) {
+      throw new Error('Chat encryption needs a passphrase or a key exchange');
+    }
+    this.webrtc = webrtcService;
+    this.passphrase = passphrase;
+    this.keyExchange = keyExchange;
+    this.roomId = null;
+    // keyId -> { raw, key }, everything we can read messages with
+    this.keys = new Map();
+    // The keyId we encrypt with
+    this.currentKeyId = null;
+    this.ready = null;
+    this.stopped = false;
+    this.unsubscribers = [];
+    this.onKeysChangedCallback = null;
+  }
+
+  // Resolves once we can encrypt; with a wallet, after it has signed
+  async start() {
+    if (this.keyExchange) {
+      // Listen straight away, so nothing sent while the wallet is open is lost
+      this.unsubscribers = [
+        this.webrtc.on('chat-keys', (payload, fromId) => this.handleKeys(payload, fromId)),
+        this.keyExchange.on('agreed', participantId => this.sendKeys(participantId))
+      ];
+    }
+    this.ready = this.prepare();
+    await this.ready;
+  }
+
+  // Whether we're ready to encrypt; false if start failed or we've stopped
+  whenReady() {
+    return this.ready.then(() => !this.stopped, () => false);
+  }
+
+  async prepare() {
+    this.roomId = this.webrtc.getRoomId();
+
+    if (this.passphrase) {
+      const raw = new Uint8Array(await passphraseBits(this.passphrase, `codarmeet-chat:${this.roomId}`));
+      this.currentKeyId = await this.addKey(raw);
+      return;
+    }
+
+    // Everyone starts with a key of their own and settles on the lowest id
+    // as the keys get around
+    await this.addKey(crypto.getRandomValues(new Uint8Array(32)));
+    await this.keyExchange.start();
+    this.keyExchange.getParticipantIds().forEach(participantId => this.sendKeys(participantId));
+  }
+
+  // Adds `raw` to the keys we can read with; resolves to its keyId
+  async addKey(raw) {
+    const keyId = await fingerprint(raw);
+    if (!this.keys.has(keyId)) {
+      this.keys.set(keyId, { raw, key: await importRoomKey(raw) });
+      if (!this.passphrase && (!this.currentKeyId || keyId < this.currentKeyId)) {
+        this.currentKeyId = keyId;
+      }
+    }
+    return keyId;
+  }
+
+  async sendKeys(participantId) {
+    if (!(await this.whenReady())) return;
+
+    const keys = [];
+    for (const [keyId, { raw }] of this.keys) {
+      const wrapped = await this.keyExchange.wrap(participantId, raw, `chat:${keyId}`);
+      if (wrapped) keys.push({ keyId, ...wrapped });
+    }
+    if (keys.length > 0 && !this.stopped) {
+      this.webrtc.sendTo(participantId, 'chat-keys', { keys });
+    }
+  }
+
+  async handleKeys(payload, fromId) {
+    if (!(await this.whenReady()) || !payload || !Array.isArray(payload.keys)) return;
+
+    let added = false;
+    for (const wrapped of payload.keys) {
+      if (!wrapped || this.keys.has(wrapped.keyId)) continue;
+      try {
+        const raw = await this.keyExchange.unwrap(fromId, wrapped, `chat:${wrapped.keyId}`);
+        if (!raw) return;
+        const bytes = new Uint8Array(raw);
+        // A key has to be what its id says, or it could shadow a real one
+        if (await fingerprint(bytes) !== wrapped.keyId) continue;
+        await this.addKey(bytes);
+        added = true;
+      } catch {
+        console.error('Could not unwrap a chat key from', fromId);
+      }
+    }
+
+    if (added && this.onKeysChangedCallback) {
+      this.onKeysChangedCallback();
+    }
+  }
+
+  // The `encrypted` payload of a chat-message carrying `text`. Who sent it
+  // goes inside, so a message can't be passed off as someone else's.
+  async encrypt(text) {
+    if (!(await this.whenReady())) {
+      throw new Error('Chat encryption is not ready');
+    }
+
+    const { key } = this.keys.get(this.currentKeyId);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = encoder.encode(JSON.stringify({ text, sender: this.webrtc.getAddress() }));
+    const data = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: encoder.encode(this.roomId) },
+      key,
+      plaintext
+    );
+    return { keyId: this.currentKeyId, iv: toBase64(iv), data: toBase64(data) };
+  }
+
+  // The text of an encrypted chat message, or null if we can't read it
+  async decrypt(message) {
+    const { encrypted } = message;
+    const entry = encrypted && this.keys.get(encrypted.keyId);
+    if (!entry) return null;
+
+    try {
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(encrypted.iv), additionalData: encoder.encode(this.roomId) },
+        entry.key,
+        fromBase64(encrypted.data)
+      );
+      const { text, sender } = JSON.parse(decoder.decode(plaintext));
+      if (typeof text !== 'string' || String(sender).toLowerCase() !== String(message.sender).toLowerCase()) {
+        return null;
+      }
+      return text;
+    } catch {
+      return null;
+    }
+  }
+
+  // Called by WebRTCService as participants come and go
+
+  async handleParticipantJoined(participantId) {
+    if (this.keyExchange) {
+      await this.keyExchange.handleParticipantJoined(participantId);
+    }
+  }
+
+  handleParticipantLeft(participantId) {
+    if (this.keyExchange) {
+      this.keyExchange.forget(participantId);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    this.keys.clear();
+  }
+
+  // Callback setters
+  onKeysChanged(callback) {
+    this.onKeysChangedCallback = callback;
+  }
+}
+
+export default ChatEncryption;
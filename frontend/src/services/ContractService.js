@@ -40,6 +40,21 @@ export default class ContractService {
     return await this.signerContract.createMeeting(title, description, date, isPrivate);
   }
 
+  // Waits for a createMeeting transaction and returns the id from its MeetingCreated event
+  async getCreatedMeetingId(tx) {
+    if (!this.contract) {
+      await this.initializeContracts();
+    }
+    const receipt = await tx.wait();
+    for (const log of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === "MeetingCreated") {
+        return parsed.args.id;
+      }
+    }
+    throw new Error("MeetingCreated event not found in transaction receipt");
+  }
+
   async getMeeting(meetingId) {
     if (!this.contract) {
       await this.initializeContracts();
@@ -78,4 +93,27 @@ export default class ContractService {
     if (!this.signerContract) throw new Error("No signer available for contract write operation");
     return await this.signerContract.joinMeeting(meetingId);
   }
+
+  // Keeps the final tally of a closed poll (as the signaling server describes
+  // it) on-chain; only the meeting's creator may
+  async recordPollResult(meetingId, poll) {
+    if (!this.signerContract) {
+      await this.initializeContracts();
+    }
+    if (!this.signerContract) throw new Error("No signer available for contract write operation");
+    return await this.signerContract.recordPollResult(meetingId, poll.id, poll.question, poll.options, poll.tally, poll.voters);
+  }
+
+  // The poll results recorded for a meeting, oldest first
+  async getPollResults(meetingId) {
+    if (!this.contract) {
+      await this.initializeContracts();
+    }
+    const count = await this.contract.getPollResultCount(meetingId);
+    const results = [];
+    for (let i = 0; i < count; i++) {
+      results.push(await this.contract.getPollResult(meetingId, i));
+    }
+    return results;
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,432 @@
+// Sends files straight to the other participants over data channels of their
+// own, one per file and recipient, so a large file never holds up in-call
+// messages. Offers, answers and results go as peer messages; see "File
+// sharing" in SIGNALING_PROTOCOL.md.
+
+export const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+const CHUNK_SIZE = 16 * 1024;
+
+// Stop queueing chunks past this much unsent data and carry on once the
+// channel has drained below the low mark
+const MAX_BUFFERED_AMOUNT = 1024 * 1024;
+const BUFFERED_AMOUNT_LOW = 256 * 1024;
+
+// A receiver asks for the file again this often until a channel for it turns
+// up, as after a brief disconnect, and both ends give up on a transfer that
+// hasn't resumed within the timeout
+const RESUME_RETRY_MS = 3000;
+const RESUME_TIMEOUT_MS = 30000;
+
+const CHANNEL_PREFIX = 'file:';
+
+async function sha256(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function createId() {
+  return crypto.randomUUID();
+}
+
+class FileTransferService {
+  constructor(webrtcService, { maxFileSize = DEFAULT_MAX_FILE_SIZE } = {}) {
+    this.webrtc = webrtcService;
+    this.maxFileSize = maxFileSize;
+    this.transfers = new Map(); // transferId -> transfer
+
+    this.onTransferUpdateCallback = null;
+
+    this.unsubscribers = [
+      this.webrtc.on('file-offer', (payload, fromId) => this.handleOffer(payload, fromId)),
+      this.webrtc.on('file-accept', (payload, fromId) => this.handleAccept(payload, fromId)),
+      this.webrtc.on('file-reject', (payload, fromId) => this.handleReject(payload, fromId)),
+      this.webrtc.on('file-complete', (payload, fromId) => this.handleComplete(payload, fromId))
+    ];
+    this.webrtc.onDataChannel((participantId, channel) => this.handleDataChannel(participantId, channel));
+  }
+
+  setMaxFileSize(size) {
+    this.maxFileSize = size;
+  }
+
+  // Offers `file` to everyone else in the call. Returns the outgoing
+  // transfers, one per recipient.
+  async sendFile(file) {
+    if (this.webrtc.getMediaMode() === 'sfu') {
+      throw new Error('Files can only be shared in calls with direct connections');
+    }
+    if (file.size > this.maxFileSize) {
+      throw new Error(`${file.name} is larger than the ${formatSize(this.maxFileSize)} limit`);
+    }
+    const recipients = this.webrtc.getRemoteParticipantIds();
+    if (recipients.length === 0) {
+      throw new Error('There is no one to send the file to');
+    }
+
+    const fileId = createId();
+    const hash = await sha256(file);
+
+    return recipients.map(participantId => {
+      const transfer = {
+        id: createId(),
+        fileId,
+        direction: 'outgoing',
+        participantId,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        sha256: hash,
+        transferred: 0,
+        status: 'pending',
+        error: null,
+        file,
+        channel: null,
+        wake: null,
+        timeout: null
+      };
+      this.transfers.set(transfer.id, transfer);
+      this.notify(transfer);
+
+      this.webrtc.sendTo(participantId, 'file-offer', {
+        transferId: transfer.id,
+        fileId,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        sha256: hash
+      });
+      return transfer;
+    });
+  }
+
+  getTransfers() {
+    return Array.from(this.transfers.values());
+  }
+
+  // Receiving
+
+  handleOffer(offer, fromId) {
+    if (!offer || typeof offer.transferId !== 'string' || this.transfers.has(offer.transferId)) return;
+    if (!Number.isInteger(offer.size) || offer.size < 0 || typeof offer.sha256 !== 'string') return;
+
+    const transfer = {
+      id: offer.transferId,
+      fileId: offer.fileId,
+      direction: 'incoming',
+      participantId: fromId,
+      name: String(offer.name || 'file'),
+      size: offer.size,
+      type: String(offer.type || ''),
+      sha256: offer.sha256,
+      transferred: 0,
+      status: 'pending',
+      error: null,
+      chunks: [],
+      blob: null,
+      channel: null,
+      skip: 0,
+      retryTimer: null,
+      timeout: null
+    };
+    this.transfers.set(transfer.id, transfer);
+
+    if (offer.size > this.maxFileSize) {
+      this.finish(transfer, 'rejected', `Larger than the ${formatSize(this.maxFileSize)} limit`);
+      this.webrtc.sendTo(fromId, 'file-reject', { transferId: transfer.id, reason: 'too-large' });
+      return;
+    }
+
+    this.requestData(transfer);
+  }
+
+  handleDataChannel(participantId, channel) {
+    if (!channel.label.startsWith(CHANNEL_PREFIX)) return;
+
+    // Labels are file:<transferId>:<offset>
+    const [transferId, offsetText] = channel.label.slice(CHANNEL_PREFIX.length).split(':');
+    const offset = Number(offsetText);
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.direction !== 'incoming' || transfer.participantId !== participantId ||
+        !Number.isInteger(offset) || offset > transfer.transferred || this.isFinished(transfer)) {
+      channel.close();
+      return;
+    }
+
+    if (transfer.channel) transfer.channel.close();
+    transfer.channel = channel;
+    // Asked twice for the rest, the sender may start from where we were
+    // when we first asked; whatever we already have is skipped
+    transfer.skip = transfer.transferred - offset;
+    this.stopRetrying(transfer);
+
+    channel.binaryType = 'arraybuffer';
+    channel.onmessage = (event) => {
+      if (transfer.channel === channel) this.receiveChunk(transfer, event.data);
+    };
+    channel.onclose = () => {
+      if (transfer.channel !== channel) return;
+      transfer.channel = null;
+      if (!this.isFinished(transfer) && transfer.transferred < transfer.size) {
+        transfer.status = 'interrupted';
+        this.requestData(transfer);
+      }
+    };
+
+    if (transfer.status !== 'receiving') {
+      transfer.status = 'receiving';
+      this.notify(transfer);
+    }
+    if (transfer.size === 0) {
+      this.verify(transfer);
+    }
+  }
+
+  receiveChunk(transfer, data) {
+    let chunk = data instanceof ArrayBuffer ? data : new Uint8Array(data).buffer;
+    if (transfer.skip > 0) {
+      const skipped = Math.min(transfer.skip, chunk.byteLength);
+      transfer.skip -= skipped;
+      chunk = chunk.slice(skipped);
+    }
+    if (chunk.byteLength === 0) return;
+
+    if (transfer.transferred + chunk.byteLength > transfer.size) {
+      this.finish(transfer, 'corrupt', 'More data arrived than was offered');
+      return;
+    }
+
+    transfer.chunks.push(chunk);
+    const before = transfer.transferred;
+    transfer.transferred += chunk.byteLength;
+
+    if (transfer.transferred === transfer.size) {
+      this.verify(transfer);
+    } else if (percent(before, transfer.size) !== percent(transfer.transferred, transfer.size)) {
+      this.notify(transfer);
+    }
+  }
+
+  async verify(transfer) {
+    // The sender closes the channel once it hears how it went
+    const channel = transfer.channel;
+    transfer.channel = null;
+    channel.onmessage = null;
+    channel.onclose = null;
+
+    const blob = new Blob(transfer.chunks, { type: transfer.type });
+    transfer.chunks = [];
+    const verified = await sha256(blob) === transfer.sha256;
+
+    if (verified) {
+      transfer.blob = blob;
+      this.finish(transfer, 'complete');
+    } else {
+      this.finish(transfer, 'corrupt', 'The file was damaged on the way');
+    }
+    this.webrtc.sendTo(transfer.participantId, 'file-complete', { transferId: transfer.id, verified });
+  }
+
+  // Asks the sender for the file from what we have so far, and keeps asking
+  // until a channel for it arrives or the transfer times out
+  requestData(transfer) {
+    this.notify(transfer);
+
+    const ask = () => this.webrtc.sendTo(transfer.participantId, 'file-accept', {
+      transferId: transfer.id,
+      offset: transfer.transferred
+    });
+    ask();
+    transfer.retryTimer = setInterval(ask, RESUME_RETRY_MS);
+    transfer.timeout = setTimeout(() => {
+      this.finish(transfer, 'failed', 'The connection was lost');
+    }, RESUME_TIMEOUT_MS);
+  }
+
+  stopRetrying(transfer) {
+    clearInterval(transfer.retryTimer);
+    clearTimeout(transfer.timeout);
+    transfer.retryTimer = null;
+    transfer.timeout = null;
+  }
+
+  // Sending
+
+  handleAccept(answer, fromId) {
+    const transfer = this.outgoing(answer, fromId);
+    if (!transfer || this.isFinished(transfer)) return;
+    const offset = answer.offset;
+    if (!Number.isInteger(offset) || offset < 0 || offset > transfer.size) return;
+
+    clearTimeout(transfer.timeout);
+    transfer.timeout = null;
+    if (transfer.channel) {
+      this.closeOutgoingChannel(transfer);
+    }
+
+    let channel;
+    try {
+      channel = this.webrtc.openDataChannel(fromId, `${CHANNEL_PREFIX}${transfer.id}:${offset}`);
+    } catch (error) {
+      console.error('Could not open a channel for the file:', error);
+    }
+    if (!channel) {
+      // The receiver asks again while the connection recovers
+      this.interruptOutgoing(transfer);
+      return;
+    }
+
+    transfer.channel = channel;
+    transfer.transferred = offset;
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = BUFFERED_AMOUNT_LOW;
+    channel.onopen = () => this.pump(transfer, channel);
+    channel.onclose = () => {
+      if (transfer.channel !== channel) return;
+      this.closeOutgoingChannel(transfer);
+      if (transfer.status === 'sending') this.interruptOutgoing(transfer);
+    };
+  }
+
+  async pump(transfer, channel) {
+    transfer.status = 'sending';
+    this.notify(transfer);
+
+    while (transfer.channel === channel && transfer.transferred < transfer.size) {
+      if (channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+        await new Promise(resolve => {
+          transfer.wake = resolve;
+          channel.onbufferedamountlow = resolve;
+        });
+        continue;
+      }
+
+      const before = transfer.transferred;
+      const chunk = await transfer.file.slice(before, before + CHUNK_SIZE).arrayBuffer();
+      if (transfer.channel !== channel || channel.readyState !== 'open') break;
+      channel.send(chunk);
+      transfer.transferred += chunk.byteLength;
+
+      if (percent(before, transfer.size) !== percent(transfer.transferred, transfer.size)) {
+        this.notify(transfer);
+      }
+    }
+  }
+
+  closeOutgoingChannel(transfer) {
+    const { channel, wake } = transfer;
+    transfer.channel = null;
+    transfer.wake = null;
+    if (channel) {
+      channel.onclose = null;
+      channel.close();
+    }
+    // Lets a pump waiting on the old channel see that it's gone
+    if (wake) wake();
+  }
+
+  interruptOutgoing(transfer) {
+    transfer.status = 'interrupted';
+    this.notify(transfer);
+    clearTimeout(transfer.timeout);
+    transfer.timeout = setTimeout(() => {
+      this.finish(transfer, 'failed', 'The connection was lost');
+    }, RESUME_TIMEOUT_MS);
+  }
+
+  handleReject(answer, fromId) {
+    const transfer = this.outgoing(answer, fromId);
+    if (!transfer || this.isFinished(transfer)) return;
+    const reason = answer.reason === 'too-large' ? 'Larger than they accept' : 'Declined';
+    this.finish(transfer, 'rejected', reason);
+  }
+
+  handleComplete(result, fromId) {
+    const transfer = this.outgoing(result, fromId);
+    if (!transfer || this.isFinished(transfer)) return;
+    if (result.verified === true) {
+      this.finish(transfer, 'complete');
+    } else {
+      this.finish(transfer, 'corrupt', 'The file was damaged on the way');
+    }
+  }
+
+  // The outgoing transfer a message from its recipient is about
+  outgoing(message, fromId) {
+    const transfer = message && this.transfers.get(message.transferId);
+    if (!transfer || transfer.direction !== 'outgoing' || transfer.participantId !== fromId) return null;
+    return transfer;
+  }
+
+  isFinished(transfer) {
+    return ['complete', 'failed', 'rejected', 'corrupt'].includes(transfer.status);
+  }
+
+  finish(transfer, status, error = null) {
+    transfer.status = status;
+    transfer.error = error;
+    if (transfer.direction === 'outgoing') {
+      clearTimeout(transfer.timeout);
+      transfer.timeout = null;
+      this.closeOutgoingChannel(transfer);
+      transfer.file = null;
+    } else {
+      this.stopRetrying(transfer);
+      transfer.chunks = [];
+      if (transfer.channel) {
+        transfer.channel.onclose = null;
+        transfer.channel.close();
+        transfer.channel = null;
+      }
+    }
+    this.notify(transfer);
+  }
+
+  notify(transfer) {
+    if (this.onTransferUpdateCallback) {
+      this.onTransferUpdateCallback({
+        id: transfer.id,
+        fileId: transfer.fileId,
+        direction: transfer.direction,
+        participantId: transfer.participantId,
+        name: transfer.name,
+        size: transfer.size,
+        type: transfer.type,
+        transferred: transfer.transferred,
+        status: transfer.status,
+        error: transfer.error,
+        blob: transfer.blob || null
+      });
+    }
+  }
+
+  // Stops every transfer, as when leaving the call
+  dispose() {
+    for (const transfer of this.transfers.values()) {
+      if (!this.isFinished(transfer)) {
+        this.finish(transfer, 'failed', 'Left the call');
+      }
+    }
+    this.transfers.clear();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.webrtc.onDataChannel(null);
+  }
+
+  // Callback setters
+  onTransferUpdate(callback) {
+    this.onTransferUpdateCallback = callback;
+  }
+}
+
+function percent(bytes, size) {
+  return size === 0 ? 100 : Math.floor(bytes / size * 100);
+}
+
+export function formatSize(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${Math.round(bytes / (1024 * 1024 * 1024) * 10) / 10} GB`;
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024) * 10) / 10} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024 * 10) / 10} KB`;
+  return `${bytes} B`;
+}
+
+export default FileTransferService;
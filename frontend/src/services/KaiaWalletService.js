@@ -1,3 +1,5 @@
+import { hexlify, toUtf8Bytes } from 'ethers';
+
 export default class KaiaWalletService {
   constructor() {
     this.sepoliaChainId = '0xaa36a7'; // 11155111 in hex
@@ -84,6 +86,24 @@ export default class KaiaWalletService {
     }
   }
 
+  async signMessage(message, account) {
+    const provider = this.getProvider();
+    if (!provider) throw new Error('No wallet provider found.');
+    const signer = account || await this.getAccount();
+    if (!signer) throw new Error('No connected account to sign with.');
+    try {
+      return await provider.request({
+        method: 'personal_sign',
+        params: [hexlify(toUtf8Bytes(message)), signer],
+      });
+    } catch (error) {
+      if (error.code === 4001) {
+        throw new Error('User rejected the signature request.');
+      }
+      throw new Error(`Signing failed: ${error.message}`);
+    }
+  }
+
   async getChainId() {
     const provider = this.getProvider();
     if (!provider) return null;
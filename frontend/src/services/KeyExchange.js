@@ -0,0 +1,233 @@
+import { verifyMessage } from 'ethers';
+
+// Agrees a key with each other participant (ECDH P-256 and HKDF) over peer
+// messages, for end-to-end encryption to wrap its keys with. The server
+// relays the exchange, so it's tied to the meeting by a passphrase shared
+// out of band, or vouched for with wallet signatures. MediaEncryption and
+// ChatEncryption can share one, so the wallet only signs once; see
+// "End-to-end encryption" in SIGNALING_PROTOCOL.md.
+
+const PASSPHRASE_ITERATIONS = 200000;
+
+const encoder = new TextEncoder();
+
+export function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
+
+// PBKDF2 of `passphrase`, so everyone who knows it in the same room ends up
+// with the same bits
+export async function passphraseBits(passphrase, salt) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: PASSPHRASE_ITERATIONS },
+    material,
+    256
+  );
+}
+
+// What a participant signs with their wallet to vouch for their public key
+export function keyStatement(roomId, publicKey) {
+  return `CodarMeet end-to-end encryption key for ${roomId}:\n${publicKey}`;
+}
+
+class KeyExchange {
+  // Pass `passphrase` to agree keys with everyone who knows it, or
+  // `walletService` to sign ours and only accept keys signed by the wallet
+  // each participant joined with.
+  constructor(webrtcService, { passphrase = null, walletService = null } = {}) {
+    if (!passphrase && !walletService) {
+      throw new Error('End-to-end encryption needs a passphrase or a wallet');
+    }
+    this.webrtc = webrtcService;
+    this.passphrase = passphrase;
+    this.walletService = walletService;
+    this.roomId = null;
+    this.keyPair = null;
+    this.publicKey = null;
+    this.signature = null;
+    this.salt = null;
+    // participantId -> the key agreed with them, a promise while it's being
+    // worked out so what they wrap with it can't overtake it
+    this.pairwiseKeys = new Map();
+    // Who we've said hello to since they joined
+    this.introduced = new Set();
+    this.ready = null;
+    this.stopped = false;
+    this.unsubscribe = null;
+    // 'agreed' | 'rejected' -> Set of handlers, called with a participantId
+    this.handlers = new Map();
+  }
+
+  // Resolves once our key is ready; with a wallet, after it has signed.
+  // Whoever shares the exchange may call it, it only starts once.
+  start() {
+    if (!this.ready) {
+      // Listen straight away, so nothing sent while the wallet is open is lost
+      this.unsubscribe = this.webrtc.on('e2ee-hello', (payload, fromId) => this.handleHello(payload, fromId));
+      this.ready = this.prepare().then(() => {
+        for (const participantId of this.webrtc.getRemoteParticipantIds()) {
+          this.introduce(participantId);
+        }
+      });
+    }
+    return this.ready;
+  }
+
+  async prepare() {
+    this.roomId = this.webrtc.getRoomId();
+    this.keyPair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+    this.publicKey = toBase64(await crypto.subtle.exportKey('raw', this.keyPair.publicKey));
+
+    if (this.passphrase) {
+      this.salt = await passphraseBits(this.passphrase, `codarmeet-e2ee:${this.roomId}`);
+    } else {
+      this.salt = new Uint8Array(32);
+      this.signature = await this.walletService.signMessage(keyStatement(this.roomId, this.publicKey), this.webrtc.getAddress());
+    }
+  }
+
+  // Whether our key is ready to use; false if start failed or we've stopped
+  whenReady() {
+    if (!this.ready) return Promise.resolve(false);
+    return this.ready.then(() => !this.stopped, () => false);
+  }
+
+  introduce(participantId, { reply = false } = {}) {
+    this.introduced.add(participantId);
+    this.webrtc.sendTo(participantId, 'e2ee-hello', {
+      publicKey: this.publicKey,
+      signature: this.signature,
+      reply
+    });
+  }
+
+  async handleHello(payload, fromId) {
+    if (!(await this.whenReady()) || !payload || typeof payload.publicKey !== 'string') return;
+
+    if (this.walletService && !this.isVouchedFor(payload, fromId)) {
+      console.error('Key from', fromId, 'is not signed by their wallet');
+      this.emit('rejected', fromId);
+      return;
+    }
+
+    const agreement = this.agreeKey(payload.publicKey);
+    this.pairwiseKeys.set(fromId, agreement);
+    try {
+      await agreement;
+    } catch (error) {
+      console.error('Could not agree a key with', fromId, error);
+      if (this.pairwiseKeys.get(fromId) === agreement) this.pairwiseKeys.delete(fromId);
+      return;
+    }
+
+    // Whoever said hello first hears back, so both sides agree
+    if (!payload.reply) {
+      this.introduce(fromId, { reply: true });
+    }
+    this.emit('agreed', fromId);
+  }
+
+  isVouchedFor({ publicKey, signature }, participantId) {
+    const address = this.webrtc.getParticipantAddress(participantId);
+    if (!address || typeof signature !== 'string') return false;
+    try {
+      return verifyMessage(keyStatement(this.roomId, publicKey), signature).toLowerCase() === address.toLowerCase();
+    } catch {
+      return false;
+    }
+  }
+
+  async agreeKey(publicKey) {
+    const theirs = await crypto.subtle.importKey('raw', fromBase64(publicKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+    const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: theirs }, this.keyPair.privateKey, 256);
+    const material = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt: this.salt, info: encoder.encode(`codarmeet-e2ee ${this.roomId}`) },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  // Ids of everyone we've agreed a key with, or are agreeing one with
+  getParticipantIds() {
+    return Array.from(this.pairwiseKeys.keys());
+  }
+
+  // Registers a handler for 'agreed' (a key is agreed with a participant) or
+  // 'rejected' (their key isn't signed by their wallet); returns a function
+  // that removes it
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set());
+    }
+    this.handlers.get(event).add(handler);
+    return () => this.handlers.get(event).delete(handler);
+  }
+
+  emit(event, participantId) {
+    for (const handler of this.handlers.get(event) || []) {
+      handler(participantId);
+    }
+  }
+
+  // Encrypts `bytes` for `participantId`; `label` is authenticated with it.
+  // Resolves to { iv, key } in base64, or null without an agreed key.
+  async wrap(participantId, bytes, label) {
+    const agreement = this.pairwiseKeys.get(participantId);
+    if (!agreement) return null;
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    try {
+      const wrapped = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(label) },
+        await agreement,
+        bytes
+      );
+      return { iv: toBase64(iv), key: toBase64(wrapped) };
+    } catch {
+      return null;
+    }
+  }
+
+  // The other way round: the bytes `participantId` wrapped for us, or null
+  // without an agreed key. Throws if they can't be unwrapped, as with a
+  // different passphrase.
+  async unwrap(participantId, { iv, key }, label) {
+    const agreement = this.pairwiseKeys.get(participantId);
+    if (!agreement) return null;
+    return crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(label) },
+      await agreement,
+      fromBase64(key)
+    );
+  }
+
+  // Everyone sharing the exchange may pass this on; we only say hello once
+  async handleParticipantJoined(participantId) {
+    if (!(await this.whenReady()) || this.introduced.has(participantId)) return;
+    this.introduce(participantId);
+  }
+
+  forget(participantId) {
+    this.pairwiseKeys.delete(participantId);
+    this.introduced.delete(participantId);
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+    this.pairwiseKeys.clear();
+    this.introduced.clear();
+    this.handlers.clear();
+  }
+}
+
+export default KeyExchange;
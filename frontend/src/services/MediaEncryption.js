@@ -0,0 +1,171 @@
+import { KEY_INDEX_LIMIT } from './frameCrypto.js';
+import KeyExchange from './KeyExchange.js';
+
+// End-to-end encryption for a call's media. Each participant encrypts what
+// it sends with a key of its own and hands that key to everyone else,
+// wrapped with the key KeyExchange agreed between the two of them; the
+// server relays it all without being able to read it. See "End-to-end
+// encryption" in SIGNALING_PROTOCOL.md.
+
+// A rotated key is distributed this long before our frames switch to it, so
+// everyone has it by the time it's needed
+const KEY_ROTATION_DELAY_MS = 1000;
+
+function importSenderKey(raw) {
+  return crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+class MediaEncryption {
+  // Pass the `keyExchange` to share with chat encryption, or a `passphrase`
+  // or `walletService` for one of our own (see KeyExchange). `worker` is for
+  // tests.
+  constructor(webrtcService, { keyExchange = null, passphrase = null, walletService = null, worker = null } = {}) {
+    this.webrtc = webrtcService;
+    this.ownsKeyExchange = !keyExchange;
+    this.keyExchange = keyExchange || new KeyExchange(webrtcService, { passphrase, walletService });
+    this.worker = worker;
+    // The key we encrypt with and hand out, raw so it can be wrapped
+    this.senderKey = null;
+    this.keyIndex = 0;
+    this.rotationTimer = null;
+    // participantId -> 'encrypted' | 'undecryptable' | 'unverified'
+    this.states = new Map();
+    this.ready = null;
+    this.stopped = false;
+    this.unsubscribers = [];
+    this.onStateChangeCallback = null;
+  }
+
+  // Resolves once our keys are ready; with a wallet, after it has signed
+  async start() {
+    // Listen straight away, so nothing sent while the wallet is open is lost
+    this.unsubscribers = [
+      this.webrtc.on('e2ee-key', (payload, fromId) => this.handleKey(payload, fromId)),
+      this.keyExchange.on('agreed', participantId => this.sendSenderKey(participantId)),
+      this.keyExchange.on('rejected', participantId => this.setState(participantId, 'unverified'))
+    ];
+    this.ready = this.prepare();
+    await this.ready;
+  }
+
+  // Whether our keys are ready to use; false if start failed or we've stopped
+  whenReady() {
+    return this.ready.then(() => !this.stopped, () => false);
+  }
+
+  async prepare() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./mediaEncryptionWorker.js', import.meta.url), { type: 'module' });
+    }
+    this.worker.onmessage = ({ data }) => {
+      if (data.type === 'state') this.setState(data.participantId, data.state);
+    };
+
+    this.senderKey = crypto.getRandomValues(new Uint8Array(16));
+    await this.useSenderKey();
+    await this.keyExchange.start();
+
+    // Whoever we already agreed a key with before we started
+    this.keyExchange.getParticipantIds().forEach(participantId => this.sendSenderKey(participantId));
+  }
+
+  async sendSenderKey(participantId) {
+    const index = this.keyIndex;
+    const wrapped = await this.keyExchange.wrap(participantId, this.senderKey, `${this.webrtc.getClientId()}:${index}`);
+    if (!wrapped || this.stopped) return;
+    this.webrtc.sendTo(participantId, 'e2ee-key', { index, ...wrapped });
+  }
+
+  async handleKey(payload, fromId) {
+    if (!(await this.whenReady())) return;
+    if (!payload || !Number.isInteger(payload.index) || payload.index < 0 || payload.index >= KEY_INDEX_LIMIT) return;
+
+    try {
+      const raw = await this.keyExchange.unwrap(fromId, payload, `${fromId}:${payload.index}`);
+      if (!raw) return;
+      const key = await importSenderKey(raw);
+      this.worker.postMessage({ type: 'remote-key', participantId: fromId, index: payload.index, key });
+    } catch {
+      // A different passphrase gives a different pairwise key
+      console.error('Could not unwrap the media key from', fromId);
+      this.setState(fromId, 'undecryptable');
+    }
+  }
+
+  async useSenderKey() {
+    const key = await importSenderKey(this.senderKey);
+    this.worker.postMessage({ type: 'local-key', index: this.keyIndex, key });
+  }
+
+  // Switches to a new key that whoever left never sees
+  async rotate() {
+    this.keyIndex = (this.keyIndex + 1) % KEY_INDEX_LIMIT;
+    this.senderKey = crypto.getRandomValues(new Uint8Array(16));
+    await Promise.all(this.keyExchange.getParticipantIds().map(participantId => this.sendSenderKey(participantId)));
+
+    clearTimeout(this.rotationTimer);
+    this.rotationTimer = setTimeout(() => {
+      this.rotationTimer = null;
+      if (!this.stopped) this.useSenderKey();
+    }, KEY_ROTATION_DELAY_MS);
+  }
+
+  // Called by WebRTCService as participants come and go
+
+  async handleParticipantJoined(participantId) {
+    await this.keyExchange.handleParticipantJoined(participantId);
+  }
+
+  async handleParticipantLeft(participantId) {
+    if (!(await this.whenReady())) return;
+    this.keyExchange.forget(participantId);
+    this.worker.postMessage({ type: 'forget', participantId });
+    if (this.states.delete(participantId) && this.onStateChangeCallback) {
+      this.onStateChangeCallback(participantId, null);
+    }
+    await this.rotate();
+  }
+
+  // An encoded transform for a sender (`operation` 'encrypt') or for a
+  // receiver of `participantId`'s media ('decrypt')
+  createTransform(options) {
+    return new RTCRtpScriptTransform(this.worker, options);
+  }
+
+  getState(participantId) {
+    return this.states.get(participantId) || null;
+  }
+
+  setState(participantId, state) {
+    if (this.states.get(participantId) === state) return;
+    this.states.set(participantId, state);
+    if (this.onStateChangeCallback) {
+      this.onStateChangeCallback(participantId, state);
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+    clearTimeout(this.rotationTimer);
+    this.rotationTimer = null;
+    if (this.ownsKeyExchange) {
+      this.keyExchange.stop();
+    }
+    if (this.worker) {
+      this.worker.terminate();
+    }
+  }
+
+  // Callback setters
+  onStateChange(callback) {
+    this.onStateChangeCallback = callback;
+  }
+}
+
+export function isMediaEncryptionSupported() {
+  return typeof RTCRtpScriptTransform !== 'undefined';
+}
+
+export default MediaEncryption;
@@ -1,9 +1,113 @@
+import {
+  PROTOCOL_VERSION,
+  SERVER_MESSAGE_TYPES,
+  SFU_PEER_ID,
+  createMessage,
+  parseMessage
+} from '../shared/signalingProtocol.js';
+import { LayerAdapter, SIMULCAST_ENCODINGS, encodingForLayer, lowerLayer } from './simulcast.js';
+import { describeInbound, describeUplink, summarizeStats } from './connectionStats.js';
+
+// Reconnection backoff: 500ms, 1s, 2s, ... capped at 10s, with jitter
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 10000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+
+// Peer recovery: a disconnected peer gets a grace period to come back on its
+// own, then an ICE restart. If that doesn't reconnect it in time the peer
+// connection is rebuilt from scratch, up to MAX_PEER_REBUILDS times.
+const PEER_DISCONNECTED_GRACE_MS = 2000;
+const PEER_RECOVERY_TIMEOUT_MS = 10000;
+const MAX_PEER_REBUILDS = 2;
+
+// Used until the signaling server hands us its list, or if it can't be reached
+const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' }
+];
+
+// Fetch fresh TURN credentials this long before the current ones expire
+const ICE_SERVERS_REFRESH_MARGIN_S = 60;
+
+// How often peer connection stats are checked for loss and bandwidth limits
+const STATS_INTERVAL_MS = 2000;
+// Samples kept for exportStats: the last minute
+const STATS_HISTORY_LENGTH = 30;
+
+// How long an in-call message waits for an earlier one from the same sender
+// before it's delivered anyway, see receivePeerMessage
+const PEER_MESSAGE_GAP_TIMEOUT_MS = 3000;
+
 class WebRTCService {
   constructor() {
     this.ws = null;
+    this.serverUrl = null;
+    this.pendingHandshake = null;
+    // Issued on join, lets us resume our identity and room after a dropped connection
+    this.sessionToken = null;
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.resuming = false;
     this.clientId = null;
+    this.address = null;
+    this.pendingAuth = null;
     this.roomId = null;
+    // { host, coHosts, locked, lobby } of the room, see SIGNALING_PROTOCOL.md
+    this.moderation = null;
+    // Set while the host has us in one of the main room's breakout rooms
+    this.mainRoomId = null;
+    // { rooms, assignments, closesAt } of the main room's breakout rooms
+    this.breakouts = null;
+    // The room's raised hands, [{ participantId, raisedAt }] in speaking order
+    this.hands = [];
+    // The room's polls as we may see them, see SIGNALING_PROTOCOL.md
+    this.polls = [];
+    // 'mesh': one peer per participant. 'sfu': a single peer with the
+    // server's forwarding unit, keyed SFU_PEER_ID. Chosen by the server.
+    this.mediaMode = 'mesh';
+    // Participants the SFU has forwarded streams from -> mids of their m-lines
+    this.sfuParticipants = new Map();
     this.peers = new Map();
+    // Ids of everyone in the room, us included
+    this.participantIds = new Set();
+    // participantId -> wallet address
+    this.participantAddresses = new Map();
+    // peerId -> [{ receiver, participantId }] for the tracks it brought us
+    this.remoteReceivers = new Map();
+    // MediaEncryption while media is end-to-end encrypted, see setEncryption
+    this.encryption = null;
+    // ChatEncryption while chat is end-to-end encrypted, see setChatEncryption
+    this.chatEncryption = null;
+    // Incoming chat messages are decrypted one after another, so they're
+    // handed on in the order they came
+    this.chatQueue = Promise.resolve();
+    // participantId -> data channels with them; messages go out on the first open one
+    this.dataChannels = new Map();
+    // topic -> Set of handlers, see on()
+    this.topicHandlers = new Map();
+    // participantId -> sequence number of the last message we sent them
+    this.outgoingSeq = new Map();
+    // participantId -> { nextSeq, pending, gapTimer } for messages from them
+    this.peerInboxes = new Map();
+    this.iceServers = DEFAULT_ICE_SERVERS;
+    // Settles once the ICE servers for the current room have been fetched
+    this.iceServersReady = Promise.resolve();
+    this.iceServersTimer = null;
+    // participantId -> perfect negotiation state, see handleDescription
+    this.negotiation = new Map();
+    // participantId -> { timer, rebuilds } while a peer is being recovered
+    this.peerRecovery = new Map();
+    // participantId -> { requested, sent } video layers, see requestVideoLayer
+    this.videoLayers = new Map();
+    // peerId -> LayerAdapter capping what that connection receives
+    this.layerAdapters = new Map();
+    this.statsTimer = null;
+    // peerId -> the last getStats() report, to work out rates from
+    this.statsReports = new Map();
+    // The latest connection quality sample, see onStatsUpdate, and the ones before it
+    this.connectionStats = null;
+    this.statsHistory = [];
     this.localStream = null;
     this.onMessageCallback = null;
     this.onParticipantJoinedCallback = null;
@@ -12,20 +116,57 @@ class WebRTCService {
     this.onAnswerCallback = null;
     this.onIceCandidateCallback = null;
     this.onRoomJoinedCallback = null;
+    this.onJoinDeniedCallback = null;
+    this.onRemovedCallback = null;
+    this.onSystemMessageCallback = null;
+    this.onModerationChangedCallback = null;
+    this.onModeratedCallback = null;
+    this.onLobbyWaitingCallback = null;
+    this.onLobbyChangedCallback = null;
+    this.onBreakoutsChangedCallback = null;
+    this.onBreakoutMoveCallback = null;
+    this.onBreakoutMessageCallback = null;
+    this.onHandsChangedCallback = null;
+    this.onReactionCallback = null;
+    this.onPollsChangedCallback = null;
+    this.onErrorCallback = null;
+    this.onPresenceChangedCallback = null;
+    this.onChatHistoryCallback = null;
+    this.onConnectionStateChangeCallback = null;
+    this.onPeerStateChangeCallback = null;
+    this.onStatsUpdateCallback = null;
+    this.onDataChannelCallback = null;
   }
 
   connect(signalingServerUrl = 'ws://localhost:3002') {
+    this.serverUrl = signalingServerUrl;
+    this.shouldReconnect = true;
+    return this.openSocket();
+  }
+
+  openSocket() {
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(signalingServerUrl);
+        this.ws = new WebSocket(this.serverUrl);
+        // Resolved once the server accepts our protocol version
+        this.pendingHandshake = { resolve, reject };
         
         this.ws.onopen = () => {
           console.log('Connected to signaling server');
-          resolve();
+          this.sendMessage(createMessage('hello', {
+            payload: { version: PROTOCOL_VERSION }
+          }));
         };
 
         this.ws.onmessage = (event) => {
-          this.handleSignalingMessage(JSON.parse(event.data));
+          let data;
+          try {
+            data = parseMessage(event.data, SERVER_MESSAGE_TYPES);
+          } catch (error) {
+            console.error('Invalid signaling message:', error.message);
+            return;
+          }
+          this.handleSignalingMessage(data);
         };
 
         this.ws.onerror = (error) => {
@@ -33,9 +174,20 @@ class WebRTCService {
           reject(error);
         };
 
-        this.ws.onclose = () => {
+        this.ws.onclose = (event) => {
           console.log('Disconnected from signaling server');
-          this.cleanup();
+          if (this.pendingHandshake) {
+            this.pendingHandshake.reject(new Error(event.reason || 'Signaling server closed the connection'));
+            this.pendingHandshake = null;
+          }
+
+          // Keep peer connections up while we try to get our session back
+          if (this.shouldReconnect && this.sessionToken) {
+            this.ws = null;
+            this.scheduleReconnect();
+          } else {
+            this.cleanup();
+          }
         };
 
       } catch (error) {
@@ -45,140 +197,1084 @@ class WebRTCService {
   }
 
   disconnect() {
+    this.shouldReconnect = false;
     if (this.ws) {
       this.ws.close();
     }
     this.cleanup();
   }
 
-  joinRoom(roomId, username, email) {
+  scheduleReconnect() {
+    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      console.error('Giving up on reconnecting to signaling server');
+      this.cleanup();
+      this.setConnectionState('disconnected');
+      return;
+    }
+
+    const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts);
+    const delay = backoff / 2 + Math.random() * backoff / 2;
+    this.reconnectAttempts++;
+    this.setConnectionState('reconnecting');
+
+    console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket().catch(error => {
+        console.log('Reconnect attempt failed:', error.message || error);
+      });
+    }, delay);
+  }
+
+  setConnectionState(state) {
+    if (this.onConnectionStateChangeCallback) {
+      this.onConnectionStateChangeCallback(state);
+    }
+  }
+
+  // Brings peer connections in line with the room after resuming: peers that
+  // left while we were away are closed, and anyone who joined meanwhile is
+  // waiting for our offer. Healthy peers are left alone.
+  syncPeers(participants) {
+    const participantIds = new Set(participants.map(p => p.id));
+
+    if (this.mediaMode === 'sfu') {
+      for (const participantId of Array.from(this.sfuParticipants.keys())) {
+        if (!participantIds.has(participantId)) {
+          this.sfuParticipants.delete(participantId);
+          if (this.onParticipantLeftCallback) {
+            this.onParticipantLeftCallback(participantId);
+          }
+        }
+      }
+      if (!this.peers.has(SFU_PEER_ID)) {
+        this.connectToSfu();
+      }
+      return;
+    }
+
+    for (const peerId of Array.from(this.peers.keys())) {
+      if (!participantIds.has(peerId)) {
+        this.removePeer(peerId);
+        if (this.onParticipantLeftCallback) {
+          this.onParticipantLeftCallback(peerId);
+        }
+      }
+    }
+
+    for (const participantId of participantIds) {
+      if (participantId !== this.clientId && !this.peers.has(participantId)) {
+        this.createOffer(participantId);
+      }
+    }
+  }
+
+  // Proves wallet ownership to the signaling server by signing its challenge
+  async authenticate(walletService) {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
       throw new Error('Not connected to signaling server');
     }
 
-    this.roomId = roomId;
-    this.sendMessage({
-      type: 'join-room',
-      roomId: roomId,
-      payload: {
-        username: username,
-        email: email
-      }
+    const address = await walletService.getAccount();
+    if (!address) {
+      throw new Error('Connect your wallet before joining a meeting');
+    }
+
+    const authenticated = new Promise((resolve, reject) => {
+      this.pendingAuth = { walletService, resolve, reject };
     });
+
+    this.sendMessage(createMessage('auth-request', {
+      payload: { address: address }
+    }));
+
+    return authenticated;
+  }
+
+  joinRoom(roomId) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected to signaling server');
+    }
+    if (!this.address) {
+      throw new Error('Authenticate before joining a room');
+    }
+
+    this.roomId = roomId;
+    this.sendMessage(createMessage('join-room', { roomId: roomId }));
   }
 
   leaveRoom() {
     if (this.roomId) {
-      this.sendMessage({
-        type: 'leave-room',
-        roomId: this.roomId
-      });
+      this.sendMessage(createMessage('leave-room', { roomId: this.roomId }));
       this.roomId = null;
     }
+    this.mainRoomId = null;
+    this.breakouts = null;
+    this.hands = [];
+    this.polls = [];
+    this.sessionToken = null;
+    clearTimeout(this.iceServersTimer);
+    this.iceServersTimer = null;
     
-    // Close all peer connections
-    for (const [peerId, peer] of this.peers.entries()) {
+    if (this.encryption) {
+      this.encryption.stop();
+      this.encryption = null;
+    }
+    if (this.chatEncryption) {
+      this.chatEncryption.stop();
+      this.chatEncryption = null;
+    }
+    this.closePeers();
+    this.stopStatsPolling();
+    this.videoLayers.clear();
+    this.resetPeerMessages();
+    this.participantAddresses.clear();
+    this.mediaMode = 'mesh';
+    this.sfuParticipants.clear();
+  }
+
+  // Moves to another room on the same connection, as breakout rooms do.
+  // The old room's peers are closed and the new room's come up as on any
+  // join; encryption and the session carry over.
+  switchRoom(roomId) {
+    if (roomId === this.roomId) return;
+
+    if (this.roomId) {
+      this.sendMessage(createMessage('leave-room', { roomId: this.roomId }));
+    }
+    this.closePeers();
+    this.videoLayers.clear();
+    this.resetPeerMessages();
+    this.participantAddresses.clear();
+    this.sfuParticipants.clear();
+    this.mediaMode = 'mesh';
+
+    this.roomId = roomId;
+    this.sendMessage(createMessage('join-room', { roomId: roomId }));
+  }
+
+  closePeers() {
+    for (const peerId of Array.from(this.peers.keys())) {
+      this.removePeer(peerId);
+    }
+  }
+
+  // `keepRecovery` keeps the recovery state, for a rebuild to count its
+  // attempts
+  removePeer(participantId, { keepRecovery = false } = {}) {
+    const peer = this.peers.get(participantId);
+    if (peer) {
       peer.close();
+      this.peers.delete(participantId);
     }
-    this.peers.clear();
+    this.negotiation.delete(participantId);
+    this.dataChannels.delete(participantId);
+    this.remoteReceivers.delete(participantId);
+    this.layerAdapters.delete(participantId);
+    this.statsReports.delete(participantId);
+    if (!keepRecovery) this.clearPeerRecovery(participantId);
   }
 
-  async createPeerConnection(targetId) {
-    const peer = new RTCPeerConnection({
-      iceServers: [
-        { urls: 'stun:stun.l.google.com:19302' },
-        { urls: 'stun:stun1.l.google.com:19302' }
-      ]
-    });
+  // The REST API lives on the same host as the signaling WebSocket
+  getServerHttpUrl() {
+    const url = new URL(this.serverUrl);
+    url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+    return url.origin;
+  }
+
+  // Fetches STUN/TURN servers with short-lived TURN credentials, and schedules
+  // a refresh before they expire. Falls back to the current list on failure.
+  async refreshIceServers() {
+    clearTimeout(this.iceServersTimer);
+    this.iceServersTimer = null;
+
+    try {
+      const response = await fetch(`${this.getServerHttpUrl()}/api/ice-servers`, {
+        headers: { Authorization: `Bearer ${this.sessionToken}` }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const { iceServers, ttl } = await response.json();
+      this.iceServers = iceServers;
+
+      // Existing connections pick the new credentials up on their next ICE restart
+      for (const peer of this.peers.values()) {
+        peer.setConfiguration({ ...peer.getConfiguration(), iceServers: iceServers });
+      }
+
+      if (ttl) {
+        const refreshIn = Math.max(ttl - ICE_SERVERS_REFRESH_MARGIN_S, ttl / 2) * 1000;
+        this.iceServersTimer = setTimeout(() => {
+          this.iceServersReady = this.refreshIceServers();
+        }, refreshIn);
+      }
+    } catch (error) {
+      console.error('Could not fetch ICE servers, keeping the current list:', error.message);
+    }
+  }
 
-    // Add local stream tracks
+  createPeerConnection(targetId) {
+    const peer = new RTCPeerConnection({ iceServers: this.iceServers });
+
+    // Add local stream tracks. Video goes to the SFU as simulcast, so it can
+    // forward each subscriber the layer that suits it.
     if (this.localStream) {
       this.localStream.getTracks().forEach(track => {
-        peer.addTrack(track, this.localStream);
+        if (targetId === SFU_PEER_ID && track.kind === 'video') {
+          peer.addTransceiver(track, {
+            direction: 'sendonly',
+            streams: [this.localStream],
+            sendEncodings: SIMULCAST_ENCODINGS
+          });
+        } else {
+          peer.addTrack(track, this.localStream);
+        }
       });
+      if (this.encryption) {
+        peer.getSenders().forEach(sender => this.encryptSender(sender));
+      }
     }
 
+    // Every offer, including renegotiation and ICE restarts, starts here
+    peer.onnegotiationneeded = () => this.negotiate(targetId, peer);
+
     // Handle ICE candidates
     peer.onicecandidate = (event) => {
       if (event.candidate) {
-        this.sendMessage({
-          type: 'ice-candidate',
+        this.sendMessage(createMessage('ice-candidate', {
           roomId: this.roomId,
           payload: {
             targetId: targetId,
             candidate: event.candidate
           }
-        });
+        }));
       }
     };
 
-    // Handle incoming streams
+    // Handle incoming streams. The SFU labels each stream it forwards with
+    // the id of the participant who published it.
     peer.ontrack = (event) => {
+      const stream = event.streams[0];
+      const participantId = targetId === SFU_PEER_ID ? stream.id : targetId;
+      if (targetId === SFU_PEER_ID) {
+        const mids = this.sfuParticipants.get(participantId) || new Set();
+        if (event.transceiver) mids.add(event.transceiver.mid);
+        this.sfuParticipants.set(participantId, mids);
+      }
+      if (event.receiver) {
+        const receivers = this.remoteReceivers.get(targetId) || [];
+        receivers.push({ receiver: event.receiver, participantId });
+        this.remoteReceivers.set(targetId, receivers);
+        if (this.encryption) this.decryptReceiver(event.receiver, participantId);
+      }
       if (this.onIceCandidateCallback) {
-        this.onIceCandidateCallback(targetId, event.streams[0]);
+        this.onIceCandidateCallback(participantId, stream);
+      }
+      // A new connection starts out on the sender's default layer
+      if (event.track.kind === 'video') {
+        this.sendVideoLayer(participantId, { force: true });
       }
     };
 
+    // The side that offered opens the channel for in-call messages. Other
+    // channels belong to features like file sharing, see openDataChannel.
+    peer.ondatachannel = ({ channel }) => {
+      if (channel.label === 'messages') {
+        this.attachDataChannel(targetId, channel);
+      } else if (this.onDataChannelCallback) {
+        this.onDataChannelCallback(targetId, channel);
+      }
+    };
+
+    // Watch for network changes that stall the connection
+    peer.onconnectionstatechange = () => this.handlePeerStateChange(targetId, peer);
+    peer.oniceconnectionstatechange = () => this.handlePeerStateChange(targetId, peer);
+
     this.peers.set(targetId, peer);
+    this.setPeerState(targetId, 'connecting');
     return peer;
   }
 
-  async createOffer(targetId) {
-    const peer = await this.createPeerConnection(targetId);
-    const offer = await peer.createOffer();
-    await peer.setLocalDescription(offer);
+  // Opens a connection to `targetId`. The offer itself is sent from
+  // onnegotiationneeded. `renew` tells the other side to throw away its old
+  // connection to us.
+  createOffer(targetId, { renew = false } = {}) {
+    const peer = this.createPeerConnection(targetId);
+    this.getNegotiation(targetId).renew = renew;
 
-    this.sendMessage({
-      type: 'offer',
-      roomId: this.roomId,
-      payload: {
-        targetId: targetId,
-        offer: offer
+    // Messages to participants of an SFU room go through the signaling server
+    if (targetId !== SFU_PEER_ID) {
+      this.attachDataChannel(targetId, peer.createDataChannel('messages'));
+    }
+
+    // Without local media nothing triggers negotiation, so ask to receive
+    // instead. The SFU adds what there is to receive itself, so a data
+    // channel is enough to get the connection up.
+    if (peer.getSenders().length === 0) {
+      if (targetId === SFU_PEER_ID) {
+        peer.createDataChannel('sfu');
+      } else {
+        peer.addTransceiver('audio', { direction: 'recvonly' });
+        peer.addTransceiver('video', { direction: 'recvonly' });
       }
-    });
+    }
 
     return peer;
   }
 
-  async handleOffer(fromId, offer) {
-    const peer = await this.createPeerConnection(fromId);
-    await peer.setRemoteDescription(new RTCSessionDescription(offer));
-    
-    const answer = await peer.createAnswer();
-    await peer.setLocalDescription(answer);
+  // Switches between the mesh and the SFU when the server says so. The old
+  // mode's connections are closed; remote streams come back through onTrack
+  // once the new ones are up.
+  setMediaMode(mode) {
+    if (mode === this.mediaMode) return;
 
-    this.sendMessage({
-      type: 'answer',
-      roomId: this.roomId,
-      payload: {
-        targetId: fromId,
-        answer: answer
+    console.log('Switching media mode to:', mode);
+    this.closePeers();
+    this.sfuParticipants.clear();
+    this.mediaMode = mode;
+    if (mode === 'sfu') {
+      this.connectToSfu();
+    }
+  }
+
+  // Publishes our tracks to the SFU and receives everyone else's from it
+  async connectToSfu() {
+    await this.iceServersReady;
+    if (this.mediaMode === 'sfu' && this.roomId && !this.peers.has(SFU_PEER_ID)) {
+      this.createOffer(SFU_PEER_ID);
+    }
+  }
+
+  // Both ends derive their role from the client ids: the higher id is
+  // polite and gives way when offers collide. The SFU always gives way.
+  isPolite(participantId) {
+    if (participantId === SFU_PEER_ID) return false;
+    return this.clientId > participantId;
+  }
+
+  getNegotiation(participantId) {
+    if (!this.negotiation.has(participantId)) {
+      this.negotiation.set(participantId, {
+        makingOffer: false,
+        ignoreOffer: false,
+        renew: false,
+        // Candidates that arrived before the description they belong to
+        pendingCandidates: []
+      });
+    }
+    return this.negotiation.get(participantId);
+  }
+
+  async negotiate(participantId, peer) {
+    if (this.peers.get(participantId) !== peer) return;
+
+    const negotiation = this.getNegotiation(participantId);
+    try {
+      negotiation.makingOffer = true;
+      await peer.setLocalDescription();
+
+      // A colliding remote offer may have rolled ours back in the meantime
+      if (!peer.localDescription || peer.localDescription.type !== 'offer') return;
+
+      const payload = { targetId: participantId, offer: peer.localDescription };
+      if (negotiation.renew) {
+        payload.renew = true;
+        negotiation.renew = false;
       }
-    });
+      this.sendMessage(createMessage('offer', {
+        roomId: this.roomId,
+        payload: payload
+      }));
+    } catch (error) {
+      console.error('Failed to create offer for:', participantId, error);
+    } finally {
+      negotiation.makingOffer = false;
+    }
   }
 
-  async handleAnswer(fromId, answer) {
-    const peer = this.peers.get(fromId);
-    if (peer) {
-      await peer.setRemoteDescription(new RTCSessionDescription(answer));
+  // Applies a remote offer or answer using the perfect negotiation pattern
+  // (https://w3c.github.io/webrtc-pc/#perfect-negotiation-example). When both
+  // sides offer at once, the impolite side ignores the remote offer and the
+  // polite side rolls its own offer back and answers.
+  async handleDescription(fromId, description, renew = false) {
+    if (renew) {
+      this.removePeer(fromId);
+    }
+
+    // New connections need the room's ICE servers, which are fetched on join
+    if (!this.peers.has(fromId)) {
+      await this.iceServersReady;
+    }
+
+    // Reuse the existing connection so renegotiation and ICE restarts don't tear down the call
+    const peer = this.peers.get(fromId) || this.createPeerConnection(fromId);
+    const negotiation = this.getNegotiation(fromId);
+
+    try {
+      const offerCollision = description.type === 'offer' &&
+        (negotiation.makingOffer || peer.signalingState !== 'stable');
+
+      negotiation.ignoreOffer = offerCollision && !this.isPolite(fromId);
+      if (negotiation.ignoreOffer) {
+        console.log('Ignoring colliding offer from:', fromId);
+        return;
+      }
+
+      if (offerCollision) {
+        // Queued together so the rollback runs after any offer still being set
+        await Promise.all([
+          peer.setLocalDescription({ type: 'rollback' }),
+          peer.setRemoteDescription(description)
+        ]);
+      } else {
+        await peer.setRemoteDescription(description);
+      }
+      await this.flushPendingCandidates(fromId);
+
+      if (description.type === 'offer') {
+        await peer.setLocalDescription();
+        this.sendMessage(createMessage('answer', {
+          roomId: this.roomId,
+          payload: {
+            targetId: fromId,
+            answer: peer.localDescription
+          }
+        }));
+      }
+    } catch (error) {
+      console.error(`Failed to apply ${description.type} from ${fromId}:`, error);
     }
   }
 
   async handleIceCandidate(fromId, candidate) {
     const peer = this.peers.get(fromId);
-    if (peer) {
-      await peer.addIceCandidate(new RTCIceCandidate(candidate));
+    const negotiation = this.getNegotiation(fromId);
+
+    if (!peer || !peer.remoteDescription) {
+      negotiation.pendingCandidates.push(candidate);
+      return;
+    }
+
+    try {
+      await peer.addIceCandidate(candidate);
+    } catch (error) {
+      // Candidates for an offer we ignored are expected to fail
+      if (!negotiation.ignoreOffer) {
+        console.error('Failed to add ICE candidate from:', fromId, error);
+      }
+    }
+  }
+
+  async flushPendingCandidates(participantId) {
+    const candidates = this.getNegotiation(participantId).pendingCandidates.splice(0);
+    for (const candidate of candidates) {
+      await this.handleIceCandidate(participantId, candidate);
+    }
+  }
+
+  handlePeerStateChange(participantId, peer) {
+    // Ignore events from a connection we've already replaced
+    if (this.peers.get(participantId) !== peer) return;
+
+    const { connectionState, iceConnectionState } = peer;
+
+    if (connectionState === 'failed' || iceConnectionState === 'failed') {
+      // Skip if a restart is already under way, its timeout falls back to a rebuild
+      if (!this.getPeerRecovery(participantId).restarting) {
+        this.restartIce(participantId);
+      }
+    } else if (connectionState === 'disconnected' || iceConnectionState === 'disconnected') {
+      this.setPeerState(participantId, 'reconnecting');
+      const recovery = this.getPeerRecovery(participantId);
+      if (!recovery.timer) {
+        recovery.timer = setTimeout(() => this.restartIce(participantId), PEER_DISCONNECTED_GRACE_MS);
+      }
+    } else if (connectionState === 'connected' ||
+      (!connectionState && ['connected', 'completed'].includes(iceConnectionState))) {
+      this.clearPeerRecovery(participantId);
+      this.setPeerState(participantId, 'connected');
+    }
+  }
+
+  // The impolite side drives recovery, so both ends don't restart at once
+  isRecoveryOwner(participantId) {
+    return !this.isPolite(participantId);
+  }
+
+  getPeerRecovery(participantId) {
+    if (!this.peerRecovery.has(participantId)) {
+      this.peerRecovery.set(participantId, { timer: null, restarting: false, rebuilds: 0 });
+    }
+    return this.peerRecovery.get(participantId);
+  }
+
+  clearPeerRecovery(participantId) {
+    const recovery = this.peerRecovery.get(participantId);
+    if (recovery) {
+      clearTimeout(recovery.timer);
+      this.peerRecovery.delete(participantId);
+    }
+  }
+
+  restartIce(participantId) {
+    const peer = this.peers.get(participantId);
+    if (!peer) return;
+
+    this.setPeerState(participantId, 'reconnecting');
+    const recovery = this.getPeerRecovery(participantId);
+    clearTimeout(recovery.timer);
+    recovery.restarting = true;
+    recovery.timer = setTimeout(() => this.rebuildPeer(participantId), PEER_RECOVERY_TIMEOUT_MS);
+
+    if (!this.isRecoveryOwner(participantId)) return;
+
+    // Fires onnegotiationneeded with an ICE restart offer
+    console.log('Restarting ICE with:', participantId);
+    peer.restartIce();
+  }
+
+  // Last resort: replace the peer connection with a new one
+  rebuildPeer(participantId) {
+    if (!this.peers.has(participantId)) return;
+
+    const recovery = this.getPeerRecovery(participantId);
+    clearTimeout(recovery.timer);
+    recovery.timer = null;
+    recovery.restarting = false;
+
+    if (!this.isRecoveryOwner(participantId)) return;
+
+    if (recovery.rebuilds >= MAX_PEER_REBUILDS) {
+      console.error('Giving up on peer connection with:', participantId);
+      this.setPeerState(participantId, 'failed');
+      return;
+    }
+
+    recovery.rebuilds++;
+    console.log(`Rebuilding peer connection with ${participantId} (attempt ${recovery.rebuilds})`);
+    this.removePeer(participantId, { keepRecovery: true });
+
+    try {
+      this.createOffer(participantId, { renew: true });
+      recovery.timer = setTimeout(() => this.rebuildPeer(participantId), PEER_RECOVERY_TIMEOUT_MS);
+    } catch (error) {
+      console.error('Failed to rebuild peer connection:', error);
+      this.setPeerState(participantId, 'failed');
     }
   }
 
-  sendChatMessage(text) {
-    this.sendMessage({
-      type: 'chat-message',
+  // Asks for `participantId`'s video at the layer that suits the size it's
+  // rendered at. What's sent may be lower while our link is struggling.
+  requestVideoLayer(participantId, layer) {
+    const entry = this.videoLayers.get(participantId) || { requested: null, sent: null };
+    entry.requested = layer;
+    this.videoLayers.set(participantId, entry);
+    this.sendVideoLayer(participantId);
+  }
+
+  sendVideoLayer(participantId, { force = false } = {}) {
+    const entry = this.videoLayers.get(participantId);
+    if (!entry || !this.roomId) return;
+
+    const adapter = this.layerAdapters.get(this.mediaMode === 'sfu' ? SFU_PEER_ID : participantId);
+    const layer = adapter ? lowerLayer(entry.requested, adapter.cap) : entry.requested;
+    if (layer === entry.sent && !force) return;
+
+    entry.sent = layer;
+    this.sendMessage(createMessage('video-layer', {
       roomId: this.roomId,
-      payload: {
-        text: text
+      payload: { participantId: participantId, layer: layer }
+    }));
+  }
+
+  // In a mesh each receiver gets its own encoding, scaled to the layer it asked for
+  async applyVideoLayer(participantId, layer) {
+    const peer = this.peers.get(participantId);
+    const sender = peer && peer.getSenders().find(sender => sender.track && sender.track.kind === 'video');
+    if (!sender) return;
+
+    const { scaleResolutionDownBy, maxBitrate } = encodingForLayer(layer);
+    const parameters = sender.getParameters();
+    if (!parameters.encodings || parameters.encodings.length === 0) {
+      parameters.encodings = [{}];
+    }
+    Object.assign(parameters.encodings[0], { scaleResolutionDownBy, maxBitrate });
+
+    try {
+      await sender.setParameters(parameters);
+    } catch (error) {
+      console.error('Failed to apply video layer for:', participantId, error);
+    }
+  }
+
+  startStatsPolling() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = setInterval(() => this.pollStats(), STATS_INTERVAL_MS);
+  }
+
+  stopStatsPolling() {
+    clearInterval(this.statsTimer);
+    this.statsTimer = null;
+    this.layerAdapters.clear();
+    this.statsReports.clear();
+    this.connectionStats = null;
+    this.statsHistory = [];
+  }
+
+  async pollStats() {
+    const reports = new Map();
+    for (const [peerId, peer] of Array.from(this.peers.entries())) {
+      try {
+        reports.set(peerId, await peer.getStats());
+      } catch {
+        // Closed while we were asking
       }
-    });
+    }
+
+    this.updateConnectionStats(reports);
+    this.adaptVideoLayers(reports);
+  }
+
+  // Works out each participant's incoming quality and our uplink's from the
+  // reports, and keeps a short history of them for exportStats
+  updateConnectionStats(reports) {
+    const participants = {};
+    const summaries = [];
+
+    for (const [peerId, report] of reports) {
+      const previous = this.statsReports.get(peerId);
+      const summary = summarizeStats(report, previous);
+      summaries.push(summary);
+
+      if (peerId === SFU_PEER_ID) {
+        for (const [participantId, mids] of this.sfuParticipants) {
+          participants[participantId] = describeInbound(summarizeStats(report, previous, { mids }));
+        }
+      } else {
+        participants[peerId] = describeInbound(summary);
+      }
+      this.statsReports.set(peerId, report);
+    }
+
+    this.connectionStats = {
+      timestamp: Date.now(),
+      uplink: describeUplink(summaries),
+      participants: participants
+    };
+    this.statsHistory.push(this.connectionStats);
+    if (this.statsHistory.length > STATS_HISTORY_LENGTH) {
+      this.statsHistory.shift();
+    }
+
+    if (this.onStatsUpdateCallback) {
+      this.onStatsUpdateCallback(this.connectionStats);
+    }
+  }
+
+  // Everything we know about the call's connections, for bug reports: the
+  // recent quality samples and the last raw report of each connection
+  exportStats() {
+    const reports = {};
+    for (const [peerId, report] of this.statsReports) {
+      reports[peerId] = Array.from(report.values());
+    }
+
+    return {
+      exportedAt: new Date().toISOString(),
+      clientId: this.clientId,
+      roomId: this.roomId,
+      mediaMode: this.mediaMode,
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+      history: this.statsHistory,
+      reports: reports
+    };
+  }
+
+  // Lowers (or restores) the layers we receive as each connection's loss and
+  // bandwidth change
+  adaptVideoLayers(reports) {
+    for (const [peerId, report] of reports) {
+      if (!this.layerAdapters.has(peerId)) {
+        this.layerAdapters.set(peerId, new LayerAdapter());
+      }
+      const adapter = this.layerAdapters.get(peerId);
+      const cap = adapter.cap;
+      if (adapter.update(report) === cap) continue;
+
+      console.log(`Video layers from ${peerId} capped at:`, adapter.cap);
+      const participantIds = peerId === SFU_PEER_ID ? Array.from(this.videoLayers.keys()) : [peerId];
+      participantIds.forEach(participantId => this.sendVideoLayer(participantId));
+    }
+  }
+
+  setPeerState(participantId, state) {
+    if (this.onPeerStateChangeCallback) {
+      this.onPeerStateChangeCallback(participantId, state);
+    }
+  }
+
+  // Tells the room whether we're `active` or `idle`
+  setPresence(state) {
+    if (!this.roomId) return;
+
+    this.sendMessage(createMessage('presence', {
+      payload: { state: state }
+    }));
+  }
+
+  // Sends `text` to the room's chat, encrypted while chat encryption is on
+  async sendChatMessage(text) {
+    const roomId = this.roomId;
+    const payload = this.chatEncryption
+      ? { encrypted: await this.chatEncryption.encrypt(text) }
+      : { text: text };
+    this.sendMessage(createMessage('chat-message', {
+      roomId: roomId,
+      payload: payload
+    }));
+  }
+
+  // A chat message as it should be shown: decrypted if it was encrypted, or
+  // marked `undecryptable` with no text if we can't read it
+  async readChatMessage(message) {
+    if (!message.encrypted) return message;
+
+    const text = this.chatEncryption ? await this.chatEncryption.decrypt(message) : null;
+    if (text === null) {
+      return { ...message, text: null, undecryptable: true };
+    }
+    return { ...message, text: text, undecryptable: false };
+  }
+
+  // Asks for the page of chat before message `before`, see onChatHistory
+  requestChatHistory(before) {
+    if (!this.roomId) return;
+
+    this.sendMessage(createMessage('chat-history', {
+      roomId: this.roomId,
+      payload: { before: before }
+    }));
+  }
+
+  // Raises our hand to join the room's speaking queue, or lowers it
+  raiseHand(raised = true) {
+    if (!this.roomId) return;
+
+    this.sendMessage(createMessage('hand', {
+      roomId: this.roomId,
+      payload: { raised: raised }
+    }));
+  }
+
+  isHandRaised(participantId = this.clientId) {
+    return this.hands.some(hand => hand.participantId === participantId);
+  }
+
+  // Shows one of REACTIONS over our tile for everyone else; we show our own
+  sendReaction(emoji) {
+    if (!this.roomId) return;
+
+    this.sendMessage(createMessage('reaction', {
+      roomId: this.roomId,
+      payload: { emoji: emoji }
+    }));
+  }
+
+  // poll('create', { question, options, multiple, results, correct }) for the
+  // host and co-hosts, poll('vote', { pollId, choices }) and
+  // poll('close', { pollId }); see SIGNALING_PROTOCOL.md
+  poll(action, options = {}) {
+    if (!this.roomId) return;
+
+    this.sendMessage(createMessage('poll', {
+      roomId: this.roomId,
+      payload: { action: action, ...options }
+    }));
+  }
+
+  // Host and co-host commands; the server decides whether we may
+  moderate(action, participantId = null) {
+    if (!this.roomId) return;
+
+    this.sendMessage(createMessage('moderate', {
+      roomId: this.roomId,
+      payload: participantId ? { action: action, participantId: participantId } : { action: action }
+    }));
+  }
+
+  // Host and co-host commands for the breakout rooms, e.g.
+  // breakout('open', { count: 3, assignment: 'random' }); see SIGNALING_PROTOCOL.md
+  breakout(action, options = {}) {
+    const roomId = this.mainRoomId || this.roomId;
+    if (!roomId) return;
+
+    this.sendMessage(createMessage('breakout', {
+      roomId: roomId,
+      payload: { action: action, ...options }
+    }));
+  }
+
+  // The host and co-hosts may drop in on any breakout room
+  visitBreakoutRoom(roomId) {
+    if (!this.breakouts || !this.breakouts.rooms.some(room => room.id === roomId)) return;
+
+    this.mainRoomId = this.mainRoomId || this.roomId;
+    this.switchRoom(roomId);
+  }
+
+  // Leaves a breakout room for the main room before the host closes them
+  returnToMainRoom() {
+    if (!this.mainRoomId) return;
+
+    const mainRoomId = this.mainRoomId;
+    this.mainRoomId = null;
+    this.switchRoom(mainRoomId);
+  }
+
+  // 'host', 'co-host' or 'participant'
+  getRole(address = this.address) {
+    if (!this.moderation || !address) return 'participant';
+    if (address === this.moderation.host) return 'host';
+    return this.moderation.coHosts.includes(address) ? 'co-host' : 'participant';
+  }
+
+  // Like readChatMessage, for the history we get on joining or messages to
+  // try again once we have more keys. Resolves before any message that comes
+  // in afterwards is handed on.
+  readChatMessages(messages) {
+    const reading = Promise.all(messages.map(message => this.readChatMessage(message)));
+    const read = this.chatQueue.then(() => reading);
+    this.chatQueue = read.catch(() => {});
+    return read;
+  }
+
+  receiveChatMessage(message) {
+    const reading = this.readChatMessage(message);
+    this.chatQueue = this.chatQueue
+      .then(() => reading)
+      .then(readable => {
+        if (this.onMessageCallback) {
+          this.onMessageCallback(readable);
+        }
+      })
+      .catch(error => console.error('Error reading chat message:', error));
+  }
+
+  // In-call messaging for features built on top of the call. Messages go to
+  // everyone else in the room over our data channel with them, or through the
+  // signaling server while there's no open channel (and always in an SFU
+  // room). Each participant gets each message once, and messages from one
+  // sender reach handlers in the order they were sent; see "Peer messaging"
+  // in SIGNALING_PROTOCOL.md.
+  send(topic, payload) {
+    for (const participantId of this.participantIds) {
+      if (participantId !== this.clientId) {
+        this.sendPeerMessage(participantId, topic, payload);
+      }
+    }
+  }
+
+  // Like send, for one participant
+  sendTo(participantId, topic, payload) {
+    this.sendPeerMessage(participantId, topic, payload);
+  }
+
+  // Opens a data channel of our own on the connection with `participantId`,
+  // for features that move more data than messages should. null in SFU
+  // rooms, which have no direct connections.
+  openDataChannel(participantId, label, options = {}) {
+    const peer = this.peers.get(participantId);
+    if (!peer || participantId === SFU_PEER_ID) return null;
+    return peer.createDataChannel(label, options);
+  }
+
+  // Turns end-to-end media encryption on with a MediaEncryption, or off with
+  // null. Takes effect on the connections we already have straight away.
+  async setEncryption(encryption) {
+    if (this.encryption) {
+      this.encryption.stop();
+    }
+    this.encryption = encryption;
+    if (encryption) {
+      try {
+        await encryption.start();
+      } catch (error) {
+        if (this.encryption === encryption) {
+          encryption.stop();
+          this.encryption = null;
+        }
+        throw error;
+      }
+      // Turned off again while the wallet was signing
+      if (this.encryption !== encryption) return;
+    }
+
+    for (const [peerId, peer] of this.peers.entries()) {
+      peer.getSenders().forEach(sender => this.encryptSender(sender));
+      for (const { receiver, participantId } of this.remoteReceivers.get(peerId) || []) {
+        this.decryptReceiver(receiver, participantId);
+      }
+    }
+  }
+
+  encryptSender(sender) {
+    sender.transform = this.encryption ? this.encryption.createTransform({ operation: 'encrypt' }) : null;
+  }
+
+  decryptReceiver(receiver, participantId) {
+    receiver.transform = this.encryption
+      ? this.encryption.createTransform({ operation: 'decrypt', participantId: participantId })
+      : null;
+  }
+
+  isEncrypted() {
+    return this.encryption !== null;
+  }
+
+  // Turns end-to-end chat encryption on with a ChatEncryption, or off with
+  // null. Messages we send from then on are encrypted.
+  async setChatEncryption(chatEncryption) {
+    if (this.chatEncryption) {
+      this.chatEncryption.stop();
+    }
+    this.chatEncryption = chatEncryption;
+    if (chatEncryption) {
+      try {
+        await chatEncryption.start();
+      } catch (error) {
+        if (this.chatEncryption === chatEncryption) {
+          chatEncryption.stop();
+          this.chatEncryption = null;
+        }
+        throw error;
+      }
+    }
+  }
+
+  isChatEncrypted() {
+    return this.chatEncryption !== null;
+  }
+
+  // Calls `handler(payload, fromId)` for every message on `topic`. Returns a
+  // function that removes the handler.
+  on(topic, handler) {
+    if (!this.topicHandlers.has(topic)) {
+      this.topicHandlers.set(topic, new Set());
+    }
+    this.topicHandlers.get(topic).add(handler);
+    return () => this.topicHandlers.get(topic).delete(handler);
+  }
+
+  sendPeerMessage(participantId, topic, data) {
+    // Numbered per recipient, whichever way the message travels
+    const seq = (this.outgoingSeq.get(participantId) || 0) + 1;
+    this.outgoingSeq.set(participantId, seq);
+    const message = { topic: topic, seq: seq, data: data };
+
+    const channels = this.dataChannels.get(participantId) || [];
+    const channel = channels.find(channel => channel.readyState === 'open');
+    if (channel) {
+      try {
+        channel.send(JSON.stringify(message));
+        return;
+      } catch (error) {
+        console.error('Data channel send failed, relaying instead:', error);
+      }
+    }
+
+    this.sendMessage(createMessage('peer-message', {
+      roomId: this.roomId,
+      payload: { targetId: participantId, ...message }
+    }));
+  }
+
+  attachDataChannel(participantId, channel) {
+    if (!this.dataChannels.has(participantId)) {
+      this.dataChannels.set(participantId, []);
+    }
+    this.dataChannels.get(participantId).push(channel);
+
+    channel.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      this.receivePeerMessage(participantId, message);
+    };
+  }
+
+  // Messages arrive over the data channel or the signaling relay, so one may
+  // overtake another when a channel opens or closes. Each is held until the
+  // ones sent before it have been delivered, and copies of delivered
+  // messages are dropped. A message lost with a closing channel would hold
+  // the rest up for good, so after PEER_MESSAGE_GAP_TIMEOUT_MS they go ahead.
+  receivePeerMessage(fromId, message) {
+    if (!message || typeof message.topic !== 'string' || !Number.isInteger(message.seq)) return;
+
+    if (!this.peerInboxes.has(fromId)) {
+      this.peerInboxes.set(fromId, { nextSeq: 1, pending: new Map(), gapTimer: null });
+    }
+    const inbox = this.peerInboxes.get(fromId);
+    if (message.seq < inbox.nextSeq || inbox.pending.has(message.seq)) return;
+
+    inbox.pending.set(message.seq, message);
+    this.drainInbox(fromId, inbox);
+  }
+
+  drainInbox(fromId, inbox) {
+    while (inbox.pending.has(inbox.nextSeq)) {
+      const message = inbox.pending.get(inbox.nextSeq);
+      inbox.pending.delete(inbox.nextSeq);
+      inbox.nextSeq++;
+      this.dispatchPeerMessage(fromId, message);
+    }
+
+    if (inbox.pending.size === 0) {
+      clearTimeout(inbox.gapTimer);
+      inbox.gapTimer = null;
+    } else if (!inbox.gapTimer) {
+      inbox.gapTimer = setTimeout(() => {
+        inbox.gapTimer = null;
+        inbox.nextSeq = Math.min(...inbox.pending.keys());
+        this.drainInbox(fromId, inbox);
+      }, PEER_MESSAGE_GAP_TIMEOUT_MS);
+    }
+  }
+
+  dispatchPeerMessage(fromId, { topic, data }) {
+    const handlers = this.topicHandlers.get(topic);
+    if (!handlers) return;
+
+    for (const handler of Array.from(handlers)) {
+      try {
+        handler(data, fromId);
+      } catch (error) {
+        console.error(`Handler for ${topic} messages failed:`, error);
+      }
+    }
+  }
+
+  // Forgets message numbering with a participant who left, so it starts over
+  // if they come back
+  forgetPeerMessages(participantId) {
+    this.outgoingSeq.delete(participantId);
+    const inbox = this.peerInboxes.get(participantId);
+    if (inbox) {
+      clearTimeout(inbox.gapTimer);
+      this.peerInboxes.delete(participantId);
+    }
+  }
+
+  resetPeerMessages() {
+    for (const participantId of Array.from(this.peerInboxes.keys())) {
+      this.forgetPeerMessages(participantId);
+    }
+    this.outgoingSeq.clear();
+    this.participantIds.clear();
   }
 
   setLocalStream(stream) {
@@ -208,49 +1304,167 @@ class WebRTCService {
     const { type, roomId, from, payload } = data;
 
     switch (type) {
-      case 'client-id':
+      case 'welcome':
+        console.log('Received client ID:', payload.clientId, 'protocol version:', payload.version);
+        if (this.sessionToken) {
+          // Reconnected: ask for our old identity instead of taking the new one
+          this.resuming = true;
+          this.sendMessage(createMessage('resume', {
+            payload: { sessionToken: this.sessionToken }
+          }));
+        } else {
+          this.clientId = payload.clientId;
+        }
+        if (this.pendingHandshake) {
+          this.pendingHandshake.resolve();
+          this.pendingHandshake = null;
+        }
+        break;
+
+      case 'error':
+        console.error(`Signaling error (${payload.code}) for ${payload.messageType || 'connection'}:`, payload.reason);
+        if (payload.code === 'unsupported-version' && this.pendingHandshake) {
+          this.pendingHandshake.reject(new Error(payload.reason));
+          this.pendingHandshake = null;
+        }
+        if (this.onErrorCallback) {
+          this.onErrorCallback(payload);
+        }
+        break;
+
+      case 'auth-challenge':
+        this.handleAuthChallenge(payload);
+        break;
+
+      case 'authenticated':
+        this.address = payload.address;
+        console.log('Authenticated as:', this.address);
+        if (this.pendingAuth) {
+          this.pendingAuth.resolve(this.address);
+          this.pendingAuth = null;
+        }
+        break;
+
+      case 'resumed':
+        console.log('Resumed session as:', payload.clientId);
         this.clientId = payload.clientId;
-        console.log('Received client ID:', this.clientId);
+        this.address = payload.address;
+        this.reconnectAttempts = 0;
+        this.setConnectionState('connected');
+        break;
+
+      case 'resume-failed':
+        console.error('Could not resume session:', payload.reason);
+        this.resuming = false;
+        this.sessionToken = null;
+        this.disconnect();
+        this.setConnectionState('disconnected');
+        break;
+
+      case 'auth-error':
+        console.error('Authentication error:', payload.error);
+        if (this.pendingAuth) {
+          this.pendingAuth.reject(new Error(payload.error));
+          this.pendingAuth = null;
+        }
         break;
 
       case 'room-joined':
         console.log('Joined room:', roomId);
+        this.sessionToken = payload.sessionToken;
+        this.iceServersReady = this.refreshIceServers();
+        this.participantIds = new Set(payload.participants.map(participant => participant.id));
+        this.participantAddresses = new Map(payload.participants.map(participant => [participant.id, participant.address]));
+        // Message numbering starts over with anyone who left while we were away
+        for (const participantId of new Set([...this.outgoingSeq.keys(), ...this.peerInboxes.keys()])) {
+          if (!this.participantIds.has(participantId)) this.forgetPeerMessages(participantId);
+        }
+        this.setMediaMode(payload.mediaMode);
+        this.moderation = payload.moderation;
+        this.hands = payload.hands;
+        this.polls = payload.polls;
+        this.startStatsPolling();
+        if (this.resuming) {
+          this.resuming = false;
+          this.syncPeers(payload.participants);
+        }
         if (this.onRoomJoinedCallback) {
           this.onRoomJoinedCallback(payload);
         }
         break;
 
+      case 'join-denied':
+        console.log('Join denied:', payload.reason);
+        if (this.onJoinDeniedCallback) {
+          this.onJoinDeniedCallback(payload.reason);
+        }
+        break;
+
+      case 'removed-from-room':
+        console.log('Removed from room:', payload.reason);
+        this.closePeers();
+        if (this.onRemovedCallback) {
+          this.onRemovedCallback(payload.reason);
+        }
+        break;
+
       case 'participant-joined':
-        console.log('Participant joined:', payload);
+        console.log('Participant joined:', payload.participant);
+        this.participantIds.add(payload.participant.id);
+        this.participantAddresses.set(payload.participant.id, payload.participant.address);
+        if (payload.participant.id !== this.clientId) {
+          if (this.encryption) this.encryption.handleParticipantJoined(payload.participant.id);
+          if (this.chatEncryption) this.chatEncryption.handleParticipantJoined(payload.participant.id);
+        }
         if (this.onParticipantJoinedCallback) {
-          this.onParticipantJoinedCallback(payload);
+          this.onParticipantJoinedCallback(payload.participant);
         }
-        // Create offer for new participant
-        if (payload.id !== this.clientId) {
-          this.createOffer(payload.id);
+        // Create offer for new participant; in SFU mode the SFU sends its tracks instead
+        if (this.mediaMode === 'mesh' && payload.participant.id !== this.clientId) {
+          this.createOffer(payload.participant.id);
         }
         break;
 
       case 'participant-left':
-        console.log('Participant left:', payload);
-        const peer = this.peers.get(payload.participantId);
-        if (peer) {
-          peer.close();
-          this.peers.delete(payload.participantId);
+        console.log('Participant left:', payload.participantId);
+        this.removePeer(payload.participantId);
+        this.sfuParticipants.delete(payload.participantId);
+        this.videoLayers.delete(payload.participantId);
+        this.participantIds.delete(payload.participantId);
+        this.participantAddresses.delete(payload.participantId);
+        this.forgetPeerMessages(payload.participantId);
+        // Whoever stays switches to a key the leaver never had
+        if (this.encryption) {
+          this.encryption.handleParticipantLeft(payload.participantId);
+        }
+        if (this.chatEncryption) {
+          this.chatEncryption.handleParticipantLeft(payload.participantId);
         }
         if (this.onParticipantLeftCallback) {
           this.onParticipantLeftCallback(payload.participantId);
         }
         break;
 
+      case 'media-mode':
+        this.setMediaMode(payload.mode);
+        break;
+
+      case 'video-layer':
+        this.applyVideoLayer(from, payload.layer);
+        break;
+
+      case 'peer-message':
+        this.receivePeerMessage(from, payload);
+        break;
+
       case 'offer':
         console.log('Received offer from:', from);
-        this.handleOffer(from, payload.offer);
+        this.handleDescription(from, payload.offer, payload.renew);
         break;
 
       case 'answer':
         console.log('Received answer from:', from);
-        this.handleAnswer(from, payload.answer);
+        this.handleDescription(from, payload.answer);
         break;
 
       case 'ice-candidate':
@@ -259,9 +1473,98 @@ class WebRTCService {
         break;
 
       case 'chat-message':
-        console.log('Received chat message:', payload);
-        if (this.onMessageCallback) {
-          this.onMessageCallback(payload.message);
+        this.receiveChatMessage(payload.message);
+        break;
+
+      case 'chat-history':
+        this.readChatMessages(payload.messages)
+          .then(messages => {
+            if (this.onChatHistoryCallback) {
+              this.onChatHistoryCallback(messages, payload.hasMore);
+            }
+          })
+          .catch(error => console.error('Error reading chat history:', error));
+        break;
+
+      case 'presence':
+        if (this.onPresenceChangedCallback) {
+          this.onPresenceChangedCallback(payload.participantId, payload.state);
+        }
+        break;
+
+      case 'room-moderation':
+        this.moderation = payload;
+        if (this.onModerationChangedCallback) {
+          this.onModerationChangedCallback(payload);
+        }
+        break;
+
+      case 'moderated':
+        console.log(`Host ${from} asked us to ${payload.action}`);
+        if (this.onModeratedCallback) {
+          this.onModeratedCallback(payload.action, from);
+        }
+        break;
+
+      case 'lobby-waiting':
+        console.log('Waiting in the lobby:', payload.reason);
+        if (this.onLobbyWaitingCallback) {
+          this.onLobbyWaitingCallback(payload.reason);
+        }
+        break;
+
+      case 'lobby':
+        if (this.onLobbyChangedCallback) {
+          this.onLobbyChangedCallback(payload.waiting);
+        }
+        break;
+
+      case 'breakout-rooms':
+        this.breakouts = payload.rooms.length > 0 ? payload : null;
+        if (this.onBreakoutsChangedCallback) {
+          this.onBreakoutsChangedCallback(this.breakouts);
+        }
+        break;
+
+      case 'breakout-move':
+        console.log('Moving to room:', payload.roomId);
+        this.mainRoomId = payload.roomId === roomId ? null : roomId;
+        this.switchRoom(payload.roomId);
+        if (this.onBreakoutMoveCallback) {
+          this.onBreakoutMoveCallback(payload.roomId, payload.name);
+        }
+        break;
+
+      case 'breakout-message':
+        if (this.onBreakoutMessageCallback) {
+          this.onBreakoutMessageCallback(payload.text, payload.sender);
+        }
+        break;
+
+      case 'hands':
+        this.hands = payload.queue;
+        if (this.onHandsChangedCallback) {
+          this.onHandsChangedCallback(payload.queue);
+        }
+        break;
+
+      case 'reaction':
+        if (this.onReactionCallback) {
+          this.onReactionCallback(from, payload.emoji);
+        }
+        break;
+
+      case 'polls':
+        this.polls = payload.polls;
+        if (this.onPollsChangedCallback) {
+          this.onPollsChangedCallback(payload.polls);
+        }
+        break;
+
+      case 'system-message':
+        console.log('Message from the server operators:', payload.text);
+        if (this.onSystemMessageCallback) {
+          this.onSystemMessageCallback(payload);
         }
         break;
 
@@ -270,6 +1573,21 @@ class WebRTCService {
     }
   }
 
+  async handleAuthChallenge({ address, message }) {
+    if (!this.pendingAuth) return;
+
+    const { walletService, reject } = this.pendingAuth;
+    try {
+      const signature = await walletService.signMessage(message, address);
+      this.sendMessage(createMessage('auth-response', {
+        payload: { signature: signature }
+      }));
+    } catch (error) {
+      reject(error);
+      this.pendingAuth = null;
+    }
+  }
+
   sendMessage(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
       this.ws.send(JSON.stringify(message));
@@ -279,14 +1597,43 @@ class WebRTCService {
   }
 
   cleanup() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+    this.sessionToken = null;
+    this.resuming = false;
+    clearTimeout(this.iceServersTimer);
+    this.iceServersTimer = null;
     this.ws = null;
     this.clientId = null;
+    this.address = null;
+    if (this.pendingAuth) {
+      this.pendingAuth.reject(new Error('Disconnected from signaling server'));
+      this.pendingAuth = null;
+    }
     this.roomId = null;
-    
-    for (const [peerId, peer] of this.peers.entries()) {
-      peer.close();
+    this.moderation = null;
+    this.mainRoomId = null;
+    this.breakouts = null;
+    this.hands = [];
+    this.polls = [];
+    if (this.encryption) {
+      this.encryption.stop();
+      this.encryption = null;
     }
-    this.peers.clear();
+    if (this.chatEncryption) {
+      this.chatEncryption.stop();
+      this.chatEncryption = null;
+    }
+    this.closePeers();
+    this.stopStatsPolling();
+    this.videoLayers.clear();
+    this.resetPeerMessages();
+    this.participantAddresses.clear();
+    this.mediaMode = 'mesh';
+    this.sfuParticipants.clear();
   }
 
   // Callback setters
@@ -306,23 +1653,159 @@ class WebRTCService {
     this.onRoomJoinedCallback = callback;
   }
 
+  onJoinDenied(callback) {
+    this.onJoinDeniedCallback = callback;
+  }
+
+  onRemoved(callback) {
+    this.onRemovedCallback = callback;
+  }
+
+  // Called with { text, level } for announcements from the server's operators
+  onSystemMessage(callback) {
+    this.onSystemMessageCallback = callback;
+  }
+
+  // Called with { code, messageType, reason } when the server rejects a message
+  onError(callback) {
+    this.onErrorCallback = callback;
+  }
+
+  // Called with (messages, hasMore) for a page of earlier chat, oldest first
+  onChatHistory(callback) {
+    this.onChatHistoryCallback = callback;
+  }
+
+  // Called with { host, coHosts, locked, lobby } when the room's moderators,
+  // lock or lobby change
+  onModerationChanged(callback) {
+    this.onModerationChangedCallback = callback;
+  }
+
+  // Called with (action, participantId) when a host mutes us ('mute') or
+  // stops our video ('stop-video')
+  onModerated(callback) {
+    this.onModeratedCallback = callback;
+  }
+
+  // Called with the reason when we're held in the lobby; room-joined or
+  // join-denied follow once the host answers
+  onLobbyWaiting(callback) {
+    this.onLobbyWaitingCallback = callback;
+  }
+
+  // Called with [{ id, address, since }] of those waiting in the lobby, for
+  // hosts and co-hosts only
+  onLobbyChanged(callback) {
+    this.onLobbyChangedCallback = callback;
+  }
+
+  // Called with { rooms, assignments, closesAt } while the main room has
+  // breakout rooms open, and null once they close
+  onBreakoutsChanged(callback) {
+    this.onBreakoutsChangedCallback = callback;
+  }
+
+  // Called with (roomId, name) when the host sends us to a breakout room, or
+  // back to the main room with a null name. Peers are rebuilt by the time
+  // room-joined arrives for it.
+  onBreakoutMove(callback) {
+    this.onBreakoutMoveCallback = callback;
+  }
+
+  // Called with (text, senderAddress) for announcements to all breakout rooms
+  onBreakoutMessage(callback) {
+    this.onBreakoutMessageCallback = callback;
+  }
+
+  // Called with the room's [{ participantId, raisedAt }] whenever a hand goes
+  // up or down, first raised first. room-joined carries it as `hands`.
+  onHandsChanged(callback) {
+    this.onHandsChangedCallback = callback;
+  }
+
+  // Called with (participantId, emoji) when someone else reacts
+  onReaction(callback) {
+    this.onReactionCallback = callback;
+  }
+
+  // Called with the room's polls whenever one opens, closes or gets a vote.
+  // Results and quiz answers are null while hidden from us; room-joined
+  // carries them as `polls`.
+  onPollsChanged(callback) {
+    this.onPollsChangedCallback = callback;
+  }
+
+  // Called with (participantId, state) when a participant turns active, idle or reconnecting
+  onPresenceChanged(callback) {
+    this.onPresenceChangedCallback = callback;
+  }
+
+  // Called with 'reconnecting', 'connected' or 'disconnected' when the signaling
+  // connection drops and we try to resume the session
+  onConnectionStateChange(callback) {
+    this.onConnectionStateChangeCallback = callback;
+  }
+
+  // Called with (participantId, state) as a peer connection goes through
+  // 'connecting', 'connected', 'reconnecting' and 'failed'
+  onPeerStateChange(callback) {
+    this.onPeerStateChangeCallback = callback;
+  }
+
   onTrack(callback) {
     this.onIceCandidateCallback = callback;
   }
 
+  // Called every few seconds with { timestamp, uplink, participants }, where
+  // `uplink` is our own sending quality and `participants` maps ids to how
+  // their streams arrive. Each has bitrate, packetLoss, jitter, frameRate,
+  // roundTripTime and a 1-4 signal bar `score` (null until measured).
+  onStatsUpdate(callback) {
+    this.onStatsUpdateCallback = callback;
+  }
+
+  // Called with (participantId, channel) when a participant opens a data
+  // channel with us through openDataChannel
+  onDataChannel(callback) {
+    this.onDataChannelCallback = callback;
+  }
+
   // Getters
   getClientId() {
     return this.clientId;
   }
 
+  getAddress() {
+    return this.address;
+  }
+
   getRoomId() {
     return this.roomId;
   }
 
+  // The room we joined, even while we're in one of its breakout rooms
+  getMainRoomId() {
+    return this.mainRoomId || this.roomId;
+  }
+
   getPeers() {
     return this.peers;
   }
 
+  // Everyone in the room but us
+  getRemoteParticipantIds() {
+    return Array.from(this.participantIds).filter(participantId => participantId !== this.clientId);
+  }
+
+  getParticipantAddress(participantId) {
+    return this.participantAddresses.get(participantId) || null;
+  }
+
+  getMediaMode() {
+    return this.mediaMode;
+  }
+
   isConnected() {
     return this.ws && this.ws.readyState === WebSocket.OPEN;
   }
@@ -0,0 +1,134 @@
+// Turns getStats() reports into the numbers behind the call's network
+// indicators. Rates and loss are worked out between two consecutive reports
+// of the same connection, so they stay null on the first one.
+
+// Bars lost as a metric crosses each threshold: at most 4 bars, at least 1
+const PACKET_LOSS_THRESHOLDS = [1, 3, 8]; // percent
+const ROUND_TRIP_TIME_THRESHOLDS = [150, 300, 600]; // ms
+const JITTER_THRESHOLDS = [20, 50, 100]; // ms
+
+export const MAX_QUALITY_SCORE = 4;
+
+// kbit/s between two byte counters sampled `elapsed` ms apart
+function bitrate(bytes, previousBytes, elapsed) {
+  if (bytes === undefined || previousBytes === undefined || elapsed <= 0) return null;
+  return Math.max(bytes - previousBytes, 0) * 8 / elapsed;
+}
+
+function sum(a, b) {
+  return a === null ? b : a + (b || 0);
+}
+
+function max(a, b) {
+  if (a === null || a === undefined) return b ?? null;
+  if (b === null || b === undefined) return a;
+  return Math.max(a, b);
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 10) / 10;
+}
+
+// Summarises one connection. `mids`, if given, limits the inbound figures to
+// those m-lines, which is how the SFU connection is split by participant.
+//
+// Returns { roundTripTime, inbound, outbound } where inbound and outbound are
+// { bitrate, packetLoss, jitter, frameRate } in kbit/s, percent, ms and fps.
+export function summarizeStats(report, previous, { mids = null } = {}) {
+  const inbound = { bitrate: null, packetLoss: null, jitter: null, frameRate: null };
+  const outbound = { bitrate: null, packetLoss: null, jitter: null, frameRate: null };
+  let roundTripTime = null;
+  let packetsLost = 0;
+  let packetsReceived = 0;
+  let measuredLoss = false;
+
+  report.forEach(stats => {
+    const before = previous ? previous.get(stats.id) : undefined;
+    const elapsed = before ? stats.timestamp - before.timestamp : 0;
+
+    switch (stats.type) {
+      case 'candidate-pair':
+        if (stats.nominated && stats.currentRoundTripTime !== undefined) {
+          roundTripTime = stats.currentRoundTripTime * 1000;
+        }
+        break;
+
+      case 'inbound-rtp':
+        if (mids && !mids.has(stats.mid)) break;
+        inbound.bitrate = sum(inbound.bitrate, bitrate(stats.bytesReceived, before && before.bytesReceived, elapsed));
+        if (stats.jitter !== undefined) inbound.jitter = max(inbound.jitter, stats.jitter * 1000);
+        if (stats.kind === 'video') inbound.frameRate = max(inbound.frameRate, stats.framesPerSecond);
+        if (before) {
+          // Counters go backwards when packets arrive late and are recounted
+          packetsLost += Math.max((stats.packetsLost || 0) - (before.packetsLost || 0), 0);
+          packetsReceived += Math.max((stats.packetsReceived || 0) - (before.packetsReceived || 0), 0);
+          measuredLoss = true;
+        }
+        break;
+
+      case 'outbound-rtp':
+        outbound.bitrate = sum(outbound.bitrate, bitrate(stats.bytesSent, before && before.bytesSent, elapsed));
+        if (stats.kind === 'video') outbound.frameRate = max(outbound.frameRate, stats.framesPerSecond);
+        break;
+
+      // What the other end reports about the packets we send it
+      case 'remote-inbound-rtp':
+        if (stats.fractionLost !== undefined) outbound.packetLoss = max(outbound.packetLoss, stats.fractionLost * 100);
+        if (stats.jitter !== undefined) outbound.jitter = max(outbound.jitter, stats.jitter * 1000);
+        if (roundTripTime === null && stats.roundTripTime !== undefined) {
+          roundTripTime = stats.roundTripTime * 1000;
+        }
+        break;
+    }
+  });
+
+  if (measuredLoss) {
+    const total = packetsLost + packetsReceived;
+    inbound.packetLoss = total > 0 ? packetsLost / total * 100 : 0;
+  }
+
+  for (const direction of [inbound, outbound]) {
+    for (const key of Object.keys(direction)) {
+      direction[key] = round(direction[key]);
+    }
+  }
+  return { roundTripTime: round(roundTripTime), inbound, outbound };
+}
+
+function bars(value, thresholds) {
+  if (value === null || value === undefined) return MAX_QUALITY_SCORE;
+  const crossed = thresholds.filter(threshold => value > threshold).length;
+  return MAX_QUALITY_SCORE - crossed;
+}
+
+// Signal bars, 1 to MAX_QUALITY_SCORE, for a direction of a connection. The
+// worst metric decides. null until there's something to judge by.
+export function qualityScore({ packetLoss, roundTripTime, jitter }) {
+  if (packetLoss === null && (roundTripTime === null || roundTripTime === undefined)) return null;
+
+  return Math.min(
+    bars(packetLoss, PACKET_LOSS_THRESHOLDS),
+    bars(roundTripTime, ROUND_TRIP_TIME_THRESHOLDS),
+    bars(jitter, JITTER_THRESHOLDS)
+  );
+}
+
+// What a participant's stream looks like on arrival
+export function describeInbound(summary) {
+  const quality = { ...summary.inbound, roundTripTime: summary.roundTripTime };
+  return { ...quality, score: qualityScore(quality) };
+}
+
+// Our own uplink, over every connection we send on. Bitrates add up, the
+// other metrics are as bad as the worst connection.
+export function describeUplink(summaries) {
+  const uplink = { bitrate: null, packetLoss: null, jitter: null, frameRate: null, roundTripTime: null };
+  for (const { outbound, roundTripTime } of summaries) {
+    uplink.bitrate = outbound.bitrate === null ? uplink.bitrate : sum(uplink.bitrate, outbound.bitrate);
+    uplink.packetLoss = max(uplink.packetLoss, outbound.packetLoss);
+    uplink.jitter = max(uplink.jitter, outbound.jitter);
+    uplink.frameRate = max(uplink.frameRate, outbound.frameRate);
+    uplink.roundTripTime = max(uplink.roundTripTime, roundTripTime);
+  }
+  return { ...uplink, score: qualityScore(uplink) };
+}
@@ -0,0 +1,69 @@
+// Encrypts encoded media frames for end-to-end encryption, see "End-to-end
+// encryption" in SIGNALING_PROTOCOL.md. An encrypted frame is
+//
+//   clear header | AES-GCM ciphertext and tag | IV (12 bytes) | key index (1 byte)
+//
+// The clear header is the start of the VP8 payload (or the Opus TOC byte),
+// which the packetizer and the SFU's key frame detection still need to read.
+// It's authenticated along with the rest.
+
+export const IV_LENGTH = 12;
+
+const CLEAR_BYTES = { key: 10, delta: 3, audio: 1 };
+
+const TRAILER_LENGTH = IV_LENGTH + 1;
+
+// Key indexes wrap around after this many rotations
+export const KEY_INDEX_LIMIT = 256;
+
+// Bytes left unencrypted at the start of a frame of the given type: 'key' or
+// 'delta' for video frames, undefined for audio
+export function clearByteCount(frameType) {
+  return CLEAR_BYTES[frameType] ?? CLEAR_BYTES.audio;
+}
+
+export async function encryptFrame(data, frameType, key, keyIndex) {
+  const frame = new Uint8Array(data);
+  const clear = Math.min(clearByteCount(frameType), frame.byteLength);
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: frame.subarray(0, clear) },
+    key,
+    frame.subarray(clear)
+  ));
+
+  const encrypted = new Uint8Array(clear + ciphertext.byteLength + TRAILER_LENGTH);
+  encrypted.set(frame.subarray(0, clear));
+  encrypted.set(ciphertext, clear);
+  encrypted.set(iv, clear + ciphertext.byteLength);
+  encrypted[encrypted.byteLength - 1] = keyIndex;
+  return encrypted.buffer;
+}
+
+// `keyFor(index)` returns the sender's key with that index, if we have it.
+// Resolves to the decrypted frame, or null when it can't be decrypted.
+export async function decryptFrame(data, frameType, keyFor) {
+  const frame = new Uint8Array(data);
+  const clear = Math.min(clearByteCount(frameType), frame.byteLength);
+  if (frame.byteLength < clear + TRAILER_LENGTH) return null;
+
+  const key = keyFor(frame[frame.byteLength - 1]);
+  if (!key) return null;
+
+  const ivStart = frame.byteLength - TRAILER_LENGTH;
+  try {
+    const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: frame.subarray(ivStart, ivStart + IV_LENGTH), additionalData: frame.subarray(0, clear) },
+      key,
+      frame.subarray(clear, ivStart)
+    ));
+
+    const decrypted = new Uint8Array(clear + plaintext.byteLength);
+    decrypted.set(frame.subarray(0, clear));
+    decrypted.set(plaintext, clear);
+    return decrypted.buffer;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,70 @@
+// Runs the encoded transforms MediaEncryption attaches to senders and
+// receivers. Keys come from the main thread; nothing here talks to the
+// network.
+import { decryptFrame, encryptFrame } from './frameCrypto.js';
+
+// { index, key } we encrypt outgoing frames with
+let localKey = null;
+// participantId -> Map of key index -> key
+const remoteKeys = new Map();
+// participantId -> 'encrypted' | 'undecryptable', as last reported
+const states = new Map();
+
+function reportState(participantId, state) {
+  if (states.get(participantId) === state) return;
+  states.set(participantId, state);
+  self.postMessage({ type: 'state', participantId, state });
+}
+
+function encryptTransform() {
+  return new TransformStream({
+    async transform(frame, controller) {
+      // Nothing goes out in the clear: without a key frames are dropped
+      if (!localKey) return;
+      frame.data = await encryptFrame(frame.data, frame.type, localKey.key, localKey.index);
+      controller.enqueue(frame);
+    }
+  });
+}
+
+function decryptTransform(participantId) {
+  return new TransformStream({
+    async transform(frame, controller) {
+      const keys = remoteKeys.get(participantId);
+      const data = await decryptFrame(frame.data, frame.type, index => keys && keys.get(index));
+      if (!data) {
+        reportState(participantId, 'undecryptable');
+        return;
+      }
+      reportState(participantId, 'encrypted');
+      frame.data = data;
+      controller.enqueue(frame);
+    }
+  });
+}
+
+self.onrtctransform = ({ transformer }) => {
+  const { operation, participantId } = transformer.options;
+  const transform = operation === 'encrypt' ? encryptTransform() : decryptTransform(participantId);
+  transformer.readable.pipeThrough(transform).pipeTo(transformer.writable);
+};
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case 'local-key':
+      localKey = { index: data.index, key: data.key };
+      break;
+
+    case 'remote-key':
+      if (!remoteKeys.has(data.participantId)) {
+        remoteKeys.set(data.participantId, new Map());
+      }
+      remoteKeys.get(data.participantId).set(data.index, data.key);
+      break;
+
+    case 'forget':
+      remoteKeys.delete(data.participantId);
+      states.delete(data.participantId);
+      break;
+  }
+};
@@ -0,0 +1,87 @@
+import { VIDEO_LAYERS } from '../shared/signalingProtocol.js';
+
+// Encodings published to the SFU, one per layer; a 720p camera gives 180p,
+// 360p and 720p. In a mesh the single encoding of each connection is scaled
+// to the layer its receiver asked for instead.
+export const SIMULCAST_ENCODINGS = [
+  { rid: 'low', scaleResolutionDownBy: 4, maxBitrate: 150000 },
+  { rid: 'medium', scaleResolutionDownBy: 2, maxBitrate: 500000 },
+  { rid: 'high', scaleResolutionDownBy: 1, maxBitrate: 1500000 }
+];
+
+// Tallest rendering, in device pixels, each layer looks sharp at
+const LAYER_HEIGHTS = { low: 180, medium: 360, high: 720 };
+
+// A link losing more than this share of video packets steps down a layer
+const MAX_PACKET_LOSS = 0.05;
+
+// Consecutive healthy stats samples before stepping back up a layer
+const RECOVERY_SAMPLES = 5;
+
+export function encodingForLayer(layer) {
+  return SIMULCAST_ENCODINGS.find(encoding => encoding.rid === layer);
+}
+
+// The smallest layer that fills a tile `height` device pixels tall
+export function layerForSize(height) {
+  return VIDEO_LAYERS.find(layer => height <= LAYER_HEIGHTS[layer]) || 'high';
+}
+
+export function lowerLayer(a, b) {
+  return VIDEO_LAYERS.indexOf(a) <= VIDEO_LAYERS.indexOf(b) ? a : b;
+}
+
+function stepLayer(layer, step) {
+  const index = VIDEO_LAYERS.indexOf(layer) + step;
+  return VIDEO_LAYERS[Math.min(Math.max(index, 0), VIDEO_LAYERS.length - 1)];
+}
+
+// Caps the layers received over one peer connection from its getStats()
+// reports. Drops a layer at a time while video packets are being lost or the
+// estimated incoming bandwidth can't carry every stream at the current cap,
+// and climbs back a layer at a time once the link has stayed healthy.
+export class LayerAdapter {
+  constructor() {
+    this.cap = 'high';
+    this.healthySamples = 0;
+    // Packet counters from the previous report
+    this.previous = null;
+  }
+
+  // Returns the highest layer the link can take
+  update(report) {
+    let packetsLost = 0;
+    let packetsReceived = 0;
+    let videoStreams = 0;
+    let availableBitrate;
+
+    report.forEach(stats => {
+      if (stats.type === 'inbound-rtp' && stats.kind === 'video') {
+        packetsLost += stats.packetsLost || 0;
+        packetsReceived += stats.packetsReceived || 0;
+        videoStreams++;
+      } else if (stats.type === 'candidate-pair' && stats.nominated && stats.availableIncomingBitrate !== undefined) {
+        availableBitrate = stats.availableIncomingBitrate;
+      }
+    });
+
+    const previous = this.previous;
+    this.previous = { packetsLost, packetsReceived };
+    if (!previous) return this.cap;
+
+    // Counters go backwards when a stream ends, which says nothing about loss
+    const lost = Math.max(packetsLost - previous.packetsLost, 0);
+    const received = Math.max(packetsReceived - previous.packetsReceived, 0);
+    const loss = lost + received > 0 ? lost / (lost + received) : 0;
+    const needed = videoStreams * encodingForLayer(this.cap).maxBitrate;
+
+    if (loss > MAX_PACKET_LOSS || (availableBitrate !== undefined && availableBitrate < needed)) {
+      this.cap = stepLayer(this.cap, -1);
+      this.healthySamples = 0;
+    } else if (++this.healthySamples >= RECOVERY_SAMPLES) {
+      this.cap = stepLayer(this.cap, 1);
+      this.healthySamples = 0;
+    }
+    return this.cap;
+  }
+}
@@ -0,0 +1,336 @@
+// Signaling protocol shared by the signaling server (frontend/backend) and
+// WebRTCService. See SIGNALING_PROTOCOL.md for the message reference.
+
+export const PROTOCOL_VERSION = 1;
+
+// Protocol versions this build can talk to
+export const SUPPORTED_VERSIONS = [1];
+
+const ROOM_ID = { type: 'string', minLength: 1, maxLength: 128 };
+const CLIENT_ID = { type: 'string', minLength: 1, maxLength: 64 };
+
+// Presence of a participant as seen by the room. Clients report `active` or
+// `idle`; the server marks participants whose connection has stalled as
+// `reconnecting`.
+export const PRESENCE_STATES = ['active', 'idle', 'reconnecting'];
+
+// How a room carries media: `mesh` connects every pair of participants,
+// `sfu` has each participant publish once to the server's forwarding unit
+export const MEDIA_MODES = ['mesh', 'sfu'];
+
+// `targetId` and `from` of offers, answers and candidates exchanged with the
+// server's forwarding unit rather than another participant
+export const SFU_PEER_ID = 'sfu';
+
+// Simulcast layers of a video track, lowest resolution first
+export const VIDEO_LAYERS = ['low', 'medium', 'high'];
+
+// What the host and co-hosts can do in a room with `moderate`, and those of
+// them aimed at a participant (`payload.participantId`). `admit` and `deny`
+// aim at someone waiting in the lobby instead.
+export const MODERATION_ACTIONS = [
+  'mute', 'stop-video', 'remove', 'promote', 'demote', 'lock', 'unlock',
+  'enable-lobby', 'disable-lobby', 'admit', 'deny', 'admit-all', 'lower-hand', 'lower-hands'
+];
+export const TARGETED_MODERATION_ACTIONS = [
+  'mute', 'stop-video', 'remove', 'promote', 'demote', 'admit', 'deny', 'lower-hand'
+];
+export const LOBBY_MODERATION_ACTIONS = ['admit', 'deny'];
+
+// The emoji a participant can react with
+export const REACTIONS = ['👍', '👏', '❤️', '😂', '😮', '🎉'];
+
+// What the host and co-hosts can do with a room's breakout rooms, see `breakout`
+export const BREAKOUT_ACTIONS = ['open', 'move', 'broadcast', 'countdown', 'close'];
+
+// What can be done with a room's polls, see `poll`. `create` and `close` are
+// for the host and co-hosts.
+export const POLL_ACTIONS = ['create', 'vote', 'close'];
+
+// Whether participants see a poll's results as votes come in, or once it closes
+export const POLL_RESULTS = ['live', 'hidden'];
+
+// Shape of every message a client may send to the server. Top-level keys
+// describe envelope fields, `payload` describes the fields inside it. An
+// object's `fields` describe what's inside it in turn; a field with an
+// `alternative` is required unless that sibling is given, and can't be sent
+// along with it.
+export const CLIENT_MESSAGE_SCHEMAS = {
+  'hello': { payload: { version: { type: 'integer' } } },
+  'auth-request': { payload: { address: { type: 'string', maxLength: 64 } } },
+  'auth-response': { payload: { signature: { type: 'string', maxLength: 256 } } },
+  'resume': { payload: { sessionToken: { type: 'string', minLength: 1, maxLength: 128 } } },
+  'join-room': { roomId: ROOM_ID },
+  'leave-room': { roomId: ROOM_ID },
+  'offer': {
+    roomId: ROOM_ID,
+    payload: { targetId: CLIENT_ID, offer: { type: 'object' }, renew: { type: 'boolean', optional: true } }
+  },
+  'answer': { roomId: ROOM_ID, payload: { targetId: CLIENT_ID, answer: { type: 'object' } } },
+  'ice-candidate': { roomId: ROOM_ID, payload: { targetId: CLIENT_ID, candidate: { type: 'object' } } },
+  'video-layer': {
+    roomId: ROOM_ID,
+    payload: { participantId: CLIENT_ID, layer: { type: 'string', values: VIDEO_LAYERS } }
+  },
+  'peer-message': {
+    roomId: ROOM_ID,
+    payload: {
+      targetId: CLIENT_ID,
+      topic: { type: 'string', minLength: 1, maxLength: 64 },
+      seq: { type: 'integer' },
+      data: { type: 'any', optional: true }
+    }
+  },
+  'chat-message': {
+    roomId: ROOM_ID,
+    payload: {
+      text: { type: 'string', minLength: 1, maxLength: 2000, alternative: 'encrypted' },
+      // End-to-end encrypted text, which the server can't read
+      encrypted: {
+        type: 'object',
+        alternative: 'text',
+        fields: {
+          keyId: { type: 'string', minLength: 1, maxLength: 64 },
+          iv: { type: 'string', minLength: 1, maxLength: 32 },
+          data: { type: 'string', minLength: 1, maxLength: 12000 }
+        }
+      }
+    }
+  },
+  'chat-history': {
+    roomId: ROOM_ID,
+    payload: {
+      before: { type: 'string', optional: true, minLength: 1, maxLength: 64 },
+      limit: { type: 'integer', optional: true }
+    }
+  },
+  'presence': { payload: { state: { type: 'string', values: ['active', 'idle'] } } },
+  'hand': { roomId: ROOM_ID, payload: { raised: { type: 'boolean' } } },
+  'reaction': { roomId: ROOM_ID, payload: { emoji: { type: 'string', values: REACTIONS } } },
+  'moderate': {
+    roomId: ROOM_ID,
+    payload: {
+      action: { type: 'string', values: MODERATION_ACTIONS },
+      participantId: { ...CLIENT_ID, optional: true }
+    }
+  },
+  // `roomId` is the main room. `open` takes `count` and an `assignment`
+  // (`assignments` maps participant ids to room numbers when it's `manual`),
+  // `move` a participant and the room to send them to, `broadcast` a text
+  // and `countdown` the seconds before the rooms close.
+  'breakout': {
+    roomId: ROOM_ID,
+    payload: {
+      action: { type: 'string', values: BREAKOUT_ACTIONS },
+      count: { type: 'integer', optional: true },
+      assignment: { type: 'string', values: ['random', 'manual'], optional: true },
+      assignments: { type: 'object', optional: true },
+      participantId: { ...CLIENT_ID, optional: true },
+      room: { ...ROOM_ID, optional: true },
+      text: { type: 'string', minLength: 1, maxLength: 2000, optional: true },
+      seconds: { type: 'integer', optional: true }
+    }
+  },
+  // `create` takes a question, 2 to 10 options and whether more than one may
+  // be chosen; a quiz also names its `correct` option indexes. `vote` takes
+  // the poll and the chosen option indexes, `close` the poll.
+  'poll': {
+    roomId: ROOM_ID,
+    payload: {
+      action: { type: 'string', values: POLL_ACTIONS },
+      question: { type: 'string', minLength: 1, maxLength: 500, optional: true },
+      options: { type: 'array', optional: true },
+      multiple: { type: 'boolean', optional: true },
+      results: { type: 'string', values: POLL_RESULTS, optional: true },
+      correct: { type: 'array', optional: true },
+      pollId: { type: 'string', minLength: 1, maxLength: 64, optional: true },
+      choices: { type: 'array', optional: true }
+    }
+  }
+};
+
+// Messages a client may send to the server
+export const CLIENT_MESSAGE_TYPES = Object.keys(CLIENT_MESSAGE_SCHEMAS);
+
+// Messages the server may send to a client
+export const SERVER_MESSAGE_TYPES = [
+  'welcome',
+  'error',
+  'auth-challenge',
+  'authenticated',
+  'auth-error',
+  'resumed',
+  'resume-failed',
+  'room-joined',
+  'join-denied',
+  'removed-from-room',
+  'media-mode',
+  'participant-joined',
+  'participant-left',
+  'offer',
+  'answer',
+  'ice-candidate',
+  'video-layer',
+  'peer-message',
+  'chat-message',
+  'chat-history',
+  'presence',
+  'system-message',
+  'room-moderation',
+  'moderated',
+  'lobby-waiting',
+  'lobby',
+  'breakout-rooms',
+  'breakout-move',
+  'breakout-message',
+  'hands',
+  'reaction',
+  'polls'
+];
+
+// WebSocket close codes (4000-4999 are reserved for applications)
+export const CLOSE_CODES = {
+  UNSUPPORTED_VERSION: 4000,
+  HANDSHAKE_REQUIRED: 4001,
+  RATE_LIMITED: 4008,
+  TOO_MANY_CONNECTIONS: 4009,
+  // The instance is draining for maintenance; reconnect and you'll reach another
+  SERVER_DRAINING: 4010
+};
+
+export class ProtocolError extends Error {
+  constructor(code, reason, messageType = null) {
+    super(reason);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.messageType = messageType;
+  }
+}
+
+export function isCompatibleVersion(version) {
+  return SUPPORTED_VERSIONS.includes(version);
+}
+
+// Rooms named `meeting-<id>` belong to on-chain meeting <id>
+const MEETING_ROOM_PATTERN = /^meeting-(\d+)$/;
+
+export function getMeetingIdForRoom(roomId) {
+  const match = MEETING_ROOM_PATTERN.exec(roomId || '');
+  return match ? match[1] : null;
+}
+
+// Builds an outbound message. `roomId`, `from` and `payload` are only
+// included when set so messages stay small on the wire.
+export function createMessage(type, { roomId, from, payload } = {}) {
+  if (!CLIENT_MESSAGE_TYPES.includes(type) && !SERVER_MESSAGE_TYPES.includes(type)) {
+    throw new ProtocolError('unknown-type', `Unknown message type: ${type}`);
+  }
+
+  const message = { type };
+  if (roomId !== undefined) message.roomId = roomId;
+  if (from !== undefined) message.from = from;
+  if (payload !== undefined) message.payload = payload;
+  return message;
+}
+
+// `messageType` is the type of the inbound message that caused the error, if any
+export function createErrorMessage(code, reason, messageType = null) {
+  return createMessage('error', { payload: { code, messageType, reason } });
+}
+
+// Parses a raw frame and checks the envelope. `allowedTypes` is the list
+// the receiving side understands (CLIENT_MESSAGE_TYPES on the server).
+export function parseMessage(raw, allowedTypes) {
+  let message;
+  try {
+    message = JSON.parse(typeof raw === 'string' ? raw : raw.toString());
+  } catch {
+    throw new ProtocolError('invalid-json', 'Message is not valid JSON');
+  }
+
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new ProtocolError('invalid-message', 'Message must be a JSON object');
+  }
+  if (typeof message.type !== 'string') {
+    throw new ProtocolError('invalid-message', 'Message type is required');
+  }
+  if (!allowedTypes.includes(message.type)) {
+    throw new ProtocolError('unknown-type', `Unknown message type: ${message.type}`, message.type);
+  }
+  if (message.roomId !== undefined && typeof message.roomId !== 'string') {
+    throw new ProtocolError('invalid-message', 'roomId must be a string', message.type);
+  }
+  if (message.payload !== undefined && (typeof message.payload !== 'object' || message.payload === null)) {
+    throw new ProtocolError('invalid-message', 'payload must be an object', message.type);
+  }
+
+  return message;
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// `parent` is the object holding the field, at `parentPath`
+function checkField(value, spec, path, parent = {}, parentPath = '') {
+  const alternative = spec.alternative !== undefined ? parent[spec.alternative] : undefined;
+  if (value === undefined) {
+    return spec.optional || alternative !== undefined ? null : `${path} is required`;
+  }
+  if (alternative !== undefined) {
+    return `${path} and ${parentPath}${spec.alternative} can't both be given`;
+  }
+
+  if (spec.type === 'any') return null;
+
+  const matches = spec.type === 'integer' ? Number.isInteger(value) : describeType(value) === spec.type;
+  if (!matches) {
+    const article = /^[aeiou]/.test(spec.type) ? 'an' : 'a';
+    return `${path} must be ${article} ${spec.type}`;
+  }
+  if (spec.minLength !== undefined && value.length < spec.minLength) {
+    return spec.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${spec.minLength} characters`;
+  }
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return `${path} must be at most ${spec.maxLength} characters`;
+  }
+  if (spec.values !== undefined && !spec.values.includes(value)) {
+    return `${path} must be one of ${spec.values.join(', ')}`;
+  }
+  if (spec.fields !== undefined) {
+    for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+      const problem = checkField(value[field], fieldSpec, `${path}.${field}`, value, `${path}.`);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+// Checks a parsed message against its schema, throwing a ProtocolError
+// with code `invalid-payload` that names the first offending field.
+export function validateMessage(message, schemas = CLIENT_MESSAGE_SCHEMAS) {
+  const schema = schemas[message.type];
+  if (!schema) {
+    throw new ProtocolError('unknown-type', `Unknown message type: ${message.type}`, message.type);
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    if (field === 'payload') continue;
+    const problem = checkField(message[field], spec, field, message);
+    if (problem) throw new ProtocolError('invalid-payload', problem, message.type);
+  }
+
+  if (schema.payload) {
+    if (message.payload === undefined) {
+      throw new ProtocolError('invalid-payload', 'payload is required', message.type);
+    }
+    for (const [field, spec] of Object.entries(schema.payload)) {
+      const problem = checkField(message.payload[field], spec, `payload.${field}`, message.payload, 'payload.');
+      if (problem) throw new ProtocolError('invalid-payload', problem, message.type);
+    }
+  }
+
+  return message;
+}
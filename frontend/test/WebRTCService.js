@@ -0,0 +1,406 @@
+import { expect } from "chai";
+import WebRTCService from "../src/services/WebRTCService.js";
+import { FakePeerConnection } from "./helpers/fakePeerConnection.js";
+
+const RELAYED_TYPES = ["offer", "answer", "ice-candidate"];
+
+// Lets queued negotiationneeded events and description changes run
+const settle = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe("WebRTCService negotiation", function () {
+  let network, services, consoleLog;
+
+  // "a" sorts first, so it is the impolite side of the pair
+  function createService(clientId) {
+    const service = new WebRTCService();
+    service.clientId = clientId;
+    service.roomId = "standup";
+    service.ws = {
+      readyState: WebSocket.OPEN,
+      send: (raw) => network.push({ from: clientId, message: JSON.parse(raw) })
+    };
+    services[clientId] = service;
+    return service;
+  }
+
+  // Relays offers, answers and candidates like the signaling server, until
+  // nothing is left in flight
+  async function deliver() {
+    await settle();
+    while (network.length > 0) {
+      const { from, message } = network.shift();
+      if (!RELAYED_TYPES.includes(message.type)) continue;
+
+      const { targetId, ...payload } = message.payload;
+      services[targetId].handleSignalingMessage({ type: message.type, roomId: message.roomId, from, payload });
+      await settle();
+    }
+  }
+
+  function sent(type) {
+    return network.filter(({ message }) => message.type === type);
+  }
+
+  before(function () {
+    globalThis.RTCPeerConnection = FakePeerConnection;
+    globalThis.WebSocket = globalThis.WebSocket || { OPEN: 1 };
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  after(function () {
+    delete globalThis.RTCPeerConnection;
+    console.log = consoleLog;
+  });
+
+  beforeEach(function () {
+    network = [];
+    services = {};
+    FakePeerConnection.instances = [];
+  });
+
+  afterEach(function () {
+    for (const service of Object.values(services)) {
+      service.closePeers();
+    }
+  });
+
+  it("should send its offer from negotiationneeded", async function () {
+    const a = createService("a");
+    createService("b");
+
+    a.createOffer("b");
+    await settle();
+
+    expect(sent("offer")).to.have.lengthOf(1);
+    expect(sent("offer")[0].message.payload.offer).to.deep.equal({ type: "offer", sdp: "offer 1" });
+    await deliver();
+    expect(a.getPeers().get("b").signalingState).to.equal("stable");
+    expect(a.getPeers().get("b").remoteDescription.type).to.equal("answer");
+  });
+
+  it("should settle colliding offers with one rollback on the polite side", async function () {
+    const a = createService("a");
+    const b = createService("b");
+
+    a.createOffer("b");
+    b.createOffer("a");
+    await settle();
+    expect(sent("offer")).to.have.lengthOf(2);
+
+    await deliver();
+
+    const impolite = a.getPeers().get("b");
+    const polite = b.getPeers().get("a");
+    expect(impolite.signalingState).to.equal("stable");
+    expect(polite.signalingState).to.equal("stable");
+    expect(impolite.rollbacks).to.equal(0);
+    expect(polite.rollbacks).to.equal(1);
+    // a's offer won: b answered it and a never answered b
+    expect(polite.remoteDescription.sdp).to.equal(impolite.localDescription.sdp);
+    expect(impolite.remoteDescription.type).to.equal("answer");
+    expect(FakePeerConnection.instances).to.have.lengthOf(2);
+  });
+
+  it("should renegotiate on the existing connection", async function () {
+    const a = createService("a");
+    const b = createService("b");
+    a.createOffer("b");
+    await deliver();
+    const answering = b.getPeers().get("a");
+
+    // e.g. starting a screen share
+    a.getPeers().get("b").addTrack({ kind: "video" });
+    await deliver();
+
+    expect(b.getPeers().get("a")).to.equal(answering);
+    expect(answering.remoteDescription.sdp).to.equal("offer 2");
+    expect(a.getPeers().get("b").signalingState).to.equal("stable");
+    expect(FakePeerConnection.instances).to.have.lengthOf(2);
+  });
+
+  it("should queue ICE candidates that arrive before the remote description", async function () {
+    createService("a");
+    const b = createService("b");
+    const candidate = { candidate: "candidate:1 1 udp 2122260223 10.0.0.2 49152 typ host", sdpMid: "0" };
+
+    b.handleSignalingMessage({ type: "ice-candidate", roomId: "standup", from: "a", payload: { candidate } });
+    await settle();
+    expect(b.getPeers().has("a")).to.equal(false);
+
+    b.handleSignalingMessage({
+      type: "offer", roomId: "standup", from: "a", payload: { offer: { type: "offer", sdp: "offer 1" } }
+    });
+    await settle();
+
+    expect(b.getPeers().get("a").candidates).to.deep.equal([candidate]);
+    expect(sent("answer")).to.have.lengthOf(1);
+  });
+
+  it("should restart ICE from the impolite side only", async function () {
+    const a = createService("a");
+    const b = createService("b");
+    a.createOffer("b");
+    await deliver();
+
+    b.restartIce("a");
+    await settle();
+    expect(sent("offer")).to.have.lengthOf(0);
+
+    a.restartIce("b");
+    await deliver();
+    expect(b.getPeers().get("a").remoteDescription.sdp).to.equal("offer 2 ice-restart");
+    expect(a.getPeers().get("b").signalingState).to.equal("stable");
+  });
+
+  it("should replace both connections when an offer renews the peer", async function () {
+    const a = createService("a");
+    const b = createService("b");
+    a.createOffer("b");
+    await deliver();
+    const stale = b.getPeers().get("a");
+    a.layerAdapters.set("b", {});
+    a.statsReports.set("b", {});
+
+    a.rebuildPeer("b");
+    // The old connection's simulcast adapter and stats go with it
+    expect(a.layerAdapters.has("b")).to.equal(false);
+    expect(a.statsReports.has("b")).to.equal(false);
+    expect(a.peerRecovery.get("b").rebuilds).to.equal(1);
+    await settle();
+    expect(sent("offer")[0].message.payload.renew).to.equal(true);
+    await deliver();
+
+    expect(stale.closed).to.equal(true);
+    expect(b.getPeers().get("a")).to.not.equal(stale);
+    expect(b.getPeers().get("a").signalingState).to.equal("stable");
+    expect(a.getPeers().get("b").signalingState).to.equal("stable");
+  });
+});
+
+describe("WebRTCService ICE servers", function () {
+  let service, requests, consoleError, realFetch;
+  const turn = { urls: ["turn:turn.example.org:3478"], username: "1700000600:me", credential: "secret" };
+
+  beforeEach(function () {
+    globalThis.RTCPeerConnection = FakePeerConnection;
+    requests = [];
+    service = new WebRTCService();
+    service.serverUrl = "wss://meet.example.org:3002";
+    service.sessionToken = "token-1";
+    realFetch = globalThis.fetch;
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  afterEach(function () {
+    service.cleanup();
+    delete globalThis.RTCPeerConnection;
+    globalThis.fetch = realFetch;
+    console.error = consoleError;
+  });
+
+  it("should fetch servers with the session token and use them for new peers", async function () {
+    globalThis.fetch = async (url, options) => {
+      requests.push({ url, options });
+      return { ok: true, json: async () => ({ iceServers: [turn], ttl: 600 }) };
+    };
+
+    await service.refreshIceServers();
+
+    expect(requests[0].url).to.equal("https://meet.example.org:3002/api/ice-servers");
+    expect(requests[0].options.headers.Authorization).to.equal("Bearer token-1");
+    expect(service.createPeerConnection("b").config.iceServers).to.deep.equal([turn]);
+    expect(service.iceServersTimer).to.not.equal(null);
+  });
+
+  it("should keep the current servers when the request fails", async function () {
+    globalThis.fetch = async () => ({ ok: false, status: 401 });
+    const before = service.iceServers;
+
+    await service.refreshIceServers();
+
+    expect(service.iceServers).to.equal(before);
+    expect(service.iceServersTimer).to.equal(null);
+  });
+});
+
+describe("WebRTCService SFU mode", function () {
+  let service, sent, tracks, realFetch, consoleMethods;
+
+  const settleIceServers = () => service.iceServersReady.then(settle);
+
+  function receive(type, payload, from) {
+    service.handleSignalingMessage({ type, roomId: "standup", from, payload });
+  }
+
+  function joinRoom(mediaMode) {
+    receive("room-joined", { participants: [{ id: "a" }, { id: "b" }], messages: [], sessionToken: "token-1", mediaMode });
+  }
+
+  beforeEach(function () {
+    globalThis.RTCPeerConnection = FakePeerConnection;
+    globalThis.WebSocket = globalThis.WebSocket || { OPEN: 1 };
+    realFetch = globalThis.fetch;
+    globalThis.fetch = async () => ({ ok: false, status: 503 });
+    consoleMethods = { log: console.log, error: console.error };
+    console.log = console.error = () => {};
+
+    sent = [];
+    tracks = [];
+    service = new WebRTCService();
+    service.serverUrl = "ws://localhost:3002";
+    service.clientId = "a";
+    service.roomId = "standup";
+    service.ws = { readyState: WebSocket.OPEN, send: (raw) => sent.push(JSON.parse(raw)) };
+    service.onTrack((participantId, stream) => tracks.push({ participantId, stream }));
+  });
+
+  afterEach(function () {
+    service.cleanup();
+    delete globalThis.RTCPeerConnection;
+    globalThis.fetch = realFetch;
+    Object.assign(console, consoleMethods);
+  });
+
+  it("should publish to the SFU when joining an SFU room", async function () {
+    joinRoom("sfu");
+    await settleIceServers();
+
+    expect(Array.from(service.getPeers().keys())).to.deep.equal(["sfu"]);
+    // Nothing to publish yet, so a data channel gets the connection going
+    expect(service.getPeers().get("sfu").dataChannels).to.have.lengthOf(1);
+    expect(sent.filter(message => message.type === "offer").map(message => message.payload.targetId)).to.deep.equal(["sfu"]);
+  });
+
+  it("should report forwarded streams under the publisher's id", async function () {
+    joinRoom("sfu");
+    await settleIceServers();
+
+    const stream = { id: "b" };
+    service.getPeers().get("sfu").ontrack({ track: { kind: "audio" }, streams: [stream] });
+
+    expect(tracks).to.deep.equal([{ participantId: "b", stream }]);
+  });
+
+  it("should leave the mesh for the SFU when the room switches", async function () {
+    joinRoom("mesh");
+    receive("participant-joined", { participant: { id: "b" } });
+    const meshPeer = service.getPeers().get("b");
+
+    receive("media-mode", { mode: "sfu" });
+    await settleIceServers();
+    receive("participant-joined", { participant: { id: "c" } });
+
+    expect(meshPeer.closed).to.equal(true);
+    expect(Array.from(service.getPeers().keys())).to.deep.equal(["sfu"]);
+  });
+
+  it("should drop streams of participants who left while reconnecting", async function () {
+    joinRoom("sfu");
+    await settleIceServers();
+    service.getPeers().get("sfu").ontrack({ track: { kind: "audio" }, streams: [{ id: "b" }] });
+    const left = [];
+    service.onParticipantLeft(participantId => left.push(participantId));
+
+    service.resuming = true;
+    receive("room-joined", { participants: [{ id: "a" }], messages: [], sessionToken: "token-1", mediaMode: "sfu" });
+
+    expect(left).to.deep.equal(["b"]);
+    expect(service.getPeers().has("sfu")).to.equal(true);
+  });
+
+  it("should publish video to the SFU as simulcast", async function () {
+    const video = { kind: "video" };
+    service.localStream = { getTracks: () => [{ kind: "audio" }, video] };
+    joinRoom("sfu");
+    await settleIceServers();
+
+    const [transceiver] = service.getPeers().get("sfu").transceivers;
+    expect(transceiver.sender.track).to.equal(video);
+    expect(transceiver.sendEncodings.map(encoding => encoding.rid)).to.deep.equal(["low", "medium", "high"]);
+  });
+
+  it("should ask for lower layers while the link is struggling", async function () {
+    joinRoom("sfu");
+    await settleIceServers();
+    const layerRequests = () => sent.filter(message => message.type === "video-layer").map(message => message.payload);
+
+    service.requestVideoLayer("b", "high");
+    service.requestVideoLayer("b", "high");
+    expect(layerRequests()).to.deep.equal([{ participantId: "b", layer: "high" }]);
+
+    const stats = [
+      new Map([["inbound", { type: "inbound-rtp", kind: "video", packetsLost: 0, packetsReceived: 100 }]]),
+      new Map([["inbound", { type: "inbound-rtp", kind: "video", packetsLost: 50, packetsReceived: 150 }]])
+    ];
+    service.getPeers().get("sfu").getStats = async () => stats.shift();
+    await service.pollStats();
+    await service.pollStats();
+
+    expect(layerRequests()).to.deep.equal([{ participantId: "b", layer: "high" }, { participantId: "b", layer: "medium" }]);
+  });
+
+  it("should scale its video to the layer a mesh peer asks for", async function () {
+    service.localStream = { getTracks: () => [{ kind: "video" }] };
+    joinRoom("mesh");
+    receive("participant-joined", { participant: { id: "b" } });
+
+    receive("video-layer", { layer: "low" }, "b");
+    await settle();
+
+    const [sender] = service.getPeers().get("b").getSenders();
+    expect(sender.parameters.encodings[0]).to.include({ scaleResolutionDownBy: 4, maxBitrate: 150000 });
+  });
+
+  it("should encrypt what it sends and decrypt each participant's stream", async function () {
+    service.localStream = { getTracks: () => [{ kind: "audio" }, { kind: "video" }] };
+    joinRoom("sfu");
+    await settleIceServers();
+    const peer = service.getPeers().get("sfu");
+    const earlier = {};
+    peer.ontrack({ track: { kind: "audio" }, receiver: earlier, transceiver: { mid: "1" }, streams: [{ id: "b" }] });
+
+    const encryption = { start: async () => {}, stop: () => {}, createTransform: options => options };
+    await service.setEncryption(encryption);
+    const later = {};
+    peer.ontrack({ track: { kind: "audio" }, receiver: later, transceiver: { mid: "2" }, streams: [{ id: "c" }] });
+
+    expect(peer.getSenders().map(sender => sender.transform)).to.deep.equal([{ operation: "encrypt" }, { operation: "encrypt" }]);
+    expect(earlier.transform).to.deep.equal({ operation: "decrypt", participantId: "b" });
+    expect(later.transform).to.deep.equal({ operation: "decrypt", participantId: "c" });
+
+    await service.setEncryption(null);
+    expect(peer.getSenders().map(sender => sender.transform)).to.deep.equal([null, null]);
+    expect(earlier.transform).to.equal(null);
+  });
+
+  it("should report each participant's stream from the shared SFU connection", async function () {
+    joinRoom("sfu");
+    await settleIceServers();
+    const peer = service.getPeers().get("sfu");
+    peer.ontrack({ track: { kind: "audio" }, transceiver: { mid: "1" }, streams: [{ id: "b" }] });
+    peer.ontrack({ track: { kind: "audio" }, transceiver: { mid: "2" }, streams: [{ id: "c" }] });
+
+    const inbound = (timestamp, mid, bytesReceived) => ({ id: `in-${mid}`, type: "inbound-rtp", kind: "audio", mid, timestamp, bytesReceived });
+    const reports = [
+      new Map([["in-1", inbound(1000, "1", 0)], ["in-2", inbound(1000, "2", 0)]]),
+      new Map([["in-1", inbound(2000, "1", 4000)], ["in-2", inbound(2000, "2", 8000)]])
+    ];
+    peer.getStats = async () => reports.shift();
+    const updates = [];
+    service.onStatsUpdate(stats => updates.push(stats));
+
+    await service.pollStats();
+    await service.pollStats();
+
+    expect(updates).to.have.lengthOf(2);
+    expect(updates[1].participants.b.bitrate).to.equal(32);
+    expect(updates[1].participants.c.bitrate).to.equal(64);
+
+    const exported = JSON.parse(JSON.stringify(service.exportStats()));
+    expect(exported).to.include({ clientId: "a", roomId: "standup", mediaMode: "sfu" });
+    expect(exported.history).to.have.lengthOf(2);
+    expect(exported.reports.sfu.map(stats => stats.id)).to.deep.equal(["in-1", "in-2"]);
+  });
+});
@@ -0,0 +1,109 @@
+import { expect } from "chai";
+import { Wallet } from "ethers";
+import ChatEncryption from "../src/services/ChatEncryption.js";
+import KeyExchange from "../src/services/KeyExchange.js";
+import WebRTCService from "../src/services/WebRTCService.js";
+import { fakeWebRTC, settle } from "./helpers/fakePeerNetwork.js";
+
+// What the server would relay for `text` sent by `sender`
+async function chatMessage(sender, text) {
+  return { id: `m-${text}`, encrypted: await sender.encrypt(text), sender: sender.webrtc.getAddress() };
+}
+
+describe("Chat encryption", function () {
+  let network, started, consoleError;
+
+  function walletParticipant(clientId) {
+    const wallet = Wallet.createRandom();
+    const webrtc = fakeWebRTC(network, clientId, wallet.address);
+    const keyExchange = new KeyExchange(webrtc, { walletService: { signMessage: message => wallet.signMessage(message) } });
+    const chat = new ChatEncryption(webrtc, { keyExchange });
+    started.push(chat, keyExchange);
+    return chat;
+  }
+
+  function passphraseParticipant(clientId, passphrase) {
+    const chat = new ChatEncryption(fakeWebRTC(network, clientId, `0x${clientId}`), { passphrase });
+    started.push(chat);
+    return chat;
+  }
+
+  before(function () {
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  after(function () {
+    console.error = consoleError;
+  });
+
+  beforeEach(function () {
+    network = new Map();
+    started = [];
+  });
+
+  afterEach(function () {
+    started.forEach(encryption => encryption.stop());
+  });
+
+  it("should only let those with the passphrase read messages", async function () {
+    const alice = passphraseParticipant("alice", "correct horse");
+    const bob = passphraseParticipant("bob", "correct horse");
+    const mallory = passphraseParticipant("mallory", "battery staple");
+    await Promise.all([alice.start(), bob.start(), mallory.start()]);
+
+    const message = await chatMessage(alice, "see you at noon");
+
+    expect(message.encrypted.data).to.not.include("noon");
+    expect(await bob.decrypt(message)).to.equal("see you at noon");
+    expect(await mallory.decrypt(message)).to.equal(null);
+  });
+
+  it("should not read a message passed off as someone else's", async function () {
+    const alice = passphraseParticipant("alice", "correct horse");
+    const bob = passphraseParticipant("bob", "correct horse");
+    await Promise.all([alice.start(), bob.start()]);
+
+    const message = await chatMessage(alice, "transfer the funds");
+
+    expect(await bob.decrypt({ ...message, sender: "0xbob" })).to.equal(null);
+  });
+
+  it("should hand room keys to late joiners over the wallet-signed exchange", async function () {
+    this.timeout(5000);
+    const alice = walletParticipant("alice");
+    await alice.start();
+    const earlier = await chatMessage(alice, "before you came");
+
+    const bob = walletParticipant("bob");
+    let keysChanged = 0;
+    bob.onKeysChanged(() => keysChanged++);
+    await bob.start();
+    await settle(200);
+
+    expect(keysChanged).to.be.greaterThan(0);
+    expect(await bob.decrypt(earlier)).to.equal("before you came");
+    // Both settle on one key
+    expect(alice.currentKeyId).to.equal(bob.currentKeyId);
+    expect(await alice.decrypt(await chatMessage(bob, "hi"))).to.equal("hi");
+  });
+
+  it("should hand messages on in order, marking those it can't read", async function () {
+    const alice = passphraseParticipant("alice", "correct horse");
+    const mallory = passphraseParticipant("mallory", "battery staple");
+    const bob = new WebRTCService();
+    bob.chatEncryption = passphraseParticipant("bob", "correct horse");
+    await Promise.all([alice.start(), mallory.start(), bob.chatEncryption.start()]);
+    const received = [];
+    bob.onMessage(message => received.push(message));
+
+    for (const message of [await chatMessage(alice, "one"), await chatMessage(mallory, "two"), { id: "m-three", text: "three" }]) {
+      bob.handleSignalingMessage({ type: "chat-message", roomId: "meeting-7", payload: { message } });
+    }
+    await settle();
+
+    expect(received.map(message => message.id)).to.deep.equal(["m-one", "m-two", "m-three"]);
+    expect(received.map(message => message.text)).to.deep.equal(["one", null, "three"]);
+    expect(received[1].undecryptable).to.equal(true);
+  });
+});
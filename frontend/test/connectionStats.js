@@ -0,0 +1,66 @@
+import { expect } from "chai";
+import { describeInbound, describeUplink, qualityScore, summarizeStats } from "../src/services/connectionStats.js";
+
+// A getStats() report from a list of stats objects
+function report(...entries) {
+  return new Map(entries.map(stats => [stats.id, stats]));
+}
+
+function sample(timestamp, { bytesReceived, packetsLost, packetsReceived, bytesSent, rtt = 0.05 }) {
+  return report(
+    { id: "pair", type: "candidate-pair", timestamp, nominated: true, currentRoundTripTime: rtt },
+    { id: "in-video", type: "inbound-rtp", kind: "video", mid: "1", timestamp, bytesReceived, packetsLost, packetsReceived, jitter: 0.012, framesPerSecond: 30 },
+    { id: "out-video", type: "outbound-rtp", kind: "video", timestamp, bytesSent, framesPerSecond: 24 },
+    { id: "remote-in", type: "remote-inbound-rtp", kind: "video", timestamp, fractionLost: 0.02 }
+  );
+}
+
+describe("Connection stats", function () {
+  it("should derive rates and loss from consecutive reports", function () {
+    const first = sample(1000, { bytesReceived: 0, packetsLost: 0, packetsReceived: 0, bytesSent: 0 });
+    const second = sample(3000, { bytesReceived: 250000, packetsLost: 5, packetsReceived: 495, bytesSent: 125000 });
+
+    const summary = summarizeStats(second, first);
+
+    expect(summary).to.deep.equal({
+      roundTripTime: 50,
+      inbound: { bitrate: 1000, packetLoss: 1, jitter: 12, frameRate: 30 },
+      outbound: { bitrate: 500, packetLoss: 2, jitter: null, frameRate: 24 }
+    });
+  });
+
+  it("should leave rates unknown on the first report", function () {
+    const summary = summarizeStats(sample(1000, { bytesReceived: 100, packetsLost: 0, packetsReceived: 10, bytesSent: 100 }));
+
+    expect(summary.inbound.bitrate).to.equal(null);
+    expect(summary.inbound.packetLoss).to.equal(null);
+  });
+
+  it("should only count the given m-lines as inbound", function () {
+    const first = sample(1000, { bytesReceived: 0, packetsLost: 0, packetsReceived: 0, bytesSent: 0 });
+    const second = sample(3000, { bytesReceived: 250000, packetsLost: 5, packetsReceived: 495, bytesSent: 125000 });
+
+    const summary = summarizeStats(second, first, { mids: new Set(["2"]) });
+
+    expect(summary.inbound.bitrate).to.equal(null);
+    expect(summary.roundTripTime).to.equal(50);
+  });
+
+  it("should score a connection by its worst metric", function () {
+    expect(qualityScore({ packetLoss: 0, roundTripTime: 40, jitter: 5 })).to.equal(4);
+    expect(qualityScore({ packetLoss: 2, roundTripTime: 40, jitter: 5 })).to.equal(3);
+    expect(qualityScore({ packetLoss: 0, roundTripTime: 450, jitter: 5 })).to.equal(2);
+    expect(qualityScore({ packetLoss: 12, roundTripTime: 700, jitter: 150 })).to.equal(1);
+    expect(qualityScore({ packetLoss: null, roundTripTime: null, jitter: null })).to.equal(null);
+  });
+
+  it("should describe a participant's stream and our uplink", function () {
+    const first = sample(1000, { bytesReceived: 0, packetsLost: 0, packetsReceived: 0, bytesSent: 0 });
+    const second = sample(3000, { bytesReceived: 250000, packetsLost: 5, packetsReceived: 495, bytesSent: 125000, rtt: 0.2 });
+    const summary = summarizeStats(second, first);
+
+    expect(describeInbound(summary)).to.include({ bitrate: 1000, roundTripTime: 200, score: 3 });
+    // Bitrates add up across connections, the rest is as bad as the worst one
+    expect(describeUplink([summary, summary])).to.include({ bitrate: 1000, packetLoss: 2, roundTripTime: 200, score: 3 });
+  });
+});
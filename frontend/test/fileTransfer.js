@@ -0,0 +1,218 @@
+import { expect } from "chai";
+import FileTransferService from "../src/services/FileTransferService.js";
+
+// One end of a data channel whose other end gets what's sent a tick later.
+// bufferedAmount counts what's on the way, as in a browser.
+class LinkedChannel {
+  constructor(label) {
+    this.label = label;
+    this.readyState = "connecting";
+    this.bufferedAmount = 0;
+    this.bufferedAmountLowThreshold = 0;
+    this.remote = null;
+    this.sentChunks = 0;
+  }
+
+  send(data) {
+    if (this.readyState !== "open") throw new Error("InvalidStateError");
+    this.bufferedAmount += data.byteLength;
+    this.sentChunks++;
+    this.maxBufferedAmount = Math.max(this.maxBufferedAmount || 0, this.bufferedAmount);
+    setImmediate(() => {
+      if (this.readyState !== "open") return;
+      const before = this.bufferedAmount;
+      this.bufferedAmount -= data.byteLength;
+      if (this.remote.onmessage) this.remote.onmessage({ data: this.remote.tamper ? this.remote.tamper(data) : data });
+      if (before > this.bufferedAmountLowThreshold && this.bufferedAmount <= this.bufferedAmountLowThreshold && this.onbufferedamountlow) {
+        this.onbufferedamountlow();
+      }
+    });
+  }
+
+  close() {
+    for (const end of [this, this.remote]) {
+      if (end.readyState === "closed") continue;
+      end.readyState = "closed";
+      setImmediate(() => end.onclose && end.onclose());
+    }
+  }
+}
+
+// Stands in for WebRTCService: peer messages and data channels between
+// participants sharing one `network`
+function fakeWebRTC(network, clientId) {
+  const handlers = new Map();
+  const service = {
+    clientId,
+    channels: [],
+    dataChannelCallback: null,
+    offline: false,
+    on(topic, handler) {
+      handlers.set(topic, handler);
+      return () => handlers.delete(topic);
+    },
+    sendTo(participantId, topic, payload) {
+      const target = network.get(participantId);
+      setImmediate(() => {
+        const handler = target.handlers.get(topic);
+        if (handler) handler(structuredClone(payload), clientId);
+      });
+    },
+    openDataChannel(participantId, label) {
+      if (service.offline) return null;
+      const local = new LinkedChannel(label);
+      const remote = new LinkedChannel(label);
+      local.remote = remote;
+      remote.remote = local;
+      service.channels.push(local);
+      setImmediate(() => {
+        local.readyState = "open";
+        remote.readyState = "open";
+        network.get(participantId).dataChannelCallback(clientId, remote);
+        if (local.onopen) local.onopen();
+      });
+      return local;
+    },
+    onDataChannel(callback) {
+      service.dataChannelCallback = callback;
+    },
+    getRemoteParticipantIds: () => Array.from(network.keys()).filter(id => id !== clientId),
+    getMediaMode: () => "mesh",
+    handlers
+  };
+  network.set(clientId, service);
+  return service;
+}
+
+function settle(transfers, id, statuses = ["complete", "failed", "rejected", "corrupt"]) {
+  return new Promise(resolve => {
+    const check = () => {
+      const transfer = transfers.find(transfer => transfer.id === id && statuses.includes(transfer.status));
+      if (transfer) resolve(transfer);
+      else setImmediate(check);
+    };
+    check();
+  });
+}
+
+// Resolves once some of the file has come through
+function arrived(transfers, id) {
+  return new Promise(resolve => {
+    const check = () => {
+      if (transfers.some(transfer => transfer.id === id && transfer.transferred > 0)) resolve();
+      else setImmediate(check);
+    };
+    check();
+  });
+}
+
+function randomFile(size, name = "notes.bin") {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) bytes[i] = (i * 31 + 7) % 256;
+  return new File([bytes], name, { type: "application/octet-stream" });
+}
+
+describe("File transfers", function () {
+  let network, alice, bob, aliceUpdates, bobUpdates;
+
+  beforeEach(function () {
+    network = new Map();
+    alice = new FileTransferService(fakeWebRTC(network, "alice"));
+    bob = new FileTransferService(fakeWebRTC(network, "bob"));
+    aliceUpdates = [];
+    bobUpdates = [];
+    alice.onTransferUpdate(update => aliceUpdates.push(update));
+    bob.onTransferUpdate(update => bobUpdates.push(update));
+  });
+
+  afterEach(function () {
+    alice.dispose();
+    bob.dispose();
+  });
+
+  it("should deliver a file and confirm it arrived intact", async function () {
+    const file = randomFile(100 * 1024 + 5);
+    const [outgoing] = await alice.sendFile(file);
+
+    const sent = await settle(aliceUpdates, outgoing.id);
+    const received = await settle(bobUpdates, outgoing.id);
+
+    expect(sent.status).to.equal("complete");
+    expect(received.status).to.equal("complete");
+    expect(received.participantId).to.equal("alice");
+    expect(received.name).to.equal("notes.bin");
+    expect(new Uint8Array(await received.blob.arrayBuffer())).to.deep.equal(new Uint8Array(await file.arrayBuffer()));
+    // Progress goes up a whole percent at a time
+    const progress = bobUpdates.filter(update => update.status === "receiving").map(update => update.transferred);
+    expect(progress.length).to.be.within(2, 101);
+  });
+
+  it("should reject a file above the receiver's limit", async function () {
+    bob.setMaxFileSize(1024);
+    const [outgoing] = await alice.sendFile(randomFile(2048));
+
+    const sent = await settle(aliceUpdates, outgoing.id);
+
+    expect(sent.status).to.equal("rejected");
+    expect(network.get("alice").channels).to.be.empty;
+  });
+
+  it("should refuse to send a file above the sender's limit", async function () {
+    alice.setMaxFileSize(1024);
+
+    let error;
+    try {
+      await alice.sendFile(randomFile(2048));
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.message).to.match(/limit/);
+    expect(aliceUpdates).to.be.empty;
+  });
+
+  it("should mark a file that doesn't match its hash as corrupt", async function () {
+    const [outgoing] = await alice.sendFile(randomFile(40 * 1024));
+    await settle(bobUpdates, outgoing.id, ["receiving"]);
+    const [channel] = network.get("alice").channels;
+    channel.remote.tamper = data => {
+      const copy = new Uint8Array(data.slice(0));
+      copy[0] ^= 0xff;
+      return copy.buffer;
+    };
+
+    const received = await settle(bobUpdates, outgoing.id);
+    const sent = await settle(aliceUpdates, outgoing.id);
+
+    expect(received.status).to.equal("corrupt");
+    expect(received.blob).to.equal(null);
+    expect(sent.status).to.equal("corrupt");
+  });
+
+  it("should pick up where it left off after the channel drops", async function () {
+    const file = randomFile(3 * 1024 * 1024);
+    const [outgoing] = await alice.sendFile(file);
+    await arrived(bobUpdates, outgoing.id);
+    network.get("alice").channels[0].close();
+
+    await settle(bobUpdates, outgoing.id, ["interrupted"]);
+    const received = await settle(bobUpdates, outgoing.id);
+
+    // The second channel starts from what had arrived, not from the top
+    const channels = network.get("alice").channels;
+    expect(channels).to.have.lengthOf(2);
+    expect(Number(channels[1].label.split(":")[2])).to.be.above(0);
+    expect(received.status).to.equal("complete");
+    expect(new Uint8Array(await received.blob.arrayBuffer())).to.deep.equal(new Uint8Array(await file.arrayBuffer()));
+  });
+
+  it("should hold chunks back while the channel's buffer is full", async function () {
+    const [outgoing] = await alice.sendFile(randomFile(3 * 1024 * 1024));
+
+    await settle(aliceUpdates, outgoing.id);
+
+    const [channel] = network.get("alice").channels;
+    expect(channel.bufferedAmountLowThreshold).to.be.above(0);
+    expect(channel.maxBufferedAmount).to.be.at.most(1024 * 1024 + 16 * 1024);
+  });
+});
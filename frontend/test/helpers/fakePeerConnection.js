@@ -0,0 +1,195 @@
+// Stand-in for RTCPeerConnection that models the signaling state machine.
+// Like the browser, description and candidate changes run one at a time in
+// call order, and negotiationneeded fires asynchronously once signaling is
+// stable. Unlike current browsers it has no implicit rollback, so applying
+// a remote offer over a local one fails.
+function createSender(track) {
+  return {
+    track,
+    parameters: { encodings: [{}] },
+    getParameters() {
+      return structuredClone(this.parameters);
+    },
+    async setParameters(parameters) {
+      this.parameters = parameters;
+    }
+  };
+}
+
+// Stays 'connecting' until a test opens it
+export class FakeDataChannel {
+  constructor(label) {
+    this.label = label;
+    this.readyState = 'connecting';
+    this.sent = [];
+    this.onmessage = null;
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') throw new Error('InvalidStateError: channel is not open');
+    this.sent.push(JSON.parse(data));
+  }
+
+  // Delivers `message` as if the other end had sent it
+  receive(message) {
+    this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+export class FakePeerConnection {
+  static instances = [];
+
+  constructor(config) {
+    this.config = config;
+    this.signalingState = 'stable';
+    this.connectionState = 'new';
+    this.iceConnectionState = 'new';
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.senders = [];
+    this.transceivers = [];
+    this.dataChannels = [];
+    this.candidates = [];
+    this.rollbacks = 0;
+    this.offerCount = 0;
+    this.closed = false;
+    this.negotiationNeeded = false;
+    this.iceRestartPending = false;
+    this.operations = Promise.resolve();
+    this.stable = { local: null, remote: null };
+    FakePeerConnection.instances.push(this);
+  }
+
+  enqueue(operation) {
+    const result = this.operations.then(() => {
+      if (this.closed) throw new Error('InvalidStateError: connection is closed');
+      return operation();
+    });
+    this.operations = result.catch(() => {});
+    return result;
+  }
+
+  markNegotiationNeeded() {
+    this.negotiationNeeded = true;
+    this.checkNegotiationNeeded();
+  }
+
+  checkNegotiationNeeded() {
+    setTimeout(() => {
+      if (this.closed || !this.negotiationNeeded || this.signalingState !== 'stable') return;
+      this.negotiationNeeded = false;
+      if (this.onnegotiationneeded) this.onnegotiationneeded();
+    });
+  }
+
+  becomeStable() {
+    this.signalingState = 'stable';
+    this.stable = { local: this.localDescription, remote: this.remoteDescription };
+    this.checkNegotiationNeeded();
+  }
+
+  addTrack(track) {
+    const sender = createSender(track);
+    this.senders.push(sender);
+    this.markNegotiationNeeded();
+    return sender;
+  }
+
+  addTransceiver(trackOrKind, init) {
+    const track = typeof trackOrKind === 'string' ? null : trackOrKind;
+    const transceiver = { kind: track ? track.kind : trackOrKind, sender: createSender(track), ...init };
+    this.transceivers.push(transceiver);
+    if (track) this.senders.push(transceiver.sender);
+    this.markNegotiationNeeded();
+    return transceiver;
+  }
+
+  createDataChannel(label) {
+    const channel = new FakeDataChannel(label);
+    this.dataChannels.push(channel);
+    this.markNegotiationNeeded();
+    return channel;
+  }
+
+  getConfiguration() {
+    return this.config;
+  }
+
+  setConfiguration(config) {
+    this.config = config;
+  }
+
+  getSenders() {
+    return this.senders;
+  }
+
+  restartIce() {
+    this.iceRestartPending = true;
+    this.markNegotiationNeeded();
+  }
+
+  setLocalDescription(description) {
+    return this.enqueue(() => {
+      const type = description ? description.type : (this.signalingState === 'have-remote-offer' ? 'answer' : 'offer');
+
+      if (type === 'rollback') {
+        if (this.signalingState === 'stable') throw new Error('InvalidStateError: nothing to roll back');
+        this.rollbacks++;
+        this.localDescription = this.stable.local;
+        this.remoteDescription = this.stable.remote;
+        this.signalingState = 'stable';
+        return;
+      }
+
+      if (type === 'offer') {
+        if (!['stable', 'have-local-offer'].includes(this.signalingState)) {
+          throw new Error(`InvalidStateError: cannot offer in ${this.signalingState}`);
+        }
+        this.offerCount++;
+        const restart = this.iceRestartPending ? ' ice-restart' : '';
+        this.localDescription = { type: 'offer', sdp: `offer ${this.offerCount}${restart}` };
+        this.negotiationNeeded = false;
+        this.iceRestartPending = false;
+        this.signalingState = 'have-local-offer';
+        return;
+      }
+
+      if (this.signalingState !== 'have-remote-offer') {
+        throw new Error(`InvalidStateError: cannot answer in ${this.signalingState}`);
+      }
+      this.localDescription = { type: 'answer', sdp: `answer to ${this.remoteDescription.sdp}` };
+      this.becomeStable();
+    });
+  }
+
+  setRemoteDescription(description) {
+    return this.enqueue(() => {
+      if (description.type === 'offer') {
+        if (this.signalingState !== 'stable') {
+          throw new Error(`InvalidStateError: cannot apply offer in ${this.signalingState}`);
+        }
+        this.remoteDescription = description;
+        this.signalingState = 'have-remote-offer';
+        return;
+      }
+
+      if (this.signalingState !== 'have-local-offer') {
+        throw new Error(`InvalidStateError: cannot apply answer in ${this.signalingState}`);
+      }
+      this.remoteDescription = description;
+      this.becomeStable();
+    });
+  }
+
+  addIceCandidate(candidate) {
+    return this.enqueue(() => {
+      if (!this.remoteDescription) throw new Error('InvalidStateError: no remote description');
+      this.candidates.push(candidate);
+    });
+  }
+
+  close() {
+    this.closed = true;
+    this.signalingState = 'closed';
+  }
+}
@@ -0,0 +1,33 @@
+// Stands in for WebRTCService in encryption tests: peer messages between the
+// participants in `network` (a Map of clientId -> service), delivered a tick
+// later
+export function fakeWebRTC(network, clientId, address) {
+  const handlers = new Map();
+  const service = {
+    address,
+    handlers,
+    on(topic, handler) {
+      handlers.set(topic, handler);
+      return () => handlers.delete(topic);
+    },
+    sendTo(participantId, topic, payload) {
+      const target = network.get(participantId);
+      if (!target) return;
+      setImmediate(() => {
+        const handler = target.handlers.get(topic);
+        if (handler) handler(structuredClone(payload), clientId);
+      });
+    },
+    getRoomId: () => "meeting-7",
+    getClientId: () => clientId,
+    getAddress: () => address,
+    getParticipantAddress: participantId => network.get(participantId)?.address || null,
+    getRemoteParticipantIds: () => Array.from(network.keys()).filter(id => id !== clientId)
+  };
+  network.set(clientId, service);
+  return service;
+}
+
+export function settle(milliseconds = 50) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds));
+}
@@ -0,0 +1,138 @@
+import { expect } from "chai";
+import { Wallet } from "ethers";
+import MediaEncryption from "../src/services/MediaEncryption.js";
+import { decryptFrame, encryptFrame } from "../src/services/frameCrypto.js";
+import { fakeWebRTC, settle } from "./helpers/fakePeerNetwork.js";
+
+// Records what would be posted to the worker
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  localKey() {
+    return this.messages.filter(message => message.type === "local-key").at(-1);
+  }
+
+  remoteKey(participantId, index) {
+    const message = this.messages.find(message =>
+      message.type === "remote-key" && message.participantId === participantId && message.index === index);
+    return message && message.key;
+  }
+}
+
+// Whether `receiver` can decrypt what `sender` encrypts now
+async function canDecrypt(sender, senderId, receiver) {
+  const { key, index } = sender.worker.localKey();
+  const frame = new Uint8Array([0x90, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12]).buffer;
+  const encrypted = await encryptFrame(frame, "delta", key, index);
+  const decrypted = await decryptFrame(encrypted, "delta", i => receiver.worker.remoteKey(senderId, i));
+  return decrypted !== null && Buffer.from(decrypted).equals(Buffer.from(frame));
+}
+
+describe("Media encryption", function () {
+  let network, started, consoleError;
+
+  function participant(clientId, options, address = null) {
+    const encryption = new MediaEncryption(fakeWebRTC(network, clientId, address), { ...options, worker: new FakeWorker() });
+    started.push(encryption);
+    return encryption;
+  }
+
+  before(function () {
+    consoleError = console.error;
+    console.error = () => {};
+  });
+
+  after(function () {
+    console.error = consoleError;
+  });
+
+  beforeEach(function () {
+    network = new Map();
+    started = [];
+  });
+
+  afterEach(function () {
+    started.forEach(encryption => encryption.stop());
+  });
+
+  it("should encrypt frames but leave their header readable", async function () {
+    const key = await crypto.subtle.generateKey({ name: "AES-GCM", length: 128 }, false, ["encrypt", "decrypt"]);
+    const frame = new Uint8Array(64).map((_, i) => i);
+
+    const encrypted = new Uint8Array(await encryptFrame(frame.buffer, "key", key, 3));
+
+    expect(Array.from(encrypted.subarray(0, 10))).to.deep.equal(Array.from(frame.subarray(0, 10)));
+    expect(Array.from(encrypted.subarray(10, 64))).to.not.deep.equal(Array.from(frame.subarray(10)));
+    expect(encrypted.at(-1)).to.equal(3);
+    const decrypted = await decryptFrame(encrypted.buffer, "key", index => index === 3 ? key : null);
+    expect(new Uint8Array(decrypted)).to.deep.equal(frame);
+
+    encrypted[2] ^= 1;
+    expect(await decryptFrame(encrypted.buffer, "key", () => key)).to.equal(null);
+  });
+
+  it("should give everyone with the passphrase each other's keys", async function () {
+    const alice = participant("alice", { passphrase: "correct horse" });
+    const bob = participant("bob", { passphrase: "correct horse" });
+
+    await Promise.all([alice.start(), bob.start()]);
+    await settle();
+
+    expect(await canDecrypt(alice, "alice", bob)).to.equal(true);
+    expect(await canDecrypt(bob, "bob", alice)).to.equal(true);
+  });
+
+  it("should not hand keys to someone with a different passphrase", async function () {
+    const alice = participant("alice", { passphrase: "correct horse" });
+    const mallory = participant("mallory", { passphrase: "battery staple" });
+
+    await Promise.all([alice.start(), mallory.start()]);
+    await settle();
+
+    expect(await canDecrypt(alice, "alice", mallory)).to.equal(false);
+    expect(mallory.getState("alice")).to.equal("undecryptable");
+  });
+
+  it("should only accept keys signed by the participant's wallet", async function () {
+    const aliceWallet = Wallet.createRandom();
+    const bobWallet = Wallet.createRandom();
+    const alice = participant("alice", { walletService: { signMessage: message => aliceWallet.signMessage(message) } }, aliceWallet.address);
+    const bob = participant("bob", { walletService: { signMessage: message => bobWallet.signMessage(message) } }, bobWallet.address);
+    // Signs with a wallet other than the one they joined with
+    const mallory = participant("mallory", { walletService: { signMessage: message => aliceWallet.signMessage(message) } }, Wallet.createRandom().address);
+
+    await Promise.all([alice.start(), bob.start(), mallory.start()]);
+    await settle(200);
+
+    expect(await canDecrypt(alice, "alice", bob)).to.equal(true);
+    expect(await canDecrypt(alice, "alice", mallory)).to.equal(false);
+    expect(alice.getState("mallory")).to.equal("unverified");
+  });
+
+  it("should rotate keys when someone leaves", async function () {
+    this.timeout(5000);
+    const alice = participant("alice", { passphrase: "correct horse" });
+    const bob = participant("bob", { passphrase: "correct horse" });
+    const carol = participant("carol", { passphrase: "correct horse" });
+    await Promise.all([alice.start(), bob.start(), carol.start()]);
+    await settle();
+
+    network.delete("carol");
+    await alice.handleParticipantLeft("carol");
+    await settle(1100);
+
+    expect(alice.worker.localKey().index).to.equal(1);
+    expect(await canDecrypt(alice, "alice", bob)).to.equal(true);
+    expect(await canDecrypt(alice, "alice", carol)).to.equal(false);
+  });
+});
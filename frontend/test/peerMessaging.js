@@ -0,0 +1,149 @@
+import { expect } from "chai";
+import WebRTCService from "../src/services/WebRTCService.js";
+import { FakePeerConnection } from "./helpers/fakePeerConnection.js";
+
+describe("WebRTCService peer messaging", function () {
+  let service, sent, received, consoleLog;
+
+  function receive(type, payload, from) {
+    service.handleSignalingMessage({ type, roomId: "standup", from, payload });
+  }
+
+  function relayed() {
+    return sent.filter(message => message.type === "peer-message").map(message => message.payload);
+  }
+
+  before(function () {
+    globalThis.RTCPeerConnection = FakePeerConnection;
+    globalThis.WebSocket = globalThis.WebSocket || { OPEN: 1 };
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  after(function () {
+    delete globalThis.RTCPeerConnection;
+    console.log = consoleLog;
+  });
+
+  beforeEach(function () {
+    sent = [];
+    received = [];
+    service = new WebRTCService();
+    service.clientId = "a";
+    service.roomId = "standup";
+    service.ws = { readyState: WebSocket.OPEN, send: (raw) => sent.push(JSON.parse(raw)) };
+    service.participantIds = new Set(["a", "b", "c"]);
+    service.on("reaction", (payload, fromId) => received.push({ payload, fromId }));
+  });
+
+  afterEach(function () {
+    service.closePeers();
+    service.resetPeerMessages();
+  });
+
+  it("should send over the data channel and relay where none is open", function () {
+    service.createOffer("b");
+    const [channel] = service.getPeers().get("b").dataChannels;
+    channel.readyState = "open";
+
+    service.send("reaction", { emoji: "👍" });
+
+    expect(channel.label).to.equal("messages");
+    expect(channel.sent).to.deep.equal([{ topic: "reaction", seq: 1, data: { emoji: "👍" } }]);
+    expect(relayed()).to.deep.equal([{ targetId: "c", topic: "reaction", seq: 1, data: { emoji: "👍" } }]);
+  });
+
+  it("should number messages per recipient whichever way they go", function () {
+    service.createOffer("b");
+    const [channel] = service.getPeers().get("b").dataChannels;
+
+    service.send("reaction", 1);
+    channel.readyState = "open";
+    service.send("reaction", 2);
+
+    expect(relayed().filter(payload => payload.targetId === "b").map(payload => payload.seq)).to.deep.equal([1]);
+    expect(channel.sent.map(message => message.seq)).to.deep.equal([2]);
+    expect(relayed().filter(payload => payload.targetId === "c").map(payload => payload.seq)).to.deep.equal([1, 2]);
+  });
+
+  it("should deliver in send order when the channel overtakes the relay", function () {
+    service.createOffer("b");
+    const [channel] = service.getPeers().get("b").dataChannels;
+
+    channel.receive({ topic: "reaction", seq: 2, data: "second" });
+    expect(received).to.be.empty;
+
+    receive("peer-message", { topic: "reaction", seq: 1, data: "first" }, "b");
+    expect(received).to.deep.equal([
+      { payload: "first", fromId: "b" },
+      { payload: "second", fromId: "b" }
+    ]);
+  });
+
+  it("should deliver each message once", function () {
+    receive("peer-message", { topic: "reaction", seq: 1, data: "hi" }, "b");
+    receive("peer-message", { topic: "reaction", seq: 1, data: "hi" }, "b");
+    receive("peer-message", { topic: "reaction", seq: 1, data: "hi" }, "c");
+
+    expect(received).to.deep.equal([
+      { payload: "hi", fromId: "b" },
+      { payload: "hi", fromId: "c" }
+    ]);
+  });
+
+  it("should stop waiting for a message that never arrives", function () {
+    const realSetTimeout = globalThis.setTimeout;
+    let skipGap;
+    globalThis.setTimeout = (callback) => { skipGap = callback; };
+    try {
+      receive("peer-message", { topic: "reaction", seq: 3, data: "third" }, "b");
+      receive("peer-message", { topic: "reaction", seq: 4, data: "fourth" }, "b");
+    } finally {
+      globalThis.setTimeout = realSetTimeout;
+    }
+    expect(received).to.be.empty;
+
+    skipGap();
+    expect(received.map(message => message.payload)).to.deep.equal(["third", "fourth"]);
+
+    receive("peer-message", { topic: "reaction", seq: 1, data: "late" }, "b");
+    expect(received).to.have.lengthOf(2);
+  });
+
+  it("should start numbering over with a participant who left", function () {
+    receive("peer-message", { topic: "reaction", seq: 1, data: "hi" }, "b");
+    service.send("reaction", "hello");
+
+    receive("participant-left", { participantId: "b" });
+    receive("participant-joined", { participant: { id: "b" } });
+    receive("peer-message", { topic: "reaction", seq: 1, data: "back" }, "b");
+    service.send("reaction", "welcome back");
+
+    expect(received.map(message => message.payload)).to.deep.equal(["hi", "back"]);
+    expect(relayed().filter(payload => payload.targetId === "b").map(payload => payload.seq)).to.deep.equal([1, 1]);
+  });
+
+  it("should hand other data channels to whoever opened them", function () {
+    const opened = [];
+    service.onDataChannel((participantId, channel) => opened.push({ participantId, label: channel.label }));
+    service.createOffer("b");
+    const peer = service.getPeers().get("b");
+
+    const channel = service.openDataChannel("b", "file:1:0");
+    peer.ondatachannel({ channel: { label: "file:2:0" } });
+
+    expect(channel.label).to.equal("file:1:0");
+    expect(opened).to.deep.equal([{ participantId: "b", label: "file:2:0" }]);
+    expect(service.openDataChannel("c", "file:3:0")).to.equal(null);
+  });
+
+  it("should stop calling a handler once it's removed", function () {
+    const calls = [];
+    const off = service.on("poll", payload => calls.push(payload));
+    receive("peer-message", { topic: "poll", seq: 1, data: "open" }, "b");
+    off();
+    receive("peer-message", { topic: "poll", seq: 2, data: "closed" }, "b");
+
+    expect(calls).to.deep.equal(["open"]);
+  });
+});
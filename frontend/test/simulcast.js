@@ -0,0 +1,53 @@
+import { expect } from "chai";
+import { LayerAdapter, layerForSize, lowerLayer } from "../src/services/simulcast.js";
+
+// A getStats() report with one inbound video stream
+function report({ packetsLost, packetsReceived, availableIncomingBitrate }) {
+  return new Map([
+    ["inbound", { type: "inbound-rtp", kind: "video", packetsLost, packetsReceived }],
+    ["pair", { type: "candidate-pair", nominated: true, availableIncomingBitrate }]
+  ]);
+}
+
+describe("Simulcast layer selection", function () {
+  it("should pick the smallest layer that fills a tile", function () {
+    expect(layerForSize(120)).to.equal("low");
+    expect(layerForSize(180)).to.equal("low");
+    expect(layerForSize(300)).to.equal("medium");
+    expect(layerForSize(1080)).to.equal("high");
+  });
+
+  it("should compare layers by resolution", function () {
+    expect(lowerLayer("high", "medium")).to.equal("medium");
+    expect(lowerLayer("low", "high")).to.equal("low");
+  });
+
+  it("should step down while packets are being lost", function () {
+    const adapter = new LayerAdapter();
+    expect(adapter.update(report({ packetsLost: 0, packetsReceived: 1000 }))).to.equal("high");
+    expect(adapter.update(report({ packetsLost: 100, packetsReceived: 1900 }))).to.equal("medium");
+    expect(adapter.update(report({ packetsLost: 200, packetsReceived: 2800 }))).to.equal("low");
+    expect(adapter.update(report({ packetsLost: 300, packetsReceived: 3700 }))).to.equal("low");
+  });
+
+  it("should step down when the link can't carry the current layer", function () {
+    const adapter = new LayerAdapter();
+    adapter.update(report({ packetsLost: 0, packetsReceived: 0, availableIncomingBitrate: 800000 }));
+
+    expect(adapter.update(report({ packetsLost: 0, packetsReceived: 100, availableIncomingBitrate: 800000 }))).to.equal("medium");
+    expect(adapter.update(report({ packetsLost: 0, packetsReceived: 200, availableIncomingBitrate: 800000 }))).to.equal("medium");
+  });
+
+  it("should climb back once the link has stayed healthy", function () {
+    const adapter = new LayerAdapter();
+    adapter.update(report({ packetsLost: 0, packetsReceived: 0 }));
+    adapter.update(report({ packetsLost: 50, packetsReceived: 100 }));
+    expect(adapter.cap).to.equal("medium");
+
+    const caps = [];
+    for (let received = 200; received <= 600; received += 100) {
+      caps.push(adapter.update(report({ packetsLost: 50, packetsReceived: received })));
+    }
+    expect(caps).to.deep.equal(["medium", "medium", "medium", "medium", "high"]);
+  });
+});
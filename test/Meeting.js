@@ -98,4 +98,31 @@ describe("Meeting Contract", function () {
     await meeting.addParticipant(1, addr1.address);
     expect(await meeting.isParticipant(1, addr1.address)).to.equal(true);
   });
+
+  it("should let the creator record a poll result once and read it back", async function () {
+    await meeting.createMeeting("Test", "Desc", 0, false);
+    await expect(meeting.recordPollResult(1, "poll-1", "Ship it?", ["Yes", "No"], [3, 1], 4))
+      .to.emit(meeting, "PollResultRecorded")
+      .withArgs(1, 0, "poll-1");
+    expect(await meeting.getPollResultCount(1)).to.equal(1);
+    const result = await meeting.getPollResult(1, 0);
+    expect(result.question).to.equal("Ship it?");
+    expect(result.options).to.deep.equal(["Yes", "No"]);
+    expect(result.votes.map(Number)).to.deep.equal([3, 1]);
+    expect(result.voterCount).to.equal(4);
+    await expect(
+      meeting.recordPollResult(1, "poll-1", "Ship it?", ["Yes", "No"], [3, 1], 4)
+    ).to.be.revertedWith("Poll result already recorded");
+  });
+
+  it("should not allow others to record poll results", async function () {
+    await meeting.createMeeting("Test", "Desc", 0, false);
+    await expect(
+      meeting.connect(addr1).recordPollResult(1, "poll-1", "Ship it?", ["Yes", "No"], [3, 1], 4)
+    ).to.be.revertedWith("Only creator can record poll results");
+    await expect(
+      meeting.recordPollResult(1, "poll-1", "Ship it?", ["Yes", "No"], [3], 3)
+    ).to.be.revertedWith("Options and votes must match");
+    await expect(meeting.getPollResult(1, 0)).to.be.revertedWith("Poll result not found");
+  });
 }); 
\ No newline at end of file